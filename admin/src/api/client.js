@@ -64,6 +64,33 @@ const request = async (path, options = {}) => {
   return payload;
 };
 
+// Authenticated download: resolves to the response body as a Blob plus the server's filename.
+const requestFile = async (path) => {
+  const token = tokenStore.get();
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+
+  if (!response.ok) {
+    if (response.status === 401 || response.status === 403) {
+      tokenStore.clear();
+    }
+    let payload = {};
+    try {
+      payload = await response.json();
+    } catch (error) {
+      payload = {};
+    }
+    const err = new Error(payload.message || "Download failed");
+    err.status = response.status;
+    throw err;
+  }
+
+  const disposition = response.headers.get("Content-Disposition") || "";
+  const filename = disposition.match(/filename="?([^";]+)"?/)?.[1] || "download";
+  return { blob: await response.blob(), filename };
+};
+
 const requestLegacy = async (url, options = {}) => {
   const token = tokenStore.get();
   const headers = { ...(options.headers || {}) };
@@ -99,6 +126,12 @@ const requestLegacy = async (url, options = {}) => {
   return payload;
 };
 
+// Older servers return every product as a plain array; present that as a single page.
+const toProductPage = (payload) =>
+  Array.isArray(payload)
+    ? { products: payload, total: payload.length, page: 1, limit: payload.length, pages: 1 }
+    : payload;
+
 const requestWithFallback = async (attempts) => {
   let lastError;
   for (const attempt of attempts) {
@@ -180,11 +213,12 @@ export const api = {
   getVisitors: () => request("/visitors"),
   deleteVisitor: (id) => request(`/visitors/${id}`, { method: "DELETE" }),
 
-  getProducts: () =>
+  // params: page, limit, q, minPrice, maxPrice, sort ("price", "-createdAt", ...)
+  getProducts: (params = {}) =>
     requestWithFallback([
-      () => request("/products"),
-      () => requestLegacy(`${API_ROOT_URL}/products`),
-    ]),
+      () => request(`/products?${new URLSearchParams(params)}`),
+      () => requestLegacy(`${API_ROOT_URL}/products?${new URLSearchParams(params)}`),
+    ]).then(toProductPage),
   createProduct: (formData) =>
     requestWithFallback([
       () => request("/products", { method: "POST", body: formData }),
@@ -200,9 +234,20 @@ export const api = {
       () => request(`/products/${id}`, { method: "DELETE" }),
       () => requestLegacy(`${API_ROOT_URL}/products/${id}`, { method: "DELETE" }),
     ]),
+  getTrash: (params = {}) => request(`/trash?${new URLSearchParams(params)}`),
+  restoreTrashEntry: (id) => request(`/trash/${id}/restore`, { method: "POST" }),
+  purgeTrashEntry: (id) => request(`/trash/${id}`, { method: "DELETE" }),
+  emptyTrash: () => request("/trash", { method: "DELETE" }),
+  saveTrashSettings: (body) => request("/trash/settings", { method: "PUT", body: JSON.stringify(body) }),
+  getProductQuote: (id, params) => request(`/products/${id}/quote?${new URLSearchParams(params)}`),
+  getExchangeRates: () => request("/exchange-rates"),
+  saveExchangeRates: (rates) => request("/exchange-rates", { method: "PUT", body: JSON.stringify({ rates }) }),
+  getEmailSettings: () => request("/settings/email"),
+  saveEmailSettings: (body) => request("/settings/email", { method: "PUT", body: JSON.stringify(body) }),
 
   getContent: () =>
     requestWithFallback([
+      () => request("/content/manage"),
       () => request("/content"),
       () => requestLegacy(`${API_ROOT_URL}/content`),
     ]),
@@ -221,14 +266,70 @@ export const api = {
       () => request(`/content/${id}`, { method: "DELETE" }),
       () => requestLegacy(`${API_ROOT_URL}/content/${id}`, { method: "DELETE" }),
     ]),
+  publishContent: (id, note = "") =>
+    request(`/content/${id}/publish`, { method: "POST", body: JSON.stringify({ note }) }),
+  discardContentDraft: (id) => request(`/content/${id}/draft`, { method: "DELETE" }),
+  getContentRevisions: (id) => request(`/content/${id}/revisions`),
+  getContentRevision: (id, revision) => request(`/content/${id}/revisions/${revision}`),
+  diffContent: (id, from, to) =>
+    request(`/content/${id}/diff?${new URLSearchParams({ from: String(from), to: String(to) })}`),
+  rollbackContent: (id, revision) =>
+    request(`/content/${id}/rollback`, { method: "POST", body: JSON.stringify({ revision }) }),
+
+  getCatalogTree: () => request("/catalog/tree"),
+  getCatalogSections: (params = {}) => request(`/catalog/sections?${new URLSearchParams(params)}`),
+  createCatalogSection: (body) =>
+    request("/catalog/sections", { method: "POST", body: JSON.stringify(body) }),
+  updateCatalogSection: (id, body) =>
+    request(`/catalog/sections/${id}`, { method: "PUT", body: JSON.stringify(body) }),
+  moveCatalogSection: (id, parent) =>
+    request(`/catalog/sections/${id}/move`, { method: "POST", body: JSON.stringify({ parent }) }),
+  deleteCatalogSection: (id) => request(`/catalog/sections/${id}`, { method: "DELETE" }),
+  getCatalogItems: (params = {}) => request(`/catalog/items?${new URLSearchParams(params)}`),
+  createCatalogItem: (body) =>
+    request("/catalog/items", { method: "POST", body: JSON.stringify(body) }),
+  updateCatalogItem: (id, body) =>
+    request(`/catalog/items/${id}`, { method: "PUT", body: JSON.stringify(body) }),
+  moveCatalogItem: (id, section) =>
+    request(`/catalog/items/${id}/move`, { method: "POST", body: JSON.stringify({ section }) }),
+  deleteCatalogItem: (id) => request(`/catalog/items/${id}`, { method: "DELETE" }),
+  getCatalogCompatibility: () => request("/catalog/compatibility"),
+  getCatalogRedirects: (params = {}) => request(`/catalog/redirects?${new URLSearchParams(params)}`),
+  deleteCatalogRedirect: (id) => request(`/catalog/redirects/${id}`, { method: "DELETE" }),
+  previewCatalogSave: (data, baseVersion) =>
+    request("/catalog/diff", { method: "POST", body: JSON.stringify({ data, baseVersion }) }),
+  checkCatalogIntegrity: (data) =>
+    request("/catalog/integrity", { method: "POST", body: JSON.stringify(data === undefined ? {} : { data }) }),
+  exportCatalog: (params = {}) => requestFile(`/catalog/export?${new URLSearchParams(params)}`),
+  importCatalog: (formData, params = {}) =>
+    request(`/catalog/import?${new URLSearchParams(params)}`, { method: "POST", body: formData }),
 
   getMedia: () => request("/media"),
   uploadMedia: (formData) => request("/media/upload", { method: "POST", body: formData }),
   deleteMedia: (name) => request(`/media/${encodeURIComponent(name)}`, { method: "DELETE" }),
+  getDocuments: (params = {}) => request(`/media/documents?${new URLSearchParams(params)}`),
+  uploadDocument: (formData) => request("/media/documents", { method: "POST", body: formData }),
+  updateDocument: (id, body) =>
+    request(`/media/documents/${id}`, { method: "PUT", body: JSON.stringify(body) }),
+  deleteDocument: (id) => request(`/media/documents/${id}`, { method: "DELETE" }),
+  downloadDocument: (id) => requestFile(`/media/documents/${id}/file`),
   getLeads: () => request("/contact/leads"),
   deleteLead: (id) => request(`/contact/leads/${id}`, { method: "DELETE" }),
   getAnalyticsOverview: () => request("/analytics/overview"),
   testEmail: (body) => request("/contact/test", { method: "POST", body: JSON.stringify(body) }),
 };
 
+// Stored image paths are "/uploads/...", bare file names or the site's old "/assets/..." paths.
+export const resolveImageUrl = (value) => {
+  if (!value) return "";
+  if (value.startsWith("http://") || value.startsWith("https://")) return value;
+  if (value.startsWith("/uploads/")) return `${API_ROOT_URL}${value}`;
+  if (value.startsWith("/assets/")) {
+    const fileName = value.split("/").pop();
+    return `${API_ROOT_URL}/uploads/${fileName}`;
+  }
+  if (!value.startsWith("/")) return `${API_ROOT_URL}/uploads/${value}`;
+  return `${API_ROOT_URL}${value}`;
+};
+
 export default API_BASE_URL;
@@ -0,0 +1,1739 @@
+import { useEffect, useMemo, useState } from "react";
+import { api, resolveImageUrl } from "../api/client";
+import { productData as defaultProductCatalog } from "../defaults/productCatalog";
+import {
+  catalogEntryId,
+  catalogSpecFields,
+  emptyAvailability,
+  emptyCatalogSpecs,
+  flattenCatalogItems,
+  forEachSubcategory,
+  galleryViewOptions,
+  indexCatalogItems,
+  isItemRef,
+  reorderList,
+  reorderSections,
+  stockStatusOptions,
+  toAvailability,
+  toAvailabilityForm,
+  toCatalogSpecs,
+  toKey,
+  toSlug,
+  withOrder,
+} from "../utils/catalog";
+import { formatDiffValue } from "../utils/contentMerge";
+import ItemDocuments from "./ItemDocuments";
+
+const emptyCatalogVariant = { id: "", label: "", swatch: "", images: [], specs: emptyCatalogSpecs };
+const emptyCatalogItem = {
+  id: "",
+  slug: "",
+  name: "",
+  actualName: "",
+  subCategory: "",
+  image: "",
+  gallery: [],
+  variants: [],
+  description: "",
+  features: "",
+  specs: emptyCatalogSpecs,
+  compatibility: { role: "", neckFinish: "" },
+  availability: emptyAvailability,
+};
+const moveListEntry = (list, index, offset) => {
+  const target = index + offset;
+  if (target < 0 || target >= list.length) return list;
+  const next = [...list];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+const emptyBulkForm = { target: "", tag: "", specKey: "", specValue: "" };
+
+// `catalogText` is the catalog JSON being edited; the dashboard holds it and reloads it after saves.
+const CatalogEditor = ({
+  catalogEntry,
+  catalogText,
+  setCatalogText,
+  catalogErrors,
+  setCatalogErrors,
+  upsertContent,
+  loadAll,
+  setMessage,
+}) => {
+  const [catalogIndustryKey, setCatalogIndustryKey] = useState("");
+  const [catalogCategoryKey, setCatalogCategoryKey] = useState("");
+  const [catalogSubKey, setCatalogSubKey] = useState("");
+  const [catalogItemForm, setCatalogItemForm] = useState(emptyCatalogItem);
+  const [editingCatalogItemId, setEditingCatalogItemId] = useState("");
+  const [catalogSearch, setCatalogSearch] = useState("");
+  const [showCatalogSummaryTable, setShowCatalogSummaryTable] = useState(false);
+  const [selectedCatalogIds, setSelectedCatalogIds] = useState([]);
+  const [bulkForm, setBulkForm] = useState(emptyBulkForm);
+  const [catalogDrag, setCatalogDrag] = useState(null);
+  const [compatibilityMatrix, setCompatibilityMatrix] = useState(null);
+  const [catalogSavePreview, setCatalogSavePreview] = useState(null);
+  const [catalogRedirects, setCatalogRedirects] = useState([]);
+  const [integrityReport, setIntegrityReport] = useState(null);
+  const [catalogImportFile, setCatalogImportFile] = useState(null);
+  const [catalogImportDeleteMissing, setCatalogImportDeleteMissing] = useState(false);
+  const [catalogImportPreview, setCatalogImportPreview] = useState(null);
+  const [newIndustryKey, setNewIndustryKey] = useState("");
+  const [newIndustryTitle, setNewIndustryTitle] = useState("");
+  const [newCategoryKey, setNewCategoryKey] = useState("");
+  const [newCategoryTitle, setNewCategoryTitle] = useState("");
+  const [newSubKey, setNewSubKey] = useState("");
+  const [newSubTitle, setNewSubTitle] = useState("");
+  const catalogBaseVersion = catalogEntry?.catalogVersion || "";
+
+  const catalogObject = useMemo(() => {
+    try {
+      return JSON.parse(catalogText);
+    } catch {
+      return defaultProductCatalog;
+    }
+  }, [catalogText]);
+
+  const catalogItems = useMemo(() => flattenCatalogItems(catalogObject), [catalogObject]);
+  const industryKeys = useMemo(() => Object.keys(catalogObject || {}), [catalogObject]);
+  const selectedIndustry = catalogObject?.[catalogIndustryKey] || null;
+  const categoryEntries = Object.entries(selectedIndustry?.categories || {});
+  const selectedCategory = selectedIndustry?.categories?.[catalogCategoryKey] || null;
+  const subEntries = Object.entries(selectedCategory?.subCategories || {});
+  const selectedSub = selectedCategory?.subCategories?.[catalogSubKey] || null;
+  const isCatalogTargetReady = Boolean(catalogIndustryKey && catalogCategoryKey && catalogSubKey);
+  const catalogTargetPath = `${selectedIndustry?.title || "-"} / ${selectedCategory?.title || "-"} / ${selectedSub?.title || "-"}`;
+  const catalogDefinitions = useMemo(() => indexCatalogItems(catalogObject), [catalogObject]);
+  const selectedSubItems = (selectedSub?.items || [])
+    .map((entry) => (isItemRef(entry) ? { ...catalogDefinitions.get(entry.ref), id: entry.ref, crossListed: true } : entry));
+  const editingPlacements = catalogItems.filter((row) => editingCatalogItemId && row.id === editingCatalogItemId);
+  const catalogSubcategoryOptions = useMemo(() => {
+    const options = [];
+    forEachSubcategory(catalogObject, (sub, { industryKey, categoryKey, subKey, industry, category }) => {
+      options.push({
+        location: { industryKey, categoryKey, subKey },
+        label: `${industry?.title || industryKey} / ${category?.title || categoryKey} / ${sub?.title || subKey}`,
+      });
+    });
+    return options;
+  }, [catalogObject]);
+  const selectedSubItemsFiltered = useMemo(() => {
+    const q = catalogSearch.trim().toLowerCase();
+    if (!q) return selectedSubItems;
+    return selectedSubItems.filter((item) =>
+      [
+        item.id,
+        item.name,
+        item.actualName,
+        item.description,
+        item.subCategory,
+      ]
+        .filter(Boolean)
+        .some((value) => String(value).toLowerCase().includes(q))
+    );
+  }, [selectedSubItems, catalogSearch]);
+
+  const updateCatalogObject = (mutator) => {
+    let next;
+    try {
+      next = structuredClone(catalogObject);
+    } catch {
+      next = JSON.parse(JSON.stringify(catalogObject));
+    }
+    mutator(next);
+    setCatalogText(JSON.stringify(next, null, 2));
+    setCatalogSavePreview(null);
+  };
+
+  useEffect(() => {
+    setCatalogSavePreview(null);
+  }, [catalogEntry]);
+
+  useEffect(() => {
+    if (!industryKeys.length) return;
+    if (!catalogIndustryKey || !catalogObject[catalogIndustryKey]) {
+      setCatalogIndustryKey(industryKeys[0]);
+    }
+  }, [industryKeys, catalogIndustryKey, catalogObject]);
+
+  useEffect(() => {
+    const keys = Object.keys(selectedIndustry?.categories || {});
+    if (!keys.length) {
+      setCatalogCategoryKey("");
+      return;
+    }
+    if (!catalogCategoryKey || !selectedIndustry?.categories?.[catalogCategoryKey]) {
+      setCatalogCategoryKey(keys[0]);
+    }
+  }, [selectedIndustry, catalogCategoryKey]);
+
+  useEffect(() => {
+    const keys = Object.keys(selectedCategory?.subCategories || {});
+    if (!keys.length) {
+      setCatalogSubKey("");
+      return;
+    }
+    if (!catalogSubKey || !selectedCategory?.subCategories?.[catalogSubKey]) {
+      setCatalogSubKey(keys[0]);
+    }
+  }, [selectedCategory, catalogSubKey]);
+
+  useEffect(() => {
+    setCatalogItemForm(emptyCatalogItem);
+    setEditingCatalogItemId("");
+    setCatalogSearch("");
+    setSelectedCatalogIds([]);
+  }, [catalogIndustryKey, catalogCategoryKey, catalogSubKey]);
+
+  // Saving is two steps: the server compares the edit with the saved catalog, and only
+  // after the admin has reviewed that diff is the catalog written.
+  const saveCatalogJson = async () => {
+    let parsed;
+    try {
+      parsed = JSON.parse(catalogText);
+    } catch (error) {
+      setMessage("Invalid Product Catalog JSON");
+      return;
+    }
+    try {
+      const preview = await api.previewCatalogSave(parsed, catalogBaseVersion);
+      if (!preview.hasChanges) {
+        setCatalogSavePreview(null);
+        setMessage("No changes to save.");
+        return;
+      }
+      setCatalogSavePreview({ ...preview, data: parsed });
+    } catch (error) {
+      setMessage(error.message || "Failed to compare product catalog");
+    }
+  };
+
+  const confirmCatalogSave = async () => {
+    if (!catalogSavePreview) return;
+    try {
+      await upsertContent("productCatalog", "Product Catalog", catalogSavePreview.data, { baseVersion: catalogBaseVersion });
+      setCatalogErrors([]);
+      setCatalogSavePreview(null);
+      setMessage("Product catalog saved");
+    } catch (error) {
+      if (error.status === 409) {
+        setCatalogSavePreview((preview) => (preview ? { ...preview, stale: true } : preview));
+      } else {
+        setCatalogSavePreview(null);
+      }
+      setCatalogErrors(error.payload?.errors || []);
+      setMessage(error.message || "Failed to save product catalog");
+    }
+  };
+
+  const runIntegrityCheck = async () => {
+    let parsed;
+    try {
+      parsed = JSON.parse(catalogText);
+    } catch (error) {
+      setMessage("Invalid Product Catalog JSON");
+      return;
+    }
+    try {
+      setIntegrityReport(await api.checkCatalogIntegrity(parsed));
+    } catch (error) {
+      setMessage(error.message || "Failed to check catalog integrity");
+    }
+  };
+
+  const saveCatalogItem = (event) => {
+    event.preventDefault();
+    if (!catalogIndustryKey || !catalogCategoryKey || !catalogSubKey) {
+      setMessage("Select industry, category, and subcategory first.");
+      return;
+    }
+
+    const itemPayload = {
+      id: catalogItemForm.id.trim(),
+      slug: toSlug(catalogItemForm.slug),
+      name: catalogItemForm.name.trim(),
+      actualName: catalogItemForm.actualName.trim(),
+      subCategory: catalogItemForm.subCategory.trim() || selectedSub?.title || "",
+      image: catalogItemForm.image.trim(),
+      gallery: catalogItemForm.gallery
+        .filter((entry) => entry.image)
+        .map((entry) => ({ image: entry.image, view: entry.view, caption: entry.caption.trim() || undefined })),
+      variants: catalogItemForm.variants
+        .map((variant) => ({
+          id: toSlug(variant.id || variant.label),
+          label: variant.label.trim(),
+          swatch: variant.swatch.trim() || undefined,
+          images: variant.images.length ? variant.images : undefined,
+          specs: toCatalogSpecs(variant.specs),
+        }))
+        .filter((variant) => variant.id && variant.label),
+      specs: toCatalogSpecs(catalogItemForm.specs),
+      description: catalogItemForm.description.trim(),
+      features: catalogItemForm.features
+        .split(",")
+        .map((x) => x.trim())
+        .filter(Boolean),
+    };
+    if (!itemPayload.slug || itemPayload.slug === itemPayload.id) delete itemPayload.slug;
+    if (!Object.keys(itemPayload.specs).length) delete itemPayload.specs;
+    if (!itemPayload.gallery.length) delete itemPayload.gallery;
+    if (!itemPayload.variants.length) delete itemPayload.variants;
+    itemPayload.variants?.forEach((variant) => {
+      if (!Object.keys(variant.specs).length) delete variant.specs;
+    });
+    const compatibility = {
+      role: catalogItemForm.compatibility.role,
+      neckFinish: catalogItemForm.compatibility.neckFinish.trim(),
+    };
+    if (!compatibility.role) delete compatibility.role;
+    if (!compatibility.neckFinish) delete compatibility.neckFinish;
+    if (Object.keys(compatibility).length) itemPayload.compatibility = compatibility;
+    const availability = toAvailability(catalogItemForm.availability);
+    if (availability.stockStatus !== "discontinued") delete availability.replacementId;
+    if (Object.keys(availability).length) itemPayload.availability = availability;
+
+    if (!itemPayload.id || !itemPayload.name) {
+      setMessage("Item id and name are required.");
+      return;
+    }
+
+    // An item is defined once; edits go to wherever it is defined, even when the selected
+    // section only cross-lists it.
+    const home = catalogItems.find((row) => row.id === itemPayload.id && !row.crossListed);
+    if (home && !editingCatalogItemId) {
+      setMessage(`Item id "${itemPayload.id}" already exists in ${home.industry} / ${home.category}. Edit it or cross-list it instead.`);
+      return;
+    }
+
+    updateCatalogObject((next) => {
+      const { industryKey, categoryKey, subKey } = home?.location || {
+        industryKey: catalogIndustryKey,
+        categoryKey: catalogCategoryKey,
+        subKey: catalogSubKey,
+      };
+      const items = next[industryKey].categories[categoryKey].subCategories[subKey].items;
+      const index = items.findIndex((x) => !isItemRef(x) && x.id === itemPayload.id);
+      if (index >= 0) {
+        const { order, addedAt } = items[index];
+        items[index] = { ...itemPayload, ...(addedAt ? { addedAt } : {}), ...(order !== undefined ? { order } : {}) };
+      } else {
+        items.push(itemPayload);
+      }
+    });
+
+    setCatalogItemForm(emptyCatalogItem);
+    setEditingCatalogItemId("");
+    setMessage("Catalog item updated locally. Click Save Product Catalog.");
+  };
+
+  const loadCatalogRedirects = async (itemId) => {
+    try {
+      setCatalogRedirects(await api.getCatalogRedirects({ itemId }));
+    } catch (error) {
+      setCatalogRedirects([]);
+    }
+  };
+
+  const removeCatalogRedirect = async (redirect) => {
+    if (!window.confirm(`Stop redirecting /product/${redirect.fromSlug}?`)) return;
+    try {
+      await api.deleteCatalogRedirect(redirect._id);
+      await loadCatalogRedirects(redirect.itemId);
+    } catch (error) {
+      setMessage(error.message || "Failed to remove redirect");
+    }
+  };
+
+  const editCatalogItem = (item) => {
+    setEditingCatalogItemId(item.id);
+    loadCatalogRedirects(item.id);
+    setCatalogItemForm({
+      id: item.id || "",
+      slug: item.slug || "",
+      name: item.name || "",
+      actualName: item.actualName || "",
+      subCategory: item.subCategory || "",
+      image: item.image || "",
+      gallery: (item.gallery || []).map((entry) =>
+        typeof entry === "string"
+          ? { image: entry, view: "other", caption: "" }
+          : { image: entry.image || "", view: entry.view || "other", caption: entry.caption || "" }
+      ),
+      variants: (item.variants || []).map((variant) => ({
+        id: variant.id || "",
+        label: variant.label || "",
+        swatch: variant.swatch || "",
+        images: variant.images || [],
+        specs: Object.fromEntries(
+          catalogSpecFields.map((field) => [field.key, String(variant.specs?.[field.key] ?? "")])
+        ),
+      })),
+      description: item.description || "",
+      features: (item.features || []).join(", "),
+      specs: Object.fromEntries(
+        catalogSpecFields.map((field) => [field.key, String(item.specs?.[field.key] ?? "")])
+      ),
+      compatibility: {
+        role: item.compatibility?.role || "",
+        neckFinish: item.compatibility?.neckFinish || "",
+      },
+      availability: toAvailabilityForm(item.availability),
+    });
+  };
+
+  // Deleting an item also removes every place it is cross-listed.
+  const deleteCatalogItem = (itemId) => {
+    updateCatalogObject((next) => {
+      forEachSubcategory(next, (sub) => {
+        if (Array.isArray(sub?.items)) {
+          sub.items = sub.items.filter((x) => (isItemRef(x) ? x.ref !== itemId : x.id !== itemId));
+        }
+      });
+    });
+    setMessage("Catalog item deleted locally. Click Save Product Catalog.");
+  };
+
+  const crossListCatalogItem = (itemId) => {
+    if (!catalogIndustryKey || !catalogCategoryKey || !catalogSubKey) {
+      setMessage("Select the industry, category and subcategory to cross-list in first.");
+      return;
+    }
+    const sub = catalogObject?.[catalogIndustryKey]?.categories?.[catalogCategoryKey]?.subCategories?.[catalogSubKey];
+    if ((sub?.items || []).some((x) => (isItemRef(x) ? x.ref : x.id) === itemId)) {
+      setMessage("The item already appears in the selected subcategory.");
+      return;
+    }
+    updateCatalogObject((next) => {
+      next[catalogIndustryKey].categories[catalogCategoryKey].subCategories[catalogSubKey].items.push({ ref: itemId });
+    });
+    setMessage("Item cross-listed locally. Click Save Product Catalog.");
+  };
+
+  const removeCatalogPlacement = ({ industryKey, categoryKey, subKey }, itemId) => {
+    updateCatalogObject((next) => {
+      const sub = next[industryKey].categories[categoryKey].subCategories[subKey];
+      sub.items = sub.items.filter((x) => !(isItemRef(x) && x.ref === itemId));
+    });
+    setMessage("Cross-listing removed locally. Click Save Product Catalog.");
+  };
+
+  const toggleCatalogSelection = (itemId) =>
+    setSelectedCatalogIds((ids) => (ids.includes(itemId) ? ids.filter((id) => id !== itemId) : [...ids, itemId]));
+
+  // Bulk edits change each item where it is defined, so every placement shows them.
+  const updateSelectedDefinitions = (change, notice) => {
+    if (!selectedCatalogIds.length) return;
+    updateCatalogObject((next) => {
+      forEachSubcategory(next, (sub) => {
+        if (!Array.isArray(sub?.items)) return;
+        sub.items = sub.items.map((entry) =>
+          !isItemRef(entry) && selectedCatalogIds.includes(entry.id) ? change(entry) : entry
+        );
+      });
+    });
+    setMessage(`${notice} Click Save Product Catalog.`);
+  };
+
+  // Selected definitions move with their data; selected cross-listings move as placements.
+  const moveSelectedCatalogItems = () => {
+    const target = bulkForm.target === "" ? null : catalogSubcategoryOptions[Number(bulkForm.target)]?.location;
+    if (!target) {
+      setMessage("Choose the subcategory to move the selected items to.");
+      return;
+    }
+    if (target.industryKey === catalogIndustryKey && target.categoryKey === catalogCategoryKey && target.subKey === catalogSubKey) {
+      setMessage("The selected items are already in that subcategory.");
+      return;
+    }
+    updateCatalogObject((next) => {
+      const from = next[catalogIndustryKey].categories[catalogCategoryKey].subCategories[catalogSubKey];
+      const to = next[target.industryKey].categories[target.categoryKey].subCategories[target.subKey];
+      const moving = from.items.filter((entry) => selectedCatalogIds.includes(catalogEntryId(entry)));
+      from.items = from.items.filter((entry) => !moving.includes(entry));
+      moving.forEach((entry) => {
+        const moved = !isItemRef(entry) && entry.subCategory === from.title ? { ...entry, subCategory: to.title } : entry;
+        const existing = to.items.findIndex((x) => catalogEntryId(x) === catalogEntryId(entry));
+        if (existing < 0) to.items.push(moved);
+        // The definition replaces a cross-listing of itself; a cross-listing already there is dropped.
+        else if (!isItemRef(entry)) to.items[existing] = moved;
+      });
+      to.items = withOrder(to.items);
+    });
+    setSelectedCatalogIds([]);
+    setBulkForm(emptyBulkForm);
+    setMessage(`${selectedCatalogIds.length} item(s) moved locally. Click Save Product Catalog.`);
+  };
+
+  const deleteSelectedCatalogItems = () => {
+    const entries = (selectedSub?.items || []).filter((entry) => selectedCatalogIds.includes(catalogEntryId(entry)));
+    const definitions = entries.filter((entry) => !isItemRef(entry)).map((entry) => entry.id);
+    const ok = window.confirm(
+      `Delete ${definitions.length} item(s) everywhere they are listed and remove ${entries.length - definitions.length} cross-listing(s) from this subcategory?`
+    );
+    if (!ok) return;
+    updateCatalogObject((next) => {
+      forEachSubcategory(next, (sub) => {
+        if (Array.isArray(sub?.items)) sub.items = sub.items.filter((x) => !definitions.includes(catalogEntryId(x)));
+      });
+      const here = next[catalogIndustryKey].categories[catalogCategoryKey].subCategories[catalogSubKey];
+      here.items = here.items.filter((x) => !selectedCatalogIds.includes(catalogEntryId(x)));
+    });
+    setSelectedCatalogIds([]);
+    setMessage(`${entries.length} item(s) removed locally. Click Save Product Catalog.`);
+  };
+
+  const changeSelectedTag = (add) => {
+    const tag = bulkForm.tag.trim();
+    if (!tag) {
+      setMessage("Enter the feature tag to add or remove.");
+      return;
+    }
+    updateSelectedDefinitions((item) => {
+      const features = (item.features || []).filter((feature) => feature !== tag);
+      return { ...item, features: add ? [...features, tag] : features };
+    }, `"${tag}" ${add ? "added to" : "removed from"} ${selectedCatalogIds.length} item(s).`);
+  };
+
+  const applySpecToSelected = () => {
+    const field = catalogSpecFields.find((entry) => entry.key === bulkForm.specKey);
+    if (!field) {
+      setMessage("Choose the specification to set.");
+      return;
+    }
+    const value = bulkForm.specValue.trim();
+    updateSelectedDefinitions((item) => {
+      const next = { ...item, specs: { ...item.specs } };
+      if (value) next.specs[field.key] = field.type === "number" ? Number(value) : value;
+      else delete next.specs[field.key];
+      if (!Object.keys(next.specs).length) delete next.specs;
+      return next;
+    }, `${field.label} ${value ? `set to ${value}` : "cleared"} on ${selectedCatalogIds.length} item(s).`);
+  };
+
+  const replaceSelectedImages = async (file) => {
+    const url = await uploadImageUrl(file);
+    if (url) updateSelectedDefinitions((item) => ({ ...item, image: url }), `Image replaced on ${selectedCatalogIds.length} item(s).`);
+  };
+
+  const dropCatalogEntry = (list, target) => {
+    const drag = catalogDrag;
+    setCatalogDrag(null);
+    if (!drag || drag.list !== list || drag.from === target) return;
+    updateCatalogObject((next) => {
+      const industry = next[catalogIndustryKey];
+      if (list === "categories") {
+        industry.categories = reorderSections(industry.categories, drag.from, target);
+      } else if (list === "subCategories") {
+        const category = industry.categories[catalogCategoryKey];
+        category.subCategories = reorderSections(category.subCategories, drag.from, target);
+      } else {
+        const sub = industry.categories[catalogCategoryKey].subCategories[catalogSubKey];
+        sub.items = withOrder(reorderList(sub.items, drag.from, target));
+      }
+    });
+    setMessage("New order saved locally. Click Save Product Catalog.");
+  };
+
+  const catalogDragProps = (list, key) => ({
+    draggable: true,
+    onDragStart: (event) => {
+      event.dataTransfer.effectAllowed = "move";
+      event.dataTransfer.setData("text/plain", String(key));
+      setCatalogDrag({ list, from: key });
+    },
+    onDragOver: (event) => event.preventDefault(),
+    onDrop: (event) => {
+      event.preventDefault();
+      dropCatalogEntry(list, key);
+    },
+    onDragEnd: () => setCatalogDrag(null),
+  });
+
+  const createIndustry = () => {
+    const key = toKey(newIndustryKey) || toKey(newIndustryTitle);
+    const title = newIndustryTitle.trim();
+    if (!key || !title) {
+      setMessage("Industry title is required. Key can be auto-generated.");
+      return;
+    }
+
+    if (catalogObject[key]) {
+      setMessage("Industry key already exists. Use another key/title.");
+      return;
+    }
+
+    updateCatalogObject((next) => {
+      next[key] = {
+        id: key,
+        title,
+        description: "",
+        categories: {},
+      };
+    });
+
+    setCatalogIndustryKey(key);
+    setNewIndustryKey("");
+    setNewIndustryTitle("");
+    setMessage("Industry created locally. Click Save Product Catalog.");
+  };
+
+  const createCategory = () => {
+    const key = toKey(newCategoryKey) || toKey(newCategoryTitle);
+    const title = newCategoryTitle.trim();
+    if (!catalogIndustryKey) {
+      setMessage("Select industry first.");
+      return;
+    }
+    if (!key || !title) {
+      setMessage("Category title is required. Key can be auto-generated.");
+      return;
+    }
+    if (selectedIndustry?.categories?.[key]) {
+      setMessage("Category key already exists in selected industry.");
+      return;
+    }
+
+    updateCatalogObject((next) => {
+      const industry = next[catalogIndustryKey];
+      industry.categories = industry.categories || {};
+      industry.categories[key] = { title, subCategories: {} };
+    });
+
+    setCatalogCategoryKey(key);
+    setNewCategoryKey("");
+    setNewCategoryTitle("");
+    setMessage("Category created locally. Click Save Product Catalog.");
+  };
+
+  const createSubCategory = () => {
+    const key = toKey(newSubKey) || toKey(newSubTitle);
+    const title = newSubTitle.trim();
+    if (!catalogIndustryKey || !catalogCategoryKey) {
+      setMessage("Select industry and category first.");
+      return;
+    }
+    if (!key || !title) {
+      setMessage("Subcategory title is required. Key can be auto-generated.");
+      return;
+    }
+    if (selectedCategory?.subCategories?.[key]) {
+      setMessage("Subcategory key already exists in selected category.");
+      return;
+    }
+
+    updateCatalogObject((next) => {
+      const category = next[catalogIndustryKey].categories[catalogCategoryKey];
+      category.subCategories = category.subCategories || {};
+      category.subCategories[key] = { title, items: [] };
+    });
+
+    setCatalogSubKey(key);
+    setNewSubKey("");
+    setNewSubTitle("");
+    setCatalogItemForm((s) => ({ ...s, subCategory: title }));
+    setMessage("Subcategory created locally. Click Save Product Catalog.");
+  };
+
+  const deleteSelectedIndustry = () => {
+    if (!catalogIndustryKey) return;
+    const ok = window.confirm(
+      `Delete industry "${selectedIndustry?.title || catalogIndustryKey}" with all categories and items?`
+    );
+    if (!ok) return;
+
+    const currentKeys = [...industryKeys];
+    const idx = currentKeys.indexOf(catalogIndustryKey);
+    updateCatalogObject((next) => {
+      delete next[catalogIndustryKey];
+    });
+
+    const fallback = currentKeys[idx + 1] || currentKeys[idx - 1] || "";
+    setCatalogIndustryKey(fallback);
+    setCatalogCategoryKey("");
+    setCatalogSubKey("");
+    setMessage("Industry deleted locally. Click Save Product Catalog.");
+  };
+
+  const deleteSelectedCategory = () => {
+    if (!catalogIndustryKey || !catalogCategoryKey) return;
+    const ok = window.confirm(
+      `Delete category "${selectedCategory?.title || catalogCategoryKey}" with all subcategories and items?`
+    );
+    if (!ok) return;
+
+    const currentKeys = categoryEntries.map(([key]) => key);
+    const idx = currentKeys.indexOf(catalogCategoryKey);
+    updateCatalogObject((next) => {
+      delete next[catalogIndustryKey].categories[catalogCategoryKey];
+    });
+
+    const fallback = currentKeys[idx + 1] || currentKeys[idx - 1] || "";
+    setCatalogCategoryKey(fallback);
+    setCatalogSubKey("");
+    setMessage("Category deleted locally. Click Save Product Catalog.");
+  };
+
+  const deleteSelectedSubCategory = () => {
+    if (!catalogIndustryKey || !catalogCategoryKey || !catalogSubKey) return;
+    const ok = window.confirm(
+      `Delete subcategory "${selectedSub?.title || catalogSubKey}" with all items?`
+    );
+    if (!ok) return;
+
+    const currentKeys = subEntries.map(([key]) => key);
+    const idx = currentKeys.indexOf(catalogSubKey);
+    updateCatalogObject((next) => {
+      delete next[catalogIndustryKey].categories[catalogCategoryKey].subCategories[catalogSubKey];
+    });
+
+    const fallback = currentKeys[idx + 1] || currentKeys[idx - 1] || "";
+    setCatalogSubKey(fallback);
+    setMessage("Subcategory deleted locally. Click Save Product Catalog.");
+  };
+
+  const applySelectedSectionToItem = () => {
+    setCatalogItemForm((s) => ({
+      ...s,
+      subCategory: selectedSub?.title || s.subCategory,
+    }));
+    setMessage("Item form linked to selected section.");
+  };
+
+  const loadCompatibilityMatrix = async () => {
+    try {
+      setCompatibilityMatrix(await api.getCatalogCompatibility());
+    } catch (error) {
+      setMessage(error.message || "Failed to load compatibility matrix");
+    }
+  };
+
+  const exportCatalog = async (format) => {
+    try {
+      const { blob, filename } = await api.exportCatalog({ format, source: "draft" });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setMessage(error.message || "Export failed");
+    }
+  };
+
+  const runCatalogImport = async (dryRun) => {
+    if (!catalogImportFile) {
+      setMessage("Choose a CSV or XLSX file first.");
+      return;
+    }
+    const form = new FormData();
+    form.append("file", catalogImportFile);
+    try {
+      const result = await api.importCatalog(form, {
+        dryRun: String(dryRun),
+        deleteMissing: String(catalogImportDeleteMissing),
+        baseVersion: catalogBaseVersion,
+      });
+      setCatalogImportPreview(result);
+      if (result.applied) {
+        setMessage(result.message);
+        await loadAll();
+      }
+    } catch (error) {
+      if (error.payload?.errors) setCatalogImportPreview(error.payload);
+      setMessage(error.message || "Import failed");
+    }
+  };
+
+  const uploadImageUrl = async (file) => {
+    if (!file) return "";
+    const form = new FormData();
+    form.append("image", file);
+    try {
+      const uploaded = await api.uploadMedia(form);
+      setMessage(`Image uploaded: ${uploaded.url}`);
+      return uploaded.url;
+    } catch (error) {
+      setMessage(error.message || "Upload failed");
+      return "";
+    }
+  };
+
+  const uploadItemImage = async (file) => {
+    const url = await uploadImageUrl(file);
+    if (url) setCatalogItemForm((s) => ({ ...s, image: url }));
+  };
+
+  const updateGalleryEntries = (change) =>
+    setCatalogItemForm((s) => ({ ...s, gallery: change(s.gallery) }));
+
+  const addGalleryImages = async (files) => {
+    for (const file of Array.from(files || [])) {
+      const url = await uploadImageUrl(file);
+      if (url) updateGalleryEntries((gallery) => [...gallery, { image: url, view: "other", caption: "" }]);
+    }
+  };
+
+  const updateVariant = (index, patch) =>
+    setCatalogItemForm((s) => ({
+      ...s,
+      variants: s.variants.map((variant, i) => (i === index ? { ...variant, ...patch } : variant)),
+    }));
+
+  const addVariantImages = async (index, files) => {
+    for (const file of Array.from(files || [])) {
+      const url = await uploadImageUrl(file);
+      if (url) {
+        setCatalogItemForm((s) => ({
+          ...s,
+          variants: s.variants.map((variant, i) => (i === index ? { ...variant, images: [...variant.images, url] } : variant)),
+        }));
+      }
+    }
+  };
+
+  return (
+    <div className="catalog-shell">
+      <div className="catalog-header-row">
+        <h3>Product Catalog Editor</h3>
+        <button type="button" onClick={saveCatalogJson}>Save Product Catalog</button>
+      </div>
+
+      {catalogSavePreview ? (
+        <div className="catalog-save-preview">
+          <strong>Review changes before saving</strong>
+          <p>
+            Items: {catalogSavePreview.summary.itemsAdded} added, {catalogSavePreview.summary.itemsRemoved} removed,{" "}
+            {catalogSavePreview.summary.itemsChanged} changed. Sections: {catalogSavePreview.summary.sectionsAdded} added,{" "}
+            {catalogSavePreview.summary.sectionsRemoved} removed, {catalogSavePreview.summary.sectionsRenamed} renamed,{" "}
+            {catalogSavePreview.summary.sectionsReordered} reordered.
+          </p>
+          {catalogSavePreview.stale ? (
+            <p className="catalog-diff-removed">
+              The catalog was changed by someone else after you opened it, so this save would be refused.
+              Reload the saved catalog and redo your edits.
+            </p>
+          ) : null}
+          {catalogSavePreview.items.removed.length || catalogSavePreview.sections.removed.length ? (
+            <div className="catalog-diff-group catalog-diff-removed">
+              <strong>Removed</strong>
+              <ul>
+                {catalogSavePreview.sections.removed.map((section) => (
+                  <li key={section.path}>{section.kind}: {section.label}</li>
+                ))}
+                {catalogSavePreview.items.removed.map((item) => (
+                  <li key={item.id}>{item.name || item.id} ({item.id}) from {item.location}</li>
+                ))}
+              </ul>
+            </div>
+          ) : null}
+          {catalogSavePreview.items.added.length || catalogSavePreview.sections.added.length ? (
+            <div className="catalog-diff-group catalog-diff-added">
+              <strong>Added</strong>
+              <ul>
+                {catalogSavePreview.sections.added.map((section) => (
+                  <li key={section.path}>{section.kind}: {section.label}</li>
+                ))}
+                {catalogSavePreview.items.added.map((item) => (
+                  <li key={item.id}>{item.name || item.id} ({item.id}) in {item.location}</li>
+                ))}
+              </ul>
+            </div>
+          ) : null}
+          {catalogSavePreview.items.changed.length || catalogSavePreview.sections.renamed.length ? (
+            <div className="catalog-diff-group">
+              <strong>Changed</strong>
+              <ul>
+                {catalogSavePreview.sections.renamed.map((section) => (
+                  <li key={section.path}>{section.kind} renamed: {section.before} → {section.after}</li>
+                ))}
+                {catalogSavePreview.items.changed.map((item) => (
+                  <li key={item.id}>
+                    {item.name || item.id} ({item.id})
+                    <ul>
+                      {item.fields.map((change) => (
+                        <li key={change.field}>
+                          <code>{change.field}</code>: {formatDiffValue(change.before)} → {formatDiffValue(change.after)}
+                        </li>
+                      ))}
+                    </ul>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ) : null}
+          {catalogSavePreview.sections.reordered.length ? (
+            <div className="catalog-diff-group">
+              <strong>New order in</strong>
+              <ul>
+                {catalogSavePreview.sections.reordered.map((section) => (
+                  <li key={section.path}>{section.label}</li>
+                ))}
+              </ul>
+            </div>
+          ) : null}
+          <div className="catalog-actions-row">
+            {catalogSavePreview.stale ? (
+              <button type="button" onClick={loadAll}>Reload Saved Catalog</button>
+            ) : (
+              <button type="button" onClick={confirmCatalogSave}>Confirm Save</button>
+            )}
+            <button type="button" className="secondary" onClick={() => setCatalogSavePreview(null)}>
+              Keep Editing
+            </button>
+          </div>
+        </div>
+      ) : null}
+
+      {catalogErrors.length ? (
+        <div className="catalog-errors">
+          <strong>Not saved: fix these {catalogErrors.length} problems first</strong>
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th>Location</th>
+                  <th>Item</th>
+                  <th>Field</th>
+                  <th>Problem</th>
+                </tr>
+              </thead>
+              <tbody>
+                {catalogErrors.map((error, index) => (
+                  <tr key={`${error.itemId}-${error.field}-${index}`}>
+                    <td>{error.location || "-"}</td>
+                    <td>{error.itemId || "-"}</td>
+                    <td>{error.field}</td>
+                    <td>{error.message}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ) : null}
+
+      <div className="catalog-path">{catalogTargetPath} ({selectedSubItems.length} items)</div>
+      <div className="catalog-target">
+        Editing target: {catalogTargetPath}
+      </div>
+
+      <section className="catalog-card">
+        <div className="catalog-step-title">Step 1: Select Exact Destination Section</div>
+        <div className="catalog-grid-3">
+          <div>
+            <label className="field-label">Industry</label>
+            <select value={catalogIndustryKey} onChange={(e) => setCatalogIndustryKey(e.target.value)}>
+              {industryKeys.map((key) => (
+                <option key={key} value={key}>
+                  {catalogObject?.[key]?.title || key}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="field-label">Category</label>
+            <select value={catalogCategoryKey} onChange={(e) => setCatalogCategoryKey(e.target.value)}>
+              {categoryEntries.map(([key, value]) => (
+                <option key={key} value={key}>
+                  {value?.title || key}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="field-label">Subcategory</label>
+            <select value={catalogSubKey} onChange={(e) => setCatalogSubKey(e.target.value)}>
+              {subEntries.map(([key, value]) => (
+                <option key={key} value={key}>
+                  {value?.title || key}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="catalog-actions-row">
+          <button type="button" className="danger" onClick={deleteSelectedIndustry} disabled={!catalogIndustryKey}>
+            Delete Industry
+          </button>
+          <button type="button" className="danger" onClick={deleteSelectedCategory} disabled={!catalogCategoryKey}>
+            Delete Category
+          </button>
+          <button type="button" className="danger" onClick={deleteSelectedSubCategory} disabled={!catalogSubKey}>
+            Delete Subcategory
+          </button>
+        </div>
+
+        <div className="catalog-grid-2">
+          <div>
+            <label className="field-label">Category Order (drag to reorder)</label>
+            <div className="catalog-order-list">
+              {categoryEntries.map(([key, value]) => (
+                <span
+                  key={key}
+                  className={`catalog-order-chip ${key === catalogCategoryKey ? "active" : ""}`}
+                  {...catalogDragProps("categories", key)}
+                >
+                  {value?.title || key}
+                </span>
+              ))}
+            </div>
+          </div>
+          <div>
+            <label className="field-label">Subcategory Order (drag to reorder)</label>
+            <div className="catalog-order-list">
+              {subEntries.map(([key, value]) => (
+                <span
+                  key={key}
+                  className={`catalog-order-chip ${key === catalogSubKey ? "active" : ""}`}
+                  {...catalogDragProps("subCategories", key)}
+                >
+                  {value?.title || key}
+                </span>
+              ))}
+            </div>
+          </div>
+        </div>
+      </section>
+
+      <details className="catalog-details">
+        <summary>Add New Industry / Category / Subcategory</summary>
+        <div className="catalog-grid-3 catalog-create-row">
+          <input
+            placeholder="New industry key (example: healthcare)"
+            value={newIndustryKey}
+            onChange={(e) => setNewIndustryKey(e.target.value)}
+          />
+          <input
+            placeholder="New industry title"
+            value={newIndustryTitle}
+            onChange={(e) => setNewIndustryTitle(e.target.value)}
+          />
+          <button type="button" onClick={createIndustry}>Add Industry</button>
+        </div>
+
+        <div className="catalog-grid-3 catalog-create-row">
+          <input
+            placeholder="New category key (example: bottles)"
+            value={newCategoryKey}
+            onChange={(e) => setNewCategoryKey(e.target.value)}
+          />
+          <input
+            placeholder="New category title"
+            value={newCategoryTitle}
+            onChange={(e) => setNewCategoryTitle(e.target.value)}
+          />
+          <button type="button" onClick={createCategory}>Add Category</button>
+        </div>
+
+        <div className="catalog-grid-3 catalog-create-row">
+          <input
+            placeholder="New subcategory key (example: hdpe)"
+            value={newSubKey}
+            onChange={(e) => setNewSubKey(e.target.value)}
+          />
+          <input
+            placeholder="New subcategory title"
+            value={newSubTitle}
+            onChange={(e) => setNewSubTitle(e.target.value)}
+          />
+          <button type="button" onClick={createSubCategory}>Add Subcategory</button>
+        </div>
+      </details>
+
+      <section className="catalog-card">
+        <div className="catalog-step-title">Step 2: Add / Edit Item</div>
+        <div className="catalog-mode-row">
+          <span className={`catalog-mode-badge ${editingCatalogItemId ? "editing" : "adding"}`}>
+            {editingCatalogItemId ? `Editing: ${editingCatalogItemId}` : "Adding New Item"}
+          </span>
+          <span className="catalog-mode-target">Target: {catalogTargetPath}</span>
+        </div>
+        <div className={`catalog-target-box ${isCatalogTargetReady ? "ready" : "missing"}`}>
+          {isCatalogTargetReady
+            ? `Item will be saved in: ${catalogTargetPath}`
+            : "Select Industry + Category + Subcategory in Step 1 before adding item."}
+        </div>
+        <form className="panel-form catalog-item-form" onSubmit={saveCatalogItem}>
+          <div className="catalog-grid-3">
+            <div>
+              <label className="field-label">Item ID *</label>
+              <input
+                placeholder="example: hdpe-120cc-38mm"
+                value={catalogItemForm.id}
+                onChange={(e) => setCatalogItemForm((s) => ({ ...s, id: e.target.value }))}
+                disabled={Boolean(editingCatalogItemId)}
+                title={editingCatalogItemId ? "The id is permanent; change the URL slug instead" : undefined}
+                required
+              />
+            </div>
+            <div>
+              <label className="field-label">URL Slug</label>
+              <input placeholder={catalogItemForm.id || "defaults to the item id"} value={catalogItemForm.slug} onChange={(e) => setCatalogItemForm((s) => ({ ...s, slug: e.target.value }))} />
+            </div>
+            <div>
+              <label className="field-label">Display Name *</label>
+              <input placeholder="example: 120cc HDPE Bottle" value={catalogItemForm.name} onChange={(e) => setCatalogItemForm((s) => ({ ...s, name: e.target.value }))} required />
+            </div>
+          </div>
+          {editingCatalogItemId ? (
+            <details className="catalog-details" open={editingPlacements.length > 1}>
+              <summary>Appears In ({editingPlacements.length})</summary>
+              <div className="table-wrap">
+                <table>
+                  <tbody>
+                    {editingPlacements.map((placement) => (
+                      <tr key={Object.values(placement.location).join("-")}>
+                        <td>{placement.industry} / {placement.category} / {placement.subCategory}</td>
+                        <td>{placement.crossListed ? "Cross-listed" : "Defined here"}</td>
+                        <td>
+                          {placement.crossListed ? (
+                            <button type="button" className="danger" onClick={() => removeCatalogPlacement(placement.location, editingCatalogItemId)}>
+                              Remove
+                            </button>
+                          ) : null}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <button type="button" className="secondary" onClick={() => crossListCatalogItem(editingCatalogItemId)} disabled={!isCatalogTargetReady}>
+                Also List In {selectedSub?.title || "Selected Subcategory"}
+              </button>
+            </details>
+          ) : null}
+          {editingCatalogItemId && catalogRedirects.length ? (
+            <div className="catalog-redirects">
+              <small>Old URLs that redirect here:</small>
+              {catalogRedirects.map((redirect) => (
+                <span key={redirect._id} className="catalog-redirect">
+                  /product/{redirect.fromSlug}
+                  <button type="button" className="secondary" onClick={() => removeCatalogRedirect(redirect)}>Remove</button>
+                </span>
+              ))}
+            </div>
+          ) : null}
+          <div className="catalog-grid-2">
+            <div>
+              <label className="field-label">Actual Name</label>
+              <input placeholder="manufacturer or long name" value={catalogItemForm.actualName} onChange={(e) => setCatalogItemForm((s) => ({ ...s, actualName: e.target.value }))} />
+            </div>
+            <div className="catalog-sub-row">
+              <div>
+                <label className="field-label">Subcategory Label</label>
+                <input placeholder="example: HDPE Bottles" value={catalogItemForm.subCategory} onChange={(e) => setCatalogItemForm((s) => ({ ...s, subCategory: e.target.value }))} />
+              </div>
+              <button type="button" onClick={applySelectedSectionToItem}>Use Selected</button>
+            </div>
+          </div>
+          <div>
+            <label className="field-label">Product Image</label>
+            <input
+              type="file"
+              accept="image/*"
+              onChange={(e) => uploadItemImage(e.target.files?.[0])}
+            />
+          </div>
+          {catalogItemForm.image ? <small>Image: {catalogItemForm.image}</small> : null}
+          <details className="catalog-details">
+            <summary>Gallery ({catalogItemForm.gallery.length})</summary>
+            <small>Extra views shown after the product image, in this order.</small>
+            {catalogItemForm.gallery.map((entry, index) => (
+              <div key={`${entry.image}-${index}`} className="catalog-gallery-row">
+                <img src={resolveImageUrl(entry.image)} alt="" />
+                <select
+                  value={entry.view}
+                  onChange={(e) => updateGalleryEntries((gallery) => gallery.map((x, i) => (i === index ? { ...x, view: e.target.value } : x)))}
+                >
+                  {galleryViewOptions.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                <input
+                  placeholder="caption (optional)"
+                  value={entry.caption}
+                  onChange={(e) => updateGalleryEntries((gallery) => gallery.map((x, i) => (i === index ? { ...x, caption: e.target.value } : x)))}
+                />
+                <button type="button" className="secondary" onClick={() => updateGalleryEntries((gallery) => moveListEntry(gallery, index, -1))} disabled={index === 0}>Up</button>
+                <button type="button" className="secondary" onClick={() => updateGalleryEntries((gallery) => moveListEntry(gallery, index, 1))} disabled={index === catalogItemForm.gallery.length - 1}>Down</button>
+                <button type="button" className="danger" onClick={() => updateGalleryEntries((gallery) => gallery.filter((x, i) => i !== index))}>Remove</button>
+              </div>
+            ))}
+            <div>
+              <label className="field-label">Add Images</label>
+              <input type="file" accept="image/*" multiple onChange={(e) => { addGalleryImages(e.target.files); e.target.value = ""; }} />
+            </div>
+          </details>
+          <details className="catalog-details">
+            <summary>Color / Material Variants ({catalogItemForm.variants.length})</summary>
+            <small>Variants share this product page. Leave a spec empty to keep the product value.</small>
+            {catalogItemForm.variants.map((variant, index) => (
+              <div key={index} className="catalog-card">
+                <div className="catalog-grid-3">
+                  <div>
+                    <label className="field-label">Label</label>
+                    <input placeholder="example: Amber" value={variant.label} onChange={(e) => updateVariant(index, { label: e.target.value })} />
+                  </div>
+                  <div>
+                    <label className="field-label">Variant Id</label>
+                    <input placeholder="auto from label" value={variant.id} onChange={(e) => updateVariant(index, { id: e.target.value })} />
+                  </div>
+                  <div>
+                    <label className="field-label">Swatch Color</label>
+                    <input placeholder="example: #b45309" value={variant.swatch} onChange={(e) => updateVariant(index, { swatch: e.target.value })} />
+                  </div>
+                </div>
+                <div className="catalog-gallery-thumbs">
+                  {variant.images.map((image, imageIndex) => (
+                    <span key={`${image}-${imageIndex}`} className="catalog-gallery-thumb">
+                      <img src={resolveImageUrl(image)} alt="" />
+                      <button type="button" className="danger" onClick={() => updateVariant(index, { images: variant.images.filter((x, i) => i !== imageIndex) })}>x</button>
+                    </span>
+                  ))}
+                </div>
+                <div>
+                  <label className="field-label">Variant Images</label>
+                  <input type="file" accept="image/*" multiple onChange={(e) => { addVariantImages(index, e.target.files); e.target.value = ""; }} />
+                </div>
+                <div className="catalog-grid-3">
+                  {catalogSpecFields.map((field) => (
+                    <div key={field.key}>
+                      <label className="field-label">{field.label}</label>
+                      <input
+                        type={field.type || "text"}
+                        step="any"
+                        placeholder={catalogItemForm.specs[field.key] || "same as product"}
+                        value={variant.specs[field.key]}
+                        onChange={(e) => updateVariant(index, { specs: { ...variant.specs, [field.key]: e.target.value } })}
+                      />
+                    </div>
+                  ))}
+                </div>
+                <div className="catalog-actions-row">
+                  <button type="button" className="danger" onClick={() => setCatalogItemForm((s) => ({ ...s, variants: s.variants.filter((x, i) => i !== index) }))}>
+                    Remove Variant
+                  </button>
+                </div>
+              </div>
+            ))}
+            <button type="button" className="secondary" onClick={() => setCatalogItemForm((s) => ({ ...s, variants: [...s.variants, emptyCatalogVariant] }))}>
+              Add Variant
+            </button>
+          </details>
+          <div>
+            <label className="field-label">Description</label>
+            <textarea rows="3" placeholder="short product description" value={catalogItemForm.description} onChange={(e) => setCatalogItemForm((s) => ({ ...s, description: e.target.value }))} />
+          </div>
+          <div>
+            <label className="field-label">Features (comma separated)</label>
+            <input placeholder="example: Leak-proof, Food-grade, Durable" value={catalogItemForm.features} onChange={(e) => setCatalogItemForm((s) => ({ ...s, features: e.target.value }))} />
+          </div>
+          <details className="catalog-details">
+            <summary>Technical Specifications</summary>
+            <div className="catalog-grid-3">
+              {catalogSpecFields.map((field) => (
+                <div key={field.key}>
+                  <label className="field-label">{field.label}</label>
+                  {field.options ? (
+                    <select
+                      value={catalogItemForm.specs[field.key]}
+                      onChange={(e) => setCatalogItemForm((s) => ({ ...s, specs: { ...s.specs, [field.key]: e.target.value } }))}
+                    >
+                      <option value="">Not set</option>
+                      {field.options.map((option) => (
+                        <option key={option} value={option}>{option}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <input
+                      type={field.type || "text"}
+                      min={field.type === "number" ? "0" : undefined}
+                      step="any"
+                      placeholder={field.placeholder}
+                      value={catalogItemForm.specs[field.key]}
+                      onChange={(e) => setCatalogItemForm((s) => ({ ...s, specs: { ...s.specs, [field.key]: e.target.value } }))}
+                    />
+                  )}
+                </div>
+              ))}
+            </div>
+          </details>
+          <details className="catalog-details">
+            <summary>Bottle / Closure Compatibility</summary>
+            <div className="catalog-grid-2">
+              <div>
+                <label className="field-label">Role</label>
+                <select
+                  value={catalogItemForm.compatibility.role}
+                  onChange={(e) => setCatalogItemForm((s) => ({ ...s, compatibility: { ...s.compatibility, role: e.target.value } }))}
+                >
+                  <option value="">Auto (from specs and section)</option>
+                  <option value="bottle">Bottle</option>
+                  <option value="closure">Closure</option>
+                </select>
+              </div>
+              <div>
+                <label className="field-label">Neck Finish Override</label>
+                <input
+                  placeholder="auto from neck size, or e.g. 38-400"
+                  value={catalogItemForm.compatibility.neckFinish}
+                  onChange={(e) => setCatalogItemForm((s) => ({ ...s, compatibility: { ...s.compatibility, neckFinish: e.target.value } }))}
+                />
+              </div>
+            </div>
+          </details>
+          <details className="catalog-details">
+            <summary>Ordering &amp; Availability</summary>
+            <div className="catalog-grid-3">
+              <div>
+                <label className="field-label">Minimum Order (pcs)</label>
+                <input
+                  type="number"
+                  min="1"
+                  placeholder="example: 5000"
+                  value={catalogItemForm.availability.moq}
+                  onChange={(e) => setCatalogItemForm((s) => ({ ...s, availability: { ...s.availability, moq: e.target.value } }))}
+                />
+              </div>
+              <div>
+                <label className="field-label">Lead Time (days)</label>
+                <input
+                  type="number"
+                  min="0"
+                  placeholder="example: 21"
+                  value={catalogItemForm.availability.leadTimeDays}
+                  onChange={(e) => setCatalogItemForm((s) => ({ ...s, availability: { ...s.availability, leadTimeDays: e.target.value } }))}
+                />
+              </div>
+              <div>
+                <label className="field-label">Stock Status</label>
+                <select
+                  value={catalogItemForm.availability.stockStatus}
+                  onChange={(e) => setCatalogItemForm((s) => ({ ...s, availability: { ...s.availability, stockStatus: e.target.value } }))}
+                >
+                  <option value="">Not set</option>
+                  {stockStatusOptions.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <label className="field-label">
+              <input
+                type="checkbox"
+                checked={catalogItemForm.availability.sampleAvailable}
+                onChange={(e) => setCatalogItemForm((s) => ({ ...s, availability: { ...s.availability, sampleAvailable: e.target.checked } }))}
+              />{" "}
+              Samples available
+            </label>
+            {catalogItemForm.availability.stockStatus === "discontinued" ? (
+              <div>
+                <label className="field-label">Suggested Replacement</label>
+                <select
+                  value={catalogItemForm.availability.replacementId}
+                  onChange={(e) => setCatalogItemForm((s) => ({ ...s, availability: { ...s.availability, replacementId: e.target.value } }))}
+                >
+                  <option value="">None</option>
+                  {[...catalogDefinitions.values()]
+                    .filter((entry) => entry.id !== catalogItemForm.id && entry.availability?.stockStatus !== "discontinued")
+                    .map((entry) => (
+                      <option key={entry.id} value={entry.id}>{entry.name} ({entry.id})</option>
+                    ))}
+                </select>
+              </div>
+            ) : null}
+          </details>
+          {editingCatalogItemId ? <ItemDocuments itemId={editingCatalogItemId} setMessage={setMessage} /> : null}
+          <div className="catalog-actions-row">
+            <button type="submit" disabled={!isCatalogTargetReady}>
+              {editingCatalogItemId
+                ? `Update Item in ${selectedSub?.title || "Selected Subcategory"}`
+                : `Create Item in ${selectedSub?.title || "Selected Subcategory"}`}
+            </button>
+            {editingCatalogItemId ? (
+              <button type="button" className="secondary" onClick={() => { setCatalogItemForm(emptyCatalogItem); setEditingCatalogItemId(""); }}>
+                Cancel Edit
+              </button>
+            ) : null}
+          </div>
+        </form>
+      </section>
+
+      <section className="catalog-card">
+        <div className="catalog-step-title">Step 3: Search & Manage Items</div>
+        <input
+          placeholder="Search selected section products..."
+          value={catalogSearch}
+          onChange={(e) => setCatalogSearch(e.target.value)}
+        />
+        <small>
+          {catalogSearch.trim()
+            ? "Clear the search to reorder items."
+            : "Drag rows to set the order items are listed in on the website."}
+        </small>
+
+        {selectedCatalogIds.length ? (
+          <div className="catalog-bulk-bar">
+            <strong>{selectedCatalogIds.length} selected</strong>
+            <div className="catalog-bulk-row">
+              <select value={bulkForm.target} onChange={(e) => setBulkForm((s) => ({ ...s, target: e.target.value }))}>
+                <option value="">Move to subcategory...</option>
+                {catalogSubcategoryOptions.map((option, index) => (
+                  <option key={option.label} value={index}>{option.label}</option>
+                ))}
+              </select>
+              <button type="button" onClick={moveSelectedCatalogItems}>Move Selected</button>
+              <button type="button" className="danger" onClick={deleteSelectedCatalogItems}>Delete Selected</button>
+            </div>
+            <div className="catalog-bulk-row">
+              <input
+                placeholder="Feature tag, e.g. Food-grade"
+                value={bulkForm.tag}
+                onChange={(e) => setBulkForm((s) => ({ ...s, tag: e.target.value }))}
+              />
+              <button type="button" onClick={() => changeSelectedTag(true)}>Add Tag</button>
+              <button type="button" className="secondary" onClick={() => changeSelectedTag(false)}>Remove Tag</button>
+            </div>
+            <div className="catalog-bulk-row">
+              <select
+                value={bulkForm.specKey}
+                onChange={(e) => setBulkForm((s) => ({ ...s, specKey: e.target.value, specValue: "" }))}
+              >
+                <option value="">Specification...</option>
+                {catalogSpecFields.map((field) => (
+                  <option key={field.key} value={field.key}>{field.label}</option>
+                ))}
+              </select>
+              {catalogSpecFields.find((field) => field.key === bulkForm.specKey)?.options ? (
+                <select value={bulkForm.specValue} onChange={(e) => setBulkForm((s) => ({ ...s, specValue: e.target.value }))}>
+                  <option value="">Clear value</option>
+                  {catalogSpecFields.find((field) => field.key === bulkForm.specKey).options.map((option) => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type={catalogSpecFields.find((field) => field.key === bulkForm.specKey)?.type || "text"}
+                  placeholder="Value (empty clears it)"
+                  value={bulkForm.specValue}
+                  onChange={(e) => setBulkForm((s) => ({ ...s, specValue: e.target.value }))}
+                />
+              )}
+              <button type="button" onClick={applySpecToSelected}>Apply Spec</button>
+            </div>
+            <div className="catalog-bulk-row">
+              <label className="field-label">Replace image on selected items</label>
+              <input
+                type="file"
+                accept="image/*"
+                onChange={(e) => {
+                  replaceSelectedImages(e.target.files?.[0]);
+                  e.target.value = "";
+                }}
+              />
+              <button type="button" className="secondary" onClick={() => setSelectedCatalogIds([])}>Clear Selection</button>
+            </div>
+          </div>
+        ) : null}
+
+        <div className="table-wrap">
+          <table>
+            <thead>
+              <tr>
+                <th>
+                  <input
+                    type="checkbox"
+                    aria-label="Select all"
+                    checked={selectedSubItemsFiltered.length > 0 && selectedSubItemsFiltered.every((item) => selectedCatalogIds.includes(item.id))}
+                    onChange={(e) => setSelectedCatalogIds(e.target.checked ? selectedSubItemsFiltered.map((item) => item.id) : [])}
+                  />
+                </th>
+                <th>ID</th>
+                <th>Name</th>
+                <th>Description</th>
+                <th>Image</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {selectedSubItemsFiltered.map((item, index) => (
+                <tr
+                  key={item.id}
+                  className={catalogSearch.trim() ? "" : "catalog-draggable"}
+                  {...(catalogSearch.trim() ? {} : catalogDragProps("items", index))}
+                >
+                  <td>
+                    <input
+                      type="checkbox"
+                      aria-label={`Select ${item.id}`}
+                      checked={selectedCatalogIds.includes(item.id)}
+                      onChange={() => toggleCatalogSelection(item.id)}
+                    />
+                  </td>
+                  <td>
+                    {item.id}
+                    {item.crossListed ? <small> (cross-listed)</small> : null}
+                  </td>
+                  <td>{item.name || "(missing item)"}</td>
+                  <td>{item.description || "-"}</td>
+                  <td>{item.image ? <img src={resolveImageUrl(item.image)} alt={item.name} /> : "-"}</td>
+                  <td>
+                    {item.name ? <button type="button" onClick={() => editCatalogItem(item)}>Edit</button> : null}
+                    {item.crossListed ? (
+                      <button
+                        type="button"
+                        className="danger"
+                        onClick={() => removeCatalogPlacement({ industryKey: catalogIndustryKey, categoryKey: catalogCategoryKey, subKey: catalogSubKey }, item.id)}
+                      >
+                        Remove From Here
+                      </button>
+                    ) : (
+                      <button type="button" className="danger" onClick={() => deleteCatalogItem(item.id)}>Delete</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+              {selectedSubItemsFiltered.length === 0 ? (
+                <tr>
+                  <td colSpan="6">No products found for this section/search.</td>
+                </tr>
+              ) : null}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      <section className="catalog-card">
+        <div className="catalog-summary-row">
+          <div><strong>Total Catalog Products:</strong> {catalogDefinitions.size}</div>
+          <button type="button" onClick={() => setShowCatalogSummaryTable((s) => !s)}>
+            {showCatalogSummaryTable ? "Hide Full List" : "Show Full List"}
+          </button>
+        </div>
+        {showCatalogSummaryTable ? (
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th>ID</th>
+                  <th>Name</th>
+                  <th>Description</th>
+                  <th>Image</th>
+                  <th>Industry</th>
+                  <th>Category</th>
+                </tr>
+              </thead>
+              <tbody>
+                {catalogItems.slice(0, 120).map((item) => (
+                  <tr key={`${item.id}-${Object.values(item.location).join("-")}`}>
+                    <td>{item.id}{item.crossListed ? <small> (cross-listed)</small> : null}</td>
+                    <td>{item.name}</td>
+                    <td>{item.description || "-"}</td>
+                    <td>{item.image ? <img src={resolveImageUrl(item.image)} alt={item.name} /> : "-"}</td>
+                    <td>{item.industry}</td>
+                    <td>{item.category}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : null}
+      </section>
+
+      <section className="catalog-card">
+        <div className="catalog-summary-row">
+          <div><strong>Bottle / Closure Compatibility</strong> (saved catalog)</div>
+          <button type="button" onClick={loadCompatibilityMatrix}>
+            {compatibilityMatrix ? "Refresh Matrix" : "Show Matrix"}
+          </button>
+        </div>
+        {compatibilityMatrix ? (
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th>Neck Size</th>
+                  <th>Bottles</th>
+                  <th>Closures</th>
+                </tr>
+              </thead>
+              <tbody>
+                {compatibilityMatrix.finishes.map((finish) => (
+                  <tr key={finish.neckSizeMm}>
+                    <td>{finish.neckSizeMm}mm</td>
+                    <td>{finish.bottles.map((item) => `${item.name} (${item.neckFinish})`).join(", ") || "-"}</td>
+                    <td>{finish.closures.map((item) => `${item.name} (${item.neckFinish})`).join(", ") || "-"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {compatibilityMatrix.unassigned.length ? (
+              <small>
+                Not matched (set a neck size or role): {compatibilityMatrix.unassigned.map((item) => item.name).join(", ")}
+              </small>
+            ) : null}
+          </div>
+        ) : null}
+      </section>
+
+      <section className="catalog-card">
+        <div className="catalog-summary-row">
+          <div><strong>Integrity Report</strong> (editor contents, including unsaved changes)</div>
+          <button type="button" onClick={runIntegrityCheck}>
+            {integrityReport ? "Run Again" : "Run Check"}
+          </button>
+        </div>
+        {integrityReport ? (
+          <div className="catalog-details catalog-import-preview">
+            <p>
+              {integrityReport.issues === 0
+                ? `No issues found in ${integrityReport.items} items.`
+                : `${integrityReport.issues} issues in ${integrityReport.items} items.`}
+            </p>
+            {integrityReport.structureErrors.map((error) => (
+              <small key={`${error.location}-${error.field}`}>
+                Structure: {error.location} - {error.message}
+              </small>
+            ))}
+            {integrityReport.duplicateIds.length ? (
+              <small>
+                Duplicate ids:{" "}
+                {integrityReport.duplicateIds
+                  .map((entry) => `${entry.id} x${entry.count} (${entry.locations.join(", ")})`)
+                  .join("; ")}
+              </small>
+            ) : null}
+            {integrityReport.missingNames.length ? (
+              <small>
+                Missing names: {integrityReport.missingNames.map((entry) => entry.id || entry.location).join(", ")}
+              </small>
+            ) : null}
+            {integrityReport.brokenImages.length ? (
+              <div className="table-wrap">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Item</th>
+                      <th>Image</th>
+                      <th>Problem</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {integrityReport.brokenImages.map((entry, index) => (
+                      <tr key={`${entry.id}-${index}`}>
+                        <td>{entry.name || entry.id} <small>({entry.location})</small></td>
+                        <td>{entry.image || "-"}</td>
+                        <td>{entry.reason}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : null}
+            {integrityReport.emptySubcategories.length ? (
+              <small>Empty subcategories: {integrityReport.emptySubcategories.join("; ")}</small>
+            ) : null}
+            {integrityReport.itemsWithoutFeatures.length ? (
+              <small>
+                Items with no features:{" "}
+                {integrityReport.itemsWithoutFeatures.map((entry) => entry.name || entry.id).join(", ")}
+              </small>
+            ) : null}
+          </div>
+        ) : null}
+      </section>
+
+      <section className="catalog-card">
+        <div className="catalog-summary-row">
+          <div><strong>Spreadsheet Import / Export</strong> (one row per item)</div>
+          <div className="catalog-actions-row">
+            <button type="button" className="secondary" onClick={() => exportCatalog("csv")}>Export CSV</button>
+            <button type="button" className="secondary" onClick={() => exportCatalog("xlsx")}>Export XLSX</button>
+          </div>
+        </div>
+        <div className="catalog-actions-row">
+          <input
+            type="file"
+            accept=".csv,.xlsx"
+            onChange={(e) => {
+              setCatalogImportFile(e.target.files?.[0] || null);
+              setCatalogImportPreview(null);
+            }}
+          />
+          <label>
+            <input
+              type="checkbox"
+              checked={catalogImportDeleteMissing}
+              onChange={(e) => {
+                setCatalogImportDeleteMissing(e.target.checked);
+                setCatalogImportPreview(null);
+              }}
+            />{" "}
+            Delete items missing from the file
+          </label>
+          <button type="button" onClick={() => runCatalogImport(true)}>Preview Import</button>
+          <button
+            type="button"
+            onClick={() => runCatalogImport(false)}
+            disabled={!catalogImportPreview || catalogImportPreview.applied || catalogImportPreview.errors.length > 0}
+          >
+            Apply Import
+          </button>
+        </div>
+        <small>Imports update the Product Catalog draft and replace unsaved editor changes. Publish it to go live.</small>
+        {catalogImportPreview ? (
+          <div className="catalog-details catalog-import-preview">
+            <p>
+              {catalogImportPreview.applied ? "Applied" : "Preview"}: {catalogImportPreview.rows} rows,{" "}
+              {catalogImportPreview.summary.created} created, {catalogImportPreview.summary.updated} updated,{" "}
+              {catalogImportPreview.summary.deleted} deleted, {catalogImportPreview.summary.unchanged} unchanged
+            </p>
+            {catalogImportPreview.errors.length ? (
+              <div className="table-wrap">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Row</th>
+                      <th>Field</th>
+                      <th>Error</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {catalogImportPreview.errors.map((error) => (
+                      <tr key={`${error.row}-${error.field}`}>
+                        <td>{error.row}</td>
+                        <td>{error.field}</td>
+                        <td>{error.message}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : null}
+            {catalogImportPreview.created.length ? (
+              <small>
+                Create: {catalogImportPreview.created.map((item) => `${item.name} (${item.industry})`).join(", ")}
+              </small>
+            ) : null}
+            {catalogImportPreview.updated.length ? (
+              <small>
+                Update:{" "}
+                {catalogImportPreview.updated
+                  .map((item) => `${item.name} [${item.fields.join(", ")}]`)
+                  .join(", ")}
+              </small>
+            ) : null}
+            {catalogImportPreview.deleted.length ? (
+              <small>
+                Delete: {catalogImportPreview.deleted.map((item) => `${item.name} (${item.industry})`).join(", ")}
+              </small>
+            ) : null}
+          </div>
+        ) : null}
+      </section>
+    </div>
+  );
+};
+
+export default CatalogEditor;
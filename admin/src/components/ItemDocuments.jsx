@@ -0,0 +1,200 @@
+import { useEffect, useState } from "react";
+import { api } from "../api/client";
+import { documentTypeOptions } from "../utils/catalog";
+
+const emptyDocumentForm = { title: "", documentType: "drawing", description: "", gated: true, file: null };
+
+// Documents attached to one catalog item; changes are saved straight away, not with the catalog.
+const ItemDocuments = ({ itemId, setMessage }) => {
+  const [mediaDocuments, setMediaDocuments] = useState([]);
+  const [documentForm, setDocumentForm] = useState(emptyDocumentForm);
+  const itemDocuments = mediaDocuments.filter((document) => document.itemIds.includes(itemId));
+  const attachableDocuments = mediaDocuments.filter((document) => !document.itemIds.includes(itemId));
+
+  const loadMediaDocuments = async () => {
+    try {
+      setMediaDocuments(await api.getDocuments());
+    } catch (error) {
+      setMessage(error.message || "Failed to load documents");
+    }
+  };
+
+  const uploadItemDocument = async () => {
+    if (!documentForm.file) {
+      setMessage("Choose a PDF or DWG file first.");
+      return;
+    }
+    const form = new FormData();
+    form.append("file", documentForm.file);
+    form.append("title", documentForm.title);
+    form.append("documentType", documentForm.documentType);
+    form.append("description", documentForm.description);
+    form.append("gated", String(documentForm.gated));
+    form.append("itemIds", itemId);
+    try {
+      await api.uploadDocument(form);
+      setDocumentForm(emptyDocumentForm);
+      setMessage("Document uploaded and attached. It is live immediately.");
+      await loadMediaDocuments();
+    } catch (error) {
+      setMessage(error.message || "Document upload failed");
+    }
+  };
+
+  const updateItemDocument = async (document, changes, successMessage) => {
+    try {
+      await api.updateDocument(document._id, changes);
+      setMessage(successMessage);
+      await loadMediaDocuments();
+    } catch (error) {
+      setMessage(error.message || "Failed to update document");
+    }
+  };
+
+  // Shared documents (e.g. a resin DMF letter) are only detached; the file goes with its last item.
+  const removeItemDocument = async (document) => {
+    const remaining = document.itemIds.filter((itemId) => itemId !== itemId);
+    if (remaining.length) {
+      await updateItemDocument(document, { itemIds: remaining }, `Detached ${document.title}`);
+      return;
+    }
+    if (!window.confirm(`Move ${document.title} to the trash? It is not attached to any other item.`)) return;
+    try {
+      await api.deleteDocument(document._id);
+      setMessage("Document moved to trash");
+      await loadMediaDocuments();
+    } catch (error) {
+      setMessage(error.message || "Failed to delete document");
+    }
+  };
+
+  const openItemDocument = async (document) => {
+    try {
+      const { blob } = await api.downloadDocument(document._id);
+      const url = URL.createObjectURL(blob);
+      window.open(url, "_blank", "noopener");
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      setMessage(error.message || "Failed to open document");
+    }
+  };
+
+  useEffect(() => {
+    setDocumentForm(emptyDocumentForm);
+    loadMediaDocuments();
+  }, [itemId]);
+
+  return (
+    <details className="catalog-details">
+      <summary>Documents ({itemDocuments.length})</summary>
+      <small>
+        Drawings, CoA templates, DMF letters and test reports. Changes here go live immediately;
+        gated documents ask visitors for name, email and company and save them as a lead.
+      </small>
+      {itemDocuments.length ? (
+        <div className="table-wrap">
+          <table>
+            <thead>
+              <tr>
+                <th>Title</th>
+                <th>Type</th>
+                <th>File</th>
+                <th>Gated</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {itemDocuments.map((document) => (
+                <tr key={document._id}>
+                  <td>{document.title}</td>
+                  <td>{documentTypeOptions.find((type) => type.value === document.documentType)?.label || document.documentType}</td>
+                  <td>
+                    {document.originalName}
+                    {document.itemIds.length > 1 ? <small> (shared with {document.itemIds.length - 1} more)</small> : null}
+                  </td>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={document.gated}
+                      onChange={(e) =>
+                        updateItemDocument(
+                          document,
+                          { gated: e.target.checked },
+                          `${document.title} is now ${e.target.checked ? "gated" : "freely downloadable"}`
+                        )
+                      }
+                    />
+                  </td>
+                  <td>
+                    <div className="catalog-actions-row">
+                      <button type="button" className="secondary" onClick={() => openItemDocument(document)}>Open</button>
+                      <button type="button" className="danger" onClick={() => removeItemDocument(document)}>Remove</button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : null}
+      {attachableDocuments.length ? (
+        <select
+          value=""
+          onChange={(e) => {
+            const document = mediaDocuments.find((entry) => entry._id === e.target.value);
+            if (!document) return;
+            updateItemDocument(
+              document,
+              { itemIds: [...document.itemIds, itemId] },
+              `Attached ${document.title}`
+            );
+          }}
+        >
+          <option value="">Attach an existing document...</option>
+          {attachableDocuments.map((document) => (
+            <option key={document._id} value={document._id}>{document.title}</option>
+          ))}
+        </select>
+      ) : null}
+      <div className="catalog-grid-2">
+        <input
+          placeholder="Document title"
+          value={documentForm.title}
+          onChange={(e) => setDocumentForm((s) => ({ ...s, title: e.target.value }))}
+        />
+        <select
+          value={documentForm.documentType}
+          onChange={(e) => setDocumentForm((s) => ({ ...s, documentType: e.target.value }))}
+        >
+          {documentTypeOptions.map((type) => (
+            <option key={type.value} value={type.value}>{type.label}</option>
+          ))}
+        </select>
+      </div>
+      <input
+        placeholder="Short description (optional)"
+        value={documentForm.description}
+        onChange={(e) => setDocumentForm((s) => ({ ...s, description: e.target.value }))}
+      />
+      <div className="catalog-actions-row">
+        <input
+          key={documentForm.file ? "selected" : "empty"}
+          type="file"
+          accept=".pdf,.dwg"
+          onChange={(e) => setDocumentForm((s) => ({ ...s, file: e.target.files?.[0] || null }))}
+        />
+        <label>
+          <input
+            type="checkbox"
+            checked={documentForm.gated}
+            onChange={(e) => setDocumentForm((s) => ({ ...s, gated: e.target.checked }))}
+          />{" "}
+          Gated (collect lead details)
+        </label>
+        <button type="button" onClick={uploadItemDocument}>Upload Document</button>
+      </div>
+    </details>
+  );
+};
+
+export default ItemDocuments;
@@ -0,0 +1,526 @@
+import { useEffect, useState } from "react";
+import { api, resolveImageUrl } from "../api/client";
+import { emptyAvailability, stockStatusOptions, toAvailabilityForm } from "../utils/catalog";
+
+// A blank currency means the server's base currency.
+const emptyProductForm = {
+  id: "",
+  name: "",
+  description: "",
+  price: "",
+  currency: "",
+  priceTiers: [],
+  publicPricing: false,
+  image: null,
+  ...emptyAvailability,
+};
+const PRODUCTS_PER_PAGE = 20;
+const productSorts = [
+  { value: "-createdAt", label: "Newest first" },
+  { value: "createdAt", label: "Oldest first" },
+  { value: "name", label: "Name A-Z" },
+  { value: "-name", label: "Name Z-A" },
+  { value: "price", label: "Price: low to high" },
+  { value: "-price", label: "Price: high to low" },
+];
+const emptyProductQuery = { q: "", minPrice: "", maxPrice: "", sort: "-createdAt", page: 1 };
+// Blank filters are left out of the query string.
+const toProductParams = (query) => {
+  const params = { page: String(query.page), limit: String(PRODUCTS_PER_PAGE), sort: query.sort };
+  ["q", "minPrice", "maxPrice"].forEach((key) => {
+    const value = String(query[key] || "").trim();
+    if (value) params[key] = value;
+  });
+  return params;
+};
+const emptyPriceTier = { minQuantity: "", unitPrice: "" };
+const toProductForm = (product) => ({
+  ...emptyProductForm,
+  id: product._id,
+  name: product.name || "",
+  description: product.description || "",
+  price: String(product.price ?? ""),
+  currency: product.currency || "",
+  priceTiers: (product.priceTiers || []).map((tier) => ({
+    minQuantity: String(tier.minQuantity),
+    unitPrice: String(tier.unitPrice),
+  })),
+  publicPricing: Boolean(product.publicPricing),
+  ...toAvailabilityForm(product.availability),
+});
+const lowestUnitPrice = (product) =>
+  Math.min(Number(product.price), ...(product.priceTiers || []).map((tier) => Number(tier.unitPrice)));
+const formatMoney = (amount, currency) =>
+  `${currency} ${Number(amount).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 4 })}`;
+
+const PricingPanel = ({ setMessage }) => {
+  const [products, setProducts] = useState([]);
+  const [productTotals, setProductTotals] = useState({ total: 0, page: 1, pages: 1 });
+  const [productFilters, setProductFilters] = useState(emptyProductQuery);
+  const [productQuery, setProductQuery] = useState(emptyProductQuery);
+  const [productForm, setProductForm] = useState(emptyProductForm);
+  const [exchangeRates, setExchangeRates] = useState({ baseCurrency: "USD", rates: [] });
+  const [exchangeRateErrors, setExchangeRateErrors] = useState([]);
+  const [quoteForm, setQuoteForm] = useState({ quantity: "", currency: "" });
+  const [productQuote, setProductQuote] = useState(null);
+
+  const showProductPage = (result) => {
+    setProducts(result.products || []);
+    setProductTotals({ total: result.total ?? 0, page: result.page ?? 1, pages: result.pages ?? 1 });
+  };
+
+  // The products table is paged on the server; filters apply when the form is submitted.
+  const loadProducts = async (query) => {
+    setProductQuery(query);
+    try {
+      showProductPage(await api.getProducts(toProductParams(query)));
+    } catch (error) {
+      setMessage(error.message);
+    }
+  };
+
+  const saveProduct = async (event) => {
+    event.preventDefault();
+    try {
+      const form = new FormData();
+      form.append("name", productForm.name);
+      form.append("description", productForm.description);
+      form.append("price", productForm.price);
+      form.append("currency", productForm.currency);
+      form.append("priceTiers", JSON.stringify(productForm.priceTiers));
+      form.append("publicPricing", productForm.publicPricing ? "true" : "false");
+      if (productForm.image) form.append("image", productForm.image);
+      form.append("moq", productForm.moq);
+      form.append("leadTimeDays", productForm.leadTimeDays);
+      form.append("stockStatus", productForm.stockStatus);
+      form.append("sampleAvailable", productForm.sampleAvailable ? "true" : "false");
+
+      if (productForm.id) {
+        await api.updateProduct(productForm.id, form);
+        setMessage("Product updated");
+      } else {
+        await api.createProduct(form);
+        setMessage("Product created");
+      }
+      setProductForm(emptyProductForm);
+      setProductQuote(null);
+      await loadProducts(productQuery);
+    } catch (error) {
+      setMessage(error.message);
+    }
+  };
+
+  const editProduct = (product) => {
+    setProductForm(toProductForm(product));
+    setQuoteForm({ quantity: "", currency: "" });
+    setProductQuote(null);
+  };
+
+  const removeProduct = async (product) => {
+    if (!window.confirm(`Move ${product.name} to the trash?`)) return;
+    try {
+      await api.deleteProduct(product._id);
+      if (productForm.id === product._id) setProductForm(emptyProductForm);
+      setMessage("Product moved to trash");
+      await loadProducts(productQuery);
+    } catch (error) {
+      setMessage(error.message);
+    }
+  };
+
+  const updatePriceTier = (index, field, value) =>
+    setProductForm((s) => ({
+      ...s,
+      priceTiers: s.priceTiers.map((tier, tierIndex) => (tierIndex === index ? { ...tier, [field]: value } : tier)),
+    }));
+
+  const requestProductQuote = async (event) => {
+    event.preventDefault();
+    try {
+      const params = { quantity: quoteForm.quantity };
+      if (quoteForm.currency) params.currency = quoteForm.currency;
+      setProductQuote(await api.getProductQuote(productForm.id, params));
+    } catch (error) {
+      setProductQuote(null);
+      setMessage(error.message);
+    }
+  };
+
+  const updateExchangeRate = (index, field, value) =>
+    setExchangeRates((s) => ({
+      ...s,
+      rates: s.rates.map((rate, rateIndex) => (rateIndex === index ? { ...rate, [field]: value } : rate)),
+    }));
+
+  const saveExchangeRates = async () => {
+    try {
+      const saved = await api.saveExchangeRates(
+        exchangeRates.rates.map((rate) => ({ currency: rate.currency, rate: rate.rate }))
+      );
+      setExchangeRates(saved);
+      setExchangeRateErrors([]);
+      setMessage("Exchange rates saved");
+    } catch (error) {
+      setExchangeRateErrors(error.payload?.errors || []);
+      setMessage(error.message);
+    }
+  };
+
+  useEffect(() => {
+    loadProducts(emptyProductQuery);
+    api.getExchangeRates()
+      .then(setExchangeRates)
+      .catch((error) => setMessage(error.message || "Failed to load exchange rates"));
+  }, []);
+
+  return (
+    <>
+      <section className="catalog-card">
+        <h3>{productForm.id ? "Edit Priced Product" : "New Priced Product"}</h3>
+        <form className="panel-form" onSubmit={saveProduct}>
+          <input
+            placeholder="name"
+            value={productForm.name}
+            onChange={(e) => setProductForm((s) => ({ ...s, name: e.target.value }))}
+            required
+          />
+          <textarea
+            rows="3"
+            placeholder="description"
+            value={productForm.description}
+            onChange={(e) => setProductForm((s) => ({ ...s, description: e.target.value }))}
+          />
+          <div className="catalog-grid-3">
+            <div>
+              <label className="field-label">Unit Price</label>
+              <input
+                type="number"
+                min="0"
+                step="0.0001"
+                placeholder="below the first tier"
+                value={productForm.price}
+                onChange={(e) => setProductForm((s) => ({ ...s, price: e.target.value }))}
+                required
+              />
+            </div>
+            <div>
+              <label className="field-label">Currency</label>
+              <select
+                value={productForm.currency}
+                onChange={(e) => setProductForm((s) => ({ ...s, currency: e.target.value }))}
+              >
+                <option value="">{exchangeRates.baseCurrency} (base)</option>
+                {exchangeRates.rates.map((rate) => (
+                  <option key={rate.currency} value={rate.currency}>{rate.currency}</option>
+                ))}
+                {productForm.currency && !exchangeRates.rates.some((rate) => rate.currency === productForm.currency) &&
+                productForm.currency !== exchangeRates.baseCurrency ? (
+                  <option value={productForm.currency}>{productForm.currency} (no rate)</option>
+                ) : null}
+              </select>
+            </div>
+            <div>
+              <label className="field-label">Image</label>
+              <input
+                type="file"
+                accept="image/*"
+                onChange={(e) => setProductForm((s) => ({ ...s, image: e.target.files?.[0] || null }))}
+              />
+            </div>
+          </div>
+          <label className="field-label">Volume Price Tiers</label>
+          {productForm.priceTiers.map((tier, index) => (
+            <div key={index} className="catalog-grid-3 pricing-tier-row">
+              <input
+                type="number"
+                min="1"
+                placeholder="from quantity, e.g. 10000"
+                value={tier.minQuantity}
+                onChange={(e) => updatePriceTier(index, "minQuantity", e.target.value)}
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.0001"
+                placeholder="unit price"
+                value={tier.unitPrice}
+                onChange={(e) => updatePriceTier(index, "unitPrice", e.target.value)}
+              />
+              <button
+                type="button"
+                className="danger"
+                onClick={() =>
+                  setProductForm((s) => ({ ...s, priceTiers: s.priceTiers.filter((_, tierIndex) => tierIndex !== index) }))
+                }
+              >
+                Remove Tier
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() => setProductForm((s) => ({ ...s, priceTiers: [...s.priceTiers, emptyPriceTier] }))}
+          >
+            Add Price Tier
+          </button>
+          <div className="catalog-grid-3">
+            <div>
+              <label className="field-label">Minimum Order (pcs)</label>
+              <input
+                type="number"
+                min="1"
+                value={productForm.moq}
+                onChange={(e) => setProductForm((s) => ({ ...s, moq: e.target.value }))}
+              />
+            </div>
+            <div>
+              <label className="field-label">Lead Time (days)</label>
+              <input
+                type="number"
+                min="0"
+                value={productForm.leadTimeDays}
+                onChange={(e) => setProductForm((s) => ({ ...s, leadTimeDays: e.target.value }))}
+              />
+            </div>
+            <div>
+              <label className="field-label">Stock Status</label>
+              <select
+                value={productForm.stockStatus}
+                onChange={(e) => setProductForm((s) => ({ ...s, stockStatus: e.target.value }))}
+              >
+                <option value="">Not set</option>
+                {stockStatusOptions.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <label className="field-label">
+            <input
+              type="checkbox"
+              checked={productForm.sampleAvailable}
+              onChange={(e) => setProductForm((s) => ({ ...s, sampleAvailable: e.target.checked }))}
+            />{" "}
+            Samples available
+          </label>
+          <label className="field-label">
+            <input
+              type="checkbox"
+              checked={productForm.publicPricing}
+              onChange={(e) => setProductForm((s) => ({ ...s, publicPricing: e.target.checked }))}
+            />{" "}
+            Public pricing (show an indicative &quot;from&quot; price on the site and allow quotes)
+          </label>
+          <small>Unless this is checked, visitors see the product without its price or tiers.</small>
+          <div className="catalog-actions-row">
+            <button type="submit">{productForm.id ? "Update Product" : "Create Product"}</button>
+            {productForm.id ? (
+              <button
+                type="button"
+                onClick={() => {
+                  setProductForm(emptyProductForm);
+                  setProductQuote(null);
+                }}
+              >
+                Cancel Edit
+              </button>
+            ) : null}
+          </div>
+        </form>
+        {productForm.id ? (
+          <form className="catalog-actions-row" onSubmit={requestProductQuote}>
+            <input
+              type="number"
+              min="1"
+              placeholder="quantity"
+              value={quoteForm.quantity}
+              onChange={(e) => setQuoteForm((s) => ({ ...s, quantity: e.target.value }))}
+              required
+            />
+            <select value={quoteForm.currency} onChange={(e) => setQuoteForm((s) => ({ ...s, currency: e.target.value }))}>
+              <option value="">Product currency</option>
+              {[exchangeRates.baseCurrency, ...exchangeRates.rates.map((rate) => rate.currency)].map((currency) => (
+                <option key={currency} value={currency}>{currency}</option>
+              ))}
+            </select>
+            <button type="submit">Preview Quote</button>
+            {productQuote ? (
+              <small>
+                {productQuote.quantity.toLocaleString("en-US")} pcs at {formatMoney(productQuote.unitPrice, productQuote.currency)}
+                {productQuote.tier ? ` (${productQuote.tier.minQuantity.toLocaleString("en-US")}+ tier)` : " (base price)"} ={" "}
+                <strong>{formatMoney(productQuote.total, productQuote.currency)}</strong>
+              </small>
+            ) : null}
+          </form>
+        ) : null}
+      </section>
+
+      <form
+        className="catalog-actions-row"
+        onSubmit={(e) => {
+          e.preventDefault();
+          loadProducts({ ...productFilters, page: 1 });
+        }}
+      >
+        <input
+          type="search"
+          placeholder="Search name or description"
+          value={productFilters.q}
+          onChange={(e) => setProductFilters((s) => ({ ...s, q: e.target.value }))}
+        />
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          placeholder="Min price"
+          value={productFilters.minPrice}
+          onChange={(e) => setProductFilters((s) => ({ ...s, minPrice: e.target.value }))}
+        />
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          placeholder="Max price"
+          value={productFilters.maxPrice}
+          onChange={(e) => setProductFilters((s) => ({ ...s, maxPrice: e.target.value }))}
+        />
+        <select value={productFilters.sort} onChange={(e) => setProductFilters((s) => ({ ...s, sort: e.target.value }))}>
+          {productSorts.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <button type="submit">Apply</button>
+        <button
+          type="button"
+          className="secondary"
+          onClick={() => {
+            setProductFilters(emptyProductQuery);
+            loadProducts(emptyProductQuery);
+          }}
+        >
+          Reset
+        </button>
+      </form>
+
+      <div className="table-wrap">
+        <table>
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Unit Price</th>
+              <th>Tiers</th>
+              <th>From</th>
+              <th>Public</th>
+              <th>Image</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {products.map((product) => (
+              <tr key={product._id}>
+                <td>{product.name}</td>
+                <td>{formatMoney(product.price, product.currency || exchangeRates.baseCurrency)}</td>
+                <td>
+                  {(product.priceTiers || []).length
+                    ? product.priceTiers.map((tier) => `${tier.minQuantity.toLocaleString("en-US")}+: ${tier.unitPrice}`).join(", ")
+                    : "-"}
+                </td>
+                <td>{formatMoney(lowestUnitPrice(product), product.currency || exchangeRates.baseCurrency)}</td>
+                <td>{product.publicPricing ? "Yes" : "No"}</td>
+                <td>{product.image ? <img src={resolveImageUrl(product.image)} alt={product.name} /> : "-"}</td>
+                <td>
+                  <button type="button" onClick={() => editProduct(product)}>Edit</button>
+                  <button type="button" className="danger" onClick={() => removeProduct(product)}>Delete</button>
+                </td>
+              </tr>
+            ))}
+            {products.length === 0 ? (
+              <tr>
+                <td colSpan="7">
+                  {productTotals.total === 0 && productQuery === emptyProductQuery
+                    ? "No priced products yet."
+                    : "No products match these filters."}
+                </td>
+              </tr>
+            ) : null}
+          </tbody>
+        </table>
+      </div>
+      <div className="catalog-summary-row">
+        <small>
+          {productTotals.total} product{productTotals.total === 1 ? "" : "s"} - page {productTotals.page} of{" "}
+          {productTotals.pages}
+        </small>
+        <div className="catalog-actions-row">
+          <button
+            type="button"
+            className="secondary"
+            disabled={productTotals.page <= 1}
+            onClick={() => loadProducts({ ...productQuery, page: productTotals.page - 1 })}
+          >
+            Previous
+          </button>
+          <button
+            type="button"
+            className="secondary"
+            disabled={productTotals.page >= productTotals.pages}
+            onClick={() => loadProducts({ ...productQuery, page: productTotals.page + 1 })}
+          >
+            Next
+          </button>
+        </div>
+      </div>
+
+      <section className="catalog-card">
+        <div className="catalog-header-row">
+          <h3>Exchange Rates</h3>
+          <button type="button" onClick={saveExchangeRates}>Save Exchange Rates</button>
+        </div>
+        <small>
+          Units of each currency per 1 {exchangeRates.baseCurrency}. Quotes in another currency convert through{" "}
+          {exchangeRates.baseCurrency}.
+        </small>
+        {exchangeRates.rates.map((rate, index) => (
+          <div key={index} className="catalog-grid-3 pricing-tier-row">
+            <input
+              placeholder="currency, e.g. EUR"
+              maxLength="3"
+              value={rate.currency}
+              onChange={(e) => updateExchangeRate(index, "currency", e.target.value.toUpperCase())}
+            />
+            <input
+              type="number"
+              min="0"
+              step="any"
+              placeholder={`per 1 ${exchangeRates.baseCurrency}`}
+              value={rate.rate}
+              onChange={(e) => updateExchangeRate(index, "rate", e.target.value)}
+            />
+            <button
+              type="button"
+              className="danger"
+              onClick={() =>
+                setExchangeRates((s) => ({ ...s, rates: s.rates.filter((_, rateIndex) => rateIndex !== index) }))
+              }
+            >
+              Remove
+            </button>
+            {exchangeRateErrors
+              .filter((error) => error.index === index)
+              .map((error) => (
+                <small key={error.field} className="pricing-error">{error.message}</small>
+              ))}
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() => setExchangeRates((s) => ({ ...s, rates: [...s.rates, { currency: "", rate: "" }] }))}
+        >
+          Add Currency
+        </button>
+      </section>
+    </>
+  );
+};
+
+export default PricingPanel;
@@ -1,7 +1,9 @@
-import { useEffect, useMemo, useState } from "react";
-import API_BASE_URL, { api, tokenStore } from "../api/client";
+import { Fragment, useEffect, useMemo, useState } from "react";
+import { api, resolveImageUrl, tokenStore } from "../api/client";
+import CatalogEditor from "../components/CatalogEditor";
+import PricingPanel from "../components/PricingPanel";
 import { productData as defaultProductCatalog } from "../defaults/productCatalog";
-const API_ORIGIN = API_BASE_URL.replace("/api", "");
+import { formatDiffValue, mergeContentChanges } from "../utils/contentMerge";
 const parseAdminFromToken = () => {
   try {
     const token = tokenStore.get();
@@ -13,18 +15,6 @@ const parseAdminFromToken = () => {
   }
 };
 
-const resolveImageUrl = (value) => {
-  if (!value) return "";
-  if (value.startsWith("http://") || value.startsWith("https://")) return value;
-  if (value.startsWith("/uploads/")) return `${API_ORIGIN}${value}`;
-  if (value.startsWith("/assets/")) {
-    const fileName = value.split("/").pop();
-    return `${API_ORIGIN}/uploads/${fileName}`;
-  }
-  if (!value.startsWith("/")) return `${API_ORIGIN}/uploads/${value}`;
-  return `${API_ORIGIN}${value}`;
-};
-
 const fallbackSegments = [
   {
     id: "pharmaceuticals",
@@ -193,6 +183,14 @@ const emptyOurSegmentsPageContent = {
   headerTitle: "Our Segments",
   headerDescription: "Delivering excellence across diverse industries with tailored packaging solutions.",
 };
+// "a, b, c" as code chips, for the content conflict prompt.
+const formatFieldList = (fields) =>
+  fields.map((field, index) => (
+    <Fragment key={field}>
+      {index ? ", " : ""}
+      <code>{field || "(whole entry)"}</code>
+    </Fragment>
+  ));
 const emptyEmailSettings = {
   contactRecipients: "",
   contactFromEmail: "",
@@ -201,7 +199,9 @@ const emptyEmailSettings = {
   smtpPort: "",
   smtpSecure: "false",
   smtpUser: "",
+  // Write-only: the server never returns the stored password, only smtpPassConfigured.
   smtpPass: "",
+  smtpPassConfigured: false,
 };
 const emptySiteSettings = {
   companyName: "Aethon Plast Pvt Ltd",
@@ -217,42 +217,14 @@ const emptySiteSettings = {
   developerName: "@Semixon",
   developerUrl: "https://semixon.com",
 };
-const emptyCatalogItem = {
-  id: "",
-  name: "",
-  actualName: "",
-  subCategory: "",
-  image: "",
-  description: "",
-  features: "",
-};
-const flattenCatalogItems = (catalog) => {
-  const rows = [];
-  Object.values(catalog || {}).forEach((industry) => {
-    Object.entries(industry?.categories || {}).forEach(([categoryKey, category]) => {
-      Object.entries(category?.subCategories || {}).forEach(([subKey, sub]) => {
-        (sub?.items || []).forEach((item) => {
-          rows.push({
-            id: item.id,
-            name: item.name || item.actualName || "",
-            description: item.description || "",
-            image: item.image || "",
-            industry: industry?.title || "",
-            category: category?.title || categoryKey,
-            subCategory: sub?.title || subKey,
-          });
-        });
-      });
-    });
-  });
-  return rows;
+const trashKindLabels = {
+  product: "Product",
+  content: "Content",
+  lead: "Lead",
+  visitor: "Visitor",
+  media: "Media File",
+  document: "Document",
 };
-const toKey = (raw) =>
-  String(raw || "")
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, "_")
-    .replace(/^_+|_+$/g, "");
 
 const mergeSlides = (incoming = [], fallback = []) => {
   const safeIncoming = Array.isArray(incoming) ? incoming : [];
@@ -285,12 +257,20 @@ const DashboardPage = () => {
   const [admins, setAdmins] = useState([]);
   const [visitors, setVisitors] = useState([]);
   const [leads, setLeads] = useState([]);
-  const [products, setProducts] = useState([]);
+  const [expandedLeadId, setExpandedLeadId] = useState("");
+  const [historyEntryId, setHistoryEntryId] = useState("");
+  const [contentRevisions, setContentRevisions] = useState([]);
+  const [diffRange, setDiffRange] = useState({ from: "published", to: "draft" });
+  const [contentDiff, setContentDiff] = useState(null);
   const [contentEntries, setContentEntries] = useState([]);
   const [mediaFiles, setMediaFiles] = useState([]);
 
   const [userForm, setUserForm] = useState({ id: "", name: "", email: "" });
-  const [productForm, setProductForm] = useState({ id: "", name: "", description: "", price: "", image: null });
+  const [contentErrors, setContentErrors] = useState(null);
+  const [contentConflict, setContentConflict] = useState(null);
+  const [trash, setTrash] = useState({ retentionDays: 30, entries: [] });
+  const [trashKind, setTrashKind] = useState("");
+  const [trashRetentionInput, setTrashRetentionInput] = useState("30");
   const [adminForm, setAdminForm] = useState({ name: "", email: "", password: "" });
 
   const [marketSegments, setMarketSegments] = useState(fallbackSegments);
@@ -319,22 +299,11 @@ const DashboardPage = () => {
   const [analyticsError, setAnalyticsError] = useState("");
   const [siteSettings, setSiteSettings] = useState(emptySiteSettings);
 
+  // Unsaved catalog edits stay here so they survive switching to another panel.
   const [catalogText, setCatalogText] = useState(
     JSON.stringify(defaultProductCatalog, null, 2)
   );
-  const [catalogIndustryKey, setCatalogIndustryKey] = useState("");
-  const [catalogCategoryKey, setCatalogCategoryKey] = useState("");
-  const [catalogSubKey, setCatalogSubKey] = useState("");
-  const [catalogItemForm, setCatalogItemForm] = useState(emptyCatalogItem);
-  const [editingCatalogItemId, setEditingCatalogItemId] = useState("");
-  const [catalogSearch, setCatalogSearch] = useState("");
-  const [showCatalogSummaryTable, setShowCatalogSummaryTable] = useState(false);
-  const [newIndustryKey, setNewIndustryKey] = useState("");
-  const [newIndustryTitle, setNewIndustryTitle] = useState("");
-  const [newCategoryKey, setNewCategoryKey] = useState("");
-  const [newCategoryTitle, setNewCategoryTitle] = useState("");
-  const [newSubKey, setNewSubKey] = useState("");
-  const [newSubTitle, setNewSubTitle] = useState("");
+  const [catalogErrors, setCatalogErrors] = useState([]);
   const [visitorSearch, setVisitorSearch] = useState("");
   const [visitorPage, setVisitorPage] = useState(1);
   const VISITOR_PAGE_SIZE = 10;
@@ -352,34 +321,19 @@ const DashboardPage = () => {
     analytics: "Analytics",
     site: "Site Settings",
     media: "Media Library",
+    publishing: "Publishing & History",
+    trash: "Trash",
   };
 
   const contentByKey = useMemo(() => {
     const map = {};
+    // Editors always work on the draft when one is pending.
     contentEntries.forEach((entry) => {
-      map[entry.key] = entry;
+      map[entry.key] = entry.hasDraft ? { ...entry, data: entry.draft } : entry;
     });
     return map;
   }, [contentEntries]);
 
-  const catalogObject = useMemo(() => {
-    try {
-      return JSON.parse(catalogText);
-    } catch {
-      return defaultProductCatalog;
-    }
-  }, [catalogText]);
-
-  const catalogItems = useMemo(() => flattenCatalogItems(catalogObject), [catalogObject]);
-  const industryKeys = useMemo(() => Object.keys(catalogObject || {}), [catalogObject]);
-  const selectedIndustry = catalogObject?.[catalogIndustryKey] || null;
-  const categoryEntries = Object.entries(selectedIndustry?.categories || {});
-  const selectedCategory = selectedIndustry?.categories?.[catalogCategoryKey] || null;
-  const subEntries = Object.entries(selectedCategory?.subCategories || {});
-  const selectedSub = selectedCategory?.subCategories?.[catalogSubKey] || null;
-  const isCatalogTargetReady = Boolean(catalogIndustryKey && catalogCategoryKey && catalogSubKey);
-  const catalogTargetPath = `${selectedIndustry?.title || "-"} / ${selectedCategory?.title || "-"} / ${selectedSub?.title || "-"}`;
-  const selectedSubItems = selectedSub?.items || [];
   const filteredVisitors = useMemo(() => {
     const q = visitorSearch.trim().toLowerCase();
     if (!q) return visitors;
@@ -400,43 +354,25 @@ const DashboardPage = () => {
     (visitorPage - 1) * VISITOR_PAGE_SIZE,
     visitorPage * VISITOR_PAGE_SIZE
   );
-  const selectedSubItemsFiltered = useMemo(() => {
-    const q = catalogSearch.trim().toLowerCase();
-    if (!q) return selectedSubItems;
-    return selectedSubItems.filter((item) =>
-      [
-        item.id,
-        item.name,
-        item.actualName,
-        item.description,
-        item.subCategory,
-      ]
-        .filter(Boolean)
-        .some((value) => String(value).toLowerCase().includes(q))
-    );
-  }, [selectedSubItems, catalogSearch]);
-
-  const updateCatalogObject = (mutator) => {
-    let next;
-    try {
-      next = structuredClone(catalogObject);
-    } catch {
-      next = JSON.parse(JSON.stringify(catalogObject));
-    }
-    mutator(next);
-    setCatalogText(JSON.stringify(next, null, 2));
-  };
 
   const loadAll = async () => {
-    const [adminsResult, usersResult, visitorsResult, leadsResult, productsResult, contentResult, mediaResult] = await Promise.allSettled([
-      api.getAdmins(),
-      api.getUsers(),
-      api.getVisitors(),
-      api.getLeads(),
-      api.getProducts(),
-      api.getContent(),
-      api.getMedia(),
-    ]);
+    const [
+      adminsResult,
+      usersResult,
+      visitorsResult,
+      leadsResult,
+      contentResult,
+      mediaResult,
+      emailResult,
+    ] = await Promise.allSettled([
+        api.getAdmins(),
+        api.getUsers(),
+        api.getVisitors(),
+        api.getLeads(),
+        api.getContent(),
+        api.getMedia(),
+        api.getEmailSettings(),
+      ]);
 
     if (adminsResult.status === "fulfilled") {
       setAdmins(Array.isArray(adminsResult.value?.admins) ? adminsResult.value.admins : []);
@@ -452,19 +388,31 @@ const DashboardPage = () => {
     } else {
       setMessage("Leads API unavailable. Restart backend from /server.");
     }
-    if (productsResult.status === "fulfilled") setProducts(productsResult.value);
     if (contentResult.status === "fulfilled") {
       setContentEntries(contentResult.value);
     } else {
       setMessage("Content API unavailable. Run backend from project /server for full content CRUD.");
     }
     if (mediaResult.status === "fulfilled") setMediaFiles(mediaResult.value);
+    if (emailResult.status === "fulfilled") {
+      setEmailSettings({ ...emptyEmailSettings, ...emailResult.value, smtpPass: "" });
+    }
   };
 
   useEffect(() => {
     loadAll().catch((error) => setMessage(error.message || "Failed to load dashboard"));
   }, []);
 
+  useEffect(() => {
+    if (active !== "trash") return;
+    api.getTrash(trashKind ? { kind: trashKind } : {})
+      .then((data) => {
+        setTrash(data);
+        setTrashRetentionInput(String(data.retentionDays));
+      })
+      .catch((error) => setMessage(error.message || "Failed to load trash"));
+  }, [active, trashKind]);
+
   useEffect(() => {
     if (active !== "analytics") return;
     setAnalyticsLoading(true);
@@ -536,22 +484,6 @@ const DashboardPage = () => {
             : emptyContactContent.subjects,
       });
     }
-    if (contentByKey.emailSettings?.data) {
-      const incoming = contentByKey.emailSettings.data || {};
-      setEmailSettings((prev) => ({
-        ...emptyEmailSettings,
-        ...prev,
-        ...incoming,
-        contactRecipients: incoming.contactRecipients ?? prev.contactRecipients ?? "",
-        contactFromEmail: incoming.contactFromEmail ?? prev.contactFromEmail ?? "",
-        contactFromName: incoming.contactFromName ?? prev.contactFromName ?? "",
-        smtpHost: incoming.smtpHost ?? prev.smtpHost ?? "",
-        smtpPort: incoming.smtpPort ?? prev.smtpPort ?? "",
-        smtpSecure: incoming.smtpSecure ?? prev.smtpSecure ?? "false",
-        smtpUser: incoming.smtpUser ?? prev.smtpUser ?? "",
-        smtpPass: incoming.smtpPass ?? prev.smtpPass ?? "",
-      }));
-    }
     if (contentByKey.productsPage?.data) {
       setProductsPageContent({
         ...emptyProductsPageContent,
@@ -583,52 +515,124 @@ const DashboardPage = () => {
   }, [contentByKey]);
 
   useEffect(() => {
-    if (!industryKeys.length) return;
-    if (!catalogIndustryKey || !catalogObject[catalogIndustryKey]) {
-      setCatalogIndustryKey(industryKeys[0]);
+    setVisitorPage(1);
+  }, [visitorSearch]);
+
+  // The server checks `data` against the schema for `key`; a 400 lists the problems by
+  // field and the returned promise rejects with them.
+  const upsertContent = async (key, title, data, extra = {}) => {
+    const existing = contentByKey[key];
+    try {
+      if (existing?._id) {
+        await api.updateContent(existing._id, { key, title, data, version: existing.version ?? 0, ...extra });
+      } else {
+        await api.createContent({ key, title, data });
+      }
+    } catch (error) {
+      if (error.status === 400 && error.payload?.errors?.length && key !== "productCatalog") {
+        setContentErrors({ title, errors: error.payload.errors });
+        setMessage(`${error.message}. Nothing was saved.`);
+      }
+      // The catalog editor shows its own reload prompt for a conflict.
+      if (error.status === 409 && error.payload?.current && key !== "productCatalog") {
+        const current = error.payload.current;
+        const loaded = existing.hasDraft ? existing.draft : existing.data;
+        const saved = current.hasDraft ? current.draft : current.data;
+        setContentConflict({ key, title, mine: data, current, ...mergeContentChanges(loaded, data, saved) });
+        setMessage(`${error.message}. Nothing was saved.`);
+      }
+      throw error;
     }
-  }, [industryKeys, catalogIndustryKey, catalogObject]);
+    setContentErrors(null);
+    setContentConflict(null);
+    await loadAll();
+  };
 
-  useEffect(() => {
-    const keys = Object.keys(selectedIndustry?.categories || {});
-    if (!keys.length) {
-      setCatalogCategoryKey("");
+  // "merge" saves both admins' changes, "mine" overwrites the other save and "reload"
+  // drops this editor's changes in favour of what is saved now.
+  const resolveContentConflict = async (choice) => {
+    const conflict = contentConflict;
+    if (!conflict) return;
+    if (choice === "reload") {
+      setContentConflict(null);
+      await loadAll();
+      setMessage(`Loaded the latest ${conflict.title}`);
       return;
     }
-    if (!catalogCategoryKey || !selectedIndustry?.categories?.[catalogCategoryKey]) {
-      setCatalogCategoryKey(keys[0]);
+    try {
+      const data = choice === "merge" ? conflict.merged : conflict.mine;
+      await upsertContent(conflict.key, conflict.title, data, { version: conflict.current.version });
+      setMessage(choice === "merge" ? `${conflict.title} merged and saved` : `${conflict.title} saved`);
+    } catch (error) {
+      if (error.status !== 409) setMessage(error.message || `Failed to save ${conflict.title}`);
     }
-  }, [selectedIndustry, catalogCategoryKey]);
+  };
 
-  useEffect(() => {
-    const keys = Object.keys(selectedCategory?.subCategories || {});
-    if (!keys.length) {
-      setCatalogSubKey("");
-      return;
+  const draftEntries = contentEntries.filter((entry) => entry.hasDraft);
+  const historyEntry = contentEntries.find((entry) => entry._id === historyEntryId) || null;
+
+  const openContentHistory = async (entry) => {
+    setHistoryEntryId(entry._id);
+    setContentDiff(null);
+    setDiffRange({ from: "published", to: entry.hasDraft ? "draft" : "published" });
+    try {
+      setContentRevisions(await api.getContentRevisions(entry._id));
+    } catch (error) {
+      setContentRevisions([]);
+      setMessage(error.message || "Failed to load revisions");
     }
-    if (!catalogSubKey || !selectedCategory?.subCategories?.[catalogSubKey]) {
-      setCatalogSubKey(keys[0]);
+  };
+
+  const publishContentEntry = async (entry) => {
+    const note = window.prompt(`Publish the draft of ${entry.title || entry.key}? Optional note:`, "");
+    if (note === null) return;
+    try {
+      const result = await api.publishContent(entry._id, note);
+      setMessage(`${entry.title || entry.key} published (revision ${result.revision})`);
+      await loadAll();
+      if (historyEntryId === entry._id) await openContentHistory(result.entry);
+    } catch (error) {
+      if (error.payload?.errors) {
+        setCatalogErrors(error.payload.errors);
+        setMessage(`${error.message}. See the Product Catalog editor for details.`);
+        return;
+      }
+      setMessage(error.message || "Failed to publish");
     }
-  }, [selectedCategory, catalogSubKey]);
+  };
 
-  useEffect(() => {
-    setCatalogItemForm(emptyCatalogItem);
-    setEditingCatalogItemId("");
-    setCatalogSearch("");
-  }, [catalogIndustryKey, catalogCategoryKey, catalogSubKey]);
+  const discardContentDraft = async (entry) => {
+    if (!window.confirm(`Discard unpublished changes to ${entry.title || entry.key}?`)) return;
+    try {
+      await api.discardContentDraft(entry._id);
+      setMessage("Draft discarded");
+      await loadAll();
+    } catch (error) {
+      setMessage(error.message || "Failed to discard draft");
+    }
+  };
 
-  useEffect(() => {
-    setVisitorPage(1);
-  }, [visitorSearch]);
+  const compareContentVersions = async () => {
+    if (!historyEntry) return;
+    try {
+      setContentDiff(await api.diffContent(historyEntry._id, diffRange.from, diffRange.to));
+    } catch (error) {
+      setContentDiff(null);
+      setMessage(error.message || "Failed to compare versions");
+    }
+  };
 
-  const upsertContent = async (key, title, data) => {
-    const existing = contentByKey[key];
-    if (existing?._id) {
-      await api.updateContent(existing._id, { key, title, data });
-    } else {
-      await api.createContent({ key, title, data });
+  const rollbackContentEntry = async (revision) => {
+    if (!historyEntry) return;
+    if (!window.confirm(`Publish revision ${revision} of ${historyEntry.title || historyEntry.key} again?`)) return;
+    try {
+      const result = await api.rollbackContent(historyEntry._id, revision);
+      setMessage(`Rolled back to revision ${revision} (now revision ${result.revision})`);
+      await loadAll();
+      await openContentHistory(result.entry);
+    } catch (error) {
+      setMessage(error.message || "Failed to roll back");
     }
-    await loadAll();
   };
 
   const logout = () => {
@@ -653,29 +657,6 @@ const DashboardPage = () => {
     }
   };
 
-  const saveProduct = async (event) => {
-    event.preventDefault();
-    try {
-      const form = new FormData();
-      form.append("name", productForm.name);
-      form.append("description", productForm.description);
-      form.append("price", productForm.price);
-      if (productForm.image) form.append("image", productForm.image);
-
-      if (productForm.id) {
-        await api.updateProduct(productForm.id, form);
-        setMessage("Product updated");
-      } else {
-        await api.createProduct(form);
-        setMessage("Product created");
-      }
-      setProductForm({ id: "", name: "", description: "", price: "", image: null });
-      await loadAll();
-    } catch (error) {
-      setMessage(error.message);
-    }
-  };
-
   const addOrUpdateMarketSegment = (event) => {
     event.preventDefault();
     const payload = { ...marketForm };
@@ -739,225 +720,73 @@ const DashboardPage = () => {
     setSlideForm(emptySlide);
   };
 
-  const saveCatalogJson = async () => {
+  const reloadTrash = async () => {
+    const data = await api.getTrash(trashKind ? { kind: trashKind } : {});
+    setTrash(data);
+  };
+
+  const restoreTrashEntry = async (entry) => {
     try {
-      const parsed = JSON.parse(catalogText);
-      await upsertContent("productCatalog", "Product Catalog", parsed);
-      setMessage("Product catalog saved");
+      const result = await api.restoreTrashEntry(entry._id);
+      setMessage(result.message || "Restored");
+      await Promise.all([reloadTrash(), loadAll()]);
     } catch (error) {
-      setMessage("Invalid Product Catalog JSON");
+      setMessage(error.message || "Failed to restore item");
     }
   };
 
-  const saveCatalogItem = (event) => {
-    event.preventDefault();
-    if (!catalogIndustryKey || !catalogCategoryKey || !catalogSubKey) {
-      setMessage("Select industry, category, and subcategory first.");
-      return;
-    }
-
-    const itemPayload = {
-      id: catalogItemForm.id.trim(),
-      name: catalogItemForm.name.trim(),
-      actualName: catalogItemForm.actualName.trim(),
-      subCategory: catalogItemForm.subCategory.trim() || selectedSub?.title || "",
-      image: catalogItemForm.image.trim(),
-      description: catalogItemForm.description.trim(),
-      features: catalogItemForm.features
-        .split(",")
-        .map((x) => x.trim())
-        .filter(Boolean),
-    };
-
-    if (!itemPayload.id || !itemPayload.name) {
-      setMessage("Item id and name are required.");
-      return;
+  const purgeTrashEntry = async (entry) => {
+    if (!window.confirm(`Delete ${entry.label} permanently? This cannot be undone.`)) return;
+    try {
+      await api.purgeTrashEntry(entry._id);
+      setMessage("Deleted permanently");
+      await reloadTrash();
+    } catch (error) {
+      setMessage(error.message || "Failed to delete item");
     }
-
-    updateCatalogObject((next) => {
-      const items =
-        next[catalogIndustryKey].categories[catalogCategoryKey].subCategories[catalogSubKey].items;
-      const index = items.findIndex((x) => x.id === itemPayload.id);
-      if (index >= 0) items[index] = itemPayload;
-      else items.push(itemPayload);
-    });
-
-    setCatalogItemForm(emptyCatalogItem);
-    setEditingCatalogItemId("");
-    setMessage("Catalog item updated locally. Click Save Product Catalog.");
-  };
-
-  const editCatalogItem = (item) => {
-    setEditingCatalogItemId(item.id);
-    setCatalogItemForm({
-      id: item.id || "",
-      name: item.name || "",
-      actualName: item.actualName || "",
-      subCategory: item.subCategory || "",
-      image: item.image || "",
-      description: item.description || "",
-      features: (item.features || []).join(", "),
-    });
   };
 
-  const deleteCatalogItem = (itemId) => {
-    updateCatalogObject((next) => {
-      const items =
-        next[catalogIndustryKey].categories[catalogCategoryKey].subCategories[catalogSubKey].items;
-      next[catalogIndustryKey].categories[catalogCategoryKey].subCategories[catalogSubKey].items =
-        items.filter((x) => x.id !== itemId);
-    });
-    setMessage("Catalog item deleted locally. Click Save Product Catalog.");
-  };
-
-  const createIndustry = () => {
-    const key = toKey(newIndustryKey) || toKey(newIndustryTitle);
-    const title = newIndustryTitle.trim();
-    if (!key || !title) {
-      setMessage("Industry title is required. Key can be auto-generated.");
-      return;
-    }
-
-    if (catalogObject[key]) {
-      setMessage("Industry key already exists. Use another key/title.");
-      return;
+  const emptyTrash = async () => {
+    if (!window.confirm("Permanently delete everything in the trash? This cannot be undone.")) return;
+    try {
+      const result = await api.emptyTrash();
+      setMessage(`Trash emptied (${result.purged} items)`);
+      await reloadTrash();
+    } catch (error) {
+      setMessage(error.message || "Failed to empty trash");
     }
-
-    updateCatalogObject((next) => {
-      next[key] = {
-        id: key,
-        title,
-        description: "",
-        categories: {},
-      };
-    });
-
-    setCatalogIndustryKey(key);
-    setNewIndustryKey("");
-    setNewIndustryTitle("");
-    setMessage("Industry created locally. Click Save Product Catalog.");
   };
 
-  const createCategory = () => {
-    const key = toKey(newCategoryKey) || toKey(newCategoryTitle);
-    const title = newCategoryTitle.trim();
-    if (!catalogIndustryKey) {
-      setMessage("Select industry first.");
-      return;
-    }
-    if (!key || !title) {
-      setMessage("Category title is required. Key can be auto-generated.");
-      return;
-    }
-    if (selectedIndustry?.categories?.[key]) {
-      setMessage("Category key already exists in selected industry.");
-      return;
+  const saveTrashRetention = async () => {
+    try {
+      const { retentionDays } = await api.saveTrashSettings({ retentionDays: Number(trashRetentionInput) });
+      setMessage(`Deleted items are now kept for ${retentionDays} days`);
+      await reloadTrash();
+    } catch (error) {
+      setMessage(error.message || "Failed to save trash settings");
     }
-
-    updateCatalogObject((next) => {
-      const industry = next[catalogIndustryKey];
-      industry.categories = industry.categories || {};
-      industry.categories[key] = { title, subCategories: {} };
-    });
-
-    setCatalogCategoryKey(key);
-    setNewCategoryKey("");
-    setNewCategoryTitle("");
-    setMessage("Category created locally. Click Save Product Catalog.");
   };
 
-  const createSubCategory = () => {
-    const key = toKey(newSubKey) || toKey(newSubTitle);
-    const title = newSubTitle.trim();
-    if (!catalogIndustryKey || !catalogCategoryKey) {
-      setMessage("Select industry and category first.");
-      return;
-    }
-    if (!key || !title) {
-      setMessage("Subcategory title is required. Key can be auto-generated.");
-      return;
-    }
-    if (selectedCategory?.subCategories?.[key]) {
-      setMessage("Subcategory key already exists in selected category.");
-      return;
+  // Resolves to true once saved; field errors from the server land next to their inputs.
+  const saveEmailSettings = async (body, successMessage = "Email settings saved") => {
+    try {
+      const saved = await api.saveEmailSettings(body);
+      setEmailSettings({ ...emptyEmailSettings, ...saved, smtpPass: "" });
+      setEmailErrors({});
+      setMessage(successMessage);
+      return true;
+    } catch (error) {
+      const fieldErrors = Array.isArray(error.payload?.errors) ? error.payload.errors : [];
+      setEmailErrors(Object.fromEntries(fieldErrors.map((item) => [item.field, item.message])));
+      setMessage(error.message || "Failed to save email settings");
+      return false;
     }
-
-    updateCatalogObject((next) => {
-      const category = next[catalogIndustryKey].categories[catalogCategoryKey];
-      category.subCategories = category.subCategories || {};
-      category.subCategories[key] = { title, items: [] };
-    });
-
-    setCatalogSubKey(key);
-    setNewSubKey("");
-    setNewSubTitle("");
-    setCatalogItemForm((s) => ({ ...s, subCategory: title }));
-    setMessage("Subcategory created locally. Click Save Product Catalog.");
-  };
-
-  const deleteSelectedIndustry = () => {
-    if (!catalogIndustryKey) return;
-    const ok = window.confirm(
-      `Delete industry "${selectedIndustry?.title || catalogIndustryKey}" with all categories and items?`
-    );
-    if (!ok) return;
-
-    const currentKeys = [...industryKeys];
-    const idx = currentKeys.indexOf(catalogIndustryKey);
-    updateCatalogObject((next) => {
-      delete next[catalogIndustryKey];
-    });
-
-    const fallback = currentKeys[idx + 1] || currentKeys[idx - 1] || "";
-    setCatalogIndustryKey(fallback);
-    setCatalogCategoryKey("");
-    setCatalogSubKey("");
-    setMessage("Industry deleted locally. Click Save Product Catalog.");
-  };
-
-  const deleteSelectedCategory = () => {
-    if (!catalogIndustryKey || !catalogCategoryKey) return;
-    const ok = window.confirm(
-      `Delete category "${selectedCategory?.title || catalogCategoryKey}" with all subcategories and items?`
-    );
-    if (!ok) return;
-
-    const currentKeys = categoryEntries.map(([key]) => key);
-    const idx = currentKeys.indexOf(catalogCategoryKey);
-    updateCatalogObject((next) => {
-      delete next[catalogIndustryKey].categories[catalogCategoryKey];
-    });
-
-    const fallback = currentKeys[idx + 1] || currentKeys[idx - 1] || "";
-    setCatalogCategoryKey(fallback);
-    setCatalogSubKey("");
-    setMessage("Category deleted locally. Click Save Product Catalog.");
   };
 
-  const deleteSelectedSubCategory = () => {
-    if (!catalogIndustryKey || !catalogCategoryKey || !catalogSubKey) return;
-    const ok = window.confirm(
-      `Delete subcategory "${selectedSub?.title || catalogSubKey}" with all items?`
-    );
-    if (!ok) return;
-
-    const currentKeys = subEntries.map(([key]) => key);
-    const idx = currentKeys.indexOf(catalogSubKey);
-    updateCatalogObject((next) => {
-      delete next[catalogIndustryKey].categories[catalogCategoryKey].subCategories[catalogSubKey];
-    });
-
-    const fallback = currentKeys[idx + 1] || currentKeys[idx - 1] || "";
-    setCatalogSubKey(fallback);
-    setMessage("Subcategory deleted locally. Click Save Product Catalog.");
-  };
-
-  const applySelectedSectionToItem = () => {
-    setCatalogItemForm((s) => ({
-      ...s,
-      subCategory: selectedSub?.title || s.subCategory,
-    }));
-    setMessage("Item form linked to selected section.");
+  const clearSmtpPassword = () => {
+    if (!window.confirm("Remove the saved SMTP password? Mail stops sending until a new one is saved.")) return;
+    const { smtpPass: _pass, smtpPassConfigured: _configured, ...fields } = emailSettings;
+    saveEmailSettings({ ...fields, clearSmtpPass: true }, "SMTP password removed");
   };
 
   const uploadImage = async (event) => {
@@ -1015,6 +844,10 @@ const DashboardPage = () => {
         <button className={active === "analytics" ? "active" : ""} onClick={() => setActive("analytics")}>Analytics</button>
         <button className={active === "site" ? "active" : ""} onClick={() => setActive("site")}>Site</button>
         <button className={active === "media" ? "active" : ""} onClick={() => setActive("media")}>Media</button>
+        <button className={active === "publishing" ? "active" : ""} onClick={() => setActive("publishing")}>
+          Publishing{draftEntries.length ? ` (${draftEntries.length})` : ""}
+        </button>
+        <button className={active === "trash" ? "active" : ""} onClick={() => setActive("trash")}>Trash</button>
         <button className="logout" onClick={logout}>Logout</button>
       </aside>
 
@@ -1022,6 +855,11 @@ const DashboardPage = () => {
         <header>
           <h1>{sectionTitleMap[active] || "Content Admin"}</h1>
           {message ? <span className="status">{message}</span> : null}
+          {draftEntries.length && active !== "publishing" ? (
+            <button type="button" className="secondary" onClick={() => setActive("publishing")}>
+              {draftEntries.length} unpublished draft{draftEntries.length === 1 ? "" : "s"} - review & publish
+            </button>
+          ) : null}
         </header>
 
         {active === "products" ? (
@@ -1048,263 +886,26 @@ const DashboardPage = () => {
               >
                 Products Page Text
               </button>
+              <button
+                type="button"
+                className={productsView === "pricing" ? "active" : ""}
+                onClick={() => setProductsView("pricing")}
+              >
+                Pricing
+              </button>
             </div>
 
             {productsView === "catalog" ? (
-              <>
-              <div className="catalog-shell">
-                <div className="catalog-header-row">
-                  <h3>Product Catalog Editor</h3>
-                  <button type="button" onClick={saveCatalogJson}>Save Product Catalog</button>
-                </div>
-
-                <div className="catalog-path">{catalogTargetPath} ({selectedSubItems.length} items)</div>
-                <div className="catalog-target">
-                  Editing target: {catalogTargetPath}
-                </div>
-
-                <section className="catalog-card">
-                  <div className="catalog-step-title">Step 1: Select Exact Destination Section</div>
-                  <div className="catalog-grid-3">
-                    <div>
-                      <label className="field-label">Industry</label>
-                      <select value={catalogIndustryKey} onChange={(e) => setCatalogIndustryKey(e.target.value)}>
-                        {industryKeys.map((key) => (
-                          <option key={key} value={key}>
-                            {catalogObject?.[key]?.title || key}
-                          </option>
-                        ))}
-                      </select>
-                    </div>
-                    <div>
-                      <label className="field-label">Category</label>
-                      <select value={catalogCategoryKey} onChange={(e) => setCatalogCategoryKey(e.target.value)}>
-                        {categoryEntries.map(([key, value]) => (
-                          <option key={key} value={key}>
-                            {value?.title || key}
-                          </option>
-                        ))}
-                      </select>
-                    </div>
-                    <div>
-                      <label className="field-label">Subcategory</label>
-                      <select value={catalogSubKey} onChange={(e) => setCatalogSubKey(e.target.value)}>
-                        {subEntries.map(([key, value]) => (
-                          <option key={key} value={key}>
-                            {value?.title || key}
-                          </option>
-                        ))}
-                      </select>
-                    </div>
-                  </div>
-
-                  <div className="catalog-actions-row">
-                    <button type="button" className="danger" onClick={deleteSelectedIndustry} disabled={!catalogIndustryKey}>
-                      Delete Industry
-                    </button>
-                    <button type="button" className="danger" onClick={deleteSelectedCategory} disabled={!catalogCategoryKey}>
-                      Delete Category
-                    </button>
-                    <button type="button" className="danger" onClick={deleteSelectedSubCategory} disabled={!catalogSubKey}>
-                      Delete Subcategory
-                    </button>
-                  </div>
-                </section>
-
-                <details className="catalog-details">
-                  <summary>Add New Industry / Category / Subcategory</summary>
-                  <div className="catalog-grid-3 catalog-create-row">
-                    <input
-                      placeholder="New industry key (example: healthcare)"
-                      value={newIndustryKey}
-                      onChange={(e) => setNewIndustryKey(e.target.value)}
-                    />
-                    <input
-                      placeholder="New industry title"
-                      value={newIndustryTitle}
-                      onChange={(e) => setNewIndustryTitle(e.target.value)}
-                    />
-                    <button type="button" onClick={createIndustry}>Add Industry</button>
-                  </div>
-
-                  <div className="catalog-grid-3 catalog-create-row">
-                    <input
-                      placeholder="New category key (example: bottles)"
-                      value={newCategoryKey}
-                      onChange={(e) => setNewCategoryKey(e.target.value)}
-                    />
-                    <input
-                      placeholder="New category title"
-                      value={newCategoryTitle}
-                      onChange={(e) => setNewCategoryTitle(e.target.value)}
-                    />
-                    <button type="button" onClick={createCategory}>Add Category</button>
-                  </div>
-
-                  <div className="catalog-grid-3 catalog-create-row">
-                    <input
-                      placeholder="New subcategory key (example: hdpe)"
-                      value={newSubKey}
-                      onChange={(e) => setNewSubKey(e.target.value)}
-                    />
-                    <input
-                      placeholder="New subcategory title"
-                      value={newSubTitle}
-                      onChange={(e) => setNewSubTitle(e.target.value)}
-                    />
-                    <button type="button" onClick={createSubCategory}>Add Subcategory</button>
-                  </div>
-                </details>
-
-                <section className="catalog-card">
-                  <div className="catalog-step-title">Step 2: Add / Edit Item</div>
-                  <div className="catalog-mode-row">
-                    <span className={`catalog-mode-badge ${editingCatalogItemId ? "editing" : "adding"}`}>
-                      {editingCatalogItemId ? `Editing: ${editingCatalogItemId}` : "Adding New Item"}
-                    </span>
-                    <span className="catalog-mode-target">Target: {catalogTargetPath}</span>
-                  </div>
-                  <div className={`catalog-target-box ${isCatalogTargetReady ? "ready" : "missing"}`}>
-                    {isCatalogTargetReady
-                      ? `Item will be saved in: ${catalogTargetPath}`
-                      : "Select Industry + Category + Subcategory in Step 1 before adding item."}
-                  </div>
-                  <form className="panel-form catalog-item-form" onSubmit={saveCatalogItem}>
-                    <div className="catalog-grid-2">
-                      <div>
-                        <label className="field-label">Item ID *</label>
-                        <input placeholder="example: hdpe-120cc-38mm" value={catalogItemForm.id} onChange={(e) => setCatalogItemForm((s) => ({ ...s, id: e.target.value }))} required />
-                      </div>
-                      <div>
-                        <label className="field-label">Display Name *</label>
-                        <input placeholder="example: 120cc HDPE Bottle" value={catalogItemForm.name} onChange={(e) => setCatalogItemForm((s) => ({ ...s, name: e.target.value }))} required />
-                      </div>
-                    </div>
-                    <div className="catalog-grid-2">
-                      <div>
-                        <label className="field-label">Actual Name</label>
-                        <input placeholder="manufacturer or long name" value={catalogItemForm.actualName} onChange={(e) => setCatalogItemForm((s) => ({ ...s, actualName: e.target.value }))} />
-                      </div>
-                      <div className="catalog-sub-row">
-                        <div>
-                          <label className="field-label">Subcategory Label</label>
-                          <input placeholder="example: HDPE Bottles" value={catalogItemForm.subCategory} onChange={(e) => setCatalogItemForm((s) => ({ ...s, subCategory: e.target.value }))} />
-                        </div>
-                        <button type="button" onClick={applySelectedSectionToItem}>Use Selected</button>
-                      </div>
-                    </div>
-                    <div>
-                      <label className="field-label">Product Image</label>
-                      <input
-                        type="file"
-                        accept="image/*"
-                        onChange={(e) => uploadFileToField(e.target.files?.[0], setCatalogItemForm)}
-                      />
-                    </div>
-                    {catalogItemForm.image ? <small>Image: {catalogItemForm.image}</small> : null}
-                    <div>
-                      <label className="field-label">Description</label>
-                      <textarea rows="3" placeholder="short product description" value={catalogItemForm.description} onChange={(e) => setCatalogItemForm((s) => ({ ...s, description: e.target.value }))} />
-                    </div>
-                    <div>
-                      <label className="field-label">Features (comma separated)</label>
-                      <input placeholder="example: Leak-proof, Food-grade, Durable" value={catalogItemForm.features} onChange={(e) => setCatalogItemForm((s) => ({ ...s, features: e.target.value }))} />
-                    </div>
-                    <div className="catalog-actions-row">
-                      <button type="submit" disabled={!isCatalogTargetReady}>
-                        {editingCatalogItemId
-                          ? `Update Item in ${selectedSub?.title || "Selected Subcategory"}`
-                          : `Create Item in ${selectedSub?.title || "Selected Subcategory"}`}
-                      </button>
-                      {editingCatalogItemId ? (
-                        <button type="button" className="secondary" onClick={() => { setCatalogItemForm(emptyCatalogItem); setEditingCatalogItemId(""); }}>
-                          Cancel Edit
-                        </button>
-                      ) : null}
-                    </div>
-                  </form>
-                </section>
-
-                <section className="catalog-card">
-                  <div className="catalog-step-title">Step 3: Search & Manage Items</div>
-                  <input
-                    placeholder="Search selected section products..."
-                    value={catalogSearch}
-                    onChange={(e) => setCatalogSearch(e.target.value)}
-                  />
-
-                  <div className="table-wrap">
-                    <table>
-                      <thead>
-                        <tr>
-                          <th>ID</th>
-                          <th>Name</th>
-                          <th>Description</th>
-                          <th>Image</th>
-                          <th>Actions</th>
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {selectedSubItemsFiltered.map((item) => (
-                          <tr key={item.id}>
-                            <td>{item.id}</td>
-                            <td>{item.name}</td>
-                            <td>{item.description || "-"}</td>
-                            <td>{item.image ? <img src={resolveImageUrl(item.image)} alt={item.name} /> : "-"}</td>
-                            <td>
-                              <button type="button" onClick={() => editCatalogItem(item)}>Edit</button>
-                              <button type="button" className="danger" onClick={() => deleteCatalogItem(item.id)}>Delete</button>
-                            </td>
-                          </tr>
-                        ))}
-                        {selectedSubItemsFiltered.length === 0 ? (
-                          <tr>
-                            <td colSpan="5">No products found for this section/search.</td>
-                          </tr>
-                        ) : null}
-                      </tbody>
-                    </table>
-                  </div>
-                </section>
-
-                <section className="catalog-card">
-                  <div className="catalog-summary-row">
-                    <div><strong>Total Catalog Products:</strong> {catalogItems.length}</div>
-                    <button type="button" onClick={() => setShowCatalogSummaryTable((s) => !s)}>
-                      {showCatalogSummaryTable ? "Hide Full List" : "Show Full List"}
-                    </button>
-                  </div>
-                  {showCatalogSummaryTable ? (
-                    <div className="table-wrap">
-                      <table>
-                        <thead>
-                          <tr>
-                            <th>ID</th>
-                            <th>Name</th>
-                            <th>Description</th>
-                            <th>Image</th>
-                            <th>Industry</th>
-                            <th>Category</th>
-                          </tr>
-                        </thead>
-                        <tbody>
-                          {catalogItems.slice(0, 120).map((item) => (
-                            <tr key={item.id}>
-                              <td>{item.id}</td>
-                              <td>{item.name}</td>
-                              <td>{item.description || "-"}</td>
-                              <td>{item.image ? <img src={resolveImageUrl(item.image)} alt={item.name} /> : "-"}</td>
-                              <td>{item.industry}</td>
-                              <td>{item.category}</td>
-                            </tr>
-                          ))}
-                        </tbody>
-                      </table>
-                    </div>
-                  ) : null}
-                </section>
-              </div>
-              </>
+              <CatalogEditor
+                catalogEntry={contentByKey.productCatalog}
+                catalogText={catalogText}
+                setCatalogText={setCatalogText}
+                catalogErrors={catalogErrors}
+                setCatalogErrors={setCatalogErrors}
+                upsertContent={upsertContent}
+                loadAll={loadAll}
+                setMessage={setMessage}
+              />
             ) : null}
 
             {productsView === "segments" ? (
@@ -1337,6 +938,10 @@ const DashboardPage = () => {
               </>
             ) : null}
 
+            {productsView === "pricing" ? (
+              <PricingPanel setMessage={setMessage} />
+            ) : null}
+
             {productsView === "page" ? (
               <>
                 <h3>Products Page Content</h3>
@@ -1384,10 +989,306 @@ const DashboardPage = () => {
           </div>
         ) : null}
 
+        {contentErrors ? (
+          <div className="catalog-errors">
+            <strong>
+              {contentErrors.title} not saved: fix these {contentErrors.errors.length} problems first
+            </strong>
+            <div className="table-wrap">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Field</th>
+                    <th>Problem</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {contentErrors.errors.map((error, index) => (
+                    <tr key={`${error.field}-${index}`}>
+                      <td>{error.field || "(whole entry)"}</td>
+                      <td>{error.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <button type="button" className="secondary" onClick={() => setContentErrors(null)}>
+              Dismiss
+            </button>
+          </div>
+        ) : null}
+
+        {contentConflict ? (
+          <div className="catalog-errors">
+            <strong>
+              {contentConflict.title} was saved by {contentConflict.current.draftUpdatedBy?.email || "another admin"}
+              {contentConflict.current.draftUpdatedAt
+                ? ` at ${new Date(contentConflict.current.draftUpdatedAt).toLocaleString()}`
+                : ""}{" "}
+              while you were editing. Your changes are not saved yet.
+            </strong>
+            {contentConflict.conflicts.length ? (
+              <p>
+                You both changed {formatFieldList(contentConflict.conflicts)}. Keep your version, or reload theirs and
+                redo your edits.
+              </p>
+            ) : (
+              <p>
+                {contentConflict.theirs.length ? <>They changed {formatFieldList(contentConflict.theirs)}. </> : null}
+                Your changes do not overlap with theirs, so both can be kept.
+              </p>
+            )}
+            <div className="catalog-actions-row">
+              {contentConflict.conflicts.length ? null : (
+                <button type="button" onClick={() => resolveContentConflict("merge")}>
+                  Merge and Save
+                </button>
+              )}
+              <button type="button" className="secondary" onClick={() => resolveContentConflict("reload")}>
+                Reload Their Version
+              </button>
+              <button
+                type="button"
+                className="secondary"
+                onClick={() => {
+                  if (window.confirm(`Overwrite the other changes to ${contentConflict.title} with yours?`)) {
+                    resolveContentConflict("mine");
+                  }
+                }}
+              >
+                Overwrite With Mine
+              </button>
+            </div>
+          </div>
+        ) : null}
+
+        {active === "trash" ? (
+          <>
+            <div className="panel-form">
+              <h3>Trash</h3>
+              <small>
+                Deleted products, content entries, leads, visitors, media files and documents stay here until they are
+                restored or the retention period ends. Media files are kept in a quarantine folder meanwhile.
+              </small>
+              <div className="catalog-actions-row">
+                <label className="field-label" htmlFor="trash-retention">Keep deleted items for (days)</label>
+                <input
+                  id="trash-retention"
+                  type="number"
+                  min="1"
+                  max="365"
+                  value={trashRetentionInput}
+                  onChange={(e) => setTrashRetentionInput(e.target.value)}
+                />
+                <button type="button" onClick={saveTrashRetention}>Save Retention</button>
+                <select value={trashKind} onChange={(e) => setTrashKind(e.target.value)}>
+                  <option value="">All kinds</option>
+                  {Object.entries(trashKindLabels).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <button type="button" className="danger" onClick={emptyTrash} disabled={!trash.entries.length}>
+                  Empty Trash
+                </button>
+              </div>
+            </div>
+            <div className="table-wrap">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Kind</th>
+                    <th>Item</th>
+                    <th>Deleted</th>
+                    <th>Deleted By</th>
+                    <th>Purged On</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {trash.entries.map((entry) => (
+                    <tr key={entry._id}>
+                      <td>{trashKindLabels[entry.kind] || entry.kind}</td>
+                      <td>{entry.label}</td>
+                      <td>{new Date(entry.deletedAt).toLocaleString()}</td>
+                      <td>{entry.deletedBy?.email || "-"}</td>
+                      <td>{new Date(entry.purgeAt).toLocaleDateString()}</td>
+                      <td>
+                        <button type="button" onClick={() => restoreTrashEntry(entry)}>Restore</button>
+                        <button type="button" className="danger" onClick={() => purgeTrashEntry(entry)}>
+                          Delete Forever
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                  {trash.entries.length === 0 ? (
+                    <tr>
+                      <td colSpan="6">The trash is empty.</td>
+                    </tr>
+                  ) : null}
+                </tbody>
+              </table>
+            </div>
+          </>
+        ) : null}
+
+        {active === "publishing" ? (
+          <>
+            <div className="panel-form">
+              <h3>Drafts & Publishing</h3>
+              <small>
+                Saving in any editor stores a draft. The public site only changes when the draft is published.
+              </small>
+            </div>
+            <div className="table-wrap">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Key</th>
+                    <th>Title</th>
+                    <th>Status</th>
+                    <th>Last Published</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {contentEntries.map((entry) => (
+                    <tr key={entry._id}>
+                      <td>{entry.key}</td>
+                      <td>{entry.title}</td>
+                      <td>
+                        {entry.hasDraft
+                          ? `Draft saved ${entry.draftUpdatedAt ? new Date(entry.draftUpdatedAt).toLocaleString() : ""}${entry.draftUpdatedBy?.email ? ` by ${entry.draftUpdatedBy.email}` : ""}`
+                          : entry.data === null
+                            ? "Never published"
+                            : "Published"}
+                      </td>
+                      <td>
+                        {entry.publishedAt
+                          ? `Rev ${entry.publishedRevision} - ${new Date(entry.publishedAt).toLocaleString()}${entry.publishedBy?.email ? ` by ${entry.publishedBy.email}` : ""}`
+                          : "-"}
+                      </td>
+                      <td>
+                        <div className="catalog-actions-row">
+                          {entry.hasDraft ? (
+                            <>
+                              <button type="button" onClick={() => publishContentEntry(entry)}>Publish</button>
+                              <button type="button" className="danger" onClick={() => discardContentDraft(entry)}>Discard Draft</button>
+                            </>
+                          ) : null}
+                          <button type="button" className="secondary" onClick={() => openContentHistory(entry)}>History</button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                  {contentEntries.length === 0 ? (
+                    <tr>
+                      <td colSpan="5">No content entries found.</td>
+                    </tr>
+                  ) : null}
+                </tbody>
+              </table>
+            </div>
+
+            {historyEntry ? (
+              <div className="panel-form">
+                <h3>Revision History: {historyEntry.title || historyEntry.key}</h3>
+                <div className="catalog-actions-row">
+                  <select value={diffRange.from} onChange={(e) => setDiffRange((s) => ({ ...s, from: e.target.value }))}>
+                    <option value="published">Published</option>
+                    {historyEntry.hasDraft ? <option value="draft">Draft</option> : null}
+                    {contentRevisions.map((revision) => (
+                      <option key={revision.revision} value={revision.revision}>Revision {revision.revision}</option>
+                    ))}
+                  </select>
+                  <span>compared to</span>
+                  <select value={diffRange.to} onChange={(e) => setDiffRange((s) => ({ ...s, to: e.target.value }))}>
+                    <option value="published">Published</option>
+                    {historyEntry.hasDraft ? <option value="draft">Draft</option> : null}
+                    {contentRevisions.map((revision) => (
+                      <option key={revision.revision} value={revision.revision}>Revision {revision.revision}</option>
+                    ))}
+                  </select>
+                  <button type="button" onClick={compareContentVersions}>Compare</button>
+                </div>
+
+                {contentDiff ? (
+                  <div className="table-wrap">
+                    <table>
+                      <thead>
+                        <tr>
+                          <th>Field</th>
+                          <th>Change</th>
+                          <th>Before</th>
+                          <th>After</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {contentDiff.changes.map((change) => (
+                          <tr key={`${change.type}-${change.path}`}>
+                            <td>{change.path || "(whole entry)"}</td>
+                            <td>{change.type}</td>
+                            <td>{formatDiffValue(change.before)}</td>
+                            <td>{formatDiffValue(change.after)}</td>
+                          </tr>
+                        ))}
+                        {contentDiff.changes.length === 0 ? (
+                          <tr>
+                            <td colSpan="4">No differences.</td>
+                          </tr>
+                        ) : null}
+                      </tbody>
+                    </table>
+                    {contentDiff.truncated ? <small>Showing the first {contentDiff.changes.length} changes.</small> : null}
+                  </div>
+                ) : null}
+
+                <div className="table-wrap">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Revision</th>
+                        <th>Published</th>
+                        <th>By</th>
+                        <th>Note</th>
+                        <th>Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {contentRevisions.map((revision) => (
+                        <tr key={revision.revision}>
+                          <td>
+                            {revision.revision}
+                            {revision.revision === historyEntry.publishedRevision ? " (live)" : ""}
+                          </td>
+                          <td>{revision.publishedAt ? new Date(revision.publishedAt).toLocaleString() : "-"}</td>
+                          <td>{revision.publishedBy?.email || "-"}</td>
+                          <td>{revision.note || "-"}</td>
+                          <td>
+                            {revision.revision !== historyEntry.publishedRevision ? (
+                              <button type="button" className="secondary" onClick={() => rollbackContentEntry(revision.revision)}>
+                                Roll Back to This
+                              </button>
+                            ) : null}
+                          </td>
+                        </tr>
+                      ))}
+                      {contentRevisions.length === 0 ? (
+                        <tr>
+                          <td colSpan="5">No revisions yet. The first publish starts the history.</td>
+                        </tr>
+                      ) : null}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            ) : null}
+          </>
+        ) : null}
+
         {active === "leads" ? (
           <>
             <div className="panel-form">
-              <h3>Leads (Contact Form)</h3>
+              <h3>Leads (Contact Form, Quote Requests & Document Downloads)</h3>
               <small>Total leads: {leads.length}</small>
             </div>
             <div className="table-wrap">
@@ -1406,32 +1307,87 @@ const DashboardPage = () => {
                 </thead>
                 <tbody>
                   {leads.map((lead) => (
-                    <tr key={lead._id}>
-                      <td>{lead.fullName || "-"}</td>
-                      <td>{lead.email || "-"}</td>
-                      <td>{lead.subject || "-"}</td>
-                      <td>{lead.message ? String(lead.message).slice(0, 120) : "-"}</td>
-                      <td>{lead.createdAt ? new Date(lead.createdAt).toLocaleString() : "-"}</td>
-                      <td>{lead.mailStatus || "-"}</td>
-                      <td>{lead.sentTo || "-"}</td>
-                      <td>
-                        <button
-                          type="button"
-                          className="danger"
-                          onClick={() => {
-                            if (!window.confirm("Delete this lead?")) return;
-                            api.deleteLead(lead._id)
-                              .then(() => {
-                                setLeads((prev) => prev.filter((item) => item._id !== lead._id));
-                                setMessage("Lead deleted");
-                              })
-                              .catch((error) => setMessage(error.message || "Failed to delete lead"));
-                          }}
-                        >
-                          Delete
-                        </button>
-                      </td>
-                    </tr>
+                    <Fragment key={lead._id}>
+                      <tr>
+                        <td>{lead.fullName || "-"}</td>
+                        <td>{lead.email || "-"}</td>
+                        <td>
+                          {lead.subject || "-"}
+                          {lead.type === "download" ? (
+                            <div>
+                              <small>
+                                {lead.company || "-"} | {lead.itemName || lead.itemId || "No item"}
+                              </small>
+                            </div>
+                          ) : null}
+                          {lead.type === "quote" ? (
+                            <div>
+                              <button
+                                type="button"
+                                className="secondary"
+                                onClick={() => setExpandedLeadId((current) => (current === lead._id ? "" : lead._id))}
+                              >
+                                {expandedLeadId === lead._id ? "Hide Quote" : `View Quote (${lead.quoteLines?.length || 0})`}
+                              </button>
+                            </div>
+                          ) : null}
+                        </td>
+                        <td>{lead.message ? String(lead.message).slice(0, 120) : "-"}</td>
+                        <td>{lead.createdAt ? new Date(lead.createdAt).toLocaleString() : "-"}</td>
+                        <td>{lead.mailStatus || "-"}</td>
+                        <td>{lead.sentTo || "-"}</td>
+                        <td>
+                          <button
+                            type="button"
+                            className="danger"
+                            onClick={() => {
+                              if (!window.confirm("Move this lead to the trash?")) return;
+                              api.deleteLead(lead._id)
+                                .then(() => {
+                                  setLeads((prev) => prev.filter((item) => item._id !== lead._id));
+                                  setMessage("Lead moved to trash");
+                                })
+                                .catch((error) => setMessage(error.message || "Failed to delete lead"));
+                            }}
+                          >
+                            Delete
+                          </button>
+                        </td>
+                      </tr>
+                      {lead.type === "quote" && expandedLeadId === lead._id ? (
+                        <tr>
+                          <td colSpan="8">
+                            <small>
+                              {[lead.company, lead.phone, lead.country].filter(Boolean).join(" | ") || "No company details"}
+                            </small>
+                            <table>
+                              <thead>
+                                <tr>
+                                  <th>Product</th>
+                                  <th>Item ID</th>
+                                  <th>Quantity</th>
+                                  <th>Color</th>
+                                  <th>Closure</th>
+                                  <th>Notes</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {(lead.quoteLines || []).map((line, index) => (
+                                  <tr key={`${line.itemId}-${index}`}>
+                                    <td>{line.name}</td>
+                                    <td>{line.itemId}</td>
+                                    <td>{Number(line.quantity).toLocaleString()}</td>
+                                    <td>{line.color || "-"}</td>
+                                    <td>{line.closure || "-"}</td>
+                                    <td>{line.notes || "-"}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </td>
+                        </tr>
+                      ) : null}
+                    </Fragment>
                   ))}
                   {leads.length === 0 ? (
                     <tr>
@@ -1999,14 +1955,22 @@ const DashboardPage = () => {
               </div>
               <div className="catalog-grid-2">
                 <div className="email-field">
-                  <label>SMTP password *</label>
+                  <label>SMTP password {emailSettings.smtpPassConfigured ? "(configured)" : "*"}</label>
                   <input
                     type={showEmailPassword ? "text" : "password"}
-                    placeholder="App password"
+                    placeholder={
+                      emailSettings.smtpPassConfigured ? "Leave blank to keep the saved password" : "App password"
+                    }
+                    autoComplete="new-password"
                     value={emailSettings.smtpPass || ""}
                     onChange={(e) => setEmailSettings((s) => ({ ...s, smtpPass: e.target.value }))}
                   />
                   {emailErrors.smtpPass ? <small className="field-error">{emailErrors.smtpPass}</small> : null}
+                  {emailSettings.smtpPassConfigured ? (
+                    <button type="button" className="secondary small" onClick={clearSmtpPassword}>
+                      Remove Saved Password
+                    </button>
+                  ) : null}
                 </div>
                 <button
                   type="button"
@@ -2037,24 +2001,18 @@ const DashboardPage = () => {
                     }
                     if (!emailSettings.smtpHost) nextErrors.smtpHost = "SMTP host is required.";
                     if (!emailSettings.smtpUser) nextErrors.smtpUser = "SMTP user is required.";
-                    if (!emailSettings.smtpPass) nextErrors.smtpPass = "SMTP password is required.";
+                    if (!emailSettings.smtpPass && !emailSettings.smtpPassConfigured) {
+                      nextErrors.smtpPass = "SMTP password is required.";
+                    }
                     if (!Number.isFinite(portNumber) || portNumber <= 0) {
                       nextErrors.smtpPort = "SMTP port must be a valid number.";
                     }
                     setEmailErrors(nextErrors);
                     if (Object.keys(nextErrors).length) return;
-                    const payload = { ...emailSettings, contactRecipients: uniqueRecipients.join(", ") };
-                    upsertContent("emailSettings", "Email Settings", payload)
-                      .then(() => {
-                        setEmailSettings((prev) => ({
-                          ...prev,
-                          ...payload,
-                          contactRecipients: payload.contactRecipients,
-                        }));
-                        setNewRecipient("");
-                        setEmailErrors({});
-                        setMessage("Email settings saved");
-                      });
+                    const { smtpPassConfigured: _configured, ...fields } = emailSettings;
+                    saveEmailSettings({ ...fields, contactRecipients: uniqueRecipients.join(", ") }).then(
+                      (saved) => saved && setNewRecipient("")
+                    );
                   }}
                 >
                   Save Email Settings
@@ -2221,12 +2179,12 @@ const DashboardPage = () => {
                       type="button"
                       className="danger"
                       onClick={() => {
-                        if (!window.confirm("Delete this media file?")) return;
+                        if (!window.confirm("Move this media file to the trash?")) return;
                         api.deleteMedia(file.name)
                           .then(() => {
                             return api.getMedia().then((files) => {
                               setMediaFiles(Array.isArray(files) ? files : []);
-                              setMessage("Media deleted");
+                              setMessage("Media moved to trash");
                             });
                           })
                           .catch((error) => setMessage(error.message || "Failed to delete media"));
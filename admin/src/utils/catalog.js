@@ -0,0 +1,131 @@
+// Helpers shared by the catalog editor, item documents and pricing panels. The option
+// lists follow what the server accepts: DOCUMENT_TYPES in server/services/mediaDocuments.js,
+// GALLERY_VIEWS in server/services/catalogGallery.js and STOCK_STATUSES in
+// server/services/catalogAvailability.js.
+
+export const catalogSpecFields = [
+  { key: "capacity", label: "Capacity", type: "number", placeholder: "example: 60" },
+  { key: "capacityUnit", label: "Capacity Unit", options: ["cc", "ml"] },
+  { key: "neckSizeMm", label: "Neck Size (mm)", type: "number", placeholder: "example: 28" },
+  { key: "neckThread", label: "Neck Thread", placeholder: "example: SP400" },
+  { key: "resin", label: "Resin", options: ["HDPE", "PET", "PP", "LDPE"] },
+  { key: "color", label: "Color", placeholder: "example: White" },
+  { key: "weightGrams", label: "Weight (g)", type: "number", placeholder: "example: 12" },
+  { key: "closureType", label: "Closure Type", options: ["CR", "CT", "Flip-top", "Other"] },
+  { key: "liner", label: "Liner / Heat Seal", placeholder: "example: Induction seal" },
+  { key: "heightMm", label: "Height (mm)", type: "number", placeholder: "example: 85" },
+  { key: "diameterMm", label: "Diameter (mm)", type: "number", placeholder: "example: 40" },
+];
+export const emptyCatalogSpecs = Object.fromEntries(catalogSpecFields.map((field) => [field.key, ""]));
+export const documentTypeOptions = [
+  { value: "drawing", label: "Technical Drawing" },
+  { value: "coa", label: "CoA Template" },
+  { value: "dmf", label: "DMF Letter" },
+  { value: "test-report", label: "Test Report (USP <661>)" },
+  { value: "other", label: "Other Document" },
+];
+export const galleryViewOptions = [
+  { value: "front", label: "Front" },
+  { value: "side", label: "Side" },
+  { value: "closure", label: "With Closure" },
+  { value: "drawing", label: "Technical Drawing" },
+  { value: "other", label: "Other" },
+];
+export const stockStatusOptions = [
+  { value: "in_stock", label: "In Stock" },
+  { value: "made_to_order", label: "Made to Order" },
+  { value: "discontinued", label: "Discontinued" },
+];
+export const emptyAvailability = { moq: "", leadTimeDays: "", stockStatus: "", sampleAvailable: false, replacementId: "" };
+export const toAvailabilityForm = (availability) => ({
+  moq: String(availability?.moq ?? ""),
+  leadTimeDays: String(availability?.leadTimeDays ?? ""),
+  stockStatus: availability?.stockStatus || "",
+  sampleAvailable: Boolean(availability?.sampleAvailable),
+  replacementId: availability?.replacementId || "",
+});
+export const toAvailability = (form) => {
+  const availability = {};
+  if (Number(form.moq) > 0) availability.moq = Math.round(Number(form.moq));
+  if (Number(form.leadTimeDays) > 0) availability.leadTimeDays = Math.round(Number(form.leadTimeDays));
+  if (form.stockStatus) availability.stockStatus = form.stockStatus;
+  if (form.sampleAvailable) availability.sampleAvailable = true;
+  if (form.replacementId) availability.replacementId = form.replacementId;
+  return availability;
+};
+export const toCatalogSpecs = (form) => {
+  const specs = {};
+  catalogSpecFields.forEach((field) => {
+    const value = String(form?.[field.key] ?? "").trim();
+    if (value) specs[field.key] = field.type === "number" ? Number(value) : value;
+  });
+  return specs;
+};
+// Cross-listed placements are { ref: "<item id>" } entries; see server/services/catalogStore.js
+export const isItemRef = (entry) => Boolean(entry) && typeof entry.ref === "string" && entry.id === undefined;
+export const forEachSubcategory = (catalog, callback) => {
+  Object.entries(catalog || {}).forEach(([industryKey, industry]) => {
+    Object.entries(industry?.categories || {}).forEach(([categoryKey, category]) => {
+      Object.entries(category?.subCategories || {}).forEach(([subKey, sub]) => {
+        callback(sub, { industryKey, categoryKey, subKey, industry, category });
+      });
+    });
+  });
+};
+export const catalogEntryId = (entry) => (isItemRef(entry) ? entry.ref : entry.id);
+// Moves the entry at `from` to position `to`, for drag-and-drop.
+export const reorderList = (list, from, to) => {
+  if (from === to || from < 0 || to < 0 || from >= list.length || to >= list.length) return list;
+  const next = [...list];
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next;
+};
+// Positions are saved as an explicit `order`, which the server and the public site sort by.
+export const withOrder = (entries) => entries.map((entry, order) => ({ ...entry, order }));
+export const reorderSections = (sections, fromKey, toKey) => {
+  const entries = Object.entries(sections || {});
+  const keys = entries.map(([key]) => key);
+  return Object.fromEntries(
+    reorderList(entries, keys.indexOf(fromKey), keys.indexOf(toKey)).map(([key, value], order) => [key, { ...value, order }])
+  );
+};
+export const indexCatalogItems = (catalog) => {
+  const byId = new Map();
+  forEachSubcategory(catalog, (sub) => {
+    (sub?.items || []).forEach((item) => {
+      if (!isItemRef(item) && !byId.has(item.id)) byId.set(item.id, item);
+    });
+  });
+  return byId;
+};
+// One row per placement, so a cross-listed item appears once for every location.
+export const flattenCatalogItems = (catalog) => {
+  const byId = indexCatalogItems(catalog);
+  const rows = [];
+  forEachSubcategory(catalog, (sub, { industryKey, categoryKey, subKey, industry, category }) => {
+    (sub?.items || []).forEach((entry) => {
+      const item = isItemRef(entry) ? byId.get(entry.ref) || { id: entry.ref, name: "(missing item)" } : entry;
+      rows.push({
+        id: item.id,
+        name: item.name || item.actualName || "",
+        description: item.description || "",
+        image: item.image || "",
+        industry: industry?.title || "",
+        category: category?.title || categoryKey,
+        subCategory: sub?.title || subKey,
+        crossListed: isItemRef(entry),
+        location: { industryKey, categoryKey, subKey },
+      });
+    });
+  });
+  return rows;
+};
+export const toKey = (raw) =>
+  String(raw || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+// Catalog item slugs and variant ids use dashes, matching server/services/catalogSlugs.js
+export const toSlug = (raw) => toKey(raw).replace(/_+/g, "-");
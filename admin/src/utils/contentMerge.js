@@ -0,0 +1,56 @@
+// Three-way merge used when a content save hits a version conflict (409). `base` is the
+// entry as this editor loaded it, `mine` what they tried to save and `theirs` what the
+// other admin saved in the meantime. Objects merge field by field at the top level;
+// arrays and other values only merge when one side left them unchanged.
+
+// Key order differs between what the server stores and what the forms rebuild, so
+// values are compared with their keys sorted.
+const stableJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "undefined";
+};
+
+const sameValue = (a, b) => stableJson(a) === stableJson(b);
+
+// One changed value in a diff table, cut short so a long array does not fill the screen.
+export const formatDiffValue = (value) => {
+  if (value === undefined) return "-";
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return text.length > 160 ? `${text.slice(0, 160)}...` : text;
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Returns { merged, conflicts, theirs }: `merged` holds both sides' changes, `conflicts`
+ * lists fields both admins changed differently ("" for the whole entry) and `theirs`
+ * lists fields taken from the other save. `merged` is only safe to save without conflicts.
+ */
+export const mergeContentChanges = (base, mine, theirs) => {
+  if (!isPlainObject(base) || !isPlainObject(mine) || !isPlainObject(theirs)) {
+    if (sameValue(base, theirs) || sameValue(mine, theirs)) return { merged: mine, conflicts: [], theirs: [] };
+    if (sameValue(base, mine)) return { merged: theirs, conflicts: [], theirs: [""] };
+    return { merged: theirs, conflicts: [""], theirs: [] };
+  }
+
+  const merged = {};
+  const conflicts = [];
+  const takenFromTheirs = [];
+  new Set([...Object.keys(base), ...Object.keys(mine), ...Object.keys(theirs)]).forEach((field) => {
+    const mineChanged = !sameValue(base[field], mine[field]);
+    const theirsChanged = !sameValue(base[field], theirs[field]);
+    if (mineChanged && theirsChanged && !sameValue(mine[field], theirs[field])) conflicts.push(field);
+    else if (theirsChanged && !mineChanged) takenFromTheirs.push(field);
+
+    const value = mineChanged ? mine[field] : theirs[field];
+    if (value !== undefined) merged[field] = value;
+  });
+  return { merged, conflicts, theirs: takenFromTheirs };
+};
@@ -1,6 +1,7 @@
 import { BrowserRouter as Router, Route, Routes, useLocation } from 'react-router-dom';
 import { useEffect } from 'react';
 import './App.css';
+import ContentProvider from './components/ContentProvider';
 import ErrorBoundary from './components/ErrorBoundary';
 import Footer from './components/Footer';
 import Navbar from './components/Navbar';
@@ -11,7 +12,9 @@ import Home from './pages/Home';
 import OurSegments from './pages/OurSegments';
 import ProductDetail from './pages/ProductDetail';
 import ProductList from './pages/ProductList';
+import QuoteBasket from './pages/QuoteBasket';
 import Products from './pages/Products';
+import SearchResults from './pages/SearchResults';
 import { trackVisitor } from './services/visitorApi';
 
 const VisitorTracker = () => {
@@ -27,25 +30,29 @@ const VisitorTracker = () => {
 function App() {
   return (
     <ErrorBoundary>
-      <Router>
-        <VisitorTracker />
-        <ScrollToTop />
-        <div className="app">
-          <Navbar />
-          <main>
-            <Routes>
-              <Route path="/" element={<Home />} />
-              <Route path="/about" element={<About />} />
-              <Route path="/products" element={<Products />} />
-              <Route path="/products/:id" element={<ProductList />} />
-              <Route path="/product/:id" element={<ProductDetail />} />
-              <Route path="/our-segments" element={<OurSegments />} />
-              <Route path="/contact" element={<Contact />} />
-            </Routes>
-          </main>
-          <Footer />
-        </div>
-      </Router>
+      <ContentProvider>
+        <Router>
+          <VisitorTracker />
+          <ScrollToTop />
+          <div className="app">
+            <Navbar />
+            <main>
+              <Routes>
+                <Route path="/" element={<Home />} />
+                <Route path="/about" element={<About />} />
+                <Route path="/products" element={<Products />} />
+                <Route path="/products/:id" element={<ProductList />} />
+                <Route path="/product/:id" element={<ProductDetail />} />
+                <Route path="/search" element={<SearchResults />} />
+                <Route path="/quote" element={<QuoteBasket />} />
+                <Route path="/our-segments" element={<OurSegments />} />
+                <Route path="/contact" element={<Contact />} />
+              </Routes>
+            </main>
+            <Footer />
+          </div>
+        </Router>
+      </ContentProvider>
     </ErrorBoundary>
   );
 }
@@ -0,0 +1,21 @@
+import { useEffect, useState } from 'react';
+import { loadContentBundle, refreshContent } from '../hooks/useContentData';
+import { subscribeToContentChanges } from '../services/contentApi';
+
+// Holds the site's single content-change stream and renders the app once the first-paint
+// bundle is in. The stream is opened before the bundle is requested, so a publish that
+// lands in between is still picked up, and the bundle stands in for the catch-up refresh
+// on the stream's first connection; useContentData refetches only the keys it names.
+const ContentProvider = ({ children }) => {
+    const [ready, setReady] = useState(false);
+
+    useEffect(() => {
+        const close = subscribeToContentChanges(refreshContent);
+        loadContentBundle().then(() => setReady(true));
+        return close;
+    }, []);
+
+    return ready ? children : null;
+};
+
+export default ContentProvider;
@@ -0,0 +1,132 @@
+import { useEffect, useState } from 'react';
+import { ChevronLeft, ChevronRight, X, ZoomIn } from 'lucide-react';
+import { resolveMediaUrl } from '../utils/media';
+import { getViewLabel } from '../utils/gallery';
+import './ImageGallery.css';
+
+const ZOOM_SCALE = 2.5;
+
+// Product photos with thumbnails and a full-screen viewer. In the viewer a click
+// toggles zoom and the zoomed image follows the pointer.
+const ImageGallery = ({ images, alt }) => {
+    const [activeIndex, setActiveIndex] = useState(0);
+    const [viewerOpen, setViewerOpen] = useState(false);
+    const [zoomed, setZoomed] = useState(false);
+    const [origin, setOrigin] = useState('50% 50%');
+    const count = images.length;
+    const active = images[Math.min(activeIndex, count - 1)];
+
+    const showImage = (index) => {
+        setActiveIndex((index + count) % count);
+        setZoomed(false);
+    };
+
+    const closeViewer = () => {
+        setViewerOpen(false);
+        setZoomed(false);
+    };
+
+    useEffect(() => {
+        if (!viewerOpen) return undefined;
+        const handleKey = (event) => {
+            if (event.key === 'Escape') closeViewer();
+            if (event.key === 'ArrowRight') showImage(activeIndex + 1);
+            if (event.key === 'ArrowLeft') showImage(activeIndex - 1);
+        };
+        window.addEventListener('keydown', handleKey);
+        return () => window.removeEventListener('keydown', handleKey);
+    });
+
+    if (!active) return null;
+
+    const handlePointerMove = (event) => {
+        const rect = event.currentTarget.getBoundingClientRect();
+        const x = ((event.clientX - rect.left) / rect.width) * 100;
+        const y = ((event.clientY - rect.top) / rect.height) * 100;
+        setOrigin(`${x}% ${y}%`);
+    };
+
+    return (
+        <div className="image-gallery">
+            <button
+                type="button"
+                className="image-container gallery-main"
+                onClick={() => setViewerOpen(true)}
+                aria-label="Open image viewer"
+            >
+                <img src={resolveMediaUrl(active.image)} alt={getViewLabel(active) ? `${alt} - ${getViewLabel(active)}` : alt} />
+                <span className="gallery-zoom-hint"><ZoomIn size={16} /> Click to zoom</span>
+            </button>
+
+            {count > 1 ? (
+                <div className="gallery-thumbs">
+                    {images.map((entry, index) => (
+                        <button
+                            type="button"
+                            key={`${entry.image}-${index}`}
+                            className={`gallery-thumb ${index === activeIndex ? 'active' : ''}`}
+                            onClick={() => showImage(index)}
+                            title={getViewLabel(entry)}
+                        >
+                            <img src={resolveMediaUrl(entry.image)} alt={getViewLabel(entry) || `${alt} ${index + 1}`} />
+                        </button>
+                    ))}
+                </div>
+            ) : null}
+
+            {viewerOpen ? (
+                <div className="gallery-viewer" role="dialog" aria-modal="true" aria-label={alt} onClick={closeViewer}>
+                    <button type="button" className="gallery-viewer-close" onClick={closeViewer} aria-label="Close viewer">
+                        <X size={28} />
+                    </button>
+                    {count > 1 ? (
+                        <button
+                            type="button"
+                            className="gallery-viewer-nav prev"
+                            onClick={(event) => {
+                                event.stopPropagation();
+                                showImage(activeIndex - 1);
+                            }}
+                            aria-label="Previous image"
+                        >
+                            <ChevronLeft size={32} />
+                        </button>
+                    ) : null}
+                    <div
+                        className={`gallery-viewer-stage ${zoomed ? 'zoomed' : ''}`}
+                        onClick={(event) => {
+                            event.stopPropagation();
+                            handlePointerMove(event);
+                            setZoomed(prev => !prev);
+                        }}
+                        onMouseMove={zoomed ? handlePointerMove : undefined}
+                    >
+                        <img
+                            src={resolveMediaUrl(active.image)}
+                            alt={alt}
+                            style={{ transform: zoomed ? `scale(${ZOOM_SCALE})` : 'none', transformOrigin: origin }}
+                        />
+                    </div>
+                    {count > 1 ? (
+                        <button
+                            type="button"
+                            className="gallery-viewer-nav next"
+                            onClick={(event) => {
+                                event.stopPropagation();
+                                showImage(activeIndex + 1);
+                            }}
+                            aria-label="Next image"
+                        >
+                            <ChevronRight size={32} />
+                        </button>
+                    ) : null}
+                    <p className="gallery-viewer-caption">
+                        {[getViewLabel(active), count > 1 ? `${activeIndex + 1} / ${count}` : ''].filter(Boolean).join(' | ')}
+                    </p>
+                </div>
+            ) : null}
+        </div>
+    );
+};
+
+export default ImageGallery;
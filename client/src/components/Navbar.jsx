@@ -1,8 +1,9 @@
-import { Link, NavLink, useLocation } from 'react-router-dom';
-import { Menu, X, ChevronDown, ChevronUp } from 'lucide-react';
+import { Link, NavLink, useLocation, useNavigate } from 'react-router-dom';
+import { Menu, X, ChevronDown, ChevronUp, Search, ClipboardList } from 'lucide-react';
 import { useState, useEffect } from 'react';
 import { NAV_LINKS } from '../utils/constants';
 import useContentData from '../hooks/useContentData';
+import useQuoteBasket from '../hooks/useQuoteBasket';
 import { resolveMediaUrl } from '../utils/media';
 import './Navbar.css';
 
@@ -17,7 +18,10 @@ const fallbackMarketSegments = [];
 const Navbar = () => {
   const [isOpen, setIsOpen] = useState(false);
   const [mobileSubmenu, setMobileSubmenu] = useState(null);
+  const [searchText, setSearchText] = useState('');
   const location = useLocation();
+  const navigate = useNavigate();
+  const { count: quoteCount } = useQuoteBasket();
   const { data: siteSettings } = useContentData('siteSettings', fallbackSiteSettings);
   const { data: marketSegments } = useContentData('marketSegments', fallbackMarketSegments);
   const navLinks = Array.isArray(siteSettings?.navLinks) && siteSettings.navLinks.length
@@ -43,6 +47,14 @@ const Navbar = () => {
     setMobileSubmenu(null);
   }, [location]);
 
+  const handleSearch = (event) => {
+    event.preventDefault();
+    const query = searchText.trim();
+    if (!query) return;
+    setSearchText('');
+    navigate(`/search?q=${encodeURIComponent(query)}`);
+  };
+
   return (
     <nav className="navbar">
       <div className="container nav-content">
@@ -107,6 +119,27 @@ const Navbar = () => {
               )}
             </li>
           ))}
+          <li className="nav-search">
+            <form onSubmit={handleSearch}>
+              <input
+                type="search"
+                placeholder="Search products"
+                value={searchText}
+                onChange={(e) => setSearchText(e.target.value)}
+                aria-label="Search products"
+              />
+              <button type="submit" aria-label="Search">
+                <Search size={16} />
+              </button>
+            </form>
+          </li>
+          <li className="nav-quote">
+            <NavLink to="/quote" aria-label={`Quote basket (${quoteCount} items)`}>
+              <ClipboardList size={18} />
+              <span>QUOTE</span>
+              {quoteCount > 0 ? <span className="nav-quote-count">{quoteCount}</span> : null}
+            </NavLink>
+          </li>
         </ul>
       </div>
     </nav>
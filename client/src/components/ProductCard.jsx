@@ -2,9 +2,11 @@ import React from 'react';
 import { Link } from 'react-router-dom';
 import { ArrowRight } from 'lucide-react';
 import { resolveMediaUrl } from '../utils/media';
+import { getProductPath } from '../data/products';
 import './ProductCard.css';
 
-const ProductCard = ({ product }) => {
+// `fromIndustry` tells the detail page which industry breadcrumb to show for cross-listed items.
+const ProductCard = ({ product, fromIndustry }) => {
     return (
         <div className="detail-card">
             <div className="detail-image">
@@ -13,8 +15,11 @@ const ProductCard = ({ product }) => {
             </div>
             <div className="detail-info">
                 <h3>{product.name}</h3>
+                {product.variants?.length > 0 && (
+                    <p className="detail-variants">{product.variants.length + 1} colors / materials</p>
+                )}
                 {product.description && <p className="detail-desc">{product.description}</p>}
-                <Link to={`/product/${product.id}`} className="btn-inquire">
+                <Link to={getProductPath(product)} state={{ fromIndustry: fromIndustry || product.industryId }} className="btn-inquire">
                     View Details <ArrowRight size={16} style={{ marginLeft: '6px' }} />
                 </Link>
             </div>
@@ -0,0 +1,117 @@
+import { useState } from 'react';
+import { FileText, Download, Lock } from 'lucide-react';
+import useItemDocuments from '../hooks/useItemDocuments';
+import { getDocumentDownloadUrl } from '../services/catalogApi';
+import { requestDocument } from '../services/contactApi';
+import { trackEvent } from '../utils/analytics';
+import './ProductDocuments.css';
+
+// Visitors who already requested one gated document don't retype their details.
+const REQUESTER_KEY = 'aethon_document_requester';
+
+const readRequester = () => {
+    try {
+        return JSON.parse(localStorage.getItem(REQUESTER_KEY)) || {};
+    } catch {
+        return {};
+    }
+};
+
+const formatSize = (bytes) => {
+    if (!bytes) return '';
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const ProductDocuments = ({ itemId }) => {
+    const documents = useItemDocuments(itemId);
+    const [openId, setOpenId] = useState('');
+    const [requester] = useState(readRequester);
+    const [status, setStatus] = useState({ id: '', type: '', text: '' });
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    if (documents.length === 0) return null;
+
+    const handleRequest = async (event, document) => {
+        event.preventDefault();
+        const formData = new FormData(event.currentTarget);
+        const details = {
+            fullName: String(formData.get('name') || '').trim(),
+            email: String(formData.get('email') || '').trim(),
+            company: String(formData.get('company') || '').trim(),
+        };
+
+        try {
+            setIsSubmitting(true);
+            const { token } = await requestDocument({ ...details, documentId: document._id, itemId });
+            localStorage.setItem(REQUESTER_KEY, JSON.stringify(details));
+            trackEvent('file_download', { file_type: document.documentType, item_id: itemId, gated: true });
+            setOpenId('');
+            setStatus({ id: document._id, type: 'success', text: 'Thank you. Your download has started.' });
+            window.location.assign(getDocumentDownloadUrl(document._id, token));
+        } catch (error) {
+            setStatus({ id: document._id, type: 'error', text: error.message || 'Failed to request document' });
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <section className="documents-section">
+            <h3>Documents &amp; Certificates</h3>
+            <ul className="documents-list">
+                {documents.map(document => (
+                    <li key={document._id} className="document-row">
+                        <div className="document-summary">
+                            <FileText size={22} className="document-icon" />
+                            <div className="document-text">
+                                <strong>{document.title}</strong>
+                                <span>
+                                    {[document.typeLabel, document.extension.toUpperCase(), formatSize(document.size)].filter(Boolean).join(' | ')}
+                                </span>
+                                {document.description ? <small>{document.description}</small> : null}
+                            </div>
+                            {document.gated ? (
+                                <button
+                                    type="button"
+                                    className="document-action"
+                                    onClick={() => setOpenId(current => (current === document._id ? '' : document._id))}
+                                >
+                                    <Lock size={16} /> Request Download
+                                </button>
+                            ) : (
+                                <a
+                                    href={getDocumentDownloadUrl(document._id)}
+                                    className="document-action"
+                                    onClick={() => trackEvent('file_download', { file_type: document.documentType, item_id: itemId })}
+                                >
+                                    <Download size={16} /> Download
+                                </a>
+                            )}
+                        </div>
+
+                        {openId === document._id ? (
+                            <form className="document-request-form" onSubmit={(event) => handleRequest(event, document)}>
+                                <p>Tell us who you are and the download starts right away.</p>
+                                <div className="document-request-fields">
+                                    <input type="text" name="name" placeholder="Full name *" defaultValue={requester.fullName || ''} required />
+                                    <input type="email" name="email" placeholder="Work email *" defaultValue={requester.email || ''} required />
+                                    <input type="text" name="company" placeholder="Company *" defaultValue={requester.company || ''} required />
+                                </div>
+                                <button type="submit" className="document-action" disabled={isSubmitting}>
+                                    {isSubmitting ? 'Please wait...' : 'Download'}
+                                </button>
+                            </form>
+                        ) : null}
+
+                        {status.id === document._id && status.text ? (
+                            <p className={`document-status ${status.type}`}>{status.text}</p>
+                        ) : null}
+                    </li>
+                ))}
+            </ul>
+        </section>
+    );
+};
+
+export default ProductDocuments;
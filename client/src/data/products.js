@@ -55,6 +55,7 @@ export const productData = {
                                 actualName: '60 CC/28 mm white HDPE Round bottle',
                                 subCategory: 'Pharmaceutical Bottles',
                                 image: p1Img,
+                                specs: { capacity: 60, capacityUnit: 'cc', neckSizeMm: 28, resin: 'HDPE', color: 'White' },
                                 description: 'Premium 60cc HDPE round bottle featuring a standard 28mm neck, designed for secure storage of pharmaceutical liquids and tablets.',
                                 features: [
                                     'Standard 28mm neck finish compatible with widespread closure systems.',
@@ -70,6 +71,7 @@ export const productData = {
                                 actualName: 'HDPE Bottles 40cc/33mm 01 (Lw)',
                                 subCategory: 'Pharmaceutical Bottles',
                                 image: p2Img,
+                                specs: { capacity: 40, capacityUnit: 'cc', neckSizeMm: 33, resin: 'HDPE' },
                                 description: 'Lightweight 40cc HDPE bottle with a wide 33mm neck, optimized for cost-effective pharmaceutical packaging.',
                                 features: [
                                     'Lightweight (Lw) design reduces material usage and shipping costs.',
@@ -85,6 +87,7 @@ export const productData = {
                                 actualName: '30 CC/28 mm white HDPE Round bottle',
                                 subCategory: 'Pharmaceutical Bottles',
                                 image: p3Img,
+                                specs: { capacity: 30, capacityUnit: 'cc', neckSizeMm: 28, resin: 'HDPE', color: 'White' },
                                 description: 'Compact 30cc round HDPE bottle with 28mm neck, perfect for travel-size or sample pharmaceutical doses.',
                                 features: [
                                     'Compact 30cc volume ideal for samples or travel packs.',
@@ -100,6 +103,7 @@ export const productData = {
                                 actualName: '10 ml White HDPE Bottle',
                                 subCategory: 'Pharmaceutical Bottles',
                                 image: bottleDropper,
+                                specs: { capacity: 10, capacityUnit: 'ml', resin: 'HDPE', color: 'White' },
                                 description: 'Precision 10ml white HDPE bottle, standard for ophthalmic and nasal drop applications.',
                                 features: [
                                     'Precision-molded 10ml volume for exact dosage delivery.',
@@ -115,6 +119,7 @@ export const productData = {
                                 actualName: '15 ml White HDPE Bottle',
                                 subCategory: 'Pharmaceutical Bottles',
                                 image: bottleDropper,
+                                specs: { capacity: 15, capacityUnit: 'ml', resin: 'HDPE', color: 'White' },
                                 description: '15ml white HDPE bottle designed for eye drops, ear drops, and diagnostic reagents.',
                                 features: [
                                     'Standard 15ml size suits typical treatment courses.',
@@ -130,6 +135,7 @@ export const productData = {
                                 actualName: '30 ml White HDPE Bottle',
                                 subCategory: 'Pharmaceutical Bottles',
                                 image: p3Img,
+                                specs: { capacity: 30, capacityUnit: 'ml', resin: 'HDPE', color: 'White' },
                                 description: 'Small 30ml HDPE bottle tailored for liquid oral dosage pharmaceuticals.',
                                 features: [
                                     '30ml volume specifically for pediatric or partial course dosages.',
@@ -145,6 +151,7 @@ export const productData = {
                                 actualName: '60 CC/33 mm Neck white HDPE Bottles',
                                 subCategory: 'Pharmaceutical Bottles',
                                 image: p1Img,
+                                specs: { capacity: 60, capacityUnit: 'cc', neckSizeMm: 33, resin: 'HDPE', color: 'White' },
                                 description: '60cc white HDPE bottle with a wider 33mm neck for easier filling of solid doses.',
                                 features: [
                                     '33mm wide neck reduces spillage during high-speed filling.',
@@ -160,6 +167,7 @@ export const productData = {
                                 actualName: '60 cc HDPE Bottle with 38 mm Neck',
                                 subCategory: 'Pharmaceutical Bottles',
                                 image: p1Img,
+                                specs: { capacity: 60, capacityUnit: 'cc', neckSizeMm: 38, resin: 'HDPE' },
                                 description: '60cc HDPE bottle with a wide 38mm neck, offering easy access for tablets.',
                                 features: [
                                     '38mm neck on a 60cc bottle allows for easy retrieval of contents.',
@@ -180,6 +188,7 @@ export const productData = {
                                 actualName: '500 mL 28 mm Flat DMF Amber PET Bottle',
                                 subCategory: 'Pharmaceutical Bottles',
                                 image: pet500mlImg,
+                                specs: { capacity: 500, capacityUnit: 'ml', neckSizeMm: 28, resin: 'PET', color: 'Amber' },
 
                                 description: '500mL amber PET bottle with 28mm flat DMF neck finish, designed for light-sensitive pharmaceutical formulations.',
                                 features: [
@@ -217,6 +226,7 @@ export const productData = {
                                 actualName: '28 mm CR closure with HS 130 liner',
                                 subCategory: 'CR Closures',
                                 image: crClosureHs130Img,
+                                specs: { neckSizeMm: 28, closureType: 'CR', liner: 'HS130' },
                                 description: 'Child-resistant closure with HS 130 heat seal liner for secure sealing.',
                                 features: [
                                     'Certified Child-Resistant (CR) push-and-turn mechanism.',
@@ -232,6 +242,7 @@ export const productData = {
                                 actualName: '28mm-SP400 "M" style CR closure with liner',
                                 subCategory: 'CR Closures',
                                 image: sp400MStyleImg,
+                                specs: { neckSizeMm: 28, neckThread: 'SP400', closureType: 'CR' },
                                 description: '28mm SP400 closure featuring "M" style design with protective liner.',
                                 features: [
                                     '"M" Style fine-ribbed outer shell offers improved grip for adults.',
@@ -247,6 +258,7 @@ export const productData = {
                                 actualName: '28 mm PP CR closure with liner HS035/25W',
                                 subCategory: 'CR Closures',
                                 image: ppCrHs035Img,
+                                specs: { neckSizeMm: 28, resin: 'PP', closureType: 'CR', liner: 'HS035/25W' },
                                 description: '28mm Polypropylene CR closure with high-performance HS035/25W liner.',
                                 features: [
                                     'HS035 liner creates a welded bond for maximum tamper evidence.',
@@ -262,6 +274,7 @@ export const productData = {
                                 actualName: '45 mm CR closure with liner HS035-0.025',
                                 subCategory: 'CR Closures',
                                 image: cr45mmHs035Img,
+                                specs: { neckSizeMm: 45, closureType: 'CR', liner: 'HS035-0.025' },
                                 description: 'Large 45mm child-resistant closure with precision HS035-0.025 liner.',
                                 features: [
                                     'Wide 45mm diameter allows for easy dispensing of tablets and powders.',
@@ -277,6 +290,7 @@ export const productData = {
                                 actualName: '45 mm CRC Closure – Aethon Plast',
                                 subCategory: 'CR Closures',
                                 image: cr45mmImg,
+                                specs: { neckSizeMm: 45, closureType: 'CR' },
                                 description: 'Premium 45mm CRC closure manufactured by Aethon Plast.',
                                 features: [
                                     'Proprietary Aethon Plast design for distinctive brand identity.',
@@ -292,6 +306,7 @@ export const productData = {
                                 actualName: '28 mm CR Closure 400-ARG Assembly (with liner)',
                                 subCategory: 'CR Closures',
                                 image: cr400ArgImg,
+                                specs: { neckSizeMm: 28, neckThread: '400', closureType: 'CR' },
                                 description: 'Complete 28mm CR closure assembly with 400-ARG finish (includes liner).',
                                 features: [
                                     '400-ARG finish designed specifically for strict pharmacopoeia compliance.',
@@ -307,6 +322,7 @@ export const productData = {
                                 actualName: '33 mm Child Resistant Cap / Closure (Assembly)',
                                 subCategory: 'CR Closures',
                                 image: safCap33Img,
+                                specs: { neckSizeMm: 33, closureType: 'CR' },
                                 description: '33mm child-resistant assembly for enhanced safety.',
                                 features: [
                                     '33mm size bridges gap between standard liquid and tablet finishes.',
@@ -322,6 +338,7 @@ export const productData = {
                                 actualName: '38 mm Child Resistant Cap / Closure (Assembly)',
                                 subCategory: 'CR Closures',
                                 image: safCap38AssyImg,
+                                specs: { neckSizeMm: 38, closureType: 'CR' },
                                 description: 'Robust 38mm child-resistant cap assembly.',
                                 features: [
                                     'Heavy-duty 38mm construction for bulk vitamin and supplement jars.',
@@ -337,6 +354,7 @@ export const productData = {
                                 actualName: '28 mm PP CR closure with liner TG II-TS',
                                 subCategory: 'CR Closures',
                                 image: ppCrHs035Img,
+                                specs: { neckSizeMm: 28, resin: 'PP', closureType: 'CR', liner: 'TG II-TS' },
                                 description: '28mm PP closure with TG II-TS liner for specific applications.',
                                 features: [
                                     'TG II-TS liner offers specific chemical resistance for aggressive solvents.',
@@ -352,6 +370,7 @@ export const productData = {
                                 actualName: '38 mm PP CR closure (HS035 HeatSeal / 20)',
                                 subCategory: 'CR Closures',
                                 image: safCap38Img,
+                                specs: { neckSizeMm: 38, resin: 'PP', closureType: 'CR', liner: 'HS035' },
                                 description: 'Heat-sealable 38mm PP CR closure (HS035 HeatSeal / 20).',
                                 features: [
                                     'HS035 HeatSeal liner provides universal sealing on multiple plastic types.',
@@ -367,6 +386,7 @@ export const productData = {
                                 actualName: 'Safevistop PP28 Tamper Evident CR Cap',
                                 subCategory: 'CR Closures',
                                 image: safevistopImg,
+                                specs: { neckSizeMm: 28, resin: 'PP', closureType: 'CR' },
                                 description: 'Tamper-evident PP28 cap for maximum security.',
                                 features: [
                                     'Dual-functionality: Child-Resistant + Tamper-Evident protection.',
@@ -387,6 +407,7 @@ export const productData = {
                                 actualName: '38 mm SAF Cap IIIA – Triveni Polymer',
                                 subCategory: 'SAF Caps',
                                 image: safCap38Img,
+                                specs: { neckSizeMm: 38 },
                                 description: '38mm SAF Cap IIIA designed for high reliability (Triveni Polymer).',
                                 features: [
                                     'SAF IIIA design standard for established safety and functionality.',
@@ -402,6 +423,7 @@ export const productData = {
                                 actualName: '33 mm SAF Cap IIIA – Triveni Polymer',
                                 subCategory: 'SAF Caps',
                                 image: safCap33Img,
+                                specs: { neckSizeMm: 33 },
                                 description: '33mm SAF Cap IIIA offering superior sealing performance (Triveni Polymer).',
                                 features: [
                                     'Compact 33mm SAF IIIA design for intermediate bottle sizes.',
@@ -422,6 +444,7 @@ export const productData = {
                                 actualName: '38 mm CT Closure – Pravesha Industries',
                                 subCategory: 'CT Closures',
                                 image: ctClosure38Img,
+                                specs: { neckSizeMm: 38, closureType: 'CT' },
                                 description: 'Standard 38mm Continuous Thread (CT) closure (Pravesha Industries).',
                                 features: [
                                     'Continuous Thread (CT) design allows for simple, intuitive operation.',
@@ -437,6 +460,7 @@ export const productData = {
                                 actualName: '38 mm PP CT closure (HS035 HeatSeal / 20)',
                                 subCategory: 'CT Closures',
                                 image: ppCtHeatsealImg,
+                                specs: { neckSizeMm: 38, resin: 'PP', closureType: 'CT', liner: 'HS035' },
                                 description: '38mm PP CT closure with heat seal capability (HS035 HeatSeal / 20).',
                                 features: [
                                     'Polypropylene construction offers excellent fatigue resistance.',
@@ -452,6 +476,7 @@ export const productData = {
                                 actualName: '14 mm White cap with inner ring',
                                 subCategory: 'CT Closures',
                                 image: whiteCap14Img,
+                                specs: { neckSizeMm: 14, color: 'White' },
                                 description: '14mm white continuous thread cap with inner ring seal for small pharmaceutical bottles.',
                                 features: [
                                     'Compact 14mm size ideal for small dropper bottles and vials.',
@@ -467,6 +492,7 @@ export const productData = {
                                 actualName: 'White Nasal cap with cover',
                                 subCategory: 'CT Closures',
                                 image: nasalCap18mmImg,
+                                specs: { color: 'White' },
                                 description: 'Specialized nasal spray cap with protective cover for pharmaceutical nasal delivery systems.',
                                 features: [
                                     'Designed specifically for nasal spray applications.',
@@ -569,6 +595,7 @@ export const productData = {
                                 actualName: 'HDPE Bottles 175CC/38 mm',
                                 subCategory: 'Nutraceutical Bottles',
                                 image: p5Img,
+                                specs: { capacity: 175, capacityUnit: 'cc', neckSizeMm: 38, resin: 'HDPE' },
                                 description: '175cc wide-mouth HDPE bottle with 38mm neck, specifically engineered for nutraceutical supplements.',
                                 features: [
                                     '38mm wide mouth allows for easy dispensing of large softgels.',
@@ -584,6 +611,7 @@ export const productData = {
                                 actualName: 'HDPE Bottle 120 CC/38 mm Neck Minimum',
                                 subCategory: 'Nutraceutical Bottles',
                                 image: p6Img,
+                                specs: { capacity: 120, capacityUnit: 'cc', neckSizeMm: 38, resin: 'HDPE' },
                                 description: '120cc "Minimum" style HDPE bottle with 38mm neck, balancing compactness with capacity.',
                                 features: [
                                     'Optimized "Minimum" height profile for shelf-space efficiency.',
@@ -599,6 +627,7 @@ export const productData = {
                                 actualName: '120cc HDPE Bottle with 38 mm Neck Mini',
                                 subCategory: 'Nutraceutical Bottles',
                                 image: p7Img,
+                                specs: { capacity: 120, capacityUnit: 'cc', neckSizeMm: 38, resin: 'HDPE' },
                                 description: 'Compact "Mini" 120cc HDPE bottle with 38mm neck, designed for portable supplement packaging.',
                                 features: [
                                     '"Mini" form factor serves portable and travel-ready market needs.',
@@ -614,6 +643,7 @@ export const productData = {
                                 actualName: '180 CC HDPE Bottle with 45 mm Neck',
                                 subCategory: 'Nutraceutical Bottles',
                                 image: p5Img,
+                                specs: { capacity: 180, capacityUnit: 'cc', neckSizeMm: 45, resin: 'HDPE' },
                                 description: '180cc HDPE packer bottle with a wide 45mm neck, facilitating easy filling of tablets and powders.',
                                 features: [
                                     '45mm extra-wide mouth optimizes automated filling speed.',
@@ -629,6 +659,7 @@ export const productData = {
                                 actualName: '120 CC/38 mm Neck white HDPE Bottles',
                                 subCategory: 'Nutraceutical Bottles',
                                 image: p6Img,
+                                specs: { capacity: 120, capacityUnit: 'cc', neckSizeMm: 38, resin: 'HDPE', color: 'White' },
                                 description: 'Standard 120cc white HDPE bottle featuring a 38mm neck, the industry workhorse for supplements.',
                                 features: [
                                     'Versatile 120cc capacity fits a wide range of supplement product lines.',
@@ -644,6 +675,7 @@ export const productData = {
                                 actualName: 'HDPE Bottles 120cc/38 mm Neck Minimum',
                                 subCategory: 'Nutraceutical Bottles',
                                 image: p6Img,
+                                specs: { capacity: 120, capacityUnit: 'cc', neckSizeMm: 38, resin: 'HDPE' },
                                 description: '120cc "Minimum" series HDPE bottle with 38mm neck, optimizing shelf density.',
                                 features: [
                                     'Engineered to "Minimum" dimensions for maximum shelf efficiency.',
@@ -664,6 +696,7 @@ export const productData = {
                                 actualName: '250 cc / 24 mm Neck Amber PET Bottle',
                                 subCategory: 'Nutraceutical Bottles',
                                 image: pet250ccImg,
+                                specs: { capacity: 250, capacityUnit: 'cc', neckSizeMm: 24, resin: 'PET', color: 'Amber' },
 
                                 description: '250cc amber PET bottle with 24mm neck finish, ideal for nutraceutical supplements requiring UV protection.',
                                 features: [
@@ -685,7 +718,10 @@ export const productData = {
                 subCategories: {
                     screw_caps: {
                         title: 'Screw Caps',
-                        items: []
+                        items: [
+                            { ref: '38mm-child-resistant-cap' },
+                            { ref: '38mm-saf-cap-iiia-triveni' }
+                        ]
                     }
                 }
             },
@@ -709,6 +745,7 @@ export const productData = {
                                 actualName: 'HDPE Bottle 225cc/38mm SP400 Neck System',
                                 subCategory: 'Cosmetic Bottles',
                                 image: p9Img,
+                                specs: { capacity: 225, capacityUnit: 'cc', neckSizeMm: 38, neckThread: 'SP400', resin: 'HDPE' },
                                 description: '225cc cosmetic-grade HDPE bottle featuring a 38mm SP400 neck system for premium product lines.',
                                 features: [
                                     'Sleek cosmetic design allows lead high-end branding applications.',
@@ -724,6 +761,7 @@ export const productData = {
                                 actualName: '60cc/38mm HDPE Bottle SP400 Neckstyle',
                                 subCategory: 'Cosmetic Bottles',
                                 image: bottleCosmetic,
+                                specs: { capacity: 60, capacityUnit: 'cc', neckSizeMm: 38, neckThread: 'SP400', resin: 'HDPE' },
                                 description: 'Compact 60cc HDPE bottle with 38mm SP400 neck, ideal for travel-size cosmetic applications.',
                                 features: [
                                     'Compact 60cc size meets TSA carry-on regulations.',
@@ -739,6 +777,7 @@ export const productData = {
                                 actualName: 'Round 40cc SP400 "M" Style HDPE bottles',
                                 subCategory: 'Cosmetic Bottles',
                                 image: p2Img,
+                                specs: { capacity: 40, capacityUnit: 'cc', neckThread: 'SP400', resin: 'HDPE' },
                                 description: 'Distinctive 40cc "M" Style round HDPE bottle with SP400 neck for specialized cosmetic packaging.',
                                 features: [
                                     'Unique "M" Style profile offers shelf differentiation.',
@@ -754,6 +793,7 @@ export const productData = {
                                 actualName: 'HDPE Bottles 90cc/33 mm SP400 Neck',
                                 subCategory: 'Cosmetic Bottles',
                                 image: bottleCosmetic,
+                                specs: { capacity: 90, capacityUnit: 'cc', neckSizeMm: 33, neckThread: 'SP400', resin: 'HDPE' },
                                 description: 'Versatile 90cc HDPE bottle with 33mm SP400 neck, perfectly sized for personal care products.',
                                 features: [
                                     '90cc volume ideal for mid-sized lotions or toners.',
@@ -769,6 +809,7 @@ export const productData = {
                                 actualName: '200cc SP400 M Style White HDPE bottle',
                                 subCategory: 'Cosmetic Bottles',
                                 image: bottleCosmetic,
+                                specs: { capacity: 200, capacityUnit: 'cc', neckThread: 'SP400', resin: 'HDPE', color: 'White' },
                                 description: 'Elegant 200cc "M" Style white HDPE bottle with SP400 neck for premium body care lines.',
                                 features: [
                                     'Generous 200cc size ideal for body lotions and washes.',
@@ -810,6 +851,7 @@ export const productData = {
                                 actualName: 'HDPE Bottles 500cc',
                                 subCategory: 'FMCG Bottles',
                                 image: p4Img,
+                                specs: { capacity: 500, capacityUnit: 'cc', resin: 'HDPE' },
                                 description: 'High-capacity 500cc HDPE bottle designed for bulk consumer goods and personal care products.',
                                 features: [
                                     'Large 500cc capacity serves bulk packaging needs efficiently.',
@@ -825,6 +867,7 @@ export const productData = {
                                 actualName: 'HDPE Bottles 300cc/45 mm',
                                 subCategory: 'FMCG Bottles',
                                 image: p8Img,
+                                specs: { capacity: 300, capacityUnit: 'cc', neckSizeMm: 45, resin: 'HDPE' },
                                 description: 'Robust 300cc HDPE bottle containing a wide 45mm neck for easy pouring and Scooping.',
                                 features: [
                                     'Extra-wide 45mm neck accommodates scoops for powders/proteins.',
@@ -840,6 +883,7 @@ export const productData = {
                                 actualName: '20 mm Neck 215 g white bottle',
                                 subCategory: 'FMCG Bottles',
                                 image: bottleFmcg,
+                                specs: { neckSizeMm: 20, color: 'White' },
                                 description: '215g weight white HDPE bottle offering substantial durability, featuring a 20mm neck.',
                                 features: [
                                     'Heavy-duty 215g weight allows for pressurized content.',
@@ -855,6 +899,7 @@ export const productData = {
                                 actualName: '750 CC HDPE Bottle with 53 mm Neck',
                                 subCategory: 'FMCG Bottles',
                                 image: bottleFmcg,
+                                specs: { capacity: 750, capacityUnit: 'cc', neckSizeMm: 53, resin: 'HDPE' },
                                 description: 'Large-scale 750cc HDPE bottle with 53mm neck, built for bulk consumer goods.',
                                 features: [
                                     'Massive 750cc volume for family-size or economy packs.',
@@ -889,6 +934,7 @@ export const productData = {
                                 actualName: 'CT Closure 53 mm with liner (HS123-20)',
                                 subCategory: 'CT Closures',
                                 image: ctClosure53Img,
+                                specs: { neckSizeMm: 53, closureType: 'CT', liner: 'HS123-20' },
                                 description: 'Wide 53mm CT closure with HS123-20 liner.',
                                 features: [
                                     'Extra-wide 53mm opening ideal for powders, protein mixes, and granules.',
@@ -904,6 +950,7 @@ export const productData = {
                                 actualName: 'CT Closure 38 mm with liner – Aethon Plast',
                                 subCategory: 'CT Closures',
                                 image: ctClosure38LineImg,
+                                specs: { neckSizeMm: 38, closureType: 'CT' },
                                 description: 'Quality 38mm CT closure with liner (Aethon Plast).',
                                 features: [
                                     'Aethon Plast quality assurance for reliable high-volume supply.',
@@ -919,6 +966,7 @@ export const productData = {
                                 actualName: 'Top cover with shampoo cap for 215g',
                                 subCategory: 'CT Closures',
                                 image: flipTop24mmImg,
+                                specs: { closureType: 'Flip-top' },
                                 description: 'Flip-top shampoo cap designed for 215g bottles, providing convenient dispensing for personal care products.',
                                 features: [
                                     'Flip-top design allows one-handed operation for shower use.',
@@ -936,69 +984,81 @@ export const productData = {
     }
 };
 
-export const getAllProductsFromCatalog = (catalog) => {
-    const allProducts = [];
-    Object.values(catalog || {}).forEach(industry => {
-        if (industry.categories) {
-            Object.values(industry.categories).forEach(category => {
-                if (category.subCategories) {
-                    Object.values(category.subCategories).forEach(subCat => {
-                        if (subCat.items) {
+// A cross-listed placement is stored as { ref: '<item id>' } and shows the item defined
+// elsewhere in the catalog, so there is one copy of its data to keep up to date.
+export const isItemRef = (entry) => Boolean(entry) && typeof entry.ref === 'string' && entry.id === undefined;
 
-                            const itemsWithMeta = subCat.items.map(item => ({
-                                ...item,
-                                industryId: industry.id,
-                                industryTitle: industry.title,
-                                categoryId: category.title.toLowerCase(),
-                                categoryTitle: category.title
-                            }));
-                            allProducts.push(...itemsWithMeta);
-                        }
+// Every placement of every item, resolved and tagged with its location. The API serves the
+// catalog already sorted by the `order` the dashboard saves.
+export const listCatalogPlacements = (catalog) => {
+    const definitions = new Map();
+    const placements = [];
+    Object.values(catalog || {}).forEach(industry => {
+        Object.entries(industry?.categories || {}).forEach(([catKey, category]) => {
+            Object.values(category?.subCategories || {}).forEach(subCat => {
+                (subCat?.items || []).forEach(entry => {
+                    if (!isItemRef(entry) && !definitions.has(entry.id)) definitions.set(entry.id, entry);
+                    placements.push({
+                        entry,
+                        industryId: industry.id,
+                        industryTitle: industry.title,
+                        categoryId: catKey,
+                        categoryTitle: category.title,
+                        subCategoryTitle: subCat.title,
                     });
-                }
+                });
             });
-        }
+        });
     });
-    return allProducts;
+    return placements
+        .map(({ entry, ...meta }) => {
+            const item = isItemRef(entry) ? definitions.get(entry.ref) : entry;
+            return item ? { item, crossListed: isItemRef(entry), ...meta } : null;
+        })
+        .filter(Boolean);
+};
+
+// Resolves the { ref } entries of one subcategory's item list against the whole catalog.
+export const resolveCatalogItems = (catalog, items) => {
+    if (!(items || []).some(isItemRef)) return items || [];
+    const byId = new Map(listCatalogPlacements(catalog).filter(p => !p.crossListed).map(p => [p.item.id, p.item]));
+    return items.map(entry => (isItemRef(entry) ? byId.get(entry.ref) : entry)).filter(Boolean);
+};
+
+export const getAllProductsFromCatalog = (catalog) => {
+    return listCatalogPlacements(catalog).map(({ item, industryId, industryTitle, categoryTitle }) => ({
+        ...item,
+        industryId,
+        industryTitle,
+        categoryId: categoryTitle.toLowerCase(),
+        categoryTitle,
+    }));
 };
 
 export const getAllProducts = () => {
     return getAllProductsFromCatalog(productData);
 };
 
-export const getProductByIdFromCatalog = (catalog, id) => {
-    let foundProduct = null;
-    let metaInfo = {};
+// `fromIndustry` picks the placement the visitor browsed from, for breadcrumbs;
+// otherwise the industry the item is defined in is used.
+export const getProductByIdFromCatalog = (catalog, id, fromIndustry) => {
+    const matches = listCatalogPlacements(catalog).filter(({ item }) => item.slug === id || item.id === id);
+    if (!matches.length) return null;
 
-    Object.values(catalog || {}).forEach(industry => {
-        if (industry.categories) {
-            Object.entries(industry.categories).forEach(([catKey, category]) => {
-                if (category.subCategories) {
-                    Object.values(category.subCategories).forEach(subCat => {
-                        if (subCat.items) {
-                            const product = subCat.items.find(p => p.id === id);
-                            if (product) {
-                                foundProduct = product;
-                                metaInfo = {
-                                    industryId: industry.id,
-                                    industryTitle: industry.title,
-                                    categoryId: catKey,
-                                    categoryTitle: category.title
-                                };
-                            }
-                        }
-                    });
-                }
-            });
-        }
-    });
-
-    if (foundProduct) {
-        return { ...foundProduct, ...metaInfo };
-    }
-    return null;
+    const home = matches.find(match => !match.crossListed) || matches[0];
+    const placement = matches.find(match => fromIndustry && match.industryId === fromIndustry) || home;
+    return {
+        ...home.item,
+        industryId: placement.industryId,
+        industryTitle: placement.industryTitle,
+        categoryId: placement.categoryId,
+        categoryTitle: placement.categoryTitle,
+    };
 };
 
+// Items are linked by their editable slug; the id stays fixed for the item's lifetime.
+export const getProductPath = (product) => `/product/${product.slug || product.id}`;
+
 export const getProductById = (id) => {
     return getProductByIdFromCatalog(productData, id);
 };
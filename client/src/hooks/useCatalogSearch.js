@@ -0,0 +1,37 @@
+import { useEffect, useState } from "react";
+import { searchCatalog } from "../services/catalogApi";
+
+const emptyFacets = { industries: [], categories: [], subcategories: [] };
+
+const useCatalogSearch = (query, { industry = "", category = "", subcategory = "", limit = 100 } = {}) => {
+  const trimmed = String(query || "").trim();
+  const requestKey = trimmed ? JSON.stringify([trimmed, industry, category, subcategory, limit]) : "";
+  const [response, setResponse] = useState({ key: "", data: null, error: "" });
+
+  useEffect(() => {
+    if (!requestKey) return undefined;
+    const controller = new AbortController();
+
+    searchCatalog({ q: trimmed, industry, category, subcategory, limit }, { signal: controller.signal })
+      .then((data) => setResponse({ key: requestKey, data, error: "" }))
+      .catch((error) => {
+        if (error.name === "AbortError") return;
+        setResponse({ key: requestKey, data: null, error: error.message || "Search failed" });
+      });
+
+    return () => controller.abort();
+  }, [requestKey, trimmed, industry, category, subcategory, limit]);
+
+  const current = requestKey && response.key === requestKey ? response : null;
+
+  return {
+    active: Boolean(requestKey),
+    loading: Boolean(requestKey) && !current,
+    error: current?.error || "",
+    results: current?.data?.results || [],
+    total: current?.data?.total || 0,
+    facets: current?.data?.facets || emptyFacets,
+  };
+};
+
+export default useCatalogSearch;
@@ -0,0 +1,31 @@
+import { useEffect, useState } from "react";
+import { getCompatibleItems } from "../services/catalogApi";
+
+// Closures that fit a bottle (or bottles that fit a closure), matched on neck finish by the server.
+const useCompatibleItems = (itemId) => {
+  const [response, setResponse] = useState({ key: "", data: null });
+
+  useEffect(() => {
+    if (!itemId) return undefined;
+    const controller = new AbortController();
+
+    getCompatibleItems(itemId, { signal: controller.signal })
+      .then((data) => setResponse({ key: itemId, data }))
+      .catch((error) => {
+        if (error.name === "AbortError") return;
+        setResponse({ key: itemId, data: null });
+      });
+
+    return () => controller.abort();
+  }, [itemId]);
+
+  const current = itemId && response.key === itemId ? response.data : null;
+
+  return {
+    role: current?.role || "",
+    neckFinish: current?.neckFinish || "",
+    items: current?.items || [],
+  };
+};
+
+export default useCompatibleItems;
@@ -1,37 +1,94 @@
-import { useEffect, useState } from "react";
-import { fetchContentByKey } from "../services/contentApi";
+import { useEffect, useSyncExternalStore } from "react";
+import { fetchContentBundle, fetchContentByKey } from "../services/contentApi";
+
+// One shared copy of every content entry the page uses, keyed by content key. Each
+// value is { data } once loaded or { failed: true }; keys still loading are absent.
+// ContentProvider refreshes entries when the server reports a change.
+const entries = new Map();
+const requests = new Map();
+const listeners = new Set();
+
+const emit = () => listeners.forEach((listener) => listener());
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Concurrent callers for the same key share one request. A failed refresh keeps the
+// data already shown.
+const loadContent = (key) => {
+  if (requests.has(key)) return requests.get(key);
+  const request = fetchContentByKey(key)
+    .then((response) => {
+      entries.set(key, { data: response?.data });
+    })
+    .catch(() => {
+      if (!entries.get(key)?.data) entries.set(key, { failed: true });
+    })
+    .finally(() => {
+      requests.delete(key);
+      emit();
+    });
+  requests.set(key, request);
+  return request;
+};
+
+// The bundle last applied: its version, to skip re-applying an unchanged one, and its
+// keys, which refresh with the bundle rather than one by one.
+let bundleVersion = null;
+let bundledKeys = new Set();
+let bundleRequest = null;
+
+const applyBundle = ({ version, keys = [], entries: bundled = {} }) => {
+  if (version && version === bundleVersion) return;
+  bundleVersion = version;
+  bundledKeys = new Set(keys);
+  keys.forEach((key) => {
+    entries.set(key, Object.hasOwn(bundled, key) ? { data: bundled[key] } : { failed: true });
+  });
+  emit();
+};
+
+// Fills the store from the content bundle; ContentProvider waits for it before the app
+// first renders, so pages start with real content instead of their fallbacks. Bundled
+// keys without published data are marked failed and use their fallback without another
+// request. Always resolves; if the bundle fails, each key loads on first use as before.
+export const loadContentBundle = () => {
+  if (!bundleRequest) {
+    bundleRequest = fetchContentBundle()
+      .then(applyBundle)
+      .catch(() => {
+        // Fall back to per-key requests.
+      })
+      .finally(() => {
+        bundleRequest = null;
+      });
+  }
+  return bundleRequest;
+};
+
+// Refetches the given keys. `null` means the change stream reconnected and may
+// have missed changes: the bundle is checked against its version and every other loaded
+// key is refetched. Changes that arrive while the bundle is loading wait for it, so the
+// keys it brings in are not skipped.
+export const refreshContent = async (keys) => {
+  if (bundleRequest) await bundleRequest;
+  if (!keys) {
+    await loadContentBundle();
+    return Promise.all([...entries.keys()].filter((key) => !bundledKeys.has(key)).map(loadContent));
+  }
+  return Promise.all(keys.filter((key) => entries.has(key)).map(loadContent));
+};
 
 const useContentData = (key, fallbackData) => {
-  const [data, setData] = useState(fallbackData);
-  const [loading, setLoading] = useState(true);
+  const entry = useSyncExternalStore(subscribe, () => entries.get(key));
 
   useEffect(() => {
-    let mounted = true;
-
-    const run = async () => {
-      try {
-        const response = await fetchContentByKey(key);
-        if (mounted && response?.data) {
-          setData(response.data);
-        }
-      } catch (error) {
-        if (mounted) {
-          setData(fallbackData);
-        }
-      } finally {
-        if (mounted) setLoading(false);
-      }
-    };
-
-    run();
-    const interval = setInterval(run, 5000);
-    return () => {
-      mounted = false;
-      clearInterval(interval);
-    };
-  }, [fallbackData, key]);
-
-  return { data, loading };
+    if (!entries.has(key)) loadContent(key);
+  }, [key]);
+
+  return { data: entry?.data || fallbackData, loading: !entry };
 };
 
 export default useContentData;
@@ -0,0 +1,25 @@
+import { useEffect, useState } from "react";
+import { getItemDocuments } from "../services/catalogApi";
+
+// Drawings, CoA templates and other documents attached to a catalog item.
+const useItemDocuments = (itemId) => {
+  const [response, setResponse] = useState({ key: "", data: [] });
+
+  useEffect(() => {
+    if (!itemId) return undefined;
+    const controller = new AbortController();
+
+    getItemDocuments(itemId, { signal: controller.signal })
+      .then((data) => setResponse({ key: itemId, data: Array.isArray(data) ? data : [] }))
+      .catch((error) => {
+        if (error.name === "AbortError") return;
+        setResponse({ key: itemId, data: [] });
+      });
+
+    return () => controller.abort();
+  }, [itemId]);
+
+  return itemId && response.key === itemId ? response.data : [];
+};
+
+export default useItemDocuments;
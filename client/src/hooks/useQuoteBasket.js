@@ -0,0 +1,79 @@
+import { useSyncExternalStore } from "react";
+
+const STORAGE_KEY = "aethon_quote_basket";
+const listeners = new Set();
+
+const readBasket = () => {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+// Snapshot is cached so useSyncExternalStore sees a stable reference between changes.
+let basket = readBasket();
+
+const writeBasket = (next) => {
+  basket = next;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  listeners.forEach((listener) => listener());
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  // Keep several open tabs on the same basket.
+  const onStorage = (event) => {
+    if (event.key !== STORAGE_KEY) return;
+    basket = readBasket();
+    listener();
+  };
+  window.addEventListener("storage", onStorage);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener("storage", onStorage);
+  };
+};
+
+const getSnapshot = () => basket;
+
+// Adding an item that is already in the basket replaces its quantity and choices.
+const addItem = (product, choices = {}) => {
+  const line = {
+    itemId: product.id,
+    slug: product.slug || "",
+    name: product.name,
+    image: product.image || "",
+    quantity: Math.max(1, Math.round(Number(choices.quantity) || 1)),
+    color: String(choices.color || "").trim(),
+    closure: String(choices.closure || "").trim(),
+    notes: String(choices.notes || "").trim(),
+  };
+  const index = basket.findIndex((entry) => entry.itemId === line.itemId);
+  writeBasket(index >= 0 ? basket.map((entry, i) => (i === index ? line : entry)) : [...basket, line]);
+};
+
+const updateItem = (itemId, changes) => {
+  writeBasket(basket.map((entry) => (entry.itemId === itemId ? { ...entry, ...changes } : entry)));
+};
+
+const removeItem = (itemId) => {
+  writeBasket(basket.filter((entry) => entry.itemId !== itemId));
+};
+
+const clearBasket = () => writeBasket([]);
+
+const useQuoteBasket = () => {
+  const items = useSyncExternalStore(subscribe, getSnapshot);
+  return {
+    items,
+    count: items.length,
+    addItem,
+    updateItem,
+    removeItem,
+    clearBasket,
+  };
+};
+
+export default useQuoteBasket;
@@ -0,0 +1,31 @@
+import { useEffect, useState } from "react";
+import { resolveItemSlug } from "../services/catalogApi";
+
+// Looks up a product URL the loaded catalog does not know, e.g. a slug that was renamed
+// after the link was shared. `slug` is empty when there is nothing to resolve.
+const useSlugRedirect = (slug) => {
+  const [response, setResponse] = useState({ key: "", data: null });
+
+  useEffect(() => {
+    if (!slug) return undefined;
+    const controller = new AbortController();
+
+    resolveItemSlug(slug, { signal: controller.signal })
+      .then((data) => setResponse({ key: slug, data }))
+      .catch((error) => {
+        if (error.name === "AbortError") return;
+        setResponse({ key: slug, data: null });
+      });
+
+    return () => controller.abort();
+  }, [slug]);
+
+  const settled = Boolean(slug) && response.key === slug;
+
+  return {
+    resolving: Boolean(slug) && !settled,
+    slug: settled && response.data?.slug !== slug ? response.data?.slug || "" : "",
+  };
+};
+
+export default useSlugRedirect;
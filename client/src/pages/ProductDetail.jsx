@@ -1,19 +1,42 @@
 import { useEffect, useState, useRef } from 'react';
-import { useParams, Link } from 'react-router-dom';
-import { Send, Check } from 'lucide-react';
-import { getProductByIdFromCatalog, productData } from '../data/products';
+import { useParams, useSearchParams, useLocation, Link, Navigate } from 'react-router-dom';
+import { Send, Check, ClipboardList, FileDown } from 'lucide-react';
+import { getProductByIdFromCatalog, getProductPath, productData } from '../data/products';
 import useContentData from '../hooks/useContentData';
+import useCompatibleItems from '../hooks/useCompatibleItems';
+import useQuoteBasket from '../hooks/useQuoteBasket';
+import useSlugRedirect from '../hooks/useSlugRedirect';
+import ProductDocuments from '../components/ProductDocuments';
+import ImageGallery from '../components/ImageGallery';
 import { COUNTRIES, COMPANY_NAME } from '../utils/constants';
 import useDocumentTitle from '../utils/useDocumentTitle';
 import { resolveMediaUrl } from '../utils/media';
+import { getSpecRows } from '../utils/specs';
+import { getGalleryImages, getVariant, mergeVariantSpecs } from '../utils/gallery';
+import { STOCK_STATUS_LABELS, getAvailabilityRows, isDiscontinued } from '../utils/availability';
 import { sendContactMessage } from '../services/contactApi';
+import { getSpecSheetUrl } from '../services/catalogApi';
 import { trackEvent } from '../utils/analytics';
 import './ProductDetail.css';
 
 const ProductDetail = () => {
     const { id } = useParams();
     const { data: catalogData } = useContentData('productCatalog', productData);
-    const product = getProductByIdFromCatalog(catalogData, id);
+    const location = useLocation();
+    const product = getProductByIdFromCatalog(catalogData, id, location.state?.fromIndustry);
+    const slugRedirect = useSlugRedirect(product ? '' : id);
+    const [searchParams, setSearchParams] = useSearchParams();
+    const variant = getVariant(product, searchParams.get('variant'));
+    const specs = mergeVariantSpecs(product?.specs, variant);
+    const specRows = getSpecRows(specs);
+    const availability = product?.availability || {};
+    const availabilityRows = getAvailabilityRows(availability);
+    const replacement = isDiscontinued(product) && availability.replacementId
+        ? getProductByIdFromCatalog(catalogData, availability.replacementId)
+        : null;
+    const compatible = useCompatibleItems(product?.id);
+    const quoteBasket = useQuoteBasket();
+    const basketLine = quoteBasket.items.find(line => line.itemId === product?.id);
 
     useDocumentTitle(product ? `${product.name} | ${COMPANY_NAME}` : `Product Not Found | ${COMPANY_NAME}`);
 
@@ -90,6 +113,46 @@ const ProductDetail = () => {
         }
     };
 
+    const selectVariant = (variantId) => {
+        setSearchParams((params) => {
+            const next = new URLSearchParams(params);
+            if (variantId) next.set('variant', variantId);
+            else next.delete('variant');
+            return next;
+        }, { replace: true });
+        if (variantId) {
+            trackEvent('select_variant', { product_id: product.id, variant_id: variantId });
+        }
+    };
+
+    const handleAddToQuote = (event) => {
+        event.preventDefault();
+        const formData = new FormData(event.currentTarget);
+        quoteBasket.addItem(product, {
+            quantity: formData.get('quantity'),
+            color: formData.get('color'),
+            closure: formData.get('closure'),
+        });
+        trackEvent('add_to_quote', {
+            product_id: product.id,
+            product_name: product.name,
+        });
+    };
+
+    const search = searchParams.toString() ? `?${searchParams}` : '';
+
+    if (!product && slugRedirect.slug) {
+        return <Navigate to={`/product/${slugRedirect.slug}${search}`} state={location.state} replace />;
+    }
+
+    if (!product && slugRedirect.resolving) {
+        return (
+            <div className="product-detail-page container" style={{ padding: '100px 0', textAlign: 'center' }}>
+                <p>Loading product...</p>
+            </div>
+        );
+    }
+
     if (!product) {
         return (
             <div className="product-detail-page container" style={{ padding: '100px 0', textAlign: 'center' }}>
@@ -99,6 +162,11 @@ const ProductDetail = () => {
         );
     }
 
+    // Internal ids still work as URLs but the slug is the canonical address.
+    if (id !== (product.slug || product.id)) {
+        return <Navigate to={`${getProductPath(product)}${search}`} state={location.state} replace />;
+    }
+
     return (
         <div className="product-detail-page">
             {showToast && (
@@ -123,15 +191,58 @@ const ProductDetail = () => {
 
                 <div className="product-detail-wrapper">
                     <div className="product-image-section">
-                        <div className="image-container">
-                            <img src={resolveMediaUrl(product.image)} alt={product.name} />
-                        </div>
-
+                        <ImageGallery
+                            key={`${product.id}-${variant?.id || ''}`}
+                            images={getGalleryImages(product, variant)}
+                            alt={variant ? `${product.name} (${variant.label})` : product.name}
+                        />
                     </div>
 
                     <div className="product-info-section">
                         <h1>{product.name}</h1>
 
+                        {isDiscontinued(product) && (
+                            <div className="discontinued-notice" role="status">
+                                This product has been discontinued.
+                                {replacement && (
+                                    <>
+                                        {' '}Suggested replacement:{' '}
+                                        <Link to={getProductPath(replacement)}>{replacement.name}</Link>
+                                    </>
+                                )}
+                            </div>
+                        )}
+
+                        {product.variants?.length > 0 && (
+                            <div className="variant-selector">
+                                <span className="variant-selector-label">
+                                    Color / Material: <strong>{variant?.label || product.specs?.color || 'Standard'}</strong>
+                                </span>
+                                <div className="variant-options">
+                                    <button
+                                        type="button"
+                                        className={`variant-option ${variant ? '' : 'active'}`}
+                                        onClick={() => selectVariant('')}
+                                        aria-pressed={!variant}
+                                    >
+                                        {product.specs?.color || 'Standard'}
+                                    </button>
+                                    {product.variants.map(option => (
+                                        <button
+                                            type="button"
+                                            key={option.id}
+                                            className={`variant-option ${variant?.id === option.id ? 'active' : ''}`}
+                                            onClick={() => selectVariant(option.id)}
+                                            aria-pressed={variant?.id === option.id}
+                                        >
+                                            {option.swatch ? <span className="variant-swatch" style={{ background: option.swatch }} /> : null}
+                                            {option.label}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+
                         <div className="product-details-content">
                             <h3>Product Details</h3>
                             <ul className="feature-list">
@@ -141,6 +252,58 @@ const ProductDetail = () => {
                             </ul>
                         </div>
 
+                        {specRows.length > 0 && (
+                            <div className="product-details-content">
+                                <h3>Technical Specifications</h3>
+                                <table className="spec-table">
+                                    <tbody>
+                                        {specRows.map(row => (
+                                            <tr key={row.key}>
+                                                <th scope="row">{row.label}</th>
+                                                <td>{row.value}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+
+                        {(availability.stockStatus || availabilityRows.length > 0 || availability.sampleAvailable) && (
+                            <div className="product-details-content">
+                                <h3>Availability</h3>
+                                <div className="availability-badges">
+                                    {availability.stockStatus && (
+                                        <span className={`availability-badge ${availability.stockStatus}`}>
+                                            {STOCK_STATUS_LABELS[availability.stockStatus]}
+                                        </span>
+                                    )}
+                                    {availability.sampleAvailable && (
+                                        <span className="availability-badge sample">Samples available</span>
+                                    )}
+                                </div>
+                                {availabilityRows.length > 0 && (
+                                    <table className="spec-table">
+                                        <tbody>
+                                            {availabilityRows.map(row => (
+                                                <tr key={row.key}>
+                                                    <th scope="row">{row.label}</th>
+                                                    <td>{row.value}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                )}
+                            </div>
+                        )}
+
+                        <a
+                            href={getSpecSheetUrl(product.id)}
+                            className="spec-sheet-download"
+                            onClick={() => trackEvent('file_download', { file_type: 'spec_sheet', item_id: product.id })}
+                        >
+                            <FileDown size={18} /> Download Spec Sheet (PDF)
+                        </a>
+
                         <button
                             onClick={handleInquireClick}
                             className={`inquire-btn-toggle ${showForm ? 'active' : ''}`}
@@ -148,9 +311,61 @@ const ProductDetail = () => {
                         >
                             INQUIRE NOW
                         </button>
+
+                        <form key={`${product.id}-${variant?.id || ''}`} className="quote-add-form" onSubmit={handleAddToQuote}>
+                            <div className="quote-add-fields">
+                                <label>
+                                    Quantity
+                                    <input type="number" name="quantity" min="1" step="1" defaultValue={basketLine?.quantity || 1000} required />
+                                </label>
+                                <label>
+                                    Color
+                                    <input type="text" name="color" defaultValue={variant ? variant.specs?.color || variant.label : basketLine?.color ?? (product.specs?.color || '')} placeholder="e.g. White" />
+                                </label>
+                                {compatible.role === 'bottle' && compatible.items.length > 0 ? (
+                                    <label>
+                                        Closure
+                                        <select name="closure" defaultValue={basketLine?.closure || ''}>
+                                            <option value="">No closure</option>
+                                            {compatible.items.map(item => (
+                                                <option key={item.id} value={item.name}>{item.name}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                ) : null}
+                            </div>
+                            <button type="submit" className="quote-add-btn">
+                                <ClipboardList size={18} /> {basketLine ? 'UPDATE QUOTE BASKET' : 'ADD TO QUOTE'}
+                            </button>
+                            {basketLine ? (
+                                <Link to="/quote" className="quote-add-link">
+                                    In your quote basket ({quoteBasket.count} products) - view basket
+                                </Link>
+                            ) : null}
+                        </form>
                     </div>
                 </div>
 
+                <ProductDocuments key={product.id} itemId={product.id} />
+
+                {compatible.items.length > 0 && (
+                    <section className="compatible-section">
+                        <h3>
+                            {compatible.role === 'bottle' ? 'Compatible Closures' : 'Compatible Bottles'}
+                            {compatible.neckFinish ? <span className="compatible-finish">{compatible.neckFinish} neck finish</span> : null}
+                        </h3>
+                        <div className="compatible-grid">
+                            {compatible.items.map(item => (
+                                <Link key={item.id} to={getProductPath(item)} state={{ fromIndustry: product.industryId }} className="compatible-card">
+                                    <img src={resolveMediaUrl(item.image)} alt={item.name} loading="lazy" />
+                                    <span className="compatible-name">{item.name}</span>
+                                    {item.neckFinish ? <span className="compatible-meta">{item.neckFinish}</span> : null}
+                                </Link>
+                            ))}
+                        </div>
+                    </section>
+                )}
+
                 {showForm && (
                     <div ref={formRef} className="inquiry-form-container">
                         <p className="form-note"><span className="red-quote">“*“</span> indicates required fields</p>
@@ -1,31 +1,59 @@
-import { useEffect, useState, useMemo, useRef } from 'react';
+import { useCallback, useEffect, useState, useMemo, useRef } from 'react';
 import { useParams, Link, useSearchParams } from 'react-router-dom';
-import { ArrowLeft, ArrowRight, ChevronDown, ChevronRight } from 'lucide-react';
+import { ArrowLeft, ArrowRight, ChevronDown, ChevronRight, FileDown } from 'lucide-react';
 import './ProductList.css';
-import { productData } from '../data/products';
+import { productData, resolveCatalogItems } from '../data/products';
 import useContentData from '../hooks/useContentData';
+import useCatalogSearch from '../hooks/useCatalogSearch';
 import ProductCard from '../components/ProductCard';
-
+import { SPEC_FILTERS, buildSpecFilterOptions, matchesSpecFilters } from '../utils/specs';
+import {
+    AVAILABILITY_FILTERS,
+    buildAvailabilityFilterOptions,
+    isDiscontinued,
+    matchesAvailabilityFilters,
+} from '../utils/availability';
+import { PRODUCT_SORTS, sortProducts } from '../utils/productSort';
+import { getBrochureUrl } from '../services/catalogApi';
+import { trackEvent } from '../utils/analytics';
+
+const ITEMS_PER_PAGE = 12;
+
+const readFilters = (searchParams, keys) =>
+    Object.fromEntries(keys.filter(key => searchParams.get(key)).map(key => [key, searchParams.get(key)]));
+
+const clearFilters = (keys) => Object.fromEntries(keys.map(key => [key, '']));
+
+// Every filter, the sort and the page live in the query string so a view can be bookmarked,
+// shared and restored with the back button.
 const ProductList = () => {
     const { id } = useParams();
-    const [searchParams] = useSearchParams();
+    const [searchParams, setSearchParams] = useSearchParams();
     const queryCategory = searchParams.get('category');
     const querySearch = searchParams.get('search') || '';
+    const activeSub = searchParams.get('sub') || 'All';
+    const searchIndustry = searchParams.get('industry') || '';
+    const sort = searchParams.get('sort') || '';
+    const requestedPage = Math.max(1, Number.parseInt(searchParams.get('page'), 10) || 1);
+    const specFilters = useMemo(() => readFilters(searchParams, SPEC_FILTERS), [searchParams]);
+    const availabilityFilters = useMemo(() => readFilters(searchParams, AVAILABILITY_FILTERS), [searchParams]);
     const { data: catalogData } = useContentData('productCatalog', productData);
 
     const industryData = useMemo(() => {
         return catalogData[id] || null;
     }, [id, catalogData]);
 
+    // Discontinued items stay reachable by URL but are not listed.
     const groupedData = useMemo(() => {
         if (!industryData || !industryData.categories) return {};
+        const listed = (items) => resolveCatalogItems(catalogData, items).filter(item => !isDiscontinued(item));
 
         let data = {};
 
         if (queryCategory && industryData.categories[queryCategory.toLowerCase()]) {
             const cat = industryData.categories[queryCategory.toLowerCase()];
-            Object.entries(cat.subCategories).forEach(([subKey, subData]) => {
-                data[subData.title] = subData.items;
+            Object.values(cat.subCategories).forEach(subData => {
+                data[subData.title] = listed(subData.items);
             });
         } else {
             Object.values(industryData.categories).forEach(cat => {
@@ -33,18 +61,30 @@ const ProductList = () => {
                 if (cat.subCategories) {
                     const subGroups = {};
                     Object.values(cat.subCategories).forEach(sub => {
-                        subGroups[sub.title] = sub.items;
+                        subGroups[sub.title] = listed(sub.items);
                     });
                     data[groupTitle] = subGroups;
                 }
             });
         }
         return data;
-    }, [industryData, queryCategory]);
+    }, [catalogData, industryData, queryCategory]);
 
     const hasData = Object.keys(groupedData).length > 0;
 
-    const [activeSub, setActiveSub] = useState('All');
+    // Changing a filter starts again from page 1. `replace` keeps typing out of the history.
+    const updateParams = useCallback((changes, { replace = false, keepPage = false } = {}) => {
+        setSearchParams(prev => {
+            const next = new URLSearchParams(prev);
+            Object.entries(changes).forEach(([key, value]) => {
+                if (value) next.set(key, value);
+                else next.delete(key);
+            });
+            if (!keepPage) next.delete('page');
+            return next;
+        }, { replace });
+    }, [setSearchParams]);
+
     const [expandedKeys, setExpandedKeys] = useState({});
 
     useEffect(() => {
@@ -66,26 +106,24 @@ const ProductList = () => {
         });
     };
 
-    const [currentPage, setCurrentPage] = useState(1);
-    const ITEMS_PER_PAGE = 12;
-
-    const [searchQuery, setSearchQuery] = useState('');
-    const [debouncedSearchQuery, setDebouncedSearchQuery] = useState('');
+    // The input updates immediately; the URL (and with it the search) follows once typing pauses.
+    const [searchQuery, setSearchQuery] = useState(querySearch);
+    const [syncedSearch, setSyncedSearch] = useState(querySearch);
+    if (syncedSearch !== querySearch) {
+        setSyncedSearch(querySearch);
+        setSearchQuery(querySearch);
+    }
+    const debouncedSearchQuery = querySearch;
+    const search = useCatalogSearch(debouncedSearchQuery, { industry: searchIndustry });
 
     useEffect(() => {
-        const timer = setTimeout(() => setDebouncedSearchQuery(searchQuery), 300);
+        if (searchQuery === syncedSearch) return undefined;
+        const timer = setTimeout(() => {
+            setSyncedSearch(searchQuery);
+            updateParams({ search: searchQuery }, { replace: true });
+        }, 300);
         return () => clearTimeout(timer);
-    }, [searchQuery]);
-
-    useEffect(() => {
-        if (querySearch && querySearch !== searchQuery) {
-            setSearchQuery(querySearch);
-        }
-    }, [querySearch, searchQuery]);
-
-    useEffect(() => {
-        setCurrentPage(1);
-    }, [activeSub, id, queryCategory, debouncedSearchQuery]);
+    }, [searchQuery, syncedSearch, updateParams]);
 
     const allProducts = useMemo(() => {
         let products = [];
@@ -97,7 +135,14 @@ const ProductList = () => {
         return products;
     }, [groupedData]);
 
-    const displayedProducts = useMemo(() => {
+    const matchedProducts = useMemo(() => {
+        // Server search spans every industry; the local filter below is only a fallback.
+        if (search.active && !search.error) {
+            return activeSub === 'All'
+                ? search.results
+                : search.results.filter(item => item.subCategoryTitle === activeSub);
+        }
+
         let filtered = [];
 
         if (activeSub === 'All') {
@@ -120,21 +165,39 @@ const ProductList = () => {
             );
         }
         return filtered;
-    }, [activeSub, allProducts, groupedData, debouncedSearchQuery]);
+    }, [activeSub, allProducts, groupedData, debouncedSearchQuery, search.active, search.error, search.results]);
+
+    const specFilterOptions = useMemo(() => buildSpecFilterOptions(matchedProducts), [matchedProducts]);
+    const availabilityFilterOptions = useMemo(() => buildAvailabilityFilterOptions(matchedProducts), [matchedProducts]);
+
+    const displayedProducts = useMemo(
+        () => sortProducts(
+            matchedProducts.filter(item =>
+                matchesSpecFilters(item, specFilters) && matchesAvailabilityFilters(item, availabilityFilters)
+            ),
+            sort
+        ),
+        [matchedProducts, specFilters, availabilityFilters, sort]
+    );
+
+    const handleFilterChange = (key, value) => {
+        updateParams({ [key]: value });
+    };
 
     const totalPages = Math.ceil(displayedProducts.length / ITEMS_PER_PAGE);
+    // A bookmarked page past the end (e.g. after products were removed) shows the last one.
+    const currentPage = Math.min(requestedPage, Math.max(totalPages, 1));
     const paginatedProducts = displayedProducts.slice(
         (currentPage - 1) * ITEMS_PER_PAGE,
         currentPage * ITEMS_PER_PAGE
     );
 
     const handlePageChange = (p) => {
-        if (p >= 1 && p <= totalPages) setCurrentPage(p);
+        if (p >= 1 && p <= totalPages) updateParams({ page: p > 1 ? String(p) : '' }, { keepPage: true });
     };
 
     const handleSubClick = (parentKey, sub) => {
-        setActiveSub(sub);
-        setCurrentPage(1);
+        updateParams({ sub });
         setExpandedKeys({ [parentKey]: true });
     };
 
@@ -165,6 +228,13 @@ const ProductList = () => {
                     </div>
                     <h1>{industryData.title}</h1>
                     <p>{industryData.description}</p>
+                    <a
+                        href={getBrochureUrl(id)}
+                        className="brochure-download"
+                        onClick={() => trackEvent('file_download', { file_type: 'brochure', industry: id })}
+                    >
+                        <FileDown size={18} /> Download Brochure (PDF)
+                    </a>
                 </div>
             </div>
 
@@ -175,7 +245,7 @@ const ProductList = () => {
                         <nav className="sidebar-nav">
                             <button
                                 className={`sidebar-link ${activeSub === 'All' ? 'active' : ''}`}
-                                onClick={() => setActiveSub('All')}
+                                onClick={() => updateParams({ sub: '' })}
                                 style={{ fontWeight: 'bold', marginBottom: '10px' }}
                             >
                                 All Products
@@ -207,23 +277,109 @@ const ProductList = () => {
                                 </div>
                             ))}
                         </nav>
+
+                        {specFilterOptions.length > 0 && (
+                            <div className="spec-filter-panel">
+                                <div className="sidebar-group-title">Specifications</div>
+                                {specFilterOptions.map(filter => (
+                                    <label key={filter.key} className="spec-filter">
+                                        <span>{filter.label}</span>
+                                        <select
+                                            value={specFilters[filter.key] || ''}
+                                            onChange={(e) => handleFilterChange(filter.key, e.target.value)}
+                                        >
+                                            <option value="">Any</option>
+                                            {filter.options.map(option => (
+                                                <option key={option} value={option}>{option}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                ))}
+                                {Object.values(specFilters).some(Boolean) && (
+                                    <button className="spec-filter-clear" onClick={() => updateParams(clearFilters(SPEC_FILTERS))}>
+                                        Clear specifications
+                                    </button>
+                                )}
+                            </div>
+                        )}
+
+                        {availabilityFilterOptions.length > 0 && (
+                            <div className="spec-filter-panel">
+                                <div className="sidebar-group-title">Ordering</div>
+                                {availabilityFilterOptions.map(filter => (
+                                    <label key={filter.key} className="spec-filter">
+                                        <span>{filter.label}</span>
+                                        <select
+                                            value={availabilityFilters[filter.key] || ''}
+                                            onChange={(e) => handleFilterChange(filter.key, e.target.value)}
+                                        >
+                                            <option value="">Any</option>
+                                            {filter.options.map(option => (
+                                                <option key={option.value} value={option.value}>{option.label}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                ))}
+                                {Object.values(availabilityFilters).some(Boolean) && (
+                                    <button className="spec-filter-clear" onClick={() => updateParams(clearFilters(AVAILABILITY_FILTERS))}>
+                                        Clear ordering filters
+                                    </button>
+                                )}
+                            </div>
+                        )}
                     </aside>
 
                     <main className="product-main-content">
                         <div className="product-search-bar">
                             <input
                                 type="text"
-                                placeholder={`Search ${industryData.title}...`}
+                                placeholder="Search all products (e.g. 28mm CR, HS035)..."
                                 value={searchQuery}
                                 onChange={(e) => setSearchQuery(e.target.value)}
                                 className="search-input"
                             />
                         </div>
 
+                        <div className="product-sort-bar">
+                            <span className="product-count">
+                                {displayedProducts.length} product{displayedProducts.length === 1 ? '' : 's'}
+                            </span>
+                            <label>
+                                Sort by{' '}
+                                <select value={sort} onChange={(e) => updateParams({ sort: e.target.value })}>
+                                    {PRODUCT_SORTS.map(option => (
+                                        <option key={option.value} value={option.value}>{option.label}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        </div>
+
+                        {search.active && !search.error && search.facets.industries.length > 0 && (
+                            <div className="search-facet-row">
+                                <button
+                                    className={`facet-chip ${searchIndustry === '' ? 'active' : ''}`}
+                                    onClick={() => updateParams({ industry: '' })}
+                                >
+                                    All industries ({search.facets.industries.reduce((sum, facet) => sum + facet.count, 0)})
+                                </button>
+                                {search.facets.industries.map(facet => (
+                                    <button
+                                        key={facet.key}
+                                        className={`facet-chip ${searchIndustry === facet.key ? 'active' : ''}`}
+                                        onClick={() => updateParams({ industry: facet.key })}
+                                    >
+                                        {facet.title} ({facet.count})
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+
                         <div className="product-list-grid">
-                            {paginatedProducts.length > 0 ? (
+                            {search.loading ? (
+                                <p className="no-products-msg">Searching...</p>
+                            ) : paginatedProducts.length > 0 ? (
                                 paginatedProducts.map(item => (
-                                    <ProductCard key={item.id} product={item} />
+                                    <ProductCard key={`${item.industryId || id}-${item.id}`} product={item} fromIndustry={item.industryId || id} />
                                 ))
                             ) : (
                                 <p className="no-products-msg">No products found matching your criteria.</p>
@@ -1,10 +1,12 @@
 
-import { useMemo, useState } from 'react';
+import { useEffect, useMemo, useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { ArrowRight } from 'lucide-react';
 import useContentData from '../hooks/useContentData';
 import { resolveMediaUrl } from '../utils/media';
 import { productData, getAllProductsFromCatalog } from '../data/products';
+import { isDiscontinued } from '../utils/availability';
+import { fetchPricedProducts } from '../services/productApi';
 const pharmaImg = '/assets/segment_pharma_1769615897321.png';
 const nutraImg = '/assets/segment_nutra_1769616067190.png';
 const cosmeticImg = '/assets/pharma_banner_bottles_1769614352905.png';
@@ -50,6 +52,14 @@ const fallbackProductsPage = {
     ctaButtonText: 'Contact Us'
 };
 
+const formatPrice = ({ amount, currency }) => {
+    try {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: 4 }).format(amount);
+    } catch {
+        return `${amount} ${currency}`;
+    }
+};
+
 const Products = () => {
     const { data } = useContentData('marketSegments', fallbackCategories);
     const { data: productsPage } = useContentData('productsPage', fallbackProductsPage);
@@ -57,13 +67,21 @@ const Products = () => {
     const resolvedPage = { ...fallbackProductsPage, ...(productsPage || {}) };
     const categories = Array.isArray(data) ? data : fallbackCategories;
     const [searchQuery, setSearchQuery] = useState('');
-    const [searchMessage, setSearchMessage] = useState('');
+    const [pricedProducts, setPricedProducts] = useState([]);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        fetchPricedProducts({ signal: controller.signal })
+            .then(setPricedProducts)
+            .catch(() => {});
+        return () => controller.abort();
+    }, []);
     const navigate = useNavigate();
 
     const suggestions = useMemo(() => {
         const query = searchQuery.trim().toLowerCase();
         if (!query) return [];
-        const allProducts = getAllProductsFromCatalog(catalogData);
+        const allProducts = getAllProductsFromCatalog(catalogData).filter((item) => !isDiscontinued(item));
         const matches = allProducts.filter((item) =>
             (item.name || '').toLowerCase().includes(query) ||
             (item.actualName || '').toLowerCase().includes(query) ||
@@ -86,20 +104,7 @@ const Products = () => {
         event.preventDefault();
         const query = searchQuery.trim();
         if (!query) return;
-        const allProducts = getAllProductsFromCatalog(catalogData);
-        const lowerQuery = query.toLowerCase();
-        const match = allProducts.find((item) =>
-            (item.name || '').toLowerCase().includes(lowerQuery) ||
-            (item.actualName || '').toLowerCase().includes(lowerQuery) ||
-            (item.description || '').toLowerCase().includes(lowerQuery) ||
-            (item.subCategory || '').toLowerCase().includes(lowerQuery)
-        );
-        if (match?.industryId) {
-            setSearchMessage('');
-            navigate(`/products/${match.industryId}?search=${encodeURIComponent(query)}`);
-        } else {
-            setSearchMessage('No matching products found.');
-        }
+        navigate(`/search?q=${encodeURIComponent(query)}`);
     };
 
     return (
@@ -116,10 +121,7 @@ const Products = () => {
                                 type="text"
                                 placeholder="Search products..."
                                 value={searchQuery}
-                                onChange={(e) => {
-                                    setSearchQuery(e.target.value);
-                                    setSearchMessage('');
-                                }}
+                                onChange={(e) => setSearchQuery(e.target.value)}
                                 style={{
                                     width: '100%',
                                     padding: '10px 12px',
@@ -146,7 +148,6 @@ const Products = () => {
                                             onClick={() => {
                                                 const query = item.name || item.actualName || '';
                                                 setSearchQuery(query);
-                                                setSearchMessage('');
                                                 if (item.industryId) {
                                                     navigate(`/products/${item.industryId}?search=${encodeURIComponent(query)}`);
                                                 }
@@ -169,11 +170,6 @@ const Products = () => {
                                     ))}
                                 </div>
                             )}
-                            {searchMessage && (
-                                <div style={{ marginTop: '6px', color: '#b91c1c', fontSize: '12px' }}>
-                                    {searchMessage}
-                                </div>
-                            )}
                         </form>
                     </div>
                 </div>
@@ -197,6 +193,31 @@ const Products = () => {
                 </div>
             </div>
 
+            {pricedProducts.length ? (
+                <div className="container products-section">
+                    <h2 className="priced-products-title">Ready-to-Order Products</h2>
+                    <div className="products-grid">
+                        {pricedProducts.map((product) => (
+                            <div key={product._id} className="product-card">
+                                {product.image ? (
+                                    <div className="product-image-wrapper">
+                                        <img src={resolveMediaUrl(product.image)} alt={product.name} />
+                                    </div>
+                                ) : null}
+                                <div className="product-info">
+                                    <h3>{product.name}</h3>
+                                    {product.description ? <p>{product.description}</p> : null}
+                                    <span className="product-price">
+                                        Indicative price from {formatPrice(product.indicativePrice)} per unit
+                                    </span>
+                                    <Link to="/contact" className="btn-product-view">Request a Quote <ArrowRight size={16} /></Link>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            ) : null}
+
             <div className="container cta-section">
                 <h2>{resolvedPage.ctaTitle}</h2>
                 <p>{resolvedPage.ctaDescription}</p>
@@ -0,0 +1,171 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Send, Trash2 } from 'lucide-react';
+import useQuoteBasket from '../hooks/useQuoteBasket';
+import useDocumentTitle from '../utils/useDocumentTitle';
+import { COUNTRIES, COMPANY_NAME } from '../utils/constants';
+import { resolveMediaUrl } from '../utils/media';
+import { getProductPath } from '../data/products';
+import { sendQuoteRequest } from '../services/contactApi';
+import { trackEvent } from '../utils/analytics';
+import './Pages.css';
+import './QuoteBasket.css';
+
+const QuoteBasket = () => {
+    useDocumentTitle(`Request a Quote | ${COMPANY_NAME}`);
+    const { items, updateItem, removeItem, clearBasket } = useQuoteBasket();
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [submitState, setSubmitState] = useState({ type: '', text: '' });
+    const [lineErrors, setLineErrors] = useState({});
+
+    const handleSubmit = async (event) => {
+        event.preventDefault();
+        const formEl = event.currentTarget;
+        const formData = new FormData(formEl);
+
+        try {
+            setIsSubmitting(true);
+            setSubmitState({ type: '', text: '' });
+            setLineErrors({});
+            const response = await sendQuoteRequest({
+                fullName: String(formData.get('name') || '').trim(),
+                email: String(formData.get('email') || '').trim(),
+                phone: String(formData.get('phone') || '').trim(),
+                company: String(formData.get('company') || '').trim(),
+                country: String(formData.get('country') || '').trim(),
+                message: String(formData.get('message') || '').trim(),
+                items: items.map(({ itemId, quantity, color, closure, notes }) => ({
+                    itemId,
+                    quantity,
+                    color,
+                    closure,
+                    notes,
+                })),
+            });
+            trackEvent('contact_submit', {
+                method: 'quote_basket',
+                item_count: items.length,
+            });
+            clearBasket();
+            formEl.reset();
+            setSubmitState({
+                type: 'success',
+                text: response?.message || 'Quote request sent successfully.',
+            });
+        } catch (error) {
+            setLineErrors(error.lineErrors || {});
+            setSubmitState({
+                type: 'error',
+                text: error.message || 'Failed to send quote request',
+            });
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="quote-page">
+            <div className="page-header">
+                <div className="container">
+                    <h1>Request a Quote</h1>
+                    <p>Collect the products you need, then send one request for pricing and availability.</p>
+                </div>
+            </div>
+
+            <div className="section">
+                <div className="container">
+                    {items.length === 0 ? (
+                        <div className="quote-empty">
+                            {submitState.type === 'success' ? (
+                                <p className="quote-status success">{submitState.text}</p>
+                            ) : (
+                                <p>Your quote basket is empty.</p>
+                            )}
+                            <Link to="/products" className="btn btn-primary">Browse Products</Link>
+                        </div>
+                    ) : (
+                        <>
+                            <div className="quote-lines">
+                                {items.map((item, index) => (
+                                    <div key={item.itemId} className={`quote-line ${lineErrors[index] ? 'has-error' : ''}`}>
+                                        <Link to={getProductPath({ id: item.itemId, slug: item.slug })} className="quote-line-product">
+                                            <img src={resolveMediaUrl(item.image)} alt={item.name} />
+                                            <span>{item.name}</span>
+                                        </Link>
+                                        <label>
+                                            Quantity
+                                            <input
+                                                type="number"
+                                                min="1"
+                                                step="1"
+                                                className="form-control"
+                                                value={item.quantity}
+                                                onChange={(e) => updateItem(item.itemId, { quantity: Math.max(1, Math.round(Number(e.target.value) || 1)) })}
+                                            />
+                                        </label>
+                                        <label>
+                                            Color
+                                            <input
+                                                type="text"
+                                                className="form-control"
+                                                placeholder="e.g. White"
+                                                value={item.color}
+                                                onChange={(e) => updateItem(item.itemId, { color: e.target.value })}
+                                            />
+                                        </label>
+                                        <label>
+                                            Closure
+                                            <input
+                                                type="text"
+                                                className="form-control"
+                                                placeholder="e.g. 28mm CR Closure"
+                                                value={item.closure}
+                                                onChange={(e) => updateItem(item.itemId, { closure: e.target.value })}
+                                            />
+                                        </label>
+                                        <button
+                                            type="button"
+                                            className="quote-line-remove"
+                                            onClick={() => removeItem(item.itemId)}
+                                            aria-label={`Remove ${item.name}`}
+                                        >
+                                            <Trash2 size={18} />
+                                        </button>
+                                        {lineErrors[index] ? <p className="quote-line-error">{lineErrors[index]}</p> : null}
+                                    </div>
+                                ))}
+                            </div>
+
+                            <form className="quote-form" onSubmit={handleSubmit}>
+                                <h3>Your Details</h3>
+                                <div className="quote-form-grid">
+                                    <input type="text" name="name" className="form-control" placeholder="Full name *" required />
+                                    <input type="email" name="email" className="form-control" placeholder="Email *" required />
+                                    <input type="tel" name="phone" className="form-control" placeholder="Phone" />
+                                    <input type="text" name="company" className="form-control" placeholder="Company" />
+                                    <select name="country" className="form-control" defaultValue="">
+                                        <option value="">Select Country</option>
+                                        {COUNTRIES.map((country) => (
+                                            <option key={country} value={country}>
+                                                {country}
+                                            </option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <textarea name="message" className="form-control" rows="4" placeholder="Anything else we should know (decoration, delivery location, timelines)"></textarea>
+                                {submitState.text ? (
+                                    <p className={`quote-status ${submitState.type}`}>{submitState.text}</p>
+                                ) : null}
+                                <button type="submit" className="quote-submit" disabled={isSubmitting}>
+                                    {isSubmitting ? 'Sending...' : `Send Quote Request (${items.length})`} <Send size={18} />
+                                </button>
+                            </form>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default QuoteBasket;
@@ -0,0 +1,154 @@
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { ArrowLeft, ArrowRight } from 'lucide-react';
+import './ProductList.css';
+import useCatalogSearch from '../hooks/useCatalogSearch';
+import ProductCard from '../components/ProductCard';
+import useDocumentTitle from '../utils/useDocumentTitle';
+import { COMPANY_NAME } from '../utils/constants';
+
+const ITEMS_PER_PAGE = 12;
+
+const FACET_GROUPS = [
+    { param: 'industry', facet: 'industries', title: 'Industry' },
+    { param: 'category', facet: 'categories', title: 'Category' },
+    { param: 'subcategory', facet: 'subcategories', title: 'Subcategory' },
+];
+
+const SearchResults = () => {
+    const [searchParams, setSearchParams] = useSearchParams();
+    const query = searchParams.get('q') || '';
+    const filters = {
+        industry: searchParams.get('industry') || '',
+        category: searchParams.get('category') || '',
+        subcategory: searchParams.get('subcategory') || '',
+    };
+    const [searchText, setSearchText] = useState(query);
+    const [currentPage, setCurrentPage] = useState(1);
+    const [lastQuery, setLastQuery] = useState(query);
+    const search = useCatalogSearch(query, filters);
+
+    // A new query from the navbar resets the local search box and paging.
+    if (lastQuery !== query) {
+        setLastQuery(query);
+        setSearchText(query);
+        setCurrentPage(1);
+    }
+
+    useDocumentTitle(query ? `Search: ${query} | ${COMPANY_NAME}` : `Search | ${COMPANY_NAME}`);
+
+    const updateParams = (changes) => {
+        const next = new URLSearchParams(searchParams);
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value) next.set(key, value);
+            else next.delete(key);
+        });
+        setSearchParams(next);
+        setCurrentPage(1);
+    };
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+        updateParams({ q: searchText.trim(), industry: '', category: '', subcategory: '' });
+    };
+
+    const totalPages = Math.ceil(search.results.length / ITEMS_PER_PAGE);
+    const paginatedProducts = search.results.slice(
+        (currentPage - 1) * ITEMS_PER_PAGE,
+        currentPage * ITEMS_PER_PAGE
+    );
+
+    return (
+        <div className="product-list-page">
+            <div className="product-list-header">
+                <div className="container">
+                    <div className="breadcrumb-nav">
+                        <Link to="/products" className="breadcrumb-link">Products</Link>
+                        <span className="breadcrumb-separator">»</span>
+                        <span className="breadcrumb-current">Search</span>
+                    </div>
+                    <h1>{query ? `Results for "${query}"` : 'Search Products'}</h1>
+                    <p>
+                        {search.active && !search.loading
+                            ? `${search.total} matching product${search.total === 1 ? '' : 's'} across all industries.`
+                            : 'Search by name, neck size, closure type or part code such as HS035 or SP400.'}
+                    </p>
+                </div>
+            </div>
+
+            <div className="container">
+                <div className="product-layout-container">
+                    <aside className="product-sidebar">
+                        <nav className="sidebar-nav">
+                            {FACET_GROUPS.map(({ param, facet, title }) => (
+                                search.facets[facet].length > 0 && (
+                                    <div key={param} className="sidebar-group">
+                                        <div className="sidebar-group-title">{title}</div>
+                                        <button
+                                            className={`sidebar-link ${filters[param] ? '' : 'active'}`}
+                                            onClick={() => updateParams({ [param]: '' })}
+                                        >
+                                            All
+                                        </button>
+                                        {search.facets[facet].map((entry) => (
+                                            <button
+                                                key={entry.key}
+                                                className={`sidebar-link ${filters[param] === entry.key ? 'active' : ''}`}
+                                                onClick={() => updateParams({ [param]: entry.key })}
+                                            >
+                                                {entry.title}
+                                                <span className="facet-count">{entry.count}</span>
+                                            </button>
+                                        ))}
+                                    </div>
+                                )
+                            ))}
+                        </nav>
+                    </aside>
+
+                    <main className="product-main-content">
+                        <form className="product-search-bar" onSubmit={handleSubmit}>
+                            <input
+                                type="text"
+                                placeholder="Search all products (e.g. 28mm CR, HS035)..."
+                                value={searchText}
+                                onChange={(e) => setSearchText(e.target.value)}
+                                className="search-input"
+                            />
+                        </form>
+
+                        <div className="product-list-grid">
+                            {!search.active ? (
+                                <p className="no-products-msg">Enter a search term to find products.</p>
+                            ) : search.loading ? (
+                                <p className="no-products-msg">Searching...</p>
+                            ) : search.error ? (
+                                <p className="no-products-msg">{search.error}</p>
+                            ) : paginatedProducts.length > 0 ? (
+                                paginatedProducts.map((item) => (
+                                    <ProductCard key={`${item.industryId}-${item.id}`} product={item} />
+                                ))
+                            ) : (
+                                <p className="no-products-msg">No products found matching your criteria.</p>
+                            )}
+                        </div>
+
+                        {totalPages > 1 && (
+                            <div className="pagination-controls">
+                                <button className="page-btn prev" disabled={currentPage === 1} onClick={() => setCurrentPage(currentPage - 1)}>
+                                    <ArrowLeft size={16} style={{ marginRight: '5px' }} /> Previous
+                                </button>
+                                <span className="page-info">Page {currentPage} of {totalPages}</span>
+                                <button className="page-btn next" disabled={currentPage === totalPages} onClick={() => setCurrentPage(currentPage + 1)}>
+                                    Next <ArrowRight size={16} style={{ marginLeft: '5px' }} />
+                                </button>
+                            </div>
+                        )}
+                    </main>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SearchResults;
@@ -0,0 +1,64 @@
+const normalizeApiBaseUrl = (value) => {
+  const base = value || "http://localhost:5000/api";
+  const trimmed = base.replace(/\/$/, "");
+  return trimmed.endsWith("/api") ? trimmed : `${trimmed}/api`;
+};
+
+const API_BASE_URL = normalizeApiBaseUrl(import.meta.env.VITE_API_BASE_URL);
+
+export const searchCatalog = async (params = {}, options = {}) => {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== "") query.set(key, value);
+  });
+
+  const response = await fetch(`${API_BASE_URL}/catalog/search?${query}`, {
+    signal: options.signal,
+  });
+  if (!response.ok) {
+    throw new Error("Catalog search failed");
+  }
+  return response.json();
+};
+
+export const getCompatibleItems = async (itemId, options = {}) => {
+  const response = await fetch(`${API_BASE_URL}/catalog/compatibility/${encodeURIComponent(itemId)}`, {
+    signal: options.signal,
+  });
+  if (!response.ok) {
+    throw new Error("Failed to load compatible items");
+  }
+  return response.json();
+};
+
+// Maps a product URL segment (current slug, internal id or an old slug) to the item.
+export const resolveItemSlug = async (slug, options = {}) => {
+  const response = await fetch(`${API_BASE_URL}/catalog/resolve/${encodeURIComponent(slug)}`, {
+    signal: options.signal,
+  });
+  if (!response.ok) {
+    throw new Error("Item not found");
+  }
+  return response.json();
+};
+
+// PDFs are plain links: the server sends them as attachments and caches them itself.
+export const getSpecSheetUrl = (itemId) => `${API_BASE_URL}/catalog/pdf/items/${encodeURIComponent(itemId)}`;
+
+export const getBrochureUrl = (industry) => `${API_BASE_URL}/catalog/pdf/industries/${encodeURIComponent(industry)}`;
+
+export const getItemDocuments = async (itemId, options = {}) => {
+  const response = await fetch(`${API_BASE_URL}/media/documents/item/${encodeURIComponent(itemId)}`, {
+    signal: options.signal,
+  });
+  if (!response.ok) {
+    throw new Error("Failed to load documents");
+  }
+  return response.json();
+};
+
+// Gated documents need the token returned by requestDocument in contactApi.
+export const getDocumentDownloadUrl = (documentId, token = "") =>
+  `${API_BASE_URL}/media/documents/${encodeURIComponent(documentId)}/download${
+    token ? `?token=${encodeURIComponent(token)}` : ""
+  }`;
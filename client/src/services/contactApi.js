@@ -26,3 +26,47 @@ export const sendContactMessage = async (payload) => {
 
   return data;
 };
+
+export const sendQuoteRequest = async (payload) => {
+  const response = await fetch(`${API_BASE_URL}/contact/quote`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+
+  let data = {};
+  try {
+    data = await response.json();
+  } catch {
+    data = {};
+  }
+
+  if (!response.ok) {
+    const error = new Error(data.message || "Failed to send quote request");
+    error.lineErrors = data.errors || {};
+    throw error;
+  }
+
+  return data;
+};
+
+export const requestDocument = async (payload) => {
+  const response = await fetch(`${API_BASE_URL}/contact/document-request`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+
+  let data = {};
+  try {
+    data = await response.json();
+  } catch {
+    data = {};
+  }
+
+  if (!response.ok) {
+    throw new Error(data.message || "Failed to request document");
+  }
+
+  return data;
+};
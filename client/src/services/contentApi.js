@@ -5,14 +5,50 @@ const normalizeApiBaseUrl = (value) => {
 };
 
 const API_BASE_URL = normalizeApiBaseUrl(import.meta.env.VITE_API_BASE_URL);
+const BUNDLE_TIMEOUT_MS = 4000;
 
+// "no-cache" makes the browser revalidate with the stored ETag, so an unchanged entry
+// costs a bodiless 304 instead of a full download.
 export const fetchContentByKey = async (key) => {
-  const response = await fetch(
-    `${API_BASE_URL}/content/key/${key}?t=${Date.now()}`,
-    { cache: "no-store" }
-  );
+  const response = await fetch(`${API_BASE_URL}/content/key/${key}`, { cache: "no-cache" });
   if (!response.ok) {
     throw new Error("Content not found");
   }
   return response.json();
 };
+
+// First-paint content in one request: { version, keys, entries }. Gives up after a few
+// seconds so a slow API cannot hold back the page; the keys then load one by one.
+export const fetchContentBundle = async () => {
+  const response = await fetch(`${API_BASE_URL}/content/bundle`, {
+    cache: "no-cache",
+    signal: AbortSignal.timeout(BUNDLE_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error("Content bundle unavailable");
+  }
+  return response.json();
+};
+
+// Calls onChange with the keys the server reports as changed, or with null each time the
+// stream reconnects, since changes made while it was down were not sent. The first
+// connection is left to the caller's initial load. Returns a function that closes the stream.
+export const subscribeToContentChanges = (onChange) => {
+  if (typeof EventSource === "undefined") return () => {};
+  const source = new EventSource(`${API_BASE_URL}/content/events`);
+
+  let connected = false;
+  source.addEventListener("open", () => {
+    if (connected) onChange(null);
+    connected = true;
+  });
+  source.addEventListener("content", (event) => {
+    try {
+      const { keys } = JSON.parse(event.data);
+      if (Array.isArray(keys) && keys.length) onChange(keys);
+    } catch {
+      // Ignore malformed messages; the next one carries the full key list again.
+    }
+  });
+  return () => source.close();
+};
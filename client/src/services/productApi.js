@@ -0,0 +1,18 @@
+const normalizeApiBaseUrl = (value) => {
+  const base = value || "http://localhost:5000/api";
+  const trimmed = base.replace(/\/$/, "");
+  return trimmed.endsWith("/api") ? trimmed : `${trimmed}/api`;
+};
+
+const API_BASE_URL = normalizeApiBaseUrl(import.meta.env.VITE_API_BASE_URL);
+
+// Products whose prices are public; each carries `indicativePrice` ({ amount, currency }).
+export const fetchPricedProducts = async (options = {}) => {
+  const query = new URLSearchParams({ publicPricing: "true", sort: "name", limit: "100" });
+  const response = await fetch(`${API_BASE_URL}/products?${query}`, { signal: options.signal });
+  if (!response.ok) {
+    throw new Error("Failed to load products");
+  }
+  const { products = [] } = await response.json();
+  return products.filter((product) => product.indicativePrice);
+};
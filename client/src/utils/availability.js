@@ -0,0 +1,69 @@
+// Minimum order, lead time, stock status and sample eligibility of catalog items.
+// Mirrors server/services/catalogAvailability.js.
+export const STOCK_STATUS_LABELS = {
+  in_stock: "In Stock",
+  made_to_order: "Made to Order",
+  discontinued: "Discontinued",
+};
+
+export const AVAILABILITY_FILTERS = ["stockStatus", "maxLeadTimeDays", "maxMoq", "sampleAvailable"];
+
+// Upper bounds offered by the list filters.
+const LEAD_TIME_LIMITS = [7, 15, 30, 45, 60];
+const MOQ_LIMITS = [1000, 5000, 10000, 25000, 50000];
+
+export const formatQuantity = (value) => Number(value).toLocaleString("en-US");
+
+export const isDiscontinued = (item) => item?.availability?.stockStatus === "discontinued";
+
+export const getAvailabilityRows = (availability) => {
+  if (!availability || typeof availability !== "object") return [];
+  const rows = [];
+  if (availability.moq) rows.push({ key: "moq", label: "Minimum Order", value: `${formatQuantity(availability.moq)} pcs` });
+  if (availability.leadTimeDays) {
+    rows.push({ key: "leadTimeDays", label: "Standard Lead Time", value: `${availability.leadTimeDays} days` });
+  }
+  return rows;
+};
+
+export const buildAvailabilityFilterOptions = (items = []) => {
+  const values = items.map((item) => item?.availability || {});
+  const statuses = new Set(values.map((entry) => entry.stockStatus).filter((status) => STOCK_STATUS_LABELS[status]));
+  const leadTimes = values.map((entry) => Number(entry.leadTimeDays)).filter((days) => days > 0);
+  const moqs = values.map((entry) => Number(entry.moq)).filter((moq) => moq > 0);
+  // Only offer a bound when it would keep some items and drop others.
+  const usefulLimits = (limits, found) =>
+    limits.filter((limit) => found.some((value) => value <= limit) && found.some((value) => value > limit));
+
+  return [
+    {
+      key: "stockStatus",
+      label: "Availability",
+      options: [...statuses].map((status) => ({ value: status, label: STOCK_STATUS_LABELS[status] })),
+    },
+    {
+      key: "maxLeadTimeDays",
+      label: "Lead Time",
+      options: usefulLimits(LEAD_TIME_LIMITS, leadTimes).map((days) => ({ value: String(days), label: `Up to ${days} days` })),
+    },
+    {
+      key: "maxMoq",
+      label: "Minimum Order",
+      options: usefulLimits(MOQ_LIMITS, moqs).map((moq) => ({ value: String(moq), label: `Up to ${formatQuantity(moq)} pcs` })),
+    },
+    {
+      key: "sampleAvailable",
+      label: "Samples",
+      options: values.some((entry) => entry.sampleAvailable) ? [{ value: "yes", label: "Samples available" }] : [],
+    },
+  ].filter((filter) => filter.options.length > 0);
+};
+
+export const matchesAvailabilityFilters = (item, filters = {}) => {
+  const availability = item?.availability || {};
+  if (filters.stockStatus && availability.stockStatus !== filters.stockStatus) return false;
+  if (filters.maxLeadTimeDays && !(availability.leadTimeDays <= Number(filters.maxLeadTimeDays))) return false;
+  if (filters.maxMoq && !(availability.moq <= Number(filters.maxMoq))) return false;
+  if (filters.sampleAvailable && !availability.sampleAvailable) return false;
+  return true;
+};
@@ -0,0 +1,29 @@
+// Gallery and variant helpers for catalog items. `image` is always the cover; the
+// optional `gallery` adds views and a selected variant swaps in its own images.
+const VIEW_LABELS = {
+  front: "Front",
+  side: "Side",
+  closure: "With Closure",
+  drawing: "Technical Drawing",
+};
+
+const toEntry = (entry) => (typeof entry === "string" ? { image: entry } : entry || {});
+
+export const getViewLabel = (entry) => entry?.caption || VIEW_LABELS[entry?.view] || "";
+
+export const getVariant = (product, variantId) =>
+  (variantId && product?.variants?.find((variant) => variant.id === variantId)) || null;
+
+export const getGalleryImages = (product, variant) => {
+  if (variant?.images?.length) {
+    return variant.images.map((image) => ({ image, caption: variant.label }));
+  }
+  const gallery = (Array.isArray(product?.gallery) ? product.gallery : []).map(toEntry).filter((entry) => entry.image);
+  const cover = product?.image && !gallery.some((entry) => entry.image === product.image)
+    ? [{ image: product.image, view: "front" }]
+    : [];
+  return [...cover, ...gallery];
+};
+
+// Variant specs only list what differs from the parent item.
+export const mergeVariantSpecs = (specs, variant) => (variant?.specs ? { ...(specs || {}), ...variant.specs } : specs);
@@ -0,0 +1,36 @@
+// Sort orders offered on the product list. The default keeps catalog order, which for
+// search results is relevance order.
+export const PRODUCT_SORTS = [
+  { value: "", label: "Featured" },
+  { value: "name", label: "Name (A-Z)" },
+  { value: "capacity", label: "Capacity" },
+  { value: "neck", label: "Neck Size" },
+  { value: "newest", label: "Newest" },
+];
+
+const byName = (a, b) => (a.name || "").localeCompare(b.name || "", undefined, { numeric: true });
+
+// Items without the value go last, then fall back to name order.
+const byNumber = (getValue) => (a, b) => {
+  const left = Number.parseFloat(getValue(a));
+  const right = Number.parseFloat(getValue(b));
+  const leftMissing = Number.isNaN(left);
+  const rightMissing = Number.isNaN(right);
+  if (leftMissing || rightMissing) return leftMissing === rightMissing ? byName(a, b) : leftMissing ? 1 : -1;
+  return left - right || byName(a, b);
+};
+
+const COMPARATORS = {
+  name: byName,
+  capacity: byNumber((item) => item.specs?.capacity),
+  neck: byNumber((item) => item.specs?.neckSizeMm),
+  // Newest first; items saved before addedAt existed keep reverse catalog order.
+  newest: (a, b) => (Date.parse(b.addedAt) || 0) - (Date.parse(a.addedAt) || 0),
+};
+
+export const sortProducts = (items, sort) => {
+  const compare = COMPARATORS[sort];
+  if (!compare) return items;
+  const ordered = sort === "newest" ? [...items].reverse() : [...items];
+  return ordered.sort(compare);
+};
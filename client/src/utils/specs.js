@@ -0,0 +1,49 @@
+const withUnit = (unit) => (value) => `${value} ${unit}`;
+
+// Display order of the spec table on the product page.
+const SPEC_FIELDS = [
+  { key: "capacity", label: "Capacity", format: (value, specs) => `${value} ${specs.capacityUnit || "cc"}` },
+  { key: "neckSizeMm", label: "Neck Size", format: withUnit("mm") },
+  { key: "neckThread", label: "Neck Finish" },
+  { key: "resin", label: "Material" },
+  { key: "color", label: "Color" },
+  { key: "weightGrams", label: "Weight", format: withUnit("g") },
+  { key: "closureType", label: "Closure Type" },
+  { key: "liner", label: "Liner / Seal" },
+  { key: "heightMm", label: "Height", format: withUnit("mm") },
+  { key: "diameterMm", label: "Diameter", format: withUnit("mm") },
+];
+
+// Specs the product list can be narrowed by, in sidebar order.
+export const SPEC_FILTERS = ["capacity", "neckSizeMm", "resin", "closureType", "color"];
+
+export const getSpecRows = (specs) => {
+  if (!specs || typeof specs !== "object") return [];
+  return SPEC_FIELDS.filter((field) => specs[field.key] !== undefined && specs[field.key] !== "").map(
+    (field) => ({
+      key: field.key,
+      label: field.label,
+      value: field.format ? field.format(specs[field.key], specs) : String(specs[field.key]),
+    })
+  );
+};
+
+const getSpecFilterValue = (item, key) => {
+  const value = item?.specs?.[key];
+  if (value === undefined || value === "") return "";
+  const field = SPEC_FIELDS.find((entry) => entry.key === key);
+  return field.format ? field.format(value, item.specs) : String(value);
+};
+
+export const buildSpecFilterOptions = (items = []) =>
+  SPEC_FILTERS.map((key) => {
+    const values = new Set(items.map((item) => getSpecFilterValue(item, key)).filter(Boolean));
+    return {
+      key,
+      label: SPEC_FIELDS.find((field) => field.key === key).label,
+      options: [...values].sort((a, b) => a.localeCompare(b, undefined, { numeric: true })),
+    };
+  }).filter((filter) => filter.options.length > 0);
+
+export const matchesSpecFilters = (item, filters = {}) =>
+  Object.entries(filters).every(([key, value]) => !value || getSpecFilterValue(item, key) === value);
@@ -0,0 +1,17 @@
+const jwt = require("jsonwebtoken");
+const JWT_SECRET = process.env.JWT_SECRET || "secretkey";
+
+// For public routes that show admins more: sets req.admin when a valid admin token is
+// sent and otherwise lets the request through unauthenticated.
+module.exports = function (req, res, next) {
+  const token = String(req.headers.authorization || "").split(" ")[1];
+  if (token) {
+    try {
+      const verified = jwt.verify(token, JWT_SECRET);
+      if (verified.role === "admin") req.admin = verified;
+    } catch (err) {
+      // An expired or foreign token is treated like no token.
+    }
+  }
+  next();
+};
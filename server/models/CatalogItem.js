@@ -0,0 +1,113 @@
+const mongoose = require("mongoose");
+const { CAPACITY_UNITS, RESINS, CLOSURE_TYPES } = require("../services/catalogSpecs");
+const { ROLES, parseNeckFinish } = require("../services/catalogCompatibility");
+const { GALLERY_VIEWS } = require("../services/catalogGallery");
+const { STOCK_STATUSES } = require("../services/catalogAvailability");
+
+const specsSchema = new mongoose.Schema(
+  {
+    capacity: { type: Number, min: 0 },
+    capacityUnit: { type: String, enum: CAPACITY_UNITS },
+    neckSizeMm: { type: Number, min: 0 },
+    neckThread: { type: String, trim: true },
+    resin: { type: String, enum: RESINS },
+    color: { type: String, trim: true },
+    weightGrams: { type: Number, min: 0 },
+    closureType: { type: String, enum: CLOSURE_TYPES },
+    liner: { type: String, trim: true },
+    heightMm: { type: Number, min: 0 },
+    diameterMm: { type: Number, min: 0 },
+  },
+  { _id: false }
+);
+
+// Hand-set overrides for the neck finish matching in services/catalogCompatibility.
+const compatibilitySchema = new mongoose.Schema(
+  {
+    role: { type: String, enum: ROLES },
+    neckFinish: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: (value) => !value || Boolean(parseNeckFinish(value)),
+        message: "Neck finish must look like 28mm or 38-400",
+      },
+    },
+  },
+  { _id: false }
+);
+
+// Commercial terms; see services/catalogAvailability. replacementId points a discontinued
+// item at the catalog item buyers should order instead.
+const availabilitySchema = new mongoose.Schema(
+  {
+    moq: { type: Number, min: 1 },
+    leadTimeDays: { type: Number, min: 0 },
+    stockStatus: { type: String, enum: STOCK_STATUSES },
+    sampleAvailable: { type: Boolean },
+    replacementId: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+const galleryImageSchema = new mongoose.Schema(
+  {
+    image: { type: String, required: true, trim: true },
+    view: { type: String, enum: GALLERY_VIEWS, default: "other" },
+    caption: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+// Color/material variant sharing the parent item's page; specs hold overrides only.
+const variantSchema = new mongoose.Schema(
+  {
+    id: { type: String, required: true, trim: true },
+    label: { type: String, required: true, trim: true },
+    swatch: { type: String, trim: true },
+    images: [{ type: String, trim: true }],
+    specs: { type: specsSchema, default: undefined },
+  },
+  { _id: false }
+);
+
+const catalogItemSchema = new mongoose.Schema(
+  {
+    itemId: { type: String, required: true, trim: true, index: true },
+    // Public URL segment; unset means the item is served under its itemId.
+    slug: { type: String, trim: true, lowercase: true, index: true },
+    name: { type: String, required: true, trim: true },
+    actualName: { type: String, default: "", trim: true },
+    subCategory: { type: String, default: "", trim: true },
+    image: { type: String, default: "" },
+    gallery: { type: [galleryImageSchema], default: undefined },
+    variants: { type: [variantSchema], default: undefined },
+    description: { type: String, default: "", trim: true },
+    features: [{ type: String, trim: true }],
+    specs: { type: specsSchema, default: () => ({}) },
+    compatibility: { type: compatibilitySchema, default: () => ({}) },
+    availability: { type: availabilitySchema, default: () => ({}) },
+    section: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CatalogSection",
+      required: true,
+      index: true,
+    },
+    // Further subcategories the item is cross-listed in; `section` is where it is defined.
+    placements: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "CatalogSection" }],
+      default: undefined,
+      index: true,
+    },
+    // Position within `section`, and within each placement keyed by section id.
+    order: { type: Number, default: 0 },
+    placementOrder: { type: Map, of: Number, default: undefined },
+    // When the item first entered the catalog; the public site sorts "newest" by it. Unlike
+    // createdAt it travels with the item in the catalog tree, so a whole-catalog save that
+    // renames the item keeps it, and an item new to the catalog may bring its own.
+    addedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("CatalogItem", catalogItemSchema);
@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+
+// An old public slug and the internal item id it now points at. Written whenever an
+// item's slug changes so links already shared with customers keep working.
+const catalogRedirectSchema = new mongoose.Schema(
+  {
+    fromSlug: { type: String, required: true, trim: true, lowercase: true, unique: true },
+    itemId: { type: String, required: true, trim: true, index: true },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("CatalogRedirect", catalogRedirectSchema);
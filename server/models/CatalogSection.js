@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+const catalogSectionSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ["industry", "category", "subcategory"],
+      required: true,
+    },
+    key: { type: String, required: true, trim: true },
+    title: { type: String, required: true, trim: true },
+    description: { type: String, default: "", trim: true },
+    parent: { type: mongoose.Schema.Types.ObjectId, ref: "CatalogSection", default: null },
+    // Position among its siblings, set by drag-and-drop in the dashboard.
+    order: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+catalogSectionSchema.index({ parent: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model("CatalogSection", catalogSectionSchema);
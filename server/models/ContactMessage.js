@@ -1,11 +1,34 @@
 const mongoose = require("mongoose");
 
+// One requested catalog item on a quote request lead.
+const quoteLineSchema = new mongoose.Schema(
+  {
+    itemId: { type: String, required: true, trim: true },
+    name: { type: String, required: true, trim: true },
+    quantity: { type: Number, required: true, min: 1 },
+    color: { type: String, default: "", trim: true },
+    closure: { type: String, default: "", trim: true },
+    notes: { type: String, default: "", trim: true },
+  },
+  { _id: false }
+);
+
 const contactMessageSchema = new mongoose.Schema(
   {
+    type: { type: String, enum: ["contact", "quote", "download"], default: "contact" },
     fullName: { type: String, required: true, trim: true },
     email: { type: String, required: true, trim: true, lowercase: true },
     subject: { type: String, required: true, trim: true },
     message: { type: String, required: true, trim: true },
+    phone: { type: String, default: "", trim: true },
+    company: { type: String, default: "", trim: true },
+    country: { type: String, default: "", trim: true },
+    quoteLines: { type: [quoteLineSchema], default: undefined },
+    // Gated document downloads: which item page the visitor was on and what they took.
+    itemId: { type: String, trim: true },
+    itemName: { type: String, trim: true },
+    documentId: { type: mongoose.Schema.Types.ObjectId, ref: "MediaDocument" },
+    documentTitle: { type: String, trim: true },
     sentTo: { type: String, required: true, trim: true, lowercase: true },
     mailStatus: {
       type: String,
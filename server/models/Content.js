@@ -1,10 +1,28 @@
 const mongoose = require("mongoose");
 
+const editorSchema = new mongoose.Schema(
+  {
+    id: { type: String, default: "" },
+    email: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+// `data` is what the public site reads; edits land in `draft` until they are published.
+// Entries created from the dashboard start with `data: null` until their first publish.
+// `version` goes up on every write; PUT /api/content/:id must send the version it edited.
 const contentSchema = new mongoose.Schema(
   {
     key: { type: String, required: true, unique: true, trim: true },
     title: { type: String, required: true, trim: true },
     data: { type: mongoose.Schema.Types.Mixed, default: {} },
+    draft: { type: mongoose.Schema.Types.Mixed },
+    draftUpdatedAt: { type: Date },
+    draftUpdatedBy: { type: editorSchema },
+    publishedRevision: { type: Number, default: 0 },
+    publishedAt: { type: Date },
+    publishedBy: { type: editorSchema },
+    version: { type: Number, default: 0 },
   },
   { timestamps: true }
 );
@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// Snapshot of a Content entry's published data, written on every publish or rollback.
+const contentRevisionSchema = new mongoose.Schema(
+  {
+    content: { type: mongoose.Schema.Types.ObjectId, ref: "Content", required: true, index: true },
+    key: { type: String, required: true, trim: true },
+    revision: { type: Number, required: true, min: 1 },
+    title: { type: String, default: "", trim: true },
+    data: { type: mongoose.Schema.Types.Mixed, default: {} },
+    note: { type: String, default: "", trim: true },
+    restoredFrom: { type: Number },
+    publishedBy: {
+      id: { type: String, default: "" },
+      email: { type: String, default: "" },
+    },
+    publishedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+contentRevisionSchema.index({ content: 1, revision: -1 }, { unique: true });
+
+module.exports = mongoose.model("ContentRevision", contentRevisionSchema);
@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+
+// One row of the admin-maintained exchange-rate table: how many units of `currency`
+// one unit of the base currency buys (see services/productPricing).
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    currency: { type: String, required: true, trim: true, uppercase: true, unique: true, match: /^[A-Z]{3}$/ },
+    rate: { type: Number, required: true, min: 0.000001 },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("ExchangeRate", exchangeRateSchema);
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+const { DOCUMENT_TYPES } = require("../services/mediaDocuments");
+
+const editorSchema = new mongoose.Schema(
+  {
+    id: { type: String, default: "" },
+    email: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+// A downloadable file (drawing, CoA, DMF letter, test report) attached to catalog items.
+// Files live outside the public uploads folder so gated ones can't be fetched directly.
+const mediaDocumentSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true, trim: true },
+    documentType: {
+      type: String,
+      enum: DOCUMENT_TYPES.map((type) => type.value),
+      default: "other",
+    },
+    description: { type: String, default: "", trim: true },
+    fileName: { type: String, required: true },
+    originalName: { type: String, default: "" },
+    mimeType: { type: String, default: "" },
+    size: { type: Number, default: 0 },
+    itemIds: { type: [{ type: String, trim: true }], index: true },
+    gated: { type: Boolean, default: false },
+    uploadedBy: { type: editorSchema, default: undefined },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("MediaDocument", mediaDocumentSchema);
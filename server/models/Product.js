@@ -1,10 +1,38 @@
 const mongoose = require("mongoose");
+const { STOCK_STATUSES } = require("../services/catalogAvailability");
+const { BASE_CURRENCY } = require("../services/productPricing");
+
+const availabilitySchema = new mongoose.Schema(
+  {
+    moq: { type: Number, min: 1 },
+    leadTimeDays: { type: Number, min: 0 },
+    stockStatus: { type: String, enum: STOCK_STATUSES },
+    sampleAvailable: { type: Boolean },
+  },
+  { _id: false }
+);
+
+// Unit price from `minQuantity` units upwards, in the product's currency.
+const priceTierSchema = new mongoose.Schema(
+  {
+    minQuantity: { type: Number, required: true, min: 1 },
+    unitPrice: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
 
 const productSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
   description: { type: String, default: "", trim: true },
+  // Unit price below the first tier.
   price: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: BASE_CURRENCY, trim: true, uppercase: true, match: /^[A-Z]{3}$/ },
+  priceTiers: { type: [priceTierSchema], default: [] },
+  // Shows an indicative "from" price on the site and allows public quotes. Products from
+  // before this flag are made public by `npm run migrate:pricing`.
+  publicPricing: { type: Boolean, default: false },
   image: { type: String, default: "" },
+  availability: { type: availabilitySchema, default: () => ({}) },
 }, { timestamps: true });
 
 module.exports = mongoose.model("Product", productSchema);
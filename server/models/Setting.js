@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+
+// Server-side configuration that admins change from the dashboard but visitors never
+// read, such as how long deleted items stay in the trash. Secrets are stored with
+// `encrypted` set and `value` holding the ciphertext. See services/settings.
+const settingSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true, trim: true },
+    value: { type: mongoose.Schema.Types.Mixed, default: null },
+    encrypted: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Setting", settingSchema);
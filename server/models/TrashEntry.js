@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// An upload moved from `folder` into the quarantine folder; it goes back on restore.
+const quarantinedFileSchema = new mongoose.Schema(
+  {
+    folder: { type: String, enum: ["uploads", "documents"], required: true },
+    name: { type: String, required: true },
+    quarantinedAs: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+// A deleted record kept for restoring until the retention period ends. `data` is the
+// document exactly as it was stored (empty for plain media files).
+const trashEntrySchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ["product", "content", "lead", "visitor", "media", "document"],
+    required: true,
+    index: true,
+  },
+  originalId: { type: String, default: "" },
+  label: { type: String, default: "", trim: true },
+  data: { type: mongoose.Schema.Types.Mixed, default: null },
+  files: { type: [quarantinedFileSchema], default: [] },
+  deletedBy: {
+    id: { type: String, default: "" },
+    email: { type: String, default: "" },
+  },
+  deletedAt: { type: Date, default: Date.now, index: true },
+});
+
+module.exports = mongoose.model("TrashEntry", trashEntrySchema);
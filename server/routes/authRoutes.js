@@ -4,8 +4,8 @@ const bcrypt = require("bcryptjs");
 const crypto = require("crypto");
 const nodemailer = require("nodemailer");
 const Admin = require("../models/Admin");
-const Content = require("../models/Content");
 const auth = require("../middleware/auth");
+const { loadEmailSettings } = require("../services/emailSettings");
 
 const router = express.Router();
 const JWT_SECRET = process.env.JWT_SECRET || "secretkey";
@@ -81,15 +81,6 @@ const ensureSeedAdmins = async () => {
   }
 };
 
-const getEmailSettings = async () => {
-  try {
-    const doc = await Content.findOne({ key: "emailSettings" });
-    return doc?.data || {};
-  } catch {
-    return {};
-  }
-};
-
 const createTransporter = (settings = {}) => {
   const host = settings.smtpHost || process.env.SMTP_HOST;
   const user = settings.smtpUser || process.env.SMTP_USER || process.env.EMAIL_USER;
@@ -174,7 +165,7 @@ const saveVerificationCode = async (admin, code) => {
 };
 
 const sendVerificationCode = async (email, code) => {
-  const settings = await getEmailSettings();
+  const settings = await loadEmailSettings();
   const sentViaResend = await sendWithResend({
     to: email,
     subject: "Admin verification code",
@@ -518,7 +509,7 @@ router.post("/admin/forgot-password", async (req, res) => {
     admin.resetPasswordExpiresAt = expiresAt;
     await admin.save();
 
-    const settings = await getEmailSettings();
+    const settings = await loadEmailSettings();
     const resetText = `Your password reset code is: ${resetCode}. It expires in 15 minutes.`;
     const sentViaResend = await sendWithResend({
       to: admin.email,
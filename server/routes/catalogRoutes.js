@@ -0,0 +1,664 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const multer = require("multer");
+const CatalogSection = require("../models/CatalogSection");
+const CatalogItem = require("../models/CatalogItem");
+const CatalogRedirect = require("../models/CatalogRedirect");
+const Content = require("../models/Content");
+const auth = require("../middleware/auth");
+const {
+  CATALOG_CONTENT_KEY,
+  buildCatalogTree,
+  listTreeItems,
+  loadCatalogTree,
+} = require("../services/catalogStore");
+const { searchCatalog } = require("../services/catalogSearch");
+const { normalizeSpecs } = require("../services/catalogSpecs");
+const { normalizeGallery, normalizeVariants } = require("../services/catalogGallery");
+const { itemSlug, recordSlugChanges, resolveItemSlug } = require("../services/catalogSlugs");
+const { normalizeAvailability } = require("../services/catalogAvailability");
+const {
+  buildCompatibilityMatrix,
+  findCompatibleItems,
+  normalizeCompatibility,
+} = require("../services/catalogCompatibility");
+const {
+  toSheetRows,
+  toCsv,
+  toXlsx,
+  readCatalogSheet,
+  planCatalogImport,
+} = require("../services/catalogSpreadsheet");
+const { loadWorkingData, saveDraft } = require("../services/contentPublishing");
+const { diffCatalogTrees, fingerprintCatalog } = require("../services/catalogDiff");
+const { getSpecSheet, getIndustryBrochure } = require("../services/catalogPdf");
+const { notifyContentChanged } = require("../services/contentEvents");
+const {
+  validateCatalogTree,
+  validateCatalogItem,
+  buildIntegrityReport,
+} = require("../services/catalogValidation");
+
+const router = express.Router();
+const sheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
+
+// Which section kind each kind has to sit under. Industries are top level.
+const PARENT_KIND = {
+  industry: null,
+  category: "industry",
+  subcategory: "category",
+};
+
+const isValidId = (value) => mongoose.Types.ObjectId.isValid(String(value || ""));
+
+// Section and item edits change the public productCatalog tree at once, so open site
+// connections are told to refetch it after each successful write.
+const notifyCatalogChanged = (req, res, next) => {
+  res.on("finish", () => {
+    if (res.statusCode < 400) notifyContentChanged(CATALOG_CONTENT_KEY);
+  });
+  next();
+};
+
+// Publishing a productCatalog draft replaces the whole catalog with it, which would undo
+// section and item edits made here since the draft was saved, so they wait for the draft
+// to be published or discarded.
+const requireNoCatalogDraft = async (req, res, next) => {
+  try {
+    const pending = await Content.exists({ key: CATALOG_CONTENT_KEY, draft: { $exists: true } });
+    if (pending) {
+      return res.status(409).json({
+        message: "The product catalog has an unpublished draft. Publish or discard it before editing sections and items.",
+      });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ message: "Failed to check for a catalog draft" });
+  }
+};
+
+const parseFeatures = (value) => {
+  if (Array.isArray(value)) return value.map((x) => String(x).trim()).filter(Boolean);
+  return String(value || "")
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean);
+};
+
+const pickItemFields = (body = {}) => {
+  const payload = {};
+  if (body.id !== undefined) payload.itemId = String(body.id).trim();
+  if (body.slug !== undefined) payload.slug = String(body.slug).trim().toLowerCase();
+  ["name", "actualName", "subCategory", "image", "description"].forEach((field) => {
+    if (body[field] !== undefined) payload[field] = String(body[field]).trim();
+  });
+  if (body.features !== undefined) payload.features = parseFeatures(body.features);
+  if (body.gallery !== undefined) payload.gallery = normalizeGallery(body.gallery);
+  if (body.variants !== undefined) payload.variants = normalizeVariants(body.variants);
+  if (body.specs !== undefined) payload.specs = normalizeSpecs(body.specs);
+  if (body.compatibility !== undefined) {
+    payload.compatibility = normalizeCompatibility(body.compatibility);
+  }
+  if (body.availability !== undefined) {
+    payload.availability = normalizeAvailability(body.availability);
+  }
+  return payload;
+};
+
+// Field errors for an item write, including an id or slug already used elsewhere in the catalog.
+const checkItemFields = async (payload, currentId) => {
+  const errors = validateCatalogItem(payload);
+  if (!errors.itemId && payload.itemId) {
+    const clash = await CatalogItem.exists({ itemId: payload.itemId, _id: { $ne: currentId } });
+    if (clash) errors.itemId = `Item id "${payload.itemId}" is already used`;
+  }
+  if (!errors.slug && payload.slug) {
+    const clash = await CatalogItem.exists({
+      _id: { $ne: currentId },
+      $or: [{ slug: payload.slug }, { itemId: payload.slug }],
+    });
+    if (clash) errors.slug = `Slug "${payload.slug}" is already used by another item`;
+  }
+  return errors;
+};
+
+const resolveParent = async (kind, parentId) => {
+  const expected = PARENT_KIND[kind];
+  if (expected === undefined) {
+    return { error: "kind must be industry, category or subcategory" };
+  }
+  if (!expected) {
+    return parentId ? { error: "Industries cannot have a parent" } : { parent: null };
+  }
+  if (!isValidId(parentId)) {
+    return { error: `A ${kind} needs a parent ${expected}` };
+  }
+  const parent = await CatalogSection.findById(parentId);
+  if (!parent || parent.kind !== expected) {
+    return { error: `Parent must be an existing ${expected}` };
+  }
+  return { parent: parent._id };
+};
+
+const resolveSubcategory = async (sectionId) => {
+  if (!isValidId(sectionId)) return null;
+  const section = await CatalogSection.findById(sectionId);
+  return section && section.kind === "subcategory" ? section : null;
+};
+
+// New and moved entries go to the end of their parent.
+const nextSectionOrder = async (parent) =>
+  CatalogSection.countDocuments({ parent: parent ?? null });
+
+const nextItemOrder = async (section) =>
+  CatalogItem.countDocuments({ $or: [{ section }, { placements: section }] });
+
+const collectDescendantIds = async (rootId) => {
+  const ids = [rootId];
+  let frontier = [rootId];
+  while (frontier.length) {
+    const children = await CatalogSection.find({ parent: { $in: frontier } }, { _id: 1 });
+    frontier = children.map((child) => child._id);
+    ids.push(...frontier);
+  }
+  return ids;
+};
+
+// Public route: the whole catalog in the legacy nested shape
+router.get("/tree", async (req, res) => {
+  try {
+    res.json(await buildCatalogTree());
+  } catch (error) {
+    res.status(500).json({ message: "Failed to build catalog" });
+  }
+});
+
+// Public route: ranked search across every industry, with facet counts
+router.get("/search", async (req, res) => {
+  try {
+    const { q, industry, category, subcategory, page, limit } = req.query || {};
+    const tree = await loadCatalogTree();
+    res.json(searchCatalog(tree, { q, industry, category, subcategory, page, limit }));
+  } catch (error) {
+    res.status(500).json({ message: "Failed to search catalog" });
+  }
+});
+
+// Public route: every bottle and closure grouped by neck size
+router.get("/compatibility", async (req, res) => {
+  try {
+    const tree = await loadCatalogTree();
+    res.json(buildCompatibilityMatrix(listTreeItems(tree, { references: false })));
+  } catch (error) {
+    res.status(500).json({ message: "Failed to build compatibility matrix" });
+  }
+});
+
+// Public route: closures that fit a bottle, or bottles that fit a closure (by catalog item id)
+router.get("/compatibility/:itemId", async (req, res) => {
+  try {
+    const tree = await loadCatalogTree();
+    const result = findCompatibleItems(listTreeItems(tree, { references: false }), req.params.itemId);
+    if (!result) {
+      return res.status(404).json({ message: "Item not found" });
+    }
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: "Failed to fetch compatible items" });
+  }
+});
+
+// Public route: maps a product URL segment (current slug, internal id or an old slug)
+// to the item; `redirected` tells the client to replace the URL with the current slug
+router.get("/resolve/:slug", async (req, res) => {
+  try {
+    const tree = await loadCatalogTree();
+    const match = await resolveItemSlug(listTreeItems(tree, { references: false }), req.params.slug);
+    if (!match) {
+      return res.status(404).json({ message: "Item not found" });
+    }
+    res.json({ id: match.item.id, slug: itemSlug(match.item), redirected: match.redirected });
+  } catch (error) {
+    res.status(500).json({ message: "Failed to resolve item" });
+  }
+});
+
+// Admin route: recorded old slugs, optionally for one item
+router.get("/redirects", auth, async (req, res) => {
+  try {
+    const filter = req.query.itemId ? { itemId: String(req.query.itemId) } : {};
+    res.json(await CatalogRedirect.find(filter).sort({ updatedAt: -1 }));
+  } catch (error) {
+    res.status(500).json({ message: "Failed to fetch redirects" });
+  }
+});
+
+router.delete("/redirects/:id", auth, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(404).json({ message: "Redirect not found" });
+    }
+    const deleted = await CatalogRedirect.findByIdAndDelete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ message: "Redirect not found" });
+    }
+    res.json({ message: "Deleted successfully" });
+  } catch (error) {
+    res.status(500).json({ message: "Failed to delete redirect" });
+  }
+});
+
+// The ETag is the catalog version, so browsers revalidate with a cheap 304.
+const sendPdf = (res, pdf) => {
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${pdf.filename}"`);
+  res.setHeader("ETag", `"${pdf.version}"`);
+  res.setHeader("Cache-Control", "no-cache");
+  res.send(pdf.buffer);
+};
+
+// Public route: one-page spec sheet for a catalog item
+router.get("/pdf/items/:itemId", async (req, res) => {
+  try {
+    const pdf = await getSpecSheet(await loadCatalogTree(), req.params.itemId);
+    if (!pdf) {
+      return res.status(404).json({ message: "Item not found" });
+    }
+    sendPdf(res, pdf);
+  } catch (error) {
+    res.status(500).json({ message: "Failed to generate spec sheet" });
+  }
+});
+
+// Public route: multi-page brochure of every item in an industry
+router.get("/pdf/industries/:industry", async (req, res) => {
+  try {
+    const pdf = await getIndustryBrochure(await loadCatalogTree(), req.params.industry);
+    if (!pdf) {
+      return res.status(404).json({ message: "Industry not found" });
+    }
+    sendPdf(res, pdf);
+  } catch (error) {
+    res.status(500).json({ message: "Failed to generate brochure" });
+  }
+});
+
+// Admin route: duplicate ids, broken images, empty subcategories and items without
+// features. Checks `data` from the body (the editor's unsaved JSON) or the working draft.
+router.post("/integrity", auth, async (req, res) => {
+  try {
+    const tree = req.body?.data ?? (await loadWorkingData(CATALOG_CONTENT_KEY));
+    res.json(await buildIntegrityReport(tree || {}));
+  } catch (error) {
+    res.status(500).json({ message: "Failed to check catalog integrity" });
+  }
+});
+
+// Admin route: preview of a catalog save against the saved working copy. `stale` means
+// the catalog changed after the editor loaded `baseVersion`, so the save would be refused.
+router.post("/diff", auth, async (req, res) => {
+  try {
+    const current = (await loadWorkingData(CATALOG_CONTENT_KEY)) || {};
+    const version = fingerprintCatalog(current);
+    const baseVersion = String(req.body?.baseVersion || "");
+    res.json({
+      version,
+      stale: Boolean(baseVersion) && baseVersion !== version,
+      ...diffCatalogTrees(current, req.body?.data ?? {}),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Failed to compare catalog" });
+  }
+});
+
+// Admin route: the catalog as one row per item. ?format=csv|xlsx, ?source=published|draft
+router.get("/export", auth, async (req, res) => {
+  try {
+    const tree =
+      req.query.source === "draft" ? await loadWorkingData(CATALOG_CONTENT_KEY) : await loadCatalogTree();
+    const rows = toSheetRows(tree || {});
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (req.query.format === "xlsx") {
+      const buffer = await toXlsx(rows);
+      res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      res.setHeader("Content-Disposition", `attachment; filename="catalog-${stamp}.xlsx"`);
+      return res.send(Buffer.from(buffer));
+    }
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="catalog-${stamp}.csv"`);
+    res.send(toCsv(rows));
+  } catch (error) {
+    res.status(500).json({ message: "Failed to export catalog" });
+  }
+});
+
+// Admin route: import a CSV/XLSX sheet into the catalog draft.
+// ?dryRun=true only returns the preview; rows with errors block the import. Applying
+// needs the catalogVersion the dashboard loaded as baseVersion, and items missing from
+// the sheet are only deleted with ?deleteMissing=true.
+router.post("/import", auth, sheetUpload.single("file"), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: "A CSV or XLSX file is required" });
+    }
+    const dryRun = String(req.query.dryRun || req.body?.dryRun) === "true";
+    const deleteMissing = String(req.query.deleteMissing ?? req.body?.deleteMissing) === "true";
+    const baseVersion = String(req.query.baseVersion || req.body?.baseVersion || "");
+    if (!dryRun && !baseVersion) {
+      return res.status(400).json({ message: "Send the catalogVersion the catalog was loaded at as baseVersion" });
+    }
+
+    const rows = await readCatalogSheet(req.file);
+    const entry = await Content.findOne({ key: CATALOG_CONTENT_KEY }, { version: 1 });
+    const current = (await loadWorkingData(CATALOG_CONTENT_KEY)) || {};
+    const staleMessage = "The product catalog was changed after you opened it. Reload it and import again.";
+    if (!dryRun && fingerprintCatalog(current) !== baseVersion) {
+      return res.status(409).json({ message: staleMessage });
+    }
+    const { tree, preview } = planCatalogImport(current, rows, { deleteMissing });
+    if (!preview.errors.length) {
+      const rowById = new Map(rows.map((row) => [row.id, row.row]));
+      validateCatalogTree(tree).forEach((error) => {
+        preview.errors.push({
+          row: rowById.get(error.itemId) ?? "-",
+          field: error.field,
+          message: `${error.message} (${error.itemId || error.location})`,
+        });
+      });
+    }
+
+    if (dryRun || preview.errors.length) {
+      return res.status(preview.errors.length && !dryRun ? 400 : 200).json({
+        message: preview.errors.length ? "Fix the row errors before importing" : "Preview only",
+        applied: false,
+        ...preview,
+      });
+    }
+
+    const version = entry ? entry.version ?? 0 : undefined;
+    const saved = await saveDraft(CATALOG_CONTENT_KEY, "Product Catalog", tree, req.admin, version);
+    if (!saved) {
+      return res.status(409).json({ message: staleMessage });
+    }
+    res.json({
+      message: "Import saved as a Product Catalog draft. Publish it to go live.",
+      applied: true,
+      ...preview,
+    });
+  } catch (error) {
+    if (error?.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Failed to import catalog" });
+  }
+});
+
+router.get("/sections", async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.kind) filter.kind = String(req.query.kind);
+    if (req.query.parent) {
+      if (!isValidId(req.query.parent)) {
+        return res.status(400).json({ message: "Invalid parent id" });
+      }
+      filter.parent = req.query.parent;
+    }
+    const sections = await CatalogSection.find(filter).sort({ order: 1, _id: 1 });
+    res.json(sections);
+  } catch (error) {
+    res.status(500).json({ message: "Failed to fetch catalog sections" });
+  }
+});
+
+router.get("/sections/:id", async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(404).json({ message: "Section not found" });
+    }
+    const section = await CatalogSection.findById(req.params.id);
+    if (!section) {
+      return res.status(404).json({ message: "Section not found" });
+    }
+    res.json(section);
+  } catch (error) {
+    res.status(500).json({ message: "Failed to fetch catalog section" });
+  }
+});
+
+router.post("/sections", auth, requireNoCatalogDraft, notifyCatalogChanged, async (req, res) => {
+  try {
+    const { kind, key, title, description, parent } = req.body || {};
+    const resolved = await resolveParent(kind, parent);
+    if (resolved.error) {
+      return res.status(400).json({ message: resolved.error });
+    }
+
+    const created = await CatalogSection.create({
+      kind,
+      key,
+      title,
+      description: description || "",
+      parent: resolved.parent,
+      order: await nextSectionOrder(resolved.parent),
+    });
+    res.status(201).json(created);
+  } catch (error) {
+    if (error?.code === 11000) {
+      return res.status(409).json({ message: "Section key already exists under this parent" });
+    }
+    res.status(400).json({ message: "Failed to create catalog section" });
+  }
+});
+
+router.put("/sections/:id", auth, requireNoCatalogDraft, notifyCatalogChanged, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(404).json({ message: "Section not found" });
+    }
+    const payload = {};
+    ["key", "title", "description"].forEach((field) => {
+      if (req.body?.[field] !== undefined) payload[field] = req.body[field];
+    });
+
+    const updated = await CatalogSection.findByIdAndUpdate(req.params.id, payload, {
+      new: true,
+      runValidators: true,
+    });
+    if (!updated) {
+      return res.status(404).json({ message: "Section not found" });
+    }
+    res.json(updated);
+  } catch (error) {
+    if (error?.code === 11000) {
+      return res.status(409).json({ message: "Section key already exists under this parent" });
+    }
+    res.status(400).json({ message: "Failed to update catalog section" });
+  }
+});
+
+router.post("/sections/:id/move", auth, requireNoCatalogDraft, notifyCatalogChanged, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(404).json({ message: "Section not found" });
+    }
+    const section = await CatalogSection.findById(req.params.id);
+    if (!section) {
+      return res.status(404).json({ message: "Section not found" });
+    }
+    if (section.kind === "industry") {
+      return res.status(400).json({ message: "Industries cannot be moved" });
+    }
+
+    const resolved = await resolveParent(section.kind, req.body?.parent);
+    if (resolved.error) {
+      return res.status(400).json({ message: resolved.error });
+    }
+
+    if (String(section.parent) !== String(resolved.parent)) {
+      section.order = await nextSectionOrder(resolved.parent);
+    }
+    section.parent = resolved.parent;
+    await section.save();
+    res.json(section);
+  } catch (error) {
+    if (error?.code === 11000) {
+      return res.status(409).json({ message: "Section key already exists under the new parent" });
+    }
+    res.status(400).json({ message: "Failed to move catalog section" });
+  }
+});
+
+// Removes the section together with everything nested under it.
+router.delete("/sections/:id", auth, requireNoCatalogDraft, notifyCatalogChanged, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(404).json({ message: "Section not found" });
+    }
+    const section = await CatalogSection.findById(req.params.id);
+    if (!section) {
+      return res.status(404).json({ message: "Section not found" });
+    }
+
+    const ids = await collectDescendantIds(section._id);
+    const { deletedCount } = await CatalogItem.deleteMany({ section: { $in: ids } });
+    await CatalogItem.updateMany({ placements: { $in: ids } }, { $pull: { placements: { $in: ids } } });
+    await CatalogSection.deleteMany({ _id: { $in: ids } });
+    res.json({ message: "Deleted successfully", sections: ids.length, items: deletedCount });
+  } catch (error) {
+    res.status(500).json({ message: "Failed to delete catalog section" });
+  }
+});
+
+router.get("/items", async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.section) {
+      if (!isValidId(req.query.section)) {
+        return res.status(400).json({ message: "Invalid section id" });
+      }
+      filter.section = req.query.section;
+    }
+    if (req.query.itemId) filter.itemId = String(req.query.itemId);
+    const items = await CatalogItem.find(filter).sort({ order: 1, _id: 1 });
+    res.json(items);
+  } catch (error) {
+    res.status(500).json({ message: "Failed to fetch catalog items" });
+  }
+});
+
+router.get("/items/:id", async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(404).json({ message: "Item not found" });
+    }
+    const item = await CatalogItem.findById(req.params.id);
+    if (!item) {
+      return res.status(404).json({ message: "Item not found" });
+    }
+    res.json(item);
+  } catch (error) {
+    res.status(500).json({ message: "Failed to fetch catalog item" });
+  }
+});
+
+router.post("/items", auth, requireNoCatalogDraft, notifyCatalogChanged, async (req, res) => {
+  try {
+    const section = await resolveSubcategory(req.body?.section);
+    if (!section) {
+      return res.status(400).json({ message: "Items must be placed in an existing subcategory" });
+    }
+
+    const payload = pickItemFields(req.body);
+    const errors = await checkItemFields(payload);
+    if (Object.keys(errors).length) {
+      return res.status(400).json({ message: "Fix the highlighted fields", errors });
+    }
+
+    const created = await CatalogItem.create({
+      ...payload,
+      section: section._id,
+      order: await nextItemOrder(section._id),
+    });
+    await recordSlugChanges([], [created]);
+    res.status(201).json(created);
+  } catch (error) {
+    res.status(400).json({ message: "Failed to create catalog item" });
+  }
+});
+
+router.put("/items/:id", auth, requireNoCatalogDraft, notifyCatalogChanged, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(404).json({ message: "Item not found" });
+    }
+    const existing = await CatalogItem.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: "Item not found" });
+    }
+    const payload = pickItemFields(req.body);
+    const errors = await checkItemFields(payload, req.params.id);
+    if (payload.itemId && payload.itemId !== existing.itemId) {
+      errors.itemId = "The item id cannot be changed; edit the slug instead";
+    }
+    if (Object.keys(errors).length) {
+      return res.status(400).json({ message: "Fix the highlighted fields", errors });
+    }
+    const updated = await CatalogItem.findByIdAndUpdate(req.params.id, payload, {
+      new: true,
+      runValidators: true,
+    });
+    if (!updated) {
+      return res.status(404).json({ message: "Item not found" });
+    }
+    await recordSlugChanges([existing], [updated]);
+    res.json(updated);
+  } catch (error) {
+    res.status(400).json({ message: "Failed to update catalog item" });
+  }
+});
+
+router.post("/items/:id/move", auth, requireNoCatalogDraft, notifyCatalogChanged, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(404).json({ message: "Item not found" });
+    }
+    const section = await resolveSubcategory(req.body?.section);
+    if (!section) {
+      return res.status(400).json({ message: "Target must be an existing subcategory" });
+    }
+
+    const updated = await CatalogItem.findByIdAndUpdate(
+      req.params.id,
+      { section: section._id, order: await nextItemOrder(section._id) },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      return res.status(404).json({ message: "Item not found" });
+    }
+    res.json(updated);
+  } catch (error) {
+    res.status(400).json({ message: "Failed to move catalog item" });
+  }
+});
+
+router.delete("/items/:id", auth, requireNoCatalogDraft, notifyCatalogChanged, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(404).json({ message: "Item not found" });
+    }
+    const deleted = await CatalogItem.findByIdAndDelete(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ message: "Item not found" });
+    }
+    res.json({ message: "Deleted successfully" });
+  } catch (error) {
+    res.status(500).json({ message: "Failed to delete catalog item" });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,13 @@
 const express = require("express");
 const nodemailer = require("nodemailer");
+const mongoose = require("mongoose");
 const ContactMessage = require("../models/ContactMessage");
-const Content = require("../models/Content");
+const MediaDocument = require("../models/MediaDocument");
 const auth = require("../middleware/auth");
+const { listTreeItems, loadCatalogTree } = require("../services/catalogStore");
+const { DOCUMENT_TYPES, signDownloadToken } = require("../services/mediaDocuments");
+const { trashRecord } = require("../services/trash");
+const { loadEmailSettings } = require("../services/emailSettings");
 
 const router = express.Router();
 
@@ -14,6 +19,8 @@ const parseList = (value) =>
     .map((item) => item.trim())
     .filter(Boolean);
 
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
 const parsePort = (value, fallback) => {
   const parsed = Number(value);
   return Number.isFinite(parsed) ? parsed : fallback;
@@ -76,6 +83,112 @@ const getTransporter = (settings) => {
   return null;
 };
 
+const MAX_QUOTE_LINES = 50;
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const getMailContext = async () => {
+  const emailSettings = await loadEmailSettings();
+  const receivers = parseList(emailSettings.contactRecipients || CONTACT_RECEIVER_EMAIL);
+  const receiverList = receivers.length ? receivers : parseList(CONTACT_RECEIVER_EMAIL);
+  const senderEmail =
+    emailSettings.contactFromEmail ||
+    process.env.CONTACT_FROM_EMAIL ||
+    emailSettings.smtpUser ||
+    process.env.SMTP_USER ||
+    process.env.EMAIL_USER;
+  const senderName = String(emailSettings.contactFromName || "").trim();
+  const fromValue = senderName ? `${senderName} <${senderEmail}>` : senderEmail;
+  return { emailSettings, receiverList, fromValue };
+};
+
+// Emails a saved lead to the site recipients and marks it sent.
+// Returns false without sending when no mail transport is configured.
+const notifyLead = async (doc, { emailSettings, receiverList, fromValue }, { subject, text, html }) => {
+  const transporter = getTransporter(emailSettings);
+  if (!transporter) return false;
+
+  const resendResult = await sendWithResend({
+    from: fromValue,
+    to: receiverList,
+    subject,
+    text,
+    html,
+    replyTo: doc.email,
+  });
+
+  if (!resendResult.ok) {
+    await transporter.sendMail({
+      from: fromValue,
+      to: receiverList,
+      replyTo: doc.email,
+      subject,
+      text,
+      html,
+    });
+  }
+
+  doc.mailStatus = "sent";
+  doc.sentAt = new Date();
+  doc.errorMessage = "";
+  await doc.save();
+  return true;
+};
+
+const markLeadFailed = async (doc, error) => {
+  if (!doc || !doc._id) return;
+  try {
+    await ContactMessage.findByIdAndUpdate(doc._id, {
+      mailStatus: "failed",
+      errorMessage: error.message || "Email send failed",
+    });
+  } catch {
+    // ignore secondary failure
+  }
+};
+
+const MAIL_NOT_CONFIGURED =
+  "Message saved successfully, but email is not configured. Set SMTP credentials in server .env.";
+
+// Checks each requested line against the live catalog. Errors are keyed by line index.
+const validateQuoteLines = (lines, catalogRows) => {
+  const names = new Map(catalogRows.map((row) => [row.id, row.name]));
+  const errors = {};
+  const quoteLines = lines.map((line, index) => {
+    const itemId = String(line?.itemId || "").trim();
+    const quantity = Number(line?.quantity);
+    if (!names.has(itemId)) {
+      errors[index] = "Unknown catalog item";
+    } else if (!Number.isInteger(quantity) || quantity < 1) {
+      errors[index] = "Quantity must be a whole number of at least 1";
+    }
+    return {
+      itemId,
+      name: names.get(itemId) || itemId,
+      quantity,
+      color: String(line?.color || "").trim(),
+      closure: String(line?.closure || "").trim(),
+      notes: String(line?.notes || "").trim(),
+    };
+  });
+  return { quoteLines, errors };
+};
+
+const describeQuoteLine = (line) =>
+  [
+    `${line.quantity} x ${line.name} (${line.itemId})`,
+    line.color ? `color: ${line.color}` : "",
+    line.closure ? `closure: ${line.closure}` : "",
+    line.notes ? `notes: ${line.notes}` : "",
+  ]
+    .filter(Boolean)
+    .join(", ");
+
 router.post("/send", async (req, res) => {
   let doc = null;
   try {
@@ -85,38 +198,16 @@ router.post("/send", async (req, res) => {
       return res.status(400).json({ message: "All fields are required" });
     }
 
-    const emailSettingsDoc = await Content.findOne({ key: "emailSettings" });
-    const emailSettings = emailSettingsDoc?.data || {};
-    const receivers = parseList(emailSettings.contactRecipients || CONTACT_RECEIVER_EMAIL);
-    const receiverList = receivers.length ? receivers : parseList(CONTACT_RECEIVER_EMAIL);
-    const senderEmail =
-      emailSettings.contactFromEmail ||
-      process.env.CONTACT_FROM_EMAIL ||
-      emailSettings.smtpUser ||
-      process.env.SMTP_USER ||
-      process.env.EMAIL_USER;
-    const senderName = String(emailSettings.contactFromName || "").trim();
-    const fromValue = senderName ? `${senderName} <${senderEmail}>` : senderEmail;
+    const mailContext = await getMailContext();
 
     doc = await ContactMessage.create({
       fullName,
       email,
       subject,
       message,
-      sentTo: receiverList.join(", "),
+      sentTo: mailContext.receiverList.join(", "),
     });
 
-    const transporter = getTransporter(emailSettings);
-    if (!transporter) {
-      return res.status(202).json({
-        message:
-          "Message saved successfully, but email is not configured. Set SMTP credentials in server .env.",
-        id: doc._id,
-      });
-    }
-
-    const fromEmail = senderEmail;
-
     const emailText = `Name: ${fullName}\nEmail: ${email}\nSubject: ${subject}\n\nMessage:\n${message}`;
     const emailHtml = `
         <h3>New Contact Form Message</h3>
@@ -126,47 +217,163 @@ router.post("/send", async (req, res) => {
         <p><strong>Message:</strong><br/>${String(message).replace(/\n/g, "<br/>")}</p>
       `;
 
-    const resendResult = await sendWithResend({
-      from: fromValue,
-      to: receiverList,
+    const sent = await notifyLead(doc, mailContext, {
       subject: `Website Contact: ${subject}`,
       text: emailText,
       html: emailHtml,
-      replyTo: email,
     });
+    if (!sent) {
+      return res.status(202).json({ message: MAIL_NOT_CONFIGURED, id: doc._id });
+    }
 
-    if (!resendResult.ok) {
-      if (!transporter) {
-        throw new Error(resendResult.message || "Resend API error");
-      }
-      await transporter.sendMail({
-        from: fromValue,
-        to: receiverList,
-        replyTo: email,
-        subject: `Website Contact: ${subject}`,
-        text: emailText,
-        html: emailHtml,
-      });
+    return res.json({ message: "Message sent successfully", id: doc._id });
+  } catch (error) {
+    await markLeadFailed(doc, error);
+    return res.status(500).json({ message: "Failed to send message" });
+  }
+});
+
+// Public route: multi-item request for quote, stored as one lead with a line per item
+router.post("/quote", async (req, res) => {
+  let doc = null;
+  try {
+    const { fullName, email, phone, company, country, message, items } = req.body || {};
+
+    if (!fullName || !email) {
+      return res.status(400).json({ message: "Name and email are required" });
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ message: "Add at least one product to the quote" });
+    }
+    if (items.length > MAX_QUOTE_LINES) {
+      return res.status(400).json({ message: `A quote can hold at most ${MAX_QUOTE_LINES} products` });
     }
 
-    doc.mailStatus = "sent";
-    doc.sentAt = new Date();
-    doc.errorMessage = "";
-    await doc.save();
+    const catalogRows = listTreeItems(await loadCatalogTree(), { references: false });
+    const { quoteLines, errors } = validateQuoteLines(items, catalogRows);
+    if (Object.keys(errors).length) {
+      return res.status(400).json({ message: "Some quote lines are invalid", errors });
+    }
 
-    return res.json({ message: "Message sent successfully", id: doc._id });
+    const notes = String(message || "").trim();
+    const subject = `Quote Request - ${quoteLines.length} product${quoteLines.length === 1 ? "" : "s"}`;
+    const summary = [...quoteLines.map(describeQuoteLine), "", "Message:", notes || "-"].join("\n");
+    const mailContext = await getMailContext();
+
+    doc = await ContactMessage.create({
+      type: "quote",
+      fullName,
+      email,
+      subject,
+      message: summary,
+      phone: String(phone || "").trim(),
+      company: String(company || "").trim(),
+      country: String(country || "").trim(),
+      quoteLines,
+      sentTo: mailContext.receiverList.join(", "),
+    });
+
+    const contactText = [
+      `Name: ${fullName}`,
+      `Email: ${email}`,
+      doc.phone ? `Phone: ${doc.phone}` : "",
+      doc.company ? `Company: ${doc.company}` : "",
+      doc.country ? `Country: ${doc.country}` : "",
+    ]
+      .filter(Boolean)
+      .join("\n");
+    const lineRows = quoteLines
+      .map(
+        (line) =>
+          `<tr><td>${escapeHtml(line.name)}<br/><small>${escapeHtml(line.itemId)}</small></td>` +
+          `<td>${line.quantity}</td><td>${escapeHtml(line.color || "-")}</td>` +
+          `<td>${escapeHtml(line.closure || "-")}</td><td>${escapeHtml(line.notes || "-")}</td></tr>`
+      )
+      .join("");
+    const emailHtml = `
+        <h3>New Quote Request</h3>
+        <p>${escapeHtml(contactText).replace(/\n/g, "<br/>")}</p>
+        <table border="1" cellpadding="6" cellspacing="0">
+          <tr><th>Product</th><th>Quantity</th><th>Color</th><th>Closure</th><th>Notes</th></tr>
+          ${lineRows}
+        </table>
+        <p><strong>Message:</strong><br/>${escapeHtml(notes || "-").replace(/\n/g, "<br/>")}</p>
+      `;
+
+    const sent = await notifyLead(doc, mailContext, {
+      subject: `Website ${subject}`,
+      text: `${contactText}\n\n${summary}`,
+      html: emailHtml,
+    });
+    if (!sent) {
+      return res.status(202).json({ message: MAIL_NOT_CONFIGURED, id: doc._id });
+    }
+
+    return res.json({ message: "Quote request sent successfully", id: doc._id });
   } catch (error) {
-    if (doc && doc._id) {
-      try {
-        await ContactMessage.findByIdAndUpdate(doc._id, {
-          mailStatus: "failed",
-          errorMessage: error.message || "Email send failed",
-        });
-      } catch {
-        // ignore secondary failure
-      }
+    await markLeadFailed(doc, error);
+    return res.status(500).json({ message: "Failed to send quote request" });
+  }
+});
+
+// Public route: a visitor's details in exchange for a gated document. The lead is saved
+// (and mailed when possible) before the download token is handed out.
+router.post("/document-request", async (req, res) => {
+  try {
+    const { documentId, itemId, fullName, email, company } = req.body || {};
+    const name = String(fullName || "").trim();
+    const companyName = String(company || "").trim();
+    const visitorEmail = String(email || "").trim().toLowerCase();
+
+    if (!name || !visitorEmail || !companyName) {
+      return res.status(400).json({ message: "Name, email and company are required" });
     }
-    return res.status(500).json({ message: "Failed to send message" });
+    if (!EMAIL_PATTERN.test(visitorEmail)) {
+      return res.status(400).json({ message: "Enter a valid email address" });
+    }
+    const document = mongoose.Types.ObjectId.isValid(String(documentId || ""))
+      ? await MediaDocument.findById(documentId)
+      : null;
+    if (!document) {
+      return res.status(404).json({ message: "Document not found" });
+    }
+
+    const requestedItemId = String(itemId || "").trim();
+    const leadItemId = document.itemIds.includes(requestedItemId) ? requestedItemId : document.itemIds[0] || "";
+    const item = listTreeItems(await loadCatalogTree(), { references: false }).find((row) => row.id === leadItemId);
+    const itemName = item?.name || leadItemId;
+    const typeLabel = DOCUMENT_TYPES.find((type) => type.value === document.documentType)?.label || "Document";
+    const mailContext = await getMailContext();
+
+    const doc = await ContactMessage.create({
+      type: "download",
+      fullName: name,
+      email: visitorEmail,
+      company: companyName,
+      subject: `Document Download: ${document.title}`,
+      message: `Downloaded ${typeLabel} "${document.title}"${itemName ? ` from ${itemName}` : ""}.`,
+      itemId: leadItemId,
+      itemName,
+      documentId: document._id,
+      documentTitle: document.title,
+      sentTo: mailContext.receiverList.join(", "),
+    });
+
+    // Mail is a courtesy here; the visitor still gets the file if it fails.
+    try {
+      const text = `Name: ${name}\nEmail: ${visitorEmail}\nCompany: ${companyName}\n\n${doc.message}`;
+      await notifyLead(doc, mailContext, {
+        subject: `Website ${doc.subject}`,
+        text,
+        html: `<h3>Document Download</h3><p>${escapeHtml(text).replace(/\n/g, "<br/>")}</p>`,
+      });
+    } catch (error) {
+      await markLeadFailed(doc, error);
+    }
+
+    return res.json({ message: "Your download is ready", token: signDownloadToken(document._id, doc._id) });
+  } catch (error) {
+    return res.status(500).json({ message: "Failed to request document" });
   }
 });
 
@@ -180,18 +387,18 @@ router.get("/leads", auth, async (req, res) => {
   }
 });
 
-// Admin route: delete a contact form lead
+// Admin route: move a contact form lead to the trash
 router.delete("/leads/:id", auth, async (req, res) => {
   try {
     const { id } = req.params || {};
     if (!id) {
       return res.status(400).json({ message: "Lead id is required" });
     }
-    const deleted = await ContactMessage.findByIdAndDelete(id);
-    if (!deleted) {
+    const trashed = await trashRecord("lead", id, req.admin);
+    if (!trashed) {
       return res.status(404).json({ message: "Lead not found" });
     }
-    return res.json({ message: "Lead deleted" });
+    return res.json({ message: "Lead moved to trash", trashId: trashed._id });
   } catch (error) {
     return res.status(500).json({ message: "Failed to delete lead" });
   }
@@ -200,24 +407,12 @@ router.delete("/leads/:id", auth, async (req, res) => {
 // Admin route: send a test email with current settings
 router.post("/test", auth, async (req, res) => {
   try {
-    const emailSettingsDoc = await Content.findOne({ key: "emailSettings" });
-    const emailSettings = emailSettingsDoc?.data || {};
-    const receivers = parseList(emailSettings.contactRecipients || CONTACT_RECEIVER_EMAIL);
-    const receiverList = receivers.length ? receivers : parseList(CONTACT_RECEIVER_EMAIL);
+    const { emailSettings, receiverList, fromValue } = await getMailContext();
     const target = String(req.body?.to || receiverList[0] || "").trim();
     if (!target) {
       return res.status(400).json({ message: "Recipient email is required for test." });
     }
 
-    const senderEmail =
-      emailSettings.contactFromEmail ||
-      process.env.CONTACT_FROM_EMAIL ||
-      emailSettings.smtpUser ||
-      process.env.SMTP_USER ||
-      process.env.EMAIL_USER;
-    const senderName = String(emailSettings.contactFromName || "").trim();
-    const fromValue = senderName ? `${senderName} <${senderEmail}>` : senderEmail;
-
     const resendResult = await sendWithResend({
       from: fromValue,
       to: target,
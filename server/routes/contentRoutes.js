@@ -1,13 +1,126 @@
+const crypto = require("crypto");
 const express = require("express");
+const mongoose = require("mongoose");
 const Content = require("../models/Content");
+const ContentRevision = require("../models/ContentRevision");
 const auth = require("../middleware/auth");
+const { CATALOG_CONTENT_KEY, withCatalogTree } = require("../services/catalogStore");
+const { fingerprintCatalog } = require("../services/catalogDiff");
+const { diffValues } = require("../services/contentDiff");
+const { trashRecord } = require("../services/trash");
+const { EMAIL_SETTINGS_KEY } = require("../services/emailSettings");
+const { notifyContentChanged, openContentStream } = require("../services/contentEvents");
+const {
+  describeContentKey,
+  isPublicContentKey,
+  listContentSchemas,
+  validateContentData,
+} = require("../services/contentSchemas");
+const {
+  isPublished,
+  atVersion,
+  toEditor,
+  toPublicEntry,
+  toManagedEntry,
+  loadWorkingData,
+  publishContent,
+} = require("../services/contentPublishing");
 
 const router = express.Router();
 
+const isValidId = (value) => mongoose.Types.ObjectId.isValid(String(value || ""));
+
+const findContent = async (id) => (isValidId(id) ? Content.findById(id) : null);
+
+// Mail settings hold the SMTP password and are saved through /api/settings/email instead.
+const EMAIL_SETTINGS_MOVED = "Email settings are saved from Settings, not as content";
+
+const sendValidationErrors = (res, key, errors) =>
+  res.status(400).json({
+    message: `${describeContentKey(key)} has ${errors.length} problem${errors.length === 1 ? "" : "s"}`,
+    errors,
+  });
+
+// Keys the site needs for its first paint; GET /bundle serves them in one response.
+const DEFAULT_BUNDLE_KEYS = ["siteSettings", "marketSegments", "contactPage", "homePage", CATALOG_CONTENT_KEY];
+
+const hashOf = (body) => crypto.createHash("sha1").update(JSON.stringify(body)).digest("hex");
+
+// Public responses carry an ETag (and Last-Modified when known) with no-cache, so the
+// site revalidates and res.json answers an unchanged entry with a bodiless 304.
+const setRevalidationHeaders = (res, body, lastModified) => {
+  res.set("Cache-Control", "no-cache");
+  res.set("ETag", `"${hashOf(body)}"`);
+  if (lastModified) res.set("Last-Modified", new Date(lastModified).toUTCString());
+};
+
+// Someone saved since the editor loaded the entry: 409 with the entry as it is now, so the
+// dashboard can offer to merge or reload.
+const sendConflict = async (res, doc, message) =>
+  res.status(409).json({ message, current: doc ? await toManagedEntry(doc) : null });
+
+// "draft", "published" or a revision number, as accepted by the diff route.
+const resolveVersion = async (doc, version) => {
+  if (version === "draft") return doc.draft;
+  if (version === "published") return (await withCatalogTree(doc)).data;
+  const revision = await ContentRevision.findOne({ content: doc._id, revision: Number(version) });
+  return revision ? revision.data : undefined;
+};
+
+// Public route: published entries whose key is on the public allowlist
 router.get("/", async (req, res) => {
   try {
     const docs = await Content.find().sort({ updatedAt: -1 });
-    res.json(docs);
+    const published = docs.filter((doc) => isPublicContentKey(doc.key) && isPublished(doc)).map(toPublicEntry);
+    const entries = await Promise.all(published.map(withCatalogTree));
+    setRevalidationHeaders(res, entries);
+    res.json(entries);
+  } catch (error) {
+    res.status(500).json({ message: "Failed to fetch content" });
+  }
+});
+
+// Public route: the published data of several keys at once (?keys=a,b, default
+// DEFAULT_BUNDLE_KEYS). `version` is a hash of `entries`; keys without published data are
+// left out of `entries` but stay in `keys`.
+router.get("/bundle", async (req, res) => {
+  try {
+    const requested = req.query.keys
+      ? String(req.query.keys)
+          .split(",")
+          .map((key) => key.trim())
+          .filter(Boolean)
+      : DEFAULT_BUNDLE_KEYS;
+    const keys = [...new Set(requested)].filter(isPublicContentKey);
+    const docs = await Content.find({ key: { $in: keys } });
+    const published = await Promise.all(
+      docs.filter(isPublished).map((doc) => withCatalogTree(toPublicEntry(doc)))
+    );
+    const byKey = new Map(published.map((entry) => [entry.key, entry.data]));
+    const entries = Object.fromEntries(keys.filter((key) => byKey.has(key)).map((key) => [key, byKey.get(key)]));
+    const version = hashOf(entries);
+
+    res.set("Cache-Control", "no-cache");
+    res.set("ETag", `"${version}"`);
+    res.json({ version, keys, entries });
+  } catch (error) {
+    res.status(500).json({ message: "Failed to fetch content" });
+  }
+});
+
+// Public route: Server-Sent Events naming the keys whose published data changed
+router.get("/events", openContentStream);
+
+// Admin route: the JSON Schema of every registered key, which saves are validated against
+router.get("/schemas", auth, (req, res) => {
+  res.json(listContentSchemas());
+});
+
+// Admin route: every entry including unpublished drafts
+router.get("/manage", auth, async (req, res) => {
+  try {
+    const docs = await Content.find().sort({ updatedAt: -1 });
+    res.json(await Promise.all(docs.map(toManagedEntry)));
   } catch (error) {
     res.status(500).json({ message: "Failed to fetch content" });
   }
@@ -15,55 +128,245 @@ router.get("/", async (req, res) => {
 
 router.get("/key/:key", async (req, res) => {
   try {
+    if (!isPublicContentKey(req.params.key)) {
+      return res.status(404).json({ message: "Content not found" });
+    }
     const doc = await Content.findOne({ key: req.params.key });
-    if (!doc) {
+    if (!doc || !isPublished(doc)) {
       return res.status(404).json({ message: "Content not found" });
     }
 
-    res.json(doc);
+    const entry = await withCatalogTree(toPublicEntry(doc));
+    // The catalog tree is read from its own collections, so the entry's dates say nothing about it.
+    setRevalidationHeaders(res, entry, doc.key === CATALOG_CONTENT_KEY ? null : doc.publishedAt || doc.updatedAt);
+    res.json(entry);
   } catch (error) {
     res.status(500).json({ message: "Failed to fetch content" });
   }
 });
 
+// Admin route: new entries start as an unpublished draft
 router.post("/", auth, async (req, res) => {
   try {
     const { key, title, data } = req.body;
-    const created = await Content.create({ key, title, data });
-    res.status(201).json(created);
+    if (key === EMAIL_SETTINGS_KEY) {
+      return res.status(400).json({ message: EMAIL_SETTINGS_MOVED });
+    }
+    const errors = validateContentData(key, data ?? {});
+    if (errors.length) {
+      return sendValidationErrors(res, key, errors);
+    }
+    const created = await Content.create({
+      key,
+      title,
+      data: null,
+      draft: data ?? {},
+      draftUpdatedAt: new Date(),
+      draftUpdatedBy: toEditor(req.admin),
+    });
+    res.status(201).json(await toManagedEntry(created));
   } catch (error) {
     res.status(400).json({ message: "Failed to create content entry" });
   }
 });
 
+// Admin route: saves the draft; the published data is untouched until publish
 router.put("/:id", auth, async (req, res) => {
   try {
-    const { key, title, data } = req.body;
-    const updated = await Content.findByIdAndUpdate(
-      req.params.id,
-      { key, title, data },
+    if (!isValidId(req.params.id)) {
+      return res.status(404).json({ message: "Content not found" });
+    }
+    const { key, title, data, baseVersion, version } = req.body;
+    if (key === EMAIL_SETTINGS_KEY) {
+      return res.status(400).json({ message: EMAIL_SETTINGS_MOVED });
+    }
+    if (!Number.isInteger(version) || version < 0) {
+      return res.status(400).json({ message: "Send the version of the entry you edited" });
+    }
+    const errors = validateContentData(key, data ?? {});
+    if (errors.length) {
+      return sendValidationErrors(res, key, errors);
+    }
+    // The dashboard sends the catalogVersion it loaded; anything saved since then wins.
+    if (key === CATALOG_CONTENT_KEY && !baseVersion) {
+      return res.status(400).json({ message: "Send the catalogVersion the catalog was loaded at as baseVersion" });
+    }
+    if (key === CATALOG_CONTENT_KEY) {
+      const current = await loadWorkingData(CATALOG_CONTENT_KEY);
+      if (fingerprintCatalog(current) !== baseVersion) {
+        return sendConflict(
+          res,
+          await Content.findById(req.params.id),
+          "The product catalog was changed after you opened it. Reload it and redo your edits."
+        );
+      }
+    }
+    const updated = await Content.findOneAndUpdate(
+      { _id: req.params.id, ...atVersion(version) },
+      {
+        $set: {
+          key,
+          title,
+          draft: data ?? {},
+          draftUpdatedAt: new Date(),
+          draftUpdatedBy: toEditor(req.admin),
+        },
+        $inc: { version: 1 },
+      },
       { new: true, runValidators: true }
     );
 
     if (!updated) {
-      return res.status(404).json({ message: "Content not found" });
+      const current = await Content.findById(req.params.id);
+      if (!current) {
+        return res.status(404).json({ message: "Content not found" });
+      }
+      const message = `${describeContentKey(current.key)} was changed by someone else while you were editing`;
+      return sendConflict(res, current, message);
     }
 
-    res.json(updated);
+    res.json(await toManagedEntry(updated));
   } catch (error) {
     res.status(400).json({ message: "Failed to update content entry" });
   }
 });
 
+// Admin route: make the current draft live and record it as a revision
+router.post("/:id/publish", auth, async (req, res) => {
+  try {
+    const doc = await findContent(req.params.id);
+    if (!doc) {
+      return res.status(404).json({ message: "Content not found" });
+    }
+    if (doc.draft === undefined) {
+      return res.status(400).json({ message: "There is no draft to publish" });
+    }
+    const errors = validateContentData(doc.key, doc.draft);
+    if (errors.length) {
+      return sendValidationErrors(res, doc.key, errors);
+    }
+
+    const { doc: published, revision } = await publishContent(doc, doc.draft, req.admin, {
+      note: String(req.body?.note || "").trim(),
+    });
+    res.json({ entry: await toManagedEntry(published), revision: revision.revision });
+  } catch (error) {
+    if (error?.name === "ValidationError") {
+      return res.status(400).json({ message: `Cannot publish: ${error.message}` });
+    }
+    res.status(500).json({ message: "Failed to publish content entry" });
+  }
+});
+
+// Admin route: throw away the pending draft
+router.delete("/:id/draft", auth, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(404).json({ message: "Content not found" });
+    }
+    const updated = await Content.findByIdAndUpdate(
+      req.params.id,
+      { $unset: { draft: 1, draftUpdatedAt: 1, draftUpdatedBy: 1 }, $inc: { version: 1 } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(404).json({ message: "Content not found" });
+    }
+    res.json(await toManagedEntry(updated));
+  } catch (error) {
+    res.status(500).json({ message: "Failed to discard draft" });
+  }
+});
+
+// Admin route: revision list, newest first, without the stored data
+router.get("/:id/revisions", auth, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(404).json({ message: "Content not found" });
+    }
+    const revisions = await ContentRevision.find({ content: req.params.id })
+      .select("-data")
+      .sort({ revision: -1 });
+    res.json(revisions);
+  } catch (error) {
+    res.status(500).json({ message: "Failed to fetch revisions" });
+  }
+});
+
+router.get("/:id/revisions/:revision", auth, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(404).json({ message: "Revision not found" });
+    }
+    const revision = await ContentRevision.findOne({
+      content: req.params.id,
+      revision: Number(req.params.revision),
+    });
+    if (!revision) {
+      return res.status(404).json({ message: "Revision not found" });
+    }
+    res.json(revision);
+  } catch (error) {
+    res.status(500).json({ message: "Failed to fetch revision" });
+  }
+});
+
+// Admin route: field-level diff, e.g. ?from=3&to=draft
+router.get("/:id/diff", auth, async (req, res) => {
+  try {
+    const doc = await findContent(req.params.id);
+    if (!doc) {
+      return res.status(404).json({ message: "Content not found" });
+    }
+    const from = String(req.query.from || "published");
+    const to = String(req.query.to || "draft");
+    const [before, after] = await Promise.all([resolveVersion(doc, from), resolveVersion(doc, to)]);
+    if (before === undefined || after === undefined) {
+      return res.status(404).json({ message: `Nothing to compare for ${before === undefined ? from : to}` });
+    }
+    res.json({ from, to, ...diffValues(before, after) });
+  } catch (error) {
+    res.status(500).json({ message: "Failed to compare revisions" });
+  }
+});
+
+// Admin route: republish an earlier revision as a new revision; any pending draft is kept
+router.post("/:id/rollback", auth, async (req, res) => {
+  try {
+    const doc = await findContent(req.params.id);
+    if (!doc) {
+      return res.status(404).json({ message: "Content not found" });
+    }
+    const target = await ContentRevision.findOne({
+      content: doc._id,
+      revision: Number(req.body?.revision),
+    });
+    if (!target) {
+      return res.status(404).json({ message: "Revision not found" });
+    }
+
+    const { doc: published, revision } = await publishContent(doc, target.data, req.admin, {
+      note: `Rolled back to revision ${target.revision}`,
+      restoredFrom: target.revision,
+      keepDraft: true,
+    });
+    res.json({ entry: await toManagedEntry(published), revision: revision.revision });
+  } catch (error) {
+    res.status(500).json({ message: "Failed to roll back content entry" });
+  }
+});
+
+// Revisions stay in place while the entry is in the trash and are purged with it.
 router.delete("/:id", auth, async (req, res) => {
   try {
-    const deleted = await Content.findByIdAndDelete(req.params.id);
+    const trashed = await trashRecord("content", req.params.id, req.admin);
 
-    if (!deleted) {
+    if (!trashed) {
       return res.status(404).json({ message: "Content not found" });
     }
 
-    res.json({ message: "Deleted successfully" });
+    notifyContentChanged(trashed.data.key);
+    res.json({ message: "Moved to trash", trashId: trashed._id });
   } catch (error) {
     res.status(500).json({ message: "Failed to delete content entry" });
   }
@@ -0,0 +1,57 @@
+const express = require("express");
+const ExchangeRate = require("../models/ExchangeRate");
+const auth = require("../middleware/auth");
+const { BASE_CURRENCY, isCurrencyCode, toCurrency } = require("../services/productPricing");
+
+const router = express.Router();
+
+const toTable = (rates) => ({
+  baseCurrency: BASE_CURRENCY,
+  rates: rates.map(({ currency, rate, updatedAt }) => ({ currency, rate, updatedAt })),
+});
+
+// Public route: the table quotes are converted with
+router.get("/", async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find().sort({ currency: 1 }).lean();
+    res.json(toTable(rates));
+  } catch (error) {
+    res.status(500).json({ message: "Failed to fetch exchange rates" });
+  }
+});
+
+// Admin route: replace the whole table with body.rates ([{ currency, rate }])
+router.put("/", auth, async (req, res) => {
+  try {
+    const rows = Array.isArray(req.body?.rates) ? req.body.rates : [];
+    const errors = [];
+    const seen = new Set();
+    const rates = rows.map((row, index) => {
+      const currency = toCurrency(row?.currency);
+      const rate = Number(row?.rate);
+      if (!isCurrencyCode(currency)) errors.push({ index, field: "currency", message: "Use a 3-letter currency code" });
+      else if (currency === BASE_CURRENCY) {
+        errors.push({ index, field: "currency", message: `${BASE_CURRENCY} is the base currency` });
+      } else if (seen.has(currency)) errors.push({ index, field: "currency", message: `${currency} is listed twice` });
+      if (!(rate > 0)) errors.push({ index, field: "rate", message: "Rate must be a positive number" });
+      seen.add(currency);
+      return { currency, rate };
+    });
+    if (errors.length) {
+      return res.status(400).json({ message: "Exchange rates are invalid", errors });
+    }
+
+    await ExchangeRate.deleteMany({ currency: { $nin: rates.map((rate) => rate.currency) } });
+    await Promise.all(
+      rates.map(({ currency, rate }) =>
+        ExchangeRate.updateOne({ currency }, { $set: { rate } }, { upsert: true, runValidators: true })
+      )
+    );
+    const saved = await ExchangeRate.find().sort({ currency: 1 }).lean();
+    res.json(toTable(saved));
+  } catch (error) {
+    res.status(500).json({ message: "Failed to save exchange rates" });
+  }
+});
+
+module.exports = router;
@@ -1,26 +1,72 @@
 const express = require("express");
 const fs = require("fs");
 const path = require("path");
+const mongoose = require("mongoose");
 const multer = require("multer");
 const auth = require("../middleware/auth");
+const MediaDocument = require("../models/MediaDocument");
+const {
+  DOCUMENTS_DIR,
+  DOCUMENT_EXTENSIONS,
+  DOCUMENT_TYPES,
+  isAllowedDocument,
+  parseItemIds,
+  toPublicDocument,
+  verifyDownloadToken,
+} = require("../services/mediaDocuments");
+const { toEditor } = require("../services/contentPublishing");
+const { trashMediaFile, trashRecord } = require("../services/trash");
 
 const router = express.Router();
 const uploadDir = path.join(__dirname, "..", "uploads");
 
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
+[uploadDir, DOCUMENTS_DIR].forEach((dir) => {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+});
+
+const timestampedName = (req, file, cb) => {
+  const safeName = file.originalname.replace(/\s+/g, "_");
+  cb(null, `${Date.now()}-${safeName}`);
+};
 
 const storage = multer.diskStorage({
   destination: uploadDir,
-  filename: (req, file, cb) => {
-    const safeName = file.originalname.replace(/\s+/g, "_");
-    cb(null, `${Date.now()}-${safeName}`);
-  },
+  filename: timestampedName,
 });
 
 const upload = multer({ storage });
 
+const documentUpload = multer({
+  storage: multer.diskStorage({
+    destination: DOCUMENTS_DIR,
+    filename: timestampedName,
+  }),
+  limits: { fileSize: 25 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => cb(null, isAllowedDocument(file.originalname)),
+});
+
+const isValidId = (value) => mongoose.Types.ObjectId.isValid(String(value || ""));
+
+const pickDocumentFields = (body = {}) => {
+  const payload = {};
+  ["title", "documentType", "description"].forEach((field) => {
+    if (body[field] !== undefined) payload[field] = String(body[field]).trim();
+  });
+  if (body.itemIds !== undefined) payload.itemIds = parseItemIds(body.itemIds);
+  if (body.gated !== undefined) payload.gated = String(body.gated) === "true";
+  return payload;
+};
+
+const sendDocumentFile = (res, doc) => {
+  const filePath = path.join(DOCUMENTS_DIR, path.basename(doc.fileName));
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ message: "File not found" });
+  }
+  return res.download(filePath, doc.originalName || doc.fileName);
+};
+
 router.get("/", auth, async (req, res) => {
   try {
     const files = fs
@@ -52,15 +98,122 @@ router.delete("/:name", auth, async (req, res) => {
     if (!safeName) {
       return res.status(400).json({ message: "File name is required" });
     }
-    const filePath = path.join(uploadDir, safeName);
-    if (!fs.existsSync(filePath)) {
+    // Quarantined rather than unlinked, so it can be restored from the trash.
+    const trashed = await trashMediaFile(safeName, req.admin);
+    if (!trashed) {
       return res.status(404).json({ message: "File not found" });
     }
-    fs.unlinkSync(filePath);
-    return res.json({ message: "File deleted" });
+    return res.json({ message: "File moved to trash", trashId: trashed._id });
   } catch (error) {
     return res.status(500).json({ message: "Failed to delete media" });
   }
 });
 
+router.get("/documents/types", (req, res) => {
+  res.json({ types: DOCUMENT_TYPES, extensions: DOCUMENT_EXTENSIONS });
+});
+
+// Public route: documents attached to a catalog item, without file locations
+router.get("/documents/item/:itemId", async (req, res) => {
+  try {
+    const docs = await MediaDocument.find({ itemIds: req.params.itemId }).sort({ documentType: 1, title: 1 });
+    res.json(docs.map(toPublicDocument));
+  } catch (error) {
+    res.status(500).json({ message: "Failed to fetch documents" });
+  }
+});
+
+// Public route: open documents download directly; gated ones need the token handed out
+// by POST /api/contact/document-request once the visitor has left their details.
+router.get("/documents/:id/download", async (req, res) => {
+  try {
+    const doc = isValidId(req.params.id) ? await MediaDocument.findById(req.params.id) : null;
+    if (!doc) {
+      return res.status(404).json({ message: "Document not found" });
+    }
+    if (doc.gated && !verifyDownloadToken(req.query.token, doc._id)) {
+      return res.status(403).json({ message: "Please request this document first" });
+    }
+    return sendDocumentFile(res, doc);
+  } catch (error) {
+    return res.status(500).json({ message: "Failed to download document" });
+  }
+});
+
+// Admin route: all documents, or those attached to ?itemId=
+router.get("/documents", auth, async (req, res) => {
+  try {
+    const filter = req.query.itemId ? { itemIds: String(req.query.itemId) } : {};
+    res.json(await MediaDocument.find(filter).sort({ createdAt: -1 }));
+  } catch (error) {
+    res.status(500).json({ message: "Failed to fetch documents" });
+  }
+});
+
+// Admin route: the stored file, regardless of gating
+router.get("/documents/:id/file", auth, async (req, res) => {
+  try {
+    const doc = isValidId(req.params.id) ? await MediaDocument.findById(req.params.id) : null;
+    if (!doc) {
+      return res.status(404).json({ message: "Document not found" });
+    }
+    return sendDocumentFile(res, doc);
+  } catch (error) {
+    return res.status(500).json({ message: "Failed to download document" });
+  }
+});
+
+router.post("/documents", auth, documentUpload.single("file"), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ message: `A ${DOCUMENT_EXTENSIONS.join(" or ")} file is required` });
+  }
+  try {
+    const fields = pickDocumentFields(req.body);
+    const created = await MediaDocument.create({
+      ...fields,
+      title: fields.title || req.file.originalname,
+      fileName: req.file.filename,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      uploadedBy: toEditor(req.admin),
+    });
+    return res.status(201).json(created);
+  } catch (error) {
+    fs.unlink(req.file.path, () => {});
+    return res.status(400).json({ message: "Failed to save document" });
+  }
+});
+
+// Admin route: metadata only (title, type, description, attached items, gating)
+router.put("/documents/:id", auth, async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(404).json({ message: "Document not found" });
+    }
+    const updated = await MediaDocument.findByIdAndUpdate(req.params.id, pickDocumentFields(req.body), {
+      new: true,
+      runValidators: true,
+    });
+    if (!updated) {
+      return res.status(404).json({ message: "Document not found" });
+    }
+    return res.json(updated);
+  } catch (error) {
+    return res.status(400).json({ message: "Failed to update document" });
+  }
+});
+
+router.delete("/documents/:id", auth, async (req, res) => {
+  try {
+    const trashed = await trashRecord("document", req.params.id, req.admin);
+    if (!trashed) {
+      return res.status(404).json({ message: "Document not found" });
+    }
+    return res.json({ message: "Document moved to trash", trashId: trashed._id });
+  } catch (error) {
+    return res.status(500).json({ message: "Failed to delete document" });
+  }
+});
+
 module.exports = router;
@@ -2,7 +2,18 @@ const express = require("express");
 const router = express.Router();
 const Product = require("../models/Product");
 const multer = require("multer");
+const ExchangeRate = require("../models/ExchangeRate");
 const auth = require("../middleware/auth");
+const optionalAuth = require("../middleware/optionalAuth");
+const { AVAILABILITY_FIELDS, normalizeAvailability } = require("../services/catalogAvailability");
+const {
+  PRICING_FIELDS,
+  buildQuote,
+  normalizePricing,
+  toPublicProduct,
+  toRateTable,
+} = require("../services/productPricing");
+const { trashRecord } = require("../services/trash");
 
 
 // ================= MULTER SETUP =================
@@ -16,29 +27,131 @@ const storage = multer.diskStorage({
 const upload = multer({ storage });
 // ===============================================
 
+const SORT_FIELDS = ["name", "price", "createdAt", "updatedAt"];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// PUT only touches the pricing and availability fields the body sends, so a client that
+// leaves them out keeps the stored values. A blank availability field clears it.
+const toPartialUpdate = (body) => {
+  const $set = {};
+  const $unset = {};
+  const pricing = normalizePricing(body);
+  PRICING_FIELDS.filter((field) => body[field] !== undefined).forEach((field) => {
+    $set[field] = pricing[field];
+  });
+  const availability = normalizeAvailability(body);
+  AVAILABILITY_FIELDS.filter((field) => body[field] !== undefined).forEach((field) => {
+    if (availability[field] === undefined) $unset[`availability.${field}`] = 1;
+    else $set[`availability.${field}`] = availability[field];
+  });
+  return { $set, $unset };
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const toPrice = (value) => {
+  if (value === undefined || value === "") return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+// ?page=2&limit=20&q=bottle&minPrice=5&maxPrice=50&sort=-price&publicPricing=true
+// `sort` is one of SORT_FIELDS, prefixed with "-" for descending. Without publicPricing=true
+// the price filters and price sort need `canSeePrices`, or they are ignored.
+const parseProductQuery = (query = {}, { canSeePrices = true } = {}) => {
+  const filter = {};
+  const text = String(query.q || "").trim();
+  if (text) {
+    const pattern = new RegExp(escapeRegex(text), "i");
+    filter.$or = [{ name: pattern }, { description: pattern }];
+  }
+  if (query.publicPricing === "true") filter.publicPricing = true;
+  const byPrice = canSeePrices || filter.publicPricing === true;
+  const minPrice = byPrice ? toPrice(query.minPrice) : undefined;
+  const maxPrice = byPrice ? toPrice(query.maxPrice) : undefined;
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filter.price = {};
+    if (minPrice !== undefined) filter.price.$gte = minPrice;
+    if (maxPrice !== undefined) filter.price.$lte = maxPrice;
+  }
+
+  const rawSort = String(query.sort || "-createdAt");
+  const field = rawSort.replace(/^-/, "");
+  const sortable = SORT_FIELDS.includes(field) && (byPrice || field !== "price");
+  const sort = sortable ? rawSort : "-createdAt";
+  const direction = sort.startsWith("-") ? -1 : 1;
+
+  const paged = query.page !== undefined || query.limit !== undefined;
+  const limit = Math.min(Math.max(Number.parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const page = Math.max(Number.parseInt(query.page, 10) || 1, 1);
+
+  return { filter, sort, sortSpec: { [sort.replace(/^-/, "")]: direction, _id: direction }, paged, page, limit };
+};
+
 
-// GET all products (Public)
-router.get("/", async (req, res) => {
+// GET products (Public): searchable and sortable, and paged as
+// { products, total, page, limit, pages, sort } when page or limit is sent; otherwise a
+// plain array of every match, as before paging existed. Visitors cannot see prices that
+// are not public, so their price filters and price sort only apply with publicPricing=true
+// and are ignored otherwise.
+router.get("/", optionalAuth, async (req, res) => {
   try {
-    const products = await Product.find().sort({ createdAt: -1 });
-    res.json(products);
+    const { filter, sort, sortSpec, paged, page, limit } = parseProductQuery(req.query, {
+      canSeePrices: Boolean(req.admin),
+    });
+    const toResponse = (product) => (req.admin ? product : toPublicProduct(product));
+    if (!paged) {
+      const products = await Product.find(filter).sort(sortSpec);
+      return res.json(products.map(toResponse));
+    }
+    const [products, total] = await Promise.all([
+      Product.find(filter)
+        .sort(sortSpec)
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Product.countDocuments(filter),
+    ]);
+    res.json({
+      products: products.map(toResponse),
+      total,
+      page,
+      limit,
+      pages: Math.max(Math.ceil(total / limit), 1),
+      sort,
+    });
   } catch (error) {
     res.status(500).json({ message: "Failed to fetch products" });
   }
 });
 
-router.get("/:id", async (req, res) => {
+router.get("/:id", optionalAuth, async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     if (!product) {
       return res.status(404).json({ message: "Product not found" });
     }
-    res.json(product);
+    res.json(req.admin ? product : toPublicProduct(product));
   } catch (error) {
     res.status(500).json({ message: "Failed to fetch product" });
   }
 });
 
+// GET /:id/quote?quantity=50000&currency=EUR (Public for products with public pricing)
+router.get("/:id/quote", optionalAuth, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product || (!req.admin && !product.publicPricing)) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+    const rates = await ExchangeRate.find().lean();
+    res.json(buildQuote(product, req.query, toRateTable(rates)));
+  } catch (error) {
+    const status = error.status || 500;
+    res.status(status).json({ message: status === 500 ? "Failed to build quote" : error.message });
+  }
+});
+
 
 // POST add product (Protected)
 router.post("/", auth, upload.single("image"), async (req, res) => {
@@ -47,7 +160,11 @@ router.post("/", auth, upload.single("image"), async (req, res) => {
       name: req.body.name,
       description: req.body.description || "",
       price: req.body.price,
-      image: req.file ? req.file.filename : ""
+      // priceTiers arrives as a JSON string of { minQuantity, unitPrice } rows
+      ...normalizePricing(req.body),
+      image: req.file ? req.file.filename : "",
+      // Sent as flat multipart fields: moq, leadTimeDays, stockStatus, sampleAvailable
+      availability: normalizeAvailability(req.body),
     });
 
     await newProduct.save();
@@ -61,14 +178,21 @@ router.post("/", auth, upload.single("image"), async (req, res) => {
 // UPDATE product (Protected)
 router.put("/:id", auth, upload.single("image"), async (req, res) => {
   try {
+    const { $set, $unset } = toPartialUpdate(req.body);
     const payload = {
-      name: req.body.name,
-      description: req.body.description || "",
-      price: req.body.price,
+      $set: {
+        name: req.body.name,
+        description: req.body.description || "",
+        price: req.body.price,
+        ...$set,
+      },
     };
+    if (Object.keys($unset).length) {
+      payload.$unset = $unset;
+    }
 
     if (req.file) {
-      payload.image = req.file.filename;
+      payload.$set.image = req.file.filename;
     }
 
     const updated = await Product.findByIdAndUpdate(req.params.id, payload, {
@@ -87,16 +211,16 @@ router.put("/:id", auth, upload.single("image"), async (req, res) => {
 });
 
 
-// DELETE product (Protected)
+// DELETE product (Protected): moves it to the trash
 router.delete("/:id", auth, async (req, res) => {
   try {
-    const deleted = await Product.findByIdAndDelete(req.params.id);
+    const trashed = await trashRecord("product", req.params.id, req.admin);
 
-    if (!deleted) {
+    if (!trashed) {
       return res.status(404).json({ message: "Product not found" });
     }
 
-    res.json({ message: "Deleted successfully" });
+    res.json({ message: "Moved to trash", trashId: trashed._id });
   } catch (error) {
     res.status(500).json({ message: "Failed to delete product" });
   }
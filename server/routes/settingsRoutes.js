@@ -0,0 +1,29 @@
+const express = require("express");
+const auth = require("../middleware/auth");
+const { describeEmailSettings, saveEmailSettings } = require("../services/emailSettings");
+
+const router = express.Router();
+
+// Admin route: mail settings; the SMTP password only comes back as smtpPassConfigured
+router.get("/email", auth, async (req, res) => {
+  try {
+    res.json(await describeEmailSettings());
+  } catch (error) {
+    res.status(500).json({ message: "Failed to fetch email settings" });
+  }
+});
+
+// Admin route: a blank smtpPass keeps the stored one, clearSmtpPass removes it
+router.put("/email", auth, async (req, res) => {
+  try {
+    res.json(await saveEmailSettings(req.body || {}));
+  } catch (error) {
+    const status = error.status || 500;
+    res.status(status).json({
+      message: status === 500 ? "Failed to save email settings" : error.message,
+      ...(error.errors ? { errors: error.errors } : {}),
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,88 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const TrashEntry = require("../models/TrashEntry");
+const auth = require("../middleware/auth");
+const { notifyContentChanged } = require("../services/contentEvents");
+const {
+  getRetentionDays,
+  setRetentionDays,
+  purgeAt,
+  purgeTrashEntry,
+  restoreTrashEntry,
+} = require("../services/trash");
+
+const router = express.Router();
+
+const findEntry = async (id) => (mongoose.Types.ObjectId.isValid(String(id || "")) ? TrashEntry.findById(id) : null);
+
+// Admin route: trashed items, newest first, optionally only one ?kind=
+router.get("/", auth, async (req, res) => {
+  try {
+    const filter = req.query.kind ? { kind: String(req.query.kind) } : {};
+    const [entries, retentionDays] = await Promise.all([
+      TrashEntry.find(filter).select("-data").sort({ deletedAt: -1 }).lean(),
+      getRetentionDays(),
+    ]);
+    res.json({
+      retentionDays,
+      entries: entries.map((entry) => ({ ...entry, purgeAt: purgeAt(entry, retentionDays) })),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Failed to fetch trash" });
+  }
+});
+
+// Admin route: how many days deleted items are kept
+router.put("/settings", auth, async (req, res) => {
+  try {
+    const retentionDays = await setRetentionDays(req.body?.retentionDays);
+    res.json({ retentionDays });
+  } catch (error) {
+    const status = error.status || 500;
+    res.status(status).json({ message: status === 500 ? "Failed to save trash settings" : error.message });
+  }
+});
+
+router.post("/:id/restore", auth, async (req, res) => {
+  try {
+    const entry = await findEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ message: "Trash entry not found" });
+    }
+    await restoreTrashEntry(entry);
+    if (entry.kind === "content") notifyContentChanged(entry.data?.key);
+    res.json({ message: `${entry.label} restored`, kind: entry.kind, originalId: entry.originalId });
+  } catch (error) {
+    const status = error.status || 500;
+    res.status(status).json({ message: status === 500 ? "Failed to restore item" : error.message });
+  }
+});
+
+// Admin route: delete one entry for good
+router.delete("/:id", auth, async (req, res) => {
+  try {
+    const entry = await findEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ message: "Trash entry not found" });
+    }
+    await purgeTrashEntry(entry);
+    res.json({ message: "Deleted permanently" });
+  } catch (error) {
+    res.status(500).json({ message: "Failed to delete trash entry" });
+  }
+});
+
+// Admin route: empty the trash
+router.delete("/", auth, async (req, res) => {
+  try {
+    const entries = await TrashEntry.find();
+    for (const entry of entries) {
+      await purgeTrashEntry(entry);
+    }
+    res.json({ message: "Trash emptied", purged: entries.length });
+  } catch (error) {
+    res.status(500).json({ message: "Failed to empty trash" });
+  }
+});
+
+module.exports = router;
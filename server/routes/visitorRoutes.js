@@ -1,6 +1,7 @@
 const express = require("express");
 const Visitor = require("../models/Visitor");
 const auth = require("../middleware/auth");
+const { trashRecord } = require("../services/trash");
 
 const router = express.Router();
 
@@ -56,14 +57,14 @@ router.get("/", auth, async (req, res) => {
   }
 });
 
-// Admin route: delete one visitor
+// Admin route: move one visitor to the trash
 router.delete("/:id", auth, async (req, res) => {
   try {
-    const deleted = await Visitor.findByIdAndDelete(req.params.id);
-    if (!deleted) {
+    const trashed = await trashRecord("visitor", req.params.id, req.admin);
+    if (!trashed) {
       return res.status(404).json({ message: "Visitor not found" });
     }
-    res.json({ message: "Deleted successfully" });
+    res.json({ message: "Moved to trash", trashId: trashed._id });
   } catch (error) {
     res.status(500).json({ message: "Failed to delete visitor" });
   }
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const Content = require("../models/Content");
+const { CATALOG_CONTENT_KEY, hasCatalogData, replaceCatalogTree } = require("../services/catalogStore");
+
+const MONGO_URI = process.env.MONGO_URI || "mongodb://127.0.0.1:27017/aethonDB";
+const force = process.argv.includes("--force");
+
+// Imports the productCatalog Content blob into the CatalogSection / CatalogItem collections.
+// Re-running is a no-op unless --force is passed, which rebuilds the collections from the blob.
+const run = async () => {
+  await mongoose.connect(MONGO_URI);
+
+  if ((await hasCatalogData()) && !force) {
+    console.log("Catalog collections already populated. Pass --force to re-import.");
+    await mongoose.disconnect();
+    return;
+  }
+
+  const doc = await Content.findOne({ key: CATALOG_CONTENT_KEY });
+  if (!doc?.data || typeof doc.data !== "object") {
+    throw new Error(`No "${CATALOG_CONTENT_KEY}" content entry to migrate. Run seed:content first.`);
+  }
+
+  const counts = await replaceCatalogTree(doc.data);
+  console.log(`Catalog migrated: ${counts.sections} sections, ${counts.items} items`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error("Migration failed:", error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
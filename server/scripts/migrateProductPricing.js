@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const Product = require("../models/Product");
+
+const MONGO_URI = process.env.MONGO_URI || "mongodb://127.0.0.1:27017/aethonDB";
+
+// Products created before publicPricing existed showed their price to everyone. Marks
+// them public so they keep doing so; products saved since then are left as they are.
+// Re-running is a no-op.
+const run = async () => {
+  await mongoose.connect(MONGO_URI);
+
+  const result = await Product.updateMany(
+    { publicPricing: { $exists: false } },
+    { $set: { publicPricing: true } }
+  );
+  console.log(`Product pricing migrated: ${result.modifiedCount} products kept their public price`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error("Migration failed:", error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -4,6 +4,7 @@ const { pathToFileURL } = require("url");
 require("dotenv").config();
 
 const Content = require("../models/Content");
+const { replaceCatalogTree } = require("../services/catalogStore");
 
 const MONGO_URI = process.env.MONGO_URI || "mongodb://127.0.0.1:27017/aethonDB";
 
@@ -110,6 +111,7 @@ const run = async () => {
     { key: "productCatalog", title: "Product Catalog", data: productsModule.productData },
     { upsert: true, returnDocument: "after" }
   );
+  await replaceCatalogTree(productsModule.productData);
 
   await Content.findOneAndUpdate(
     { key: "marketSegments" },
@@ -12,6 +12,12 @@ const mediaRoutes = require("./routes/mediaRoutes");
 const visitorRoutes = require("./routes/visitorRoutes");
 const contactRoutes = require("./routes/contactRoutes");
 const analyticsRoutes = require("./routes/analyticsRoutes");
+const catalogRoutes = require("./routes/catalogRoutes");
+const exchangeRateRoutes = require("./routes/exchangeRateRoutes");
+const trashRoutes = require("./routes/trashRoutes");
+const settingsRoutes = require("./routes/settingsRoutes");
+const { startTrashPurge } = require("./services/trash");
+const { migrateEmailSettingsFromContent } = require("./services/emailSettings");
 
 const PORT = process.env.PORT || 5000;
 
@@ -34,6 +40,10 @@ const createApp = () => {
   app.use("/api/visitors", visitorRoutes);
   app.use("/api/contact", contactRoutes);
   app.use("/api/analytics", analyticsRoutes);
+  app.use("/api/catalog", catalogRoutes);
+  app.use("/api/exchange-rates", exchangeRateRoutes);
+  app.use("/api/trash", trashRoutes);
+  app.use("/api/settings", settingsRoutes);
 
   return app;
 };
@@ -46,6 +56,10 @@ const connectDb = async () => {
 const startServer = async () => {
   try {
     await connectDb();
+    if (await migrateEmailSettingsFromContent()) {
+      console.log("Moved email settings from content into the settings store");
+    }
+    startTrashPurge();
     const app = createApp();
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
@@ -0,0 +1,49 @@
+// Where catalog images live on disk. Uploaded media is served from /uploads; the
+// original product photos and the logo ship with the storefront under /assets.
+const fs = require("fs/promises");
+const path = require("path");
+
+const UPLOADS_DIR = path.join(__dirname, "..", "uploads");
+const PUBLIC_ASSETS_DIR = process.env.PUBLIC_ASSETS_DIR || path.join(__dirname, "..", "..", "client", "public");
+
+// Image paths a catalog item may use: media uploads, or images bundled with the storefront.
+const IMAGE_PATH_PREFIXES = ["/uploads/", "/assets/"];
+
+const isAllowedImagePath = (value) => IMAGE_PATH_PREFIXES.some((prefix) => String(value || "").startsWith(prefix));
+
+// Maps a site path ("/uploads/x.png", "/assets/y.png") to a file, refusing anything
+// that escapes the two asset folders. Remote URLs are never resolved.
+const resolveAssetFile = (webPath) => {
+  let value;
+  try {
+    value = decodeURIComponent(String(webPath || "").split("?")[0]);
+  } catch (error) {
+    return null;
+  }
+  if (!value.startsWith("/")) return null;
+  const [root, relative] = value.startsWith("/uploads/")
+    ? [UPLOADS_DIR, value.slice("/uploads/".length)]
+    : [PUBLIC_ASSETS_DIR, value.slice(1)];
+  const filePath = path.resolve(root, relative);
+  return filePath.startsWith(path.resolve(root) + path.sep) ? filePath : null;
+};
+
+// Resolves to the file path when the asset exists, otherwise null.
+const findAssetFile = async (webPath) => {
+  const filePath = resolveAssetFile(webPath);
+  if (!filePath) return null;
+  try {
+    await fs.access(filePath);
+    return filePath;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  UPLOADS_DIR,
+  PUBLIC_ASSETS_DIR,
+  IMAGE_PATH_PREFIXES,
+  isAllowedImagePath,
+  findAssetFile,
+};
@@ -0,0 +1,72 @@
+// Commercial terms buyers check before they inquire: minimum order quantity, standard
+// lead time, stock status and whether samples can be sent. Shared by catalog items and
+// the Product model.
+
+const STOCK_STATUSES = ["in_stock", "made_to_order", "discontinued"];
+const AVAILABILITY_FIELDS = ["moq", "leadTimeDays", "stockStatus", "sampleAvailable", "replacementId"];
+
+const STOCK_STATUS_LABELS = {
+  in_stock: "In Stock",
+  made_to_order: "Made to Order",
+  discontinued: "Discontinued",
+};
+
+const toStockStatus = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_");
+
+const toFlag = (value) => {
+  if (typeof value === "boolean") return value;
+  const text = String(value ?? "").trim().toLowerCase();
+  if (["true", "yes", "1", "on"].includes(text)) return true;
+  if (["false", "no", "0", "off"].includes(text)) return false;
+  return undefined;
+};
+
+/**
+ * Coerces form strings or JSON editor input into the stored shape. Blank values are
+ * dropped; unknown statuses are kept so schema validation can reject them.
+ */
+const normalizeAvailability = (raw) => {
+  if (!raw || typeof raw !== "object") return {};
+  const availability = {};
+  const moq = String(raw.moq ?? "").trim();
+  const leadTimeDays = String(raw.leadTimeDays ?? "").trim();
+  const stockStatus = toStockStatus(raw.stockStatus);
+  const sampleAvailable = toFlag(raw.sampleAvailable);
+  const replacementId = String(raw.replacementId || "").trim();
+  if (moq) availability.moq = Number(moq);
+  if (leadTimeDays) availability.leadTimeDays = Number(leadTimeDays);
+  if (stockStatus) availability.stockStatus = stockStatus;
+  if (sampleAvailable !== undefined) availability.sampleAvailable = sampleAvailable;
+  if (replacementId) availability.replacementId = replacementId;
+  return availability;
+};
+
+const isDiscontinued = (item) => item?.availability?.stockStatus === "discontinued";
+
+// Label/value rows for spec sheets, in display order.
+const describeAvailability = (raw) => {
+  const availability = normalizeAvailability(raw);
+  const rows = [];
+  if (availability.stockStatus) {
+    rows.push({ label: "Availability", value: STOCK_STATUS_LABELS[availability.stockStatus] || availability.stockStatus });
+  }
+  if (availability.moq) rows.push({ label: "Minimum Order", value: `${availability.moq.toLocaleString("en-US")} pcs` });
+  if (availability.leadTimeDays) rows.push({ label: "Lead Time", value: `${availability.leadTimeDays} days` });
+  if (availability.sampleAvailable !== undefined) {
+    rows.push({ label: "Samples", value: availability.sampleAvailable ? "Available" : "Not available" });
+  }
+  return rows;
+};
+
+module.exports = {
+  STOCK_STATUSES,
+  AVAILABILITY_FIELDS,
+  STOCK_STATUS_LABELS,
+  normalizeAvailability,
+  isDiscontinued,
+  describeAvailability,
+};
@@ -0,0 +1,136 @@
+// Bottle/closure compatibility keyed on neck finish. Finishes follow the industry
+// "size-thread" notation (28-400, 38-SP400); a bare size such as 28mm matches any thread.
+const { isDiscontinued } = require("./catalogAvailability");
+
+const ROLES = ["bottle", "closure"];
+
+const CLOSURE_CONTEXT = /closure|\bcaps?\b/i;
+const BOTTLE_CONTEXT = /bottle|container|\bjars?\b/i;
+
+// SP400 and 400 name the same SPI thread, so the "SP" prefix is not significant.
+const normalizeThread = (value) =>
+  String(value || "")
+    .trim()
+    .toUpperCase()
+    .replace(/^SP[-\s]?/, "");
+
+const parseNeckFinish = (value) => {
+  const match = String(value || "")
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)\s*(?:mm)?(?:\s*[-/ ]\s*([a-z0-9-]+))?$/i);
+  if (!match) return null;
+  return { size: Number(match[1]), thread: normalizeThread(match[2]) };
+};
+
+const formatNeckFinish = (finish) =>
+  finish ? (finish.thread ? `${finish.size}-${finish.thread}` : `${finish.size}mm`) : "";
+
+const getNeckFinish = (item) => {
+  const manual = parseNeckFinish(item?.compatibility?.neckFinish);
+  if (manual) return manual;
+  const size = Number(item?.specs?.neckSizeMm);
+  return size > 0 ? { size, thread: normalizeThread(item.specs.neckThread) } : null;
+};
+
+// Hand-set role wins; otherwise closure specs, capacity, then the section titles decide.
+const getRole = (item) => {
+  const manual = item?.compatibility?.role;
+  if (ROLES.includes(manual)) return manual;
+  if (item?.specs?.closureType) return "closure";
+  if (item?.specs?.capacity) return "bottle";
+  const context = [item?.subCategoryTitle, item?.categoryTitle, item?.subCategory].join(" ");
+  if (CLOSURE_CONTEXT.test(context)) return "closure";
+  if (BOTTLE_CONTEXT.test(context)) return "bottle";
+  return "";
+};
+
+const finishesMatch = (a, b) =>
+  Boolean(a && b) && a.size === b.size && (!a.thread || !b.thread || a.thread === b.thread);
+
+const toRef = (row) => ({
+  id: row.id,
+  ...(row.slug ? { slug: row.slug } : {}),
+  name: row.name,
+  image: row.image || "",
+  industryId: row.industryId,
+  industryTitle: row.industryTitle,
+  role: row.role,
+  neckFinish: formatNeckFinish(row.finish),
+});
+
+// One entry per catalog item id. Cross-listed copies share an id, so the first one wins.
+const classifyItems = (rows) => {
+  const seen = new Set();
+  return rows
+    .filter((row) => {
+      if (!row.id || seen.has(row.id)) return false;
+      seen.add(row.id);
+      return true;
+    })
+    .map((row) => ({ ...row, role: getRole(row), finish: getNeckFinish(row) }));
+};
+
+/**
+ * Groups every bottle and closure by neck size. Items missing a role or a neck finish
+ * are listed separately so the dashboard can point out what still needs specs.
+ */
+const buildCompatibilityMatrix = (rows) => {
+  const bySize = new Map();
+  const unassigned = [];
+
+  classifyItems(rows).forEach((row) => {
+    if (!row.role || !row.finish) {
+      unassigned.push(toRef(row));
+      return;
+    }
+    const entry = bySize.get(row.finish.size) || { neckSizeMm: row.finish.size, bottles: [], closures: [] };
+    entry[row.role === "bottle" ? "bottles" : "closures"].push(toRef(row));
+    bySize.set(row.finish.size, entry);
+  });
+
+  return {
+    finishes: [...bySize.values()].sort((a, b) => a.neckSizeMm - b.neckSizeMm),
+    unassigned,
+  };
+};
+
+// Items of the opposite role whose neck finish fits the given item.
+const findCompatibleItems = (rows, itemId) => {
+  const items = classifyItems(rows);
+  const target = items.find((row) => row.id === itemId);
+  if (!target) return null;
+
+  const wanted = target.role === "bottle" ? "closure" : target.role === "closure" ? "bottle" : "";
+  return {
+    id: target.id,
+    role: target.role,
+    neckFinish: formatNeckFinish(target.finish),
+    items: wanted
+      ? items
+          .filter((row) => row.role === wanted && !isDiscontinued(row) && finishesMatch(row.finish, target.finish))
+          .map(toRef)
+      : [],
+  };
+};
+
+/**
+ * Coerces the hand-set compatibility override into stored shape. An invalid finish is
+ * kept as typed so schema validation can report it.
+ */
+const normalizeCompatibility = (raw) => {
+  if (!raw || typeof raw !== "object") return {};
+  const compatibility = {};
+  const role = String(raw.role || "").trim().toLowerCase();
+  const neckFinish = String(raw.neckFinish || "").trim();
+  if (role) compatibility.role = role;
+  if (neckFinish) compatibility.neckFinish = neckFinish;
+  return compatibility;
+};
+
+module.exports = {
+  ROLES,
+  parseNeckFinish,
+  buildCompatibilityMatrix,
+  findCompatibleItems,
+  normalizeCompatibility,
+};
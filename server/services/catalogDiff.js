@@ -0,0 +1,166 @@
+// Structured comparison of two productCatalog trees for the dashboard's save preview:
+// which items were added, removed or changed (field by field), which sections came and
+// went, and where the order changed. Also fingerprints a tree so a save can be refused
+// when the catalog changed after the editor loaded it.
+const crypto = require("crypto");
+const { isItemRef, listTreeItems } = require("./catalogStore");
+const { diffValues } = require("./contentDiff");
+
+// Added by listTreeItems or by drag-and-drop; reported as location and order changes instead.
+const PLACEMENT_FIELDS = [
+  "industryId",
+  "industryTitle",
+  "categoryId",
+  "categoryTitle",
+  "subCategoryId",
+  "subCategoryTitle",
+  "crossListed",
+  "order",
+];
+
+const fingerprintCatalog = (tree) =>
+  crypto
+    .createHash("sha1")
+    .update(JSON.stringify(tree ?? {}))
+    .digest("hex");
+
+const describeRow = (row) => `${row.industryTitle} / ${row.categoryTitle} / ${row.subCategoryTitle}`;
+
+const rowPath = (row) => `${row.industryId}/${row.categoryId}/${row.subCategoryId}`;
+
+const withoutPlacement = (row) => {
+  const item = { ...row };
+  PLACEMENT_FIELDS.forEach((field) => delete item[field]);
+  return item;
+};
+
+// Definitions by id, plus the locations each item is cross-listed in.
+const indexItems = (tree) => {
+  const definitions = new Map();
+  const crossListings = new Map();
+  listTreeItems(tree).forEach((row) => {
+    if (row.crossListed) {
+      if (!crossListings.has(row.id)) crossListings.set(row.id, []);
+      crossListings.get(row.id).push(describeRow(row));
+    } else if (!definitions.has(row.id)) {
+      definitions.set(row.id, row);
+    }
+  });
+  return { definitions, crossListings };
+};
+
+// Every section keyed by its path, with the ids of what sits directly under it in order.
+const indexSections = (tree) => {
+  const sections = new Map();
+  const add = (path, kind, label, title, children) => sections.set(path, { path, kind, label, title, children });
+  Object.entries(tree || {}).forEach(([industryKey, industry]) => {
+    const industryLabel = industry?.title || industryKey;
+    add(industryKey, "industry", industryLabel, industryLabel, Object.keys(industry?.categories || {}));
+    Object.entries(industry?.categories || {}).forEach(([categoryKey, category]) => {
+      const categoryTitle = category?.title || categoryKey;
+      const categoryLabel = `${industryLabel} / ${categoryTitle}`;
+      add(
+        `${industryKey}/${categoryKey}`,
+        "category",
+        categoryLabel,
+        categoryTitle,
+        Object.keys(category?.subCategories || {})
+      );
+      Object.entries(category?.subCategories || {}).forEach(([subKey, sub]) => {
+        add(
+          `${industryKey}/${categoryKey}/${subKey}`,
+          "subcategory",
+          `${categoryLabel} / ${sub?.title || subKey}`,
+          sub?.title || subKey,
+          (Array.isArray(sub?.items) ? sub.items : []).map((entry) => (isItemRef(entry) ? entry.ref : entry?.id))
+        );
+      });
+    });
+  });
+  return sections;
+};
+
+const diffItems = (before, after) => {
+  const previous = indexItems(before);
+  const next = indexItems(after);
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  next.definitions.forEach((row, id) => {
+    if (!previous.definitions.has(id)) added.push({ id, name: row.name || "", location: describeRow(row) });
+  });
+  previous.definitions.forEach((row, id) => {
+    if (!next.definitions.has(id)) removed.push({ id, name: row.name || "", location: describeRow(row) });
+  });
+
+  next.definitions.forEach((row, id) => {
+    const old = previous.definitions.get(id);
+    if (!old) return;
+    const fields = diffValues(withoutPlacement(old), withoutPlacement(row)).changes.map((change) => ({
+      field: change.path,
+      before: change.before,
+      after: change.after,
+    }));
+    if (rowPath(old) !== rowPath(row)) {
+      fields.push({ field: "location", before: describeRow(old), after: describeRow(row) });
+    }
+    const oldListings = (previous.crossListings.get(id) || []).sort();
+    const newListings = (next.crossListings.get(id) || []).sort();
+    if (JSON.stringify(oldListings) !== JSON.stringify(newListings)) {
+      fields.push({ field: "crossListings", before: oldListings, after: newListings });
+    }
+    if (fields.length) changed.push({ id, name: row.name || "", location: describeRow(row), fields });
+  });
+
+  return { added, removed, changed };
+};
+
+const diffSections = (before, after) => {
+  const previous = indexSections(before);
+  const next = indexSections(after);
+  const toEntry = ({ path, kind, label }) => ({ path, kind, label });
+  const added = [...next.values()].filter((section) => !previous.has(section.path)).map(toEntry);
+  const removed = [...previous.values()].filter((section) => !next.has(section.path)).map(toEntry);
+  const renamed = [];
+  const reordered = [];
+
+  next.forEach((section, path) => {
+    const old = previous.get(path);
+    if (!old) return;
+    if (old.title !== section.title) renamed.push({ path, kind: section.kind, before: old.title, after: section.title });
+    // Only entries present in both versions count, so additions and removals are not reported twice.
+    const kept = section.children.filter((child) => old.children.includes(child));
+    const keptBefore = old.children.filter((child) => section.children.includes(child));
+    if (JSON.stringify(kept) !== JSON.stringify(keptBefore)) reordered.push(toEntry(section));
+  });
+
+  return { added, removed, renamed, reordered };
+};
+
+/**
+ * Compares the saved catalog with the one about to be saved. `summary` counts each list
+ * so the dashboard can show a one-line overview before the details.
+ */
+const diffCatalogTrees = (before, after) => {
+  const items = diffItems(before || {}, after || {});
+  const sections = diffSections(before || {}, after || {});
+  const summary = {
+    itemsAdded: items.added.length,
+    itemsRemoved: items.removed.length,
+    itemsChanged: items.changed.length,
+    sectionsAdded: sections.added.length,
+    sectionsRemoved: sections.removed.length,
+    sectionsRenamed: sections.renamed.length,
+    sectionsReordered: sections.reordered.length,
+  };
+  return {
+    summary,
+    // Also true for edits the lists do not cover, such as an industry description.
+    hasChanges: JSON.stringify(before ?? {}) !== JSON.stringify(after ?? {}),
+    items,
+    sections,
+  };
+};
+
+module.exports = { fingerprintCatalog, diffCatalogTrees };
@@ -0,0 +1,71 @@
+// Ordered image galleries and color/material variants for catalog items. The item's
+// `image` stays the cover used by cards and listings; the gallery adds further views.
+const { normalizeSpecs } = require("./catalogSpecs");
+
+const GALLERY_VIEWS = ["front", "side", "closure", "drawing", "other"];
+
+const toKey = (raw) =>
+  String(raw || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const normalizeGallery = (raw) => {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .map((entry) => (typeof entry === "string" ? { image: entry } : entry || {}))
+    .map((entry) => {
+      const image = String(entry.image || "").trim();
+      const view = String(entry.view || "").trim().toLowerCase();
+      const caption = String(entry.caption || "").trim();
+      return {
+        image,
+        view: view || "other",
+        ...(caption ? { caption } : {}),
+      };
+    })
+    .filter((entry) => entry.image);
+};
+
+/**
+ * Variants share the parent's product page. `specs` holds only the fields that differ
+ * from the parent (an amber variant overrides color, maybe resin); images replace the
+ * gallery while the variant is selected.
+ */
+const normalizeVariants = (raw) => {
+  if (!Array.isArray(raw)) return [];
+  const seen = new Set();
+  return raw
+    .map((entry) => {
+      const label = String(entry?.label || "").trim();
+      const id = toKey(entry?.id || label);
+      const swatch = String(entry?.swatch || "").trim();
+      const images = (Array.isArray(entry?.images) ? entry.images : [])
+        .map((image) => String(image || "").trim())
+        .filter(Boolean);
+      const specs = normalizeSpecs(entry?.specs);
+      return {
+        id,
+        label: label || id,
+        ...(swatch ? { swatch } : {}),
+        ...(images.length ? { images } : {}),
+        ...(Object.keys(specs).length ? { specs } : {}),
+      };
+    })
+    .filter((variant) => {
+      if (!variant.id || seen.has(variant.id)) return false;
+      seen.add(variant.id);
+      return true;
+    });
+};
+
+// Every image an item references, for validation and broken-link checks.
+const listItemImages = (item) => [
+  ...normalizeGallery(item?.gallery).map((entry) => ({ field: "gallery", image: entry.image })),
+  ...normalizeVariants(item?.variants).flatMap((variant) =>
+    (variant.images || []).map((image) => ({ field: `variants.${variant.id}`, image }))
+  ),
+];
+
+module.exports = { GALLERY_VIEWS, normalizeGallery, normalizeVariants, listItemImages };
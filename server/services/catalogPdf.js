@@ -0,0 +1,271 @@
+// Printable spec sheets (one item per page) and industry brochures rendered from the
+// published catalog. Rendered PDFs are cached until the catalog or branding changes.
+const crypto = require("crypto");
+const PDFDocument = require("pdfkit");
+const Content = require("../models/Content");
+const { listTreeItems } = require("./catalogStore");
+const { describeSpecs } = require("./catalogSpecs");
+const { describeAvailability, isDiscontinued } = require("./catalogAvailability");
+const { findAssetFile } = require("./catalogAssets");
+
+const DEFAULT_BRANDING = {
+  companyName: "Aethon Plast Pvt Ltd",
+  logoPath: "/transperent aethon.png",
+  footerDescription: "",
+  contactInfo: {
+    phone: "9000386555",
+    email: "info@aethonplast.com",
+    address: "AGM Chambers, 390/A, 446/15/E, Sai Colony, R.C Puram, Sangareddy District, 502032, Telangana",
+  },
+};
+
+const COLORS = { ink: "#0f172a", muted: "#64748b", line: "#cbd5e1", accent: "#1d4ed8", band: "#f1f5f9" };
+const PAGE_MARGIN = 40;
+const FOOTER_HEIGHT = 36;
+const MAX_CACHE_ENTRIES = 200;
+
+const cache = new Map();
+
+const loadBranding = async () => {
+  const [siteSettings, contactPage] = await Promise.all([
+    Content.findOne({ key: "siteSettings" }).lean(),
+    Content.findOne({ key: "contactPage" }).lean(),
+  ]);
+  const settings = siteSettings?.data || {};
+  return {
+    companyName: settings.companyName || DEFAULT_BRANDING.companyName,
+    logoPath: settings.logoPath || DEFAULT_BRANDING.logoPath,
+    footerDescription: settings.footerDescription || DEFAULT_BRANDING.footerDescription,
+    contactInfo: { ...DEFAULT_BRANDING.contactInfo, ...(contactPage?.data?.contactInfo || {}) },
+  };
+};
+
+// Takes a file path from findAssetFile: pdfkit embeds a path once per document, so
+// brochures where many items share a photo stay small. Only PNG and JPEG are supported;
+// anything else is skipped rather than failing the PDF.
+const drawImage = (doc, image, x, y, size) => {
+  if (!image) return false;
+  try {
+    doc.image(image, x, y, { fit: [size, size], align: "center", valign: "center" });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const renderToBuffer = (title, draw) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margins: { top: PAGE_MARGIN, left: PAGE_MARGIN, right: PAGE_MARGIN, bottom: PAGE_MARGIN + FOOTER_HEIGHT },
+      bufferPages: true,
+      info: { Title: title },
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    Promise.resolve(draw(doc))
+      .then(() => doc.end())
+      .catch(reject);
+  });
+
+const contentWidth = (doc) => doc.page.width - PAGE_MARGIN * 2;
+
+const drawHeader = (doc, branding, logo) => {
+  const top = PAGE_MARGIN;
+  const hasLogo = drawImage(doc, logo, PAGE_MARGIN, top, 44);
+  doc
+    .fillColor(COLORS.ink)
+    .font("Helvetica-Bold")
+    .fontSize(14)
+    .text(branding.companyName, PAGE_MARGIN + (hasLogo ? 56 : 0), top + 14, { width: contentWidth(doc) - 56 });
+  doc
+    .moveTo(PAGE_MARGIN, top + 54)
+    .lineTo(doc.page.width - PAGE_MARGIN, top + 54)
+    .strokeColor(COLORS.line)
+    .stroke();
+  doc.y = top + 70;
+};
+
+// Footers are drawn after layout so the page count is known; the bottom margin is
+// lifted while writing so pdfkit does not push the footer onto a new page.
+const drawFooters = (doc, branding) => {
+  const { contactInfo } = branding;
+  const contactLine = [contactInfo.phone, contactInfo.email].filter(Boolean).join("  |  ");
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index += 1) {
+    doc.switchToPage(index);
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    const top = doc.page.height - PAGE_MARGIN - FOOTER_HEIGHT + 8;
+    doc
+      .moveTo(PAGE_MARGIN, top)
+      .lineTo(doc.page.width - PAGE_MARGIN, top)
+      .strokeColor(COLORS.line)
+      .stroke();
+    doc.font("Helvetica").fontSize(8).fillColor(COLORS.muted);
+    doc.text(contactInfo.address || "", PAGE_MARGIN, top + 6, { width: contentWidth(doc) - 60, lineBreak: false, ellipsis: true });
+    doc.text(contactLine, PAGE_MARGIN, top + 18, { width: contentWidth(doc) - 60, lineBreak: false });
+    doc.text(`${index + 1} / ${range.count}`, doc.page.width - PAGE_MARGIN - 60, top + 6, { width: 60, align: "right" });
+    doc.page.margins.bottom = bottomMargin;
+  }
+};
+
+const drawSpecTable = (doc, rows, x, width) => {
+  if (!rows.length) return;
+  doc.font("Helvetica-Bold").fontSize(11).fillColor(COLORS.ink).text("Technical Specifications", x, doc.y, { width });
+  doc.moveDown(0.3);
+  rows.forEach((row, index) => {
+    const y = doc.y;
+    if (index % 2 === 0) doc.rect(x, y - 2, width, 16).fill(COLORS.band);
+    doc.font("Helvetica").fontSize(9).fillColor(COLORS.muted).text(row.label, x + 6, y, { width: width * 0.45 });
+    doc.font("Helvetica-Bold").fillColor(COLORS.ink).text(row.value, x + width * 0.45, y, { width: width * 0.55 - 6 });
+    doc.y = y + 16;
+  });
+};
+
+const drawFeatures = (doc, features, x, width, limit = Infinity) => {
+  const list = (features || []).filter(Boolean).slice(0, limit);
+  if (!list.length) return;
+  doc.font("Helvetica-Bold").fontSize(11).fillColor(COLORS.ink).text("Features", x, doc.y, { width });
+  doc.moveDown(0.2);
+  doc.font("Helvetica").fontSize(9).fillColor(COLORS.ink).list(list, x, doc.y, { width, bulletRadius: 1.5 });
+};
+
+const breadcrumb = (row) => [row.industryTitle, row.categoryTitle, row.subCategoryTitle].filter(Boolean).join(" / ");
+
+const renderSpecSheet = async (row, branding) => {
+  const [logo, image] = await Promise.all([findAssetFile(branding.logoPath), findAssetFile(row.image)]);
+  return renderToBuffer(`${row.name} - Spec Sheet`, (doc) => {
+    drawHeader(doc, branding, logo);
+    const width = contentWidth(doc);
+
+    doc.font("Helvetica-Bold").fontSize(20).fillColor(COLORS.ink).text(row.name, PAGE_MARGIN, doc.y, { width });
+    if (row.actualName && row.actualName !== row.name) {
+      doc.font("Helvetica").fontSize(11).fillColor(COLORS.muted).text(row.actualName, { width });
+    }
+    doc.font("Helvetica").fontSize(9).fillColor(COLORS.accent).text(breadcrumb(row), { width });
+    doc.moveDown(1);
+
+    const top = doc.y;
+    const imageSize = 220;
+    const hasImage = drawImage(doc, image, PAGE_MARGIN, top, imageSize);
+    const columnX = hasImage ? PAGE_MARGIN + imageSize + 20 : PAGE_MARGIN;
+    const columnWidth = hasImage ? width - imageSize - 20 : width;
+    doc.y = top;
+    drawSpecTable(doc, [...describeSpecs(row.specs), ...describeAvailability(row.availability)], columnX, columnWidth);
+    doc.y = Math.max(doc.y, hasImage ? top + imageSize : top) + 16;
+
+    if (row.description) {
+      doc.font("Helvetica-Bold").fontSize(11).fillColor(COLORS.ink).text("Description", PAGE_MARGIN, doc.y, { width });
+      doc.moveDown(0.2);
+      doc.font("Helvetica").fontSize(10).fillColor(COLORS.ink).text(row.description, { width });
+      doc.moveDown(0.8);
+    }
+    drawFeatures(doc, row.features, PAGE_MARGIN, width);
+    drawFooters(doc, branding);
+  });
+};
+
+const BROCHURE_ITEMS_PER_PAGE = 3;
+
+const renderBrochure = async (industry, rows, branding) => {
+  const [logo, ...images] = await Promise.all([findAssetFile(branding.logoPath), ...rows.map((row) => findAssetFile(row.image))]);
+  return renderToBuffer(`${industry.title} - Product Brochure`, (doc) => {
+    const width = contentWidth(doc);
+
+    // Cover page
+    drawImage(doc, logo, (doc.page.width - 140) / 2, 150, 140);
+    doc.font("Helvetica-Bold").fontSize(28).fillColor(COLORS.ink).text(industry.title, PAGE_MARGIN, 330, { width, align: "center" });
+    if (industry.description) {
+      doc.moveDown(0.5);
+      doc.font("Helvetica").fontSize(12).fillColor(COLORS.muted).text(industry.description, { width, align: "center" });
+    }
+    doc.moveDown(2);
+    doc.font("Helvetica-Bold").fontSize(14).fillColor(COLORS.accent).text(branding.companyName, { width, align: "center" });
+    if (branding.footerDescription) {
+      doc.moveDown(0.3);
+      doc.font("Helvetica").fontSize(10).fillColor(COLORS.muted).text(branding.footerDescription, { width, align: "center" });
+    }
+    doc.moveDown(0.3);
+    doc.font("Helvetica").fontSize(10).fillColor(COLORS.muted).text(`${rows.length} products`, { width, align: "center" });
+
+    // Products, a fixed number per page so every block gets the same space
+    const blockHeight = (doc.page.height - PAGE_MARGIN * 2 - FOOTER_HEIGHT - 70) / BROCHURE_ITEMS_PER_PAGE;
+    rows.forEach((row, index) => {
+      if (index % BROCHURE_ITEMS_PER_PAGE === 0) {
+        doc.addPage();
+        drawHeader(doc, branding, logo);
+      }
+      const top = PAGE_MARGIN + 70 + (index % BROCHURE_ITEMS_PER_PAGE) * blockHeight;
+      const imageSize = Math.min(150, blockHeight - 20);
+      const hasImage = drawImage(doc, images[index], PAGE_MARGIN, top, imageSize);
+      const x = hasImage ? PAGE_MARGIN + imageSize + 16 : PAGE_MARGIN;
+      const columnWidth = width - (x - PAGE_MARGIN);
+
+      doc.font("Helvetica-Bold").fontSize(13).fillColor(COLORS.ink).text(row.name, x, top, { width: columnWidth });
+      doc.font("Helvetica").fontSize(8).fillColor(COLORS.accent).text(`${row.categoryTitle} / ${row.subCategoryTitle}`, { width: columnWidth });
+      doc.moveDown(0.4);
+      const specLine = [...describeSpecs(row.specs), ...describeAvailability(row.availability)]
+        .map((spec) => `${spec.label}: ${spec.value}`)
+        .join("   ");
+      if (specLine) {
+        doc.font("Helvetica").fontSize(8).fillColor(COLORS.muted).text(specLine, { width: columnWidth });
+        doc.moveDown(0.4);
+      }
+      drawFeatures(doc, row.features, x, columnWidth, 4);
+
+      if (index % BROCHURE_ITEMS_PER_PAGE < BROCHURE_ITEMS_PER_PAGE - 1 && index < rows.length - 1) {
+        const divider = top + blockHeight - 10;
+        doc.moveTo(PAGE_MARGIN, divider).lineTo(doc.page.width - PAGE_MARGIN, divider).strokeColor(COLORS.line).stroke();
+      }
+    });
+
+    drawFooters(doc, branding);
+  });
+};
+
+// Cache entries are tagged with a hash of the catalog and branding they were built
+// from, so any catalog publish, import or branding edit invalidates them on next request.
+const fromCache = async (cacheKey, version, render) => {
+  const cached = cache.get(cacheKey);
+  if (cached?.version === version) return cached;
+  const entry = { version, buffer: await render() };
+  cache.delete(cacheKey);
+  cache.set(cacheKey, entry);
+  if (cache.size > MAX_CACHE_ENTRIES) cache.delete(cache.keys().next().value);
+  return entry;
+};
+
+const catalogVersion = (tree, branding) =>
+  crypto.createHash("sha1").update(JSON.stringify([tree, branding])).digest("hex");
+
+/**
+ * Spec sheet for one catalog item. Resolves to null when the item does not exist.
+ * The returned version doubles as an ETag.
+ */
+const getSpecSheet = async (tree, itemId) => {
+  const row = listTreeItems(tree, { references: false }).find((item) => item.id === itemId);
+  if (!row) return null;
+  const branding = await loadBranding();
+  const version = catalogVersion(tree, branding);
+  const { buffer } = await fromCache(`item:${itemId}`, version, () => renderSpecSheet(row, branding));
+  return { buffer, version, filename: `${itemId}-spec-sheet.pdf` };
+};
+
+const getIndustryBrochure = async (tree, industryKey) => {
+  const entry = Object.entries(tree || {}).find(([key, value]) => key === industryKey || value?.id === industryKey);
+  if (!entry) return null;
+  const [key, industry] = entry;
+  // Cross-listed items are included (so rows come from the whole tree); discontinued ones are not.
+  const rows = listTreeItems(tree).filter((row) => row.industryId === (industry?.id || key) && !isDiscontinued(row));
+  const branding = await loadBranding();
+  const version = catalogVersion(tree, branding);
+  const { buffer } = await fromCache(`industry:${key}`, version, () =>
+    renderBrochure({ title: industry.title || key, description: industry.description || "" }, rows, branding)
+  );
+  return { buffer, version, filename: `${key}-brochure.pdf` };
+};
+
+module.exports = { getSpecSheet, getIndustryBrochure };
@@ -0,0 +1,141 @@
+// Ranked full-text search over the catalog tree. The catalog is small (tens of items),
+// so everything is scored in memory rather than through a Mongo text index.
+const { listTreeItems } = require("./catalogStore");
+const { isDiscontinued } = require("./catalogAvailability");
+
+// Field weights: name/code matches outrank feature and description mentions.
+const FIELD_WEIGHTS = [
+  ["name", 5],
+  ["actualName", 5],
+  ["id", 3],
+  ["subCategory", 2],
+  ["features", 2],
+  ["specs", 2],
+  ["variants", 2],
+  ["sectionTitles", 1],
+  ["description", 1],
+];
+
+// "28 mm" and "28mm" should match each other, as should "60 CC" and "60cc".
+const normalizeText = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .replace(/(\d+(?:\.\d+)?)\s+(mm|cc|ml|gm|g)\b/g, "$1$2");
+
+const tokenize = (value) =>
+  normalizeText(value)
+    .split(/[^a-z0-9.]+/)
+    .map((word) => word.replace(/^\.+|\.+$/g, ""))
+    .filter(Boolean);
+
+// Emits spec values the way buyers type them: "28mm", "60cc", "sp400", "hdpe".
+const formatSpecsForSearch = (specs = {}) =>
+  [
+    specs.capacity ? `${specs.capacity}${specs.capacityUnit || ""}` : "",
+    specs.neckSizeMm ? `${specs.neckSizeMm}mm` : "",
+    specs.neckThread,
+    specs.resin,
+    specs.color,
+    specs.closureType,
+    specs.liner,
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+const indexRow = (row) => {
+  const fields = {
+    name: row.name,
+    actualName: row.actualName,
+    id: row.id,
+    subCategory: row.subCategory,
+    features: (row.features || []).join(" "),
+    specs: formatSpecsForSearch(row.specs),
+    variants: (row.variants || [])
+      .map((variant) => [variant.label, formatSpecsForSearch(variant.specs)].join(" "))
+      .join(" "),
+    sectionTitles: [row.industryTitle, row.categoryTitle, row.subCategoryTitle].join(" "),
+    description: row.description,
+  };
+  return FIELD_WEIGHTS.map(([field, weight]) => ({ words: tokenize(fields[field]), weight }));
+};
+
+// Prefix hits on very short tokens ("cr" in "crafted") are noise, so they need an exact word.
+const MIN_PREFIX_LENGTH = 3;
+
+// Every query token has to match somewhere; exact word hits count double a prefix hit.
+const scoreRow = (indexedFields, queryTokens) => {
+  let total = 0;
+  for (const token of queryTokens) {
+    const allowPrefix = token.length >= MIN_PREFIX_LENGTH;
+    let best = 0;
+    for (const { words, weight } of indexedFields) {
+      if (words.includes(token)) best = Math.max(best, weight);
+      else if (allowPrefix && words.some((word) => word.startsWith(token))) {
+        best = Math.max(best, weight / 2);
+      }
+    }
+    if (!best) return 0;
+    total += best;
+  }
+  return total;
+};
+
+const countFacet = (rows, keyField, titleField) => {
+  const counts = new Map();
+  rows.forEach((row) => {
+    const key = row[keyField];
+    const entry = counts.get(key) || { key, title: row[titleField], count: 0 };
+    entry.count += 1;
+    counts.set(key, entry);
+  });
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.title.localeCompare(b.title));
+};
+
+/**
+ * Searches a catalog tree.
+ * Facet counts cover every match for the query, before the industry/category/subcategory
+ * filters narrow the result list, so the UI can show what each filter would return.
+ */
+const searchCatalog = (tree, { q = "", industry, category, subcategory, page = 1, limit = 24 } = {}) => {
+  const queryTokens = tokenize(q);
+  // Discontinued items stay reachable by URL but are left out of search listings.
+  const scored = listTreeItems(tree)
+    .filter((row) => !isDiscontinued(row))
+    .map((row) => ({
+      row,
+      score: queryTokens.length ? scoreRow(indexRow(row), queryTokens) : 1,
+    }))
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => b.score - a.score || String(a.row.name).localeCompare(String(b.row.name)));
+
+  const matches = scored.map(({ row, score }) => ({ ...row, score }));
+  const facets = {
+    industries: countFacet(matches, "industryId", "industryTitle"),
+    categories: countFacet(matches, "categoryId", "categoryTitle"),
+    subcategories: countFacet(matches, "subCategoryId", "subCategoryTitle"),
+  };
+
+  // A cross-listed item matches once per placement; list it once, at its best placement.
+  const seen = new Set();
+  const filtered = matches.filter((row) => {
+    if (industry && row.industryId !== industry) return false;
+    if (category && row.categoryId !== category) return false;
+    if (subcategory && row.subCategoryId !== subcategory) return false;
+    if (seen.has(row.id)) return false;
+    seen.add(row.id);
+    return true;
+  });
+  const safeLimit = Math.min(Math.max(Number(limit) || 24, 1), 100);
+  const safePage = Math.max(Number(page) || 1, 1);
+
+  return {
+    query: String(q || ""),
+    total: filtered.length,
+    page: safePage,
+    limit: safeLimit,
+    results: filtered.slice((safePage - 1) * safeLimit, safePage * safeLimit),
+    facets,
+  };
+};
+
+module.exports = { searchCatalog, tokenize };
@@ -0,0 +1,59 @@
+// Public slugs for catalog items. `id` is the immutable internal id used by documents,
+// quotes and compatibility; `slug` is the editable URL segment and defaults to the id.
+const CatalogRedirect = require("../models/CatalogRedirect");
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const toSlug = (raw) =>
+  String(raw || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const isValidSlug = (value) => SLUG_PATTERN.test(String(value || ""));
+
+const itemSlug = (item) => String(item?.slug || item?.id || item?.itemId || "");
+
+/**
+ * Records a redirect for every item whose slug differs between two lists of
+ * { itemId, slug }. `renamed` maps old item ids to the ids that replaced them; their
+ * old slugs and existing redirects move to the new id. A slug taken back into use as a
+ * live slug loses its redirect.
+ */
+const recordSlugChanges = async (before, after, renamed = new Map()) => {
+  const previous = new Map(before.map((item) => [renamed.get(item.itemId) || item.itemId, itemSlug(item)]));
+  const live = after.map(itemSlug).filter(Boolean);
+  const moved = after
+    .map((item) => ({ itemId: item.itemId, from: previous.get(item.itemId), to: itemSlug(item) }))
+    .filter(({ from, to }) => from && from !== to);
+
+  await Promise.all(
+    [...renamed].map(([from, to]) => CatalogRedirect.updateMany({ itemId: from }, { $set: { itemId: to } }))
+  );
+  await Promise.all(
+    moved.map(({ itemId, from }) =>
+      CatalogRedirect.updateOne({ fromSlug: from }, { $set: { itemId } }, { upsert: true })
+    )
+  );
+  if (live.length) await CatalogRedirect.deleteMany({ fromSlug: { $in: live } });
+  return moved.length;
+};
+
+/**
+ * Finds a tree item by its slug, its internal id or a recorded old slug.
+ * `redirected` is true when the caller should send the visitor to the current slug.
+ */
+const resolveItemSlug = async (items, value) => {
+  const wanted = String(value || "").trim().toLowerCase();
+  if (!wanted) return null;
+  const current = items.find((item) => itemSlug(item).toLowerCase() === wanted);
+  if (current) return { item: current, redirected: false };
+  const byId = items.find((item) => String(item.id).toLowerCase() === wanted);
+  if (byId) return { item: byId, redirected: true };
+  const redirect = await CatalogRedirect.findOne({ fromSlug: wanted }).lean();
+  const target = redirect && items.find((item) => item.id === redirect.itemId);
+  return target ? { item: target, redirected: true } : null;
+};
+
+module.exports = { SLUG_PATTERN, toSlug, isValidSlug, itemSlug, recordSlugChanges, resolveItemSlug };
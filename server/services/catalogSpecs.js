@@ -0,0 +1,71 @@
+// Typed technical specifications shared by catalog items. Stored flat so the
+// dashboard form, the public spec table and the list filters can all key off one name.
+
+const CAPACITY_UNITS = ["cc", "ml"];
+const RESINS = ["HDPE", "PET", "PP", "LDPE"];
+const CLOSURE_TYPES = ["CR", "CT", "Flip-top", "Other"];
+
+// Field order here is the order specs are stored and displayed in.
+const SPEC_FIELDS = [
+  { key: "capacity", type: "number" },
+  { key: "capacityUnit", options: CAPACITY_UNITS },
+  { key: "neckSizeMm", type: "number" },
+  { key: "neckThread" },
+  { key: "resin", options: RESINS },
+  { key: "color" },
+  { key: "weightGrams", type: "number" },
+  { key: "closureType", options: CLOSURE_TYPES },
+  { key: "liner" },
+  { key: "heightMm", type: "number" },
+  { key: "diameterMm", type: "number" },
+];
+
+const matchOption = (value, options) =>
+  options.find((option) => option.toLowerCase() === value.toLowerCase()) || value;
+
+/**
+ * Coerces a loosely typed specs object (form strings, JSON editor input) into stored shape.
+ * Blank values are dropped; unknown enum values are kept so schema validation can reject them.
+ */
+const normalizeSpecs = (raw) => {
+  if (!raw || typeof raw !== "object") return {};
+  const specs = {};
+  SPEC_FIELDS.forEach(({ key, type, options }) => {
+    const value = String(raw[key] ?? "").trim();
+    if (!value) return;
+    if (type === "number") specs[key] = Number(value);
+    else specs[key] = options ? matchOption(value, options) : value;
+  });
+  return specs;
+};
+
+// Display labels, matching the spec table on the public product page.
+const SPEC_LABELS = [
+  { key: "capacity", label: "Capacity", format: (value, specs) => `${value} ${specs.capacityUnit || "cc"}` },
+  { key: "neckSizeMm", label: "Neck Size", unit: "mm" },
+  { key: "neckThread", label: "Neck Finish" },
+  { key: "resin", label: "Material" },
+  { key: "color", label: "Color" },
+  { key: "weightGrams", label: "Weight", unit: "g" },
+  { key: "closureType", label: "Closure Type" },
+  { key: "liner", label: "Liner / Seal" },
+  { key: "heightMm", label: "Height", unit: "mm" },
+  { key: "diameterMm", label: "Diameter", unit: "mm" },
+];
+
+const describeSpecs = (raw) => {
+  const specs = normalizeSpecs(raw);
+  return SPEC_LABELS.filter(({ key }) => specs[key] !== undefined).map(({ key, label, unit, format }) => ({
+    label,
+    value: format ? format(specs[key], specs) : unit ? `${specs[key]} ${unit}` : String(specs[key]),
+  }));
+};
+
+module.exports = {
+  CAPACITY_UNITS,
+  RESINS,
+  CLOSURE_TYPES,
+  SPEC_FIELDS,
+  normalizeSpecs,
+  describeSpecs,
+};
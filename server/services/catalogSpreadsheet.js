@@ -0,0 +1,335 @@
+// Flat CSV/XLSX view of the catalog tree, one row per item, and the import planner
+// that turns an edited sheet back into a tree with a create/update/delete preview.
+const ExcelJS = require("exceljs");
+const { isItemRef, listTreeItems } = require("./catalogStore");
+const { normalizeAvailability } = require("./catalogAvailability");
+
+const AVAILABILITY_COLUMNS = ["moq", "leadTimeDays", "stockStatus", "sampleAvailable"];
+const CATALOG_COLUMNS = [
+  "industry",
+  "category",
+  "subcategory",
+  "id",
+  "slug",
+  "name",
+  "actualName",
+  "image",
+  "features",
+  ...AVAILABILITY_COLUMNS,
+];
+const REQUIRED_COLUMNS = ["industry", "category", "subcategory", "id", "name"];
+const FEATURE_SEPARATOR = " | ";
+const COMPARED_FIELDS = ["slug", "name", "actualName", "image", "features", "availability"];
+
+const toKey = (raw) =>
+  String(raw || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+
+const toSheetRows = (tree) =>
+  listTreeItems(tree, { references: false }).map((row) => ({
+    industry: row.industryTitle,
+    category: row.categoryTitle,
+    subcategory: row.subCategoryTitle,
+    id: row.id,
+    slug: row.slug || "",
+    name: row.name || "",
+    actualName: row.actualName || "",
+    image: row.image || "",
+    features: (row.features || []).join(FEATURE_SEPARATOR),
+    moq: row.availability?.moq ?? "",
+    leadTimeDays: row.availability?.leadTimeDays ?? "",
+    stockStatus: row.availability?.stockStatus || "",
+    sampleAvailable: row.availability?.sampleAvailable ?? "",
+  }));
+
+// Text starting with one of these runs as a formula in Excel or Sheets, so exported text
+// cells get a leading apostrophe, which spreadsheets show as plain text. Import strips it.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const neutralizeFormula = (value) => (typeof value === "string" && FORMULA_PREFIX.test(value) ? `'${value}` : value);
+
+const restoreFormulaText = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+const escapeCsvCell = (value) => {
+  const text = String(neutralizeFormula(value) ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) =>
+  [CATALOG_COLUMNS, ...rows.map((row) => CATALOG_COLUMNS.map((column) => row[column]))]
+    .map((cells) => cells.map(escapeCsvCell).join(","))
+    .join("\r\n");
+
+// RFC 4180 parser: quoted cells may contain commas, doubled quotes and line breaks.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const source = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[index + 1] === "\n") index += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+const toXlsx = async (rows) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet("Catalog");
+  sheet.columns = CATALOG_COLUMNS.map((column) => ({ header: column, key: column, width: 24 }));
+  rows.forEach((row) =>
+    sheet.addRow(Object.fromEntries(Object.entries(row).map(([column, value]) => [column, neutralizeFormula(value)])))
+  );
+  sheet.getRow(1).font = { bold: true };
+  return workbook.xlsx.writeBuffer();
+};
+
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row) => {
+    const cells = [];
+    for (let column = 1; column <= sheet.columnCount; column += 1) {
+      cells.push(row.getCell(column).text);
+    }
+    rows.push(cells);
+  });
+  return rows;
+};
+
+/**
+ * Reads an uploaded CSV or XLSX file into row objects keyed by column name.
+ * `row` is the spreadsheet row number (the header is row 1) so errors can point at it.
+ */
+const readCatalogSheet = async ({ buffer, originalname = "" }) => {
+  const isXlsx = /\.xlsx$/i.test(originalname);
+  const matrix = isXlsx ? await parseXlsx(buffer) : parseCsv(buffer.toString("utf8"));
+  const [header = [], ...body] = matrix;
+  const columnIndex = {};
+  header.forEach((name, index) => {
+    const column = CATALOG_COLUMNS.find((known) => known.toLowerCase() === String(name).trim().toLowerCase());
+    if (column) columnIndex[column] = index;
+  });
+
+  const missing = REQUIRED_COLUMNS.filter((column) => columnIndex[column] === undefined);
+  if (missing.length) {
+    const error = new Error(`Missing columns: ${missing.join(", ")}`);
+    error.status = 400;
+    throw error;
+  }
+
+  return body
+    .map((cells, index) => {
+      const row = { row: index + 2 };
+      CATALOG_COLUMNS.forEach((column) => {
+        row[column] =
+          columnIndex[column] === undefined
+            ? undefined
+            : restoreFormulaText(String(cells[columnIndex[column]] ?? "").trim());
+      });
+      return row;
+    })
+    .filter((row) => CATALOG_COLUMNS.some((column) => row[column]));
+};
+
+const parseFeatures = (value) =>
+  String(value || "")
+    .split("|")
+    .map((feature) => feature.trim())
+    .filter(Boolean);
+
+// Sections are matched on key or title, case-insensitively; unknown ones are created.
+const findSectionKey = (sections, value) => {
+  const wanted = String(value).trim().toLowerCase();
+  return Object.keys(sections).find(
+    (key) => key.toLowerCase() === wanted || String(sections[key]?.title || "").toLowerCase() === wanted
+  );
+};
+
+const ensureSection = (sections, value, create) => {
+  const existing = findSectionKey(sections, value);
+  if (existing) return existing;
+  const key = toKey(value);
+  if (!sections[key]) sections[key] = create(key, String(value).trim());
+  return key;
+};
+
+const locate = (tree, row) => {
+  const industryKey = ensureSection(tree, row.industry, (key, title) => ({
+    id: key,
+    title,
+    description: "",
+    categories: {},
+  }));
+  const categories = tree[industryKey].categories;
+  const categoryKey = ensureSection(categories, row.category, (key, title) => ({ title, subCategories: {} }));
+  const subCategories = categories[categoryKey].subCategories;
+  const subKey = ensureSection(subCategories, row.subcategory, (key, title) => ({ title, items: [] }));
+  return { industryKey, categoryKey, subKey, sub: subCategories[subKey] };
+};
+
+const itemKey = (industryKey, id) => `${industryKey}::${id}`;
+
+/**
+ * Applies sheet rows to a copy of `tree`. Rows update the item with the same id in the
+ * same industry (moving it if its category or subcategory changed) or create a new one;
+ * items missing from the sheet are deleted when `deleteMissing` is set.
+ * Fields the sheet does not carry (description, specs, ...) are kept from the existing item.
+ * The sheet lists each item once; cross-listed placements are kept unless their item is deleted.
+ */
+const planCatalogImport = (tree, rows, { deleteMissing = true } = {}) => {
+  const next = JSON.parse(JSON.stringify(tree || {}));
+  const existing = new Map();
+
+  Object.entries(next).forEach(([industryKey, industry]) => {
+    Object.entries(industry?.categories || {}).forEach(([categoryKey, category]) => {
+      Object.entries(category?.subCategories || {}).forEach(([subKey, sub]) => {
+        (sub?.items || []).forEach((item) => {
+          if (isItemRef(item)) return;
+          existing.set(itemKey(industryKey, item.id), { item, location: `${categoryKey}/${subKey}` });
+        });
+        sub.items = (sub?.items || []).filter(isItemRef);
+      });
+    });
+  });
+
+  const errors = [];
+  const created = [];
+  const updated = [];
+  const seen = new Set();
+  let unchanged = 0;
+
+  rows.forEach((row) => {
+    const missing = REQUIRED_COLUMNS.filter((column) => !row[column]);
+    missing.forEach((field) => errors.push({ row: row.row, field, message: `${field} is required` }));
+    if (missing.length) return;
+
+    const { industryKey, categoryKey, subKey, sub } = locate(next, row);
+    const key = itemKey(industryKey, row.id);
+    if (seen.has(key)) {
+      errors.push({ row: row.row, field: "id", message: `Duplicate id "${row.id}" in ${row.industry}` });
+      return;
+    }
+    seen.add(key);
+
+    const previous = existing.get(key);
+    const base = previous?.item || { id: row.id, subCategory: sub.title, description: "" };
+    const item = {
+      ...base,
+      slug: row.slug === undefined ? base.slug : row.slug.toLowerCase() || undefined,
+      name: row.name,
+      actualName: row.actualName ?? base.actualName ?? "",
+      image: row.image ?? base.image ?? "",
+      features: row.features === undefined ? base.features || [] : parseFeatures(row.features),
+    };
+    // Availability columns left out of the sheet keep their current values.
+    if (AVAILABILITY_COLUMNS.some((column) => row[column] !== undefined)) {
+      const merged = { ...(base.availability || {}) };
+      AVAILABILITY_COLUMNS.forEach((column) => {
+        if (row[column] !== undefined) merged[column] = row[column];
+      });
+      const availability = normalizeAvailability(merged);
+      if (Object.keys(availability).length) item.availability = availability;
+      else delete item.availability;
+    }
+    sub.items.push(item);
+
+    if (!previous) {
+      created.push({ row: row.row, industry: row.industry, id: row.id, name: row.name });
+      return;
+    }
+    const fields = COMPARED_FIELDS.filter(
+      (field) => JSON.stringify(previous.item[field] ?? "") !== JSON.stringify(item[field] ?? "")
+    );
+    if (previous.location !== `${categoryKey}/${subKey}`) {
+      fields.push("location");
+      delete item.order;
+    }
+    if (fields.length) updated.push({ row: row.row, industry: row.industry, id: row.id, name: row.name, fields });
+    else unchanged += 1;
+  });
+
+  const deleted = [];
+  existing.forEach(({ item, location }, key) => {
+    if (seen.has(key)) return;
+    const [industryKey] = key.split("::");
+    if (deleteMissing) {
+      deleted.push({ industry: next[industryKey]?.title || industryKey, id: item.id, name: item.name });
+      return;
+    }
+    const [categoryKey, subKey] = location.split("/");
+    next[industryKey].categories[categoryKey].subCategories[subKey].items.push(item);
+  });
+
+  // Entries keep their saved order; new and moved items go after them in sheet order.
+  const liveIds = new Set(listTreeItems(next, { references: false }).map((row) => row.id));
+  Object.values(next).forEach((industry) => {
+    Object.values(industry?.categories || {}).forEach((category) => {
+      Object.values(category?.subCategories || {}).forEach((sub) => {
+        const refs = sub.items.filter((item) => isItemRef(item) && liveIds.has(item.ref));
+        sub.items = [...sub.items.filter((item) => !isItemRef(item)), ...refs];
+        let last = Math.max(-1, ...sub.items.map((item) => item.order).filter(Number.isFinite));
+        sub.items.forEach((item) => {
+          if (Number.isFinite(item.order)) return;
+          last += 1;
+          item.order = last;
+        });
+      });
+    });
+  });
+
+  return {
+    tree: next,
+    preview: {
+      rows: rows.length,
+      summary: { created: created.length, updated: updated.length, deleted: deleted.length, unchanged },
+      created,
+      updated,
+      deleted,
+      errors,
+    },
+  };
+};
+
+module.exports = {
+  CATALOG_COLUMNS,
+  toSheetRows,
+  toCsv,
+  toXlsx,
+  readCatalogSheet,
+  planCatalogImport,
+};
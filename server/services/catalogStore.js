@@ -0,0 +1,376 @@
+const mongoose = require("mongoose");
+const Content = require("../models/Content");
+const CatalogSection = require("../models/CatalogSection");
+const CatalogItem = require("../models/CatalogItem");
+const { normalizeSpecs } = require("./catalogSpecs");
+const { normalizeCompatibility } = require("./catalogCompatibility");
+const { normalizeGallery, normalizeVariants } = require("./catalogGallery");
+const { recordSlugChanges } = require("./catalogSlugs");
+const { normalizeAvailability } = require("./catalogAvailability");
+
+const CATALOG_CONTENT_KEY = "productCatalog";
+
+// A cross-listed placement: { ref: "<item id>" } shows an item that is defined once,
+// elsewhere in the tree, in a further industry/category/subcategory.
+const isItemRef = (entry) => Boolean(entry) && typeof entry.ref === "string" && entry.id === undefined;
+
+const toTreeItem = (item) => {
+  const specs = normalizeSpecs(item.specs);
+  const compatibility = normalizeCompatibility(item.compatibility);
+  const gallery = normalizeGallery(item.gallery);
+  const variants = normalizeVariants(item.variants);
+  const availability = normalizeAvailability(item.availability);
+  return {
+    id: item.itemId,
+    ...(item.slug && item.slug !== item.itemId ? { slug: item.slug } : {}),
+    name: item.name,
+    actualName: item.actualName || "",
+    subCategory: item.subCategory || "",
+    image: item.image || "",
+    ...(gallery.length ? { gallery } : {}),
+    ...(variants.length ? { variants } : {}),
+    ...(Object.keys(specs).length ? { specs } : {}),
+    ...(Object.keys(compatibility).length ? { compatibility } : {}),
+    ...(Object.keys(availability).length ? { availability } : {}),
+    description: item.description || "",
+    features: Array.isArray(item.features) ? item.features : [],
+    ...(item.addedAt ? { addedAt: new Date(item.addedAt).toISOString() } : {}),
+    order: item.order ?? 0,
+  };
+};
+
+// Orders entries by their `order` field; entries without one keep their position.
+const sortByOrder = (entries, getOrder) =>
+  entries
+    .map((entry, index) => {
+      const order = Number(getOrder(entry));
+      return { entry, rank: Number.isFinite(order) ? order : index, index };
+    })
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .map(({ entry }) => entry);
+
+// placementOrder is a Map on documents and a plain object on lean results.
+const placementOrderIn = (item, section) => {
+  const orders = item.placementOrder;
+  const value = orders instanceof Map ? orders.get(String(section)) : orders?.[String(section)];
+  return value ?? 0;
+};
+
+const groupBy = (docs, getKey) => {
+  const map = new Map();
+  docs.forEach((doc) => {
+    const key = getKey(doc);
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(doc);
+  });
+  return map;
+};
+
+const hasCatalogData = async () => Boolean(await CatalogSection.exists({}));
+
+// Rebuilds the legacy { industry: { categories: { subCategories: { items } } } } tree
+// that the public site and the dashboard JSON editor still consume.
+const buildCatalogTree = async () => {
+  const [sections, items] = await Promise.all([
+    CatalogSection.find().sort({ order: 1, _id: 1 }).lean(),
+    CatalogItem.find().sort({ order: 1, _id: 1 }).lean(),
+  ]);
+
+  const childrenOf = groupBy(sections, (section) => String(section.parent || ""));
+  const itemsBySection = groupBy(items, (item) => String(item.section));
+  const refsBySection = groupBy(
+    items.flatMap((item) =>
+      (item.placements || []).map((section) => ({ section, ref: item.itemId, order: placementOrderIn(item, section) }))
+    ),
+    (placement) => String(placement.section)
+  );
+  const tree = {};
+
+  (childrenOf.get("") || [])
+    .filter((industry) => industry.kind === "industry")
+    .forEach((industry) => {
+      const categories = {};
+      (childrenOf.get(String(industry._id)) || []).forEach((category) => {
+        const subCategories = {};
+        (childrenOf.get(String(category._id)) || []).forEach((sub) => {
+          subCategories[sub.key] = {
+            title: sub.title,
+            order: sub.order ?? 0,
+            items: sortByOrder(
+              [
+                ...(itemsBySection.get(String(sub._id)) || []).map(toTreeItem),
+                ...(refsBySection.get(String(sub._id)) || []).map(({ ref, order }) => ({ ref, order })),
+              ],
+              (entry) => entry.order
+            ),
+          };
+        });
+        categories[category.key] = { title: category.title, order: category.order ?? 0, subCategories };
+      });
+      tree[industry.key] = {
+        id: industry.key,
+        title: industry.title,
+        description: industry.description || "",
+        categories,
+      };
+    });
+
+  return tree;
+};
+
+// Items defined in the tree by id; cross-listed references are not included.
+const indexTreeItems = (tree) => {
+  const byId = new Map();
+  Object.values(tree || {}).forEach((industry) => {
+    Object.values(industry?.categories || {}).forEach((category) => {
+      Object.values(category?.subCategories || {}).forEach((sub) => {
+        (sub?.items || []).forEach((item) => {
+          if (item && !isItemRef(item) && !byId.has(item.id)) byId.set(item.id, item);
+        });
+      });
+    });
+  });
+  return byId;
+};
+
+/**
+ * Every item in a tree, tagged with the industry/category/subcategory it sits under.
+ * A cross-listed item gets one row per placement, the extra ones marked `crossListed`;
+ * pass `references: false` for exactly one row per item.
+ */
+const listTreeItems = (tree, { references = true } = {}) => {
+  const byId = references ? indexTreeItems(tree) : null;
+  const rows = [];
+  Object.entries(tree || {}).forEach(([industryKey, industry]) => {
+    Object.entries(industry?.categories || {}).forEach(([categoryKey, category]) => {
+      Object.entries(category?.subCategories || {}).forEach(([subKey, sub]) => {
+        (sub?.items || []).forEach((entry) => {
+          if (isItemRef(entry) && !(references && byId.has(entry.ref))) return;
+          const item = isItemRef(entry) ? { ...byId.get(entry.ref), crossListed: true } : entry;
+          rows.push({
+            ...item,
+            industryId: industry?.id || industryKey,
+            industryTitle: industry?.title || industryKey,
+            categoryId: categoryKey,
+            categoryTitle: category?.title || categoryKey,
+            subCategoryId: subKey,
+            subCategoryTitle: sub?.title || subKey,
+          });
+        });
+      });
+    });
+  });
+  return rows;
+};
+
+const sortSections = (sections, mapValue) =>
+  Object.fromEntries(
+    sortByOrder(Object.entries(sections || {}), ([, value]) => value?.order).map(([key, value]) => [key, mapValue(value)])
+  );
+
+// A legacy tree with its categories, subcategories and items in `order`, the order
+// buildCatalogTree returns, so readers never have to sort the catalog themselves.
+const orderCatalogTree = (tree) =>
+  Object.fromEntries(
+    Object.entries(tree || {}).map(([industryKey, industry]) => [
+      industryKey,
+      industry?.categories && typeof industry.categories === "object"
+        ? {
+            ...industry,
+            categories: sortSections(industry.categories, (category) => ({
+              ...category,
+              subCategories: sortSections(category?.subCategories, (sub) =>
+                Array.isArray(sub?.items) ? { ...sub, items: sortByOrder(sub.items, (item) => item?.order) } : sub
+              ),
+            })),
+          }
+        : industry,
+    ])
+  );
+
+// Falls back to the legacy Content blob until the catalog has been migrated.
+const loadCatalogTree = async () => {
+  if (await hasCatalogData()) return buildCatalogTree();
+  const doc = await Content.findOne({ key: CATALOG_CONTENT_KEY });
+  return doc?.data && typeof doc.data === "object" ? orderCatalogTree(doc.data) : {};
+};
+
+// Sections are identified by their key path ("industry/category/subcategory"); a path
+// found in `sectionIds` keeps its existing _id.
+const sectionPathKey = (path) => JSON.stringify(path);
+
+const flattenCatalogTree = (tree, sectionIds = new Map()) => {
+  const sections = [];
+  const items = [];
+  const paths = new Map();
+  const newSection = (kind, key, value, parent, order) => {
+    const path = [...(parent ? paths.get(String(parent)) : []), key];
+    const section = {
+      _id: sectionIds.get(sectionPathKey(path)) || new mongoose.Types.ObjectId(),
+      kind,
+      key,
+      title: String(value?.title || key),
+      description: String(value?.description || ""),
+      parent,
+      order,
+    };
+    sections.push(section);
+    paths.set(String(section._id), path);
+    return section._id;
+  };
+
+  const refs = [];
+  // Positions are renumbered from the sorted order so they stay dense after every save.
+  const ordered = (sections) => sortByOrder(Object.entries(sections || {}), ([, value]) => value?.order);
+  Object.entries(tree || {}).forEach(([industryKey, industry], industryOrder) => {
+    const industryId = newSection("industry", industryKey, industry, null, industryOrder);
+    ordered(industry?.categories).forEach(([categoryKey, category], categoryOrder) => {
+      const categoryId = newSection("category", categoryKey, category, industryId, categoryOrder);
+      ordered(category?.subCategories).forEach(([subKey, sub], subOrder) => {
+        const subId = newSection("subcategory", subKey, sub, categoryId, subOrder);
+        sortByOrder(Array.isArray(sub?.items) ? sub.items : [], (item) => item?.order).forEach((item, order) => {
+          if (isItemRef(item)) {
+            refs.push({ itemId: item.ref, section: subId, order });
+            return;
+          }
+          const slug = String(item?.slug || "").trim();
+          const addedAt = new Date(item?.addedAt);
+          items.push({
+            itemId: String(item?.id || ""),
+            ...(slug && slug !== String(item?.id || "") ? { slug } : {}),
+            name: String(item?.name || item?.actualName || item?.id || ""),
+            actualName: String(item?.actualName || ""),
+            subCategory: String(item?.subCategory || ""),
+            image: String(item?.image || ""),
+            gallery: normalizeGallery(item?.gallery),
+            variants: normalizeVariants(item?.variants),
+            specs: normalizeSpecs(item?.specs),
+            compatibility: normalizeCompatibility(item?.compatibility),
+            availability: normalizeAvailability(item?.availability),
+            description: String(item?.description || ""),
+            features: Array.isArray(item?.features) ? item.features.map(String) : [],
+            ...(Number.isNaN(addedAt.getTime()) ? {} : { addedAt }),
+            section: subId,
+            order,
+          });
+        });
+      });
+    });
+  });
+
+  // References to ids that are not defined anywhere are dropped; validation reports them.
+  refs.forEach(({ itemId, section, order }) => {
+    const item = items.find((entry) => entry.itemId === itemId);
+    if (!item) return;
+    item.placements = [...(item.placements || []), section];
+    item.placementOrder = { ...item.placementOrder, [String(section)]: order };
+  });
+
+  return { sections, items };
+};
+
+// Maps the key path of every stored section to its _id.
+const loadSectionIds = async () => {
+  const stored = await CatalogSection.find({}, { key: 1, parent: 1 }).lean();
+  const byId = new Map(stored.map((section) => [String(section._id), section]));
+  const pathOf = (section, seen = new Set()) => {
+    const parent = section.parent && byId.get(String(section.parent));
+    if (!parent || seen.has(parent)) return [section.key];
+    return [...pathOf(parent, seen.add(section)), section.key];
+  };
+  return new Map(stored.map((section) => [sectionPathKey(pathOf(section)), section._id]));
+};
+
+// Item ids are meant to stay fixed, but the JSON editor and spreadsheet imports can still
+// change one. An id that disappears is taken as renamed to a new id in the same
+// subcategory: the only one added there, or else the one with the same name.
+const findRenamedItems = (previous, items) => {
+  const kept = new Set(items.map((item) => item.itemId));
+  const known = new Set(previous.map((item) => item.itemId));
+  const gone = groupBy(previous.filter((item) => !kept.has(item.itemId)), (item) => String(item.section));
+  const added = groupBy(items.filter((item) => !known.has(item.itemId)), (item) => String(item.section));
+  const renamed = new Map();
+  gone.forEach((oldItems, section) => {
+    const newItems = added.get(section) || [];
+    if (oldItems.length === 1 && newItems.length === 1) {
+      renamed.set(oldItems[0].itemId, newItems[0].itemId);
+      return;
+    }
+    const unique = (list, name) => list.filter((item) => item.name === name).length === 1;
+    oldItems
+      .filter((oldItem) => unique(oldItems, oldItem.name) && unique(newItems, oldItem.name))
+      .forEach((oldItem) => renamed.set(oldItem.itemId, newItems.find((item) => item.name === oldItem.name).itemId));
+  });
+  return renamed;
+};
+
+const ITEM_OPTIONAL_FIELDS = ["slug", "placements", "placementOrder"];
+
+const upsertById = (doc, optionalFields = []) => {
+  const { _id, ...fields } = doc;
+  const unset = Object.fromEntries(optionalFields.filter((field) => !(field in fields)).map((field) => [field, ""]));
+  return {
+    updateOne: {
+      filter: { _id },
+      update: { $set: fields, ...(Object.keys(unset).length ? { $unset: unset } : {}) },
+      upsert: true,
+    },
+  };
+};
+
+// Replaces every section and item with the contents of a legacy catalog tree.
+// Documents are validated up front, then written in place: sections keep their _id by key
+// path and items by itemId, and only what the tree no longer holds is deleted afterwards.
+// A failure part way leaves the previous catalog partly updated, never empty, and
+// publishing again completes it. Slugs and ids that changed get a redirect so old product
+// links keep resolving, and items that already existed keep the date they were first added.
+const replaceCatalogTree = async (tree) => {
+  const { sections, items } = flattenCatalogTree(tree, await loadSectionIds());
+  await Promise.all([
+    ...sections.map((section) => new CatalogSection(section).validate()),
+    ...items.map((item) => new CatalogItem(item).validate()),
+  ]);
+
+  const previous = await CatalogItem.find(
+    {},
+    { itemId: 1, slug: 1, name: 1, section: 1, addedAt: 1, createdAt: 1 }
+  ).lean();
+  const renamed = findRenamedItems(previous, items);
+  const previousById = new Map(previous.map((item) => [renamed.get(item.itemId) || item.itemId, item]));
+  const now = new Date();
+  items.forEach((item) => {
+    const existing = previousById.get(item.itemId);
+    item._id = existing?._id || new mongoose.Types.ObjectId();
+    item.addedAt = existing?.addedAt || existing?.createdAt || item.addedAt || now;
+  });
+
+  if (sections.length) await CatalogSection.bulkWrite(sections.map((section) => upsertById(section)));
+  if (items.length) await CatalogItem.bulkWrite(items.map((item) => upsertById(item, ITEM_OPTIONAL_FIELDS)));
+  await CatalogItem.deleteMany({ _id: { $nin: items.map((item) => item._id) } });
+  await CatalogSection.deleteMany({ _id: { $nin: sections.map((section) => section._id) } });
+  const redirects = await recordSlugChanges(previous, items, renamed);
+
+  return { sections: sections.length, items: items.length, redirects };
+};
+
+// Serves the productCatalog Content entry from the collections once they hold data, and
+// in display order either way.
+const withCatalogTree = async (doc) => {
+  if (!doc || doc.key !== CATALOG_CONTENT_KEY) return doc;
+  const plain = typeof doc.toObject === "function" ? doc.toObject() : { ...doc };
+  if (await hasCatalogData()) return { ...plain, data: await buildCatalogTree() };
+  if (!plain.data || typeof plain.data !== "object") return doc;
+  return { ...plain, data: orderCatalogTree(plain.data) };
+};
+
+module.exports = {
+  CATALOG_CONTENT_KEY,
+  isItemRef,
+  hasCatalogData,
+  buildCatalogTree,
+  indexTreeItems,
+  listTreeItems,
+  loadCatalogTree,
+  replaceCatalogTree,
+  withCatalogTree,
+};
@@ -0,0 +1,205 @@
+// Checks run before a productCatalog tree is saved or published, plus the on-demand
+// integrity report the dashboard shows. Save-time errors block the write; the report
+// also covers things that are only worth a warning (empty subcategories, missing files).
+const { IMAGE_PATH_PREFIXES, isAllowedImagePath, findAssetFile } = require("./catalogAssets");
+const { listItemImages } = require("./catalogGallery");
+const { isValidSlug, itemSlug } = require("./catalogSlugs");
+const { isItemRef } = require("./catalogStore");
+
+const isPlainObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+const describeLocation = (...sections) => sections.filter(Boolean).join(" / ");
+
+// Walks the tree once, collecting structure errors alongside the items and cross-listing
+// references it finds.
+const walkTree = (tree) => {
+  const errors = [];
+  const items = [];
+  const refs = [];
+  const subcategories = [];
+
+  if (!isPlainObject(tree)) {
+    errors.push({ location: "", field: "catalog", message: "Catalog must be an object of industries" });
+    return { errors, items, refs, subcategories };
+  }
+
+  Object.entries(tree).forEach(([industryKey, industry]) => {
+    const industryTitle = industry?.title || industryKey;
+    if (!isPlainObject(industry?.categories)) {
+      errors.push({ location: industryTitle, field: "categories", message: "Industry must have a categories object" });
+      return;
+    }
+    Object.entries(industry.categories).forEach(([categoryKey, category]) => {
+      const categoryTitle = category?.title || categoryKey;
+      if (!isPlainObject(category?.subCategories)) {
+        errors.push({
+          location: describeLocation(industryTitle, categoryTitle),
+          field: "subCategories",
+          message: "Category must have a subCategories object",
+        });
+        return;
+      }
+      Object.entries(category.subCategories).forEach(([subKey, sub]) => {
+        const location = describeLocation(industryTitle, categoryTitle, sub?.title || subKey);
+        if (!Array.isArray(sub?.items)) {
+          errors.push({ location, field: "items", message: "Subcategory must have an items list" });
+          return;
+        }
+        subcategories.push({ location, count: sub.items.length });
+        sub.items.forEach((item, index) =>
+          (isItemRef(item) ? refs : items).push({ item: item || {}, index, location })
+        );
+      });
+    });
+  });
+
+  return { errors, items, refs, subcategories };
+};
+
+const groupDuplicateIds = (items) => {
+  const locationsById = new Map();
+  items.forEach(({ item, location }) => {
+    const id = String(item.id || "").trim();
+    if (!id) return;
+    if (!locationsById.has(id)) locationsById.set(id, []);
+    locationsById.get(id).push(location);
+  });
+  return [...locationsById.entries()]
+    .filter(([, locations]) => locations.length > 1)
+    .map(([id, locations]) => ({ id, count: locations.length, locations: [...new Set(locations)] }));
+};
+
+/**
+ * Save-time validation. Returns a list of { location, itemId, field, message };
+ * an empty list means the tree may be saved.
+ */
+const validateCatalogTree = (tree) => {
+  const { errors, items, refs } = walkTree(tree);
+  const duplicates = new Map(groupDuplicateIds(items).map((entry) => [entry.id, entry]));
+  // A slug may not match another item's slug or internal id, or URLs would be ambiguous.
+  const urlOwners = new Map();
+  items.forEach(({ item }) => {
+    [String(item.id || "").trim(), itemSlug(item)].forEach((value) => {
+      if (!value) return;
+      if (!urlOwners.has(value)) urlOwners.set(value, new Set());
+      urlOwners.get(value).add(String(item.id || "").trim());
+    });
+  });
+
+  items.forEach(({ item, index, location }) => {
+    const id = String(item.id || "").trim();
+    const itemId = id || `item ${index + 1}`;
+    const push = (field, message) => errors.push({ location, itemId, field, message });
+
+    if (!id) push("id", "Item id is required");
+    else if (duplicates.has(id)) {
+      const { count, locations } = duplicates.get(id);
+      push("id", `Duplicate id "${id}" is used ${count} times (${locations.join(", ")})`);
+    }
+    if (item.slug !== undefined && item.slug !== "") {
+      const slug = String(item.slug);
+      if (!isValidSlug(slug)) push("slug", "Slug may only contain lowercase letters, numbers and single dashes");
+      else if (urlOwners.get(slug).size > 1) push("slug", `Slug "${slug}" is already used by another item`);
+    }
+    if (!String(item.name || "").trim()) push("name", "Name is required");
+    if (!String(item.image || "").trim()) push("image", "Image is required");
+    else if (!isAllowedImagePath(item.image)) {
+      push("image", `Image must be uploaded through the media library (path starting with ${IMAGE_PATH_PREFIXES.join(" or ")})`);
+    }
+    listItemImages(item)
+      .filter(({ image }) => !isAllowedImagePath(image))
+      .forEach(({ field, image }) => push(field, `Image "${image}" must start with ${IMAGE_PATH_PREFIXES.join(" or ")}`));
+  });
+
+  const ids = new Set(items.map(({ item }) => String(item.id || "").trim()));
+  items.forEach(({ item, location }) => {
+    const replacementId = String(item.availability?.replacementId || "").trim();
+    if (!replacementId) return;
+    const push = (message) => errors.push({ location, itemId: item.id, field: "availability.replacementId", message });
+    if (replacementId === item.id) push("An item cannot replace itself");
+    else if (!ids.has(replacementId)) push(`Replacement item "${replacementId}" does not exist`);
+  });
+
+  const homes = new Map(items.map(({ item, location }) => [String(item.id || "").trim(), location]));
+  const placed = new Set();
+  refs.forEach(({ item, location }) => {
+    const push = (message) => errors.push({ location, itemId: item.ref, field: "ref", message });
+    const placement = `${item.ref}@${location}`;
+    if (!homes.has(item.ref)) push(`Cross-listed item "${item.ref}" does not exist`);
+    else if (homes.get(item.ref) === location) push(`"${item.ref}" is already defined in this subcategory`);
+    else if (placed.has(placement)) push(`"${item.ref}" is cross-listed here more than once`);
+    placed.add(placement);
+  });
+
+  return errors;
+};
+
+// Field-level checks for a single item written through the catalog item API.
+const validateCatalogItem = (fields) => {
+  const errors = {};
+  if (fields.itemId !== undefined && !String(fields.itemId).trim()) errors.itemId = "Item id is required";
+  if (fields.slug && !isValidSlug(fields.slug)) {
+    errors.slug = "Slug may only contain lowercase letters, numbers and single dashes";
+  }
+  if (fields.name !== undefined && !String(fields.name).trim()) errors.name = "Name is required";
+  if (fields.image !== undefined) {
+    if (!String(fields.image).trim()) errors.image = "Image is required";
+    else if (!isAllowedImagePath(fields.image)) {
+      errors.image = `Image must start with ${IMAGE_PATH_PREFIXES.join(" or ")}`;
+    }
+  }
+  return errors;
+};
+
+/**
+ * Integrity report for the dashboard. Unlike validateCatalogTree it checks that image
+ * files actually exist, and lists items and subcategories that are merely incomplete.
+ */
+const buildIntegrityReport = async (tree) => {
+  const { errors, items, subcategories } = walkTree(tree);
+
+  // The cover image plus every gallery and variant image.
+  const imageRefs = items.flatMap(({ item, location }) =>
+    [{ field: "image", image: String(item.image || "").trim() }, ...listItemImages(item)].map((ref) => ({
+      ...ref,
+      item,
+      location,
+    }))
+  );
+  const brokenImages = (
+    await Promise.all(
+      imageRefs.map(async ({ field, image, item, location }) => {
+        let reason = "";
+        if (!image) reason = "No image set";
+        else if (!isAllowedImagePath(image)) reason = "Not an uploaded or bundled image";
+        else if (!(await findAssetFile(image))) reason = "File not found";
+        return reason ? { id: item.id || "", name: item.name || "", field, image, location, reason } : null;
+      })
+    )
+  ).filter(Boolean);
+
+  const report = {
+    checkedAt: new Date(),
+    items: items.length,
+    structureErrors: errors,
+    duplicateIds: groupDuplicateIds(items),
+    missingNames: items
+      .filter(({ item }) => !String(item.name || "").trim())
+      .map(({ item, location }) => ({ id: item.id || "", location })),
+    brokenImages,
+    emptySubcategories: subcategories.filter((sub) => sub.count === 0).map((sub) => sub.location),
+    itemsWithoutFeatures: items
+      .filter(({ item }) => !(Array.isArray(item.features) && item.features.some((feature) => String(feature).trim())))
+      .map(({ item, location }) => ({ id: item.id || "", name: item.name || "", location })),
+  };
+  report.issues =
+    report.structureErrors.length +
+    report.duplicateIds.length +
+    report.missingNames.length +
+    report.brokenImages.length +
+    report.emptySubcategories.length +
+    report.itemsWithoutFeatures.length;
+  return report;
+};
+
+module.exports = { validateCatalogTree, validateCatalogItem, buildIntegrityReport };
@@ -0,0 +1,43 @@
+// Field-level diff between two JSON values, used to compare Content revisions.
+
+const MAX_CHANGES = 500;
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const joinPath = (path, key) => (typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+const walk = (before, after, path, changes) => {
+  if (changes.length >= MAX_CHANGES || isEqual(before, after)) return;
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    keys.forEach((key) => walk(before[key], after[key], joinPath(path, key), changes));
+    return;
+  }
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+    for (let index = 0; index < length; index += 1) {
+      walk(before[index], after[index], joinPath(path, index), changes);
+    }
+    return;
+  }
+
+  if (before === undefined) changes.push({ path, type: "added", after });
+  else if (after === undefined) changes.push({ path, type: "removed", before });
+  else changes.push({ path, type: "changed", before, after });
+};
+
+/**
+ * Lists every leaf that differs between two values, e.g.
+ * { path: "slides[0].title", type: "changed", before: "Old", after: "New" }.
+ * Stops after MAX_CHANGES entries and flags the result as truncated.
+ */
+const diffValues = (before, after) => {
+  const changes = [];
+  walk(before, after, "", changes);
+  return { changes, truncated: changes.length >= MAX_CHANGES };
+};
+
+module.exports = { diffValues };
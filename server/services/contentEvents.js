@@ -0,0 +1,39 @@
+// Server-Sent Events for the public site. Browsers keep GET /api/content/events open and
+// receive an `event: content` message listing the keys whose published data changed, so
+// they refetch just those entries instead of polling every key.
+const { isPublicContentKey } = require("./contentSchemas");
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5 * 1000;
+
+const clients = new Set();
+
+const openContentStream = (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Stops nginx from buffering the stream.
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  clients.add(res);
+
+  // Comment lines keep proxies from closing an idle connection.
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    clients.delete(res);
+  });
+};
+
+// Tells every open stream that `keys` changed. Keys the public site cannot read are dropped.
+const notifyContentChanged = (...keys) => {
+  const changed = [...new Set(keys)].filter(isPublicContentKey);
+  if (!changed.length || !clients.size) return;
+  const message = `event: content\ndata: ${JSON.stringify({ keys: changed })}\n\n`;
+  clients.forEach((res) => res.write(message));
+};
+
+module.exports = { openContentStream, notifyContentChanged };
@@ -0,0 +1,131 @@
+const Content = require("../models/Content");
+const ContentRevision = require("../models/ContentRevision");
+const {
+  CATALOG_CONTENT_KEY,
+  loadCatalogTree,
+  replaceCatalogTree,
+  withCatalogTree,
+} = require("./catalogStore");
+const { fingerprintCatalog } = require("./catalogDiff");
+const { notifyContentChanged } = require("./contentEvents");
+
+const isPublished = (doc) => doc?.data !== null && doc?.data !== undefined;
+
+// Matches an entry still at `version`; entries saved before versioning have no field yet.
+const atVersion = (version) => ({ version: version === 0 ? { $in: [0, null] } : version });
+
+const toEditor = (admin) => ({
+  id: String(admin?.id || ""),
+  email: String(admin?.email || ""),
+});
+
+// What anonymous visitors may see: published data only, never the pending draft.
+const toPublicEntry = (doc) => {
+  const plain = typeof doc.toObject === "function" ? doc.toObject() : { ...doc };
+  const { draft, draftUpdatedAt, draftUpdatedBy, ...rest } = plain;
+  return rest;
+};
+
+// The catalog also carries a fingerprint of the version being edited, which the dashboard
+// sends back on save so changes made in the meantime are not overwritten.
+const toManagedEntry = async (doc) => {
+  const entry = await withCatalogTree(doc);
+  const plain = typeof entry.toObject === "function" ? entry.toObject() : { ...entry };
+  const managed = { ...plain, hasDraft: plain.draft !== undefined };
+  if (plain.key === CATALOG_CONTENT_KEY) {
+    managed.catalogVersion = fingerprintCatalog(managed.hasDraft ? plain.draft : plain.data);
+  }
+  return managed;
+};
+
+// Entries that were live before revision history existed get their current data
+// recorded as the first revision, so the very first publish can still be rolled back.
+const recordBaselineRevision = async (doc) => {
+  const current = await withCatalogTree(doc);
+  await ContentRevision.create({
+    content: doc._id,
+    key: doc.key,
+    revision: 1,
+    title: doc.title,
+    data: current.data,
+    note: "Published before revision history",
+    publishedAt: doc.updatedAt || new Date(),
+  });
+  return 1;
+};
+
+// Draft when one is pending, otherwise the live data: what the dashboard is editing.
+const loadWorkingData = async (key) => {
+  const doc = await Content.findOne({ key });
+  if (doc?.draft !== undefined) return doc.draft;
+  if (key === CATALOG_CONTENT_KEY) return loadCatalogTree();
+  return doc?.data ?? null;
+};
+
+// Pass the entry `version` the caller read to save only if nobody wrote since; null is
+// returned when they did. The catalog is not seeded with `data: null`, since its live
+// data sits in the catalog collections whether or not the entry was ever published.
+const saveDraft = async (key, title, data, admin, version) =>
+  Content.findOneAndUpdate(
+    { key, ...(version === undefined ? {} : atVersion(version)) },
+    {
+      $set: { draft: data, draftUpdatedAt: new Date(), draftUpdatedBy: toEditor(admin) },
+      $setOnInsert: key === CATALOG_CONTENT_KEY ? { title } : { title, data: null },
+      $inc: { version: 1 },
+    },
+    { upsert: version === undefined, new: true, runValidators: true }
+  );
+
+/**
+ * Makes `data` the live version of a Content entry, stores it as a new revision and tells
+ * open site connections (services/contentEvents) that the key changed.
+ * The productCatalog tree is written to the catalog collections first, so an invalid
+ * tree fails the publish before anything else changes.
+ */
+const publishContent = async (doc, data, admin, { note = "", restoredFrom, keepDraft = false } = {}) => {
+  if (doc.key === CATALOG_CONTENT_KEY) {
+    await replaceCatalogTree(data);
+  }
+
+  const latest = await ContentRevision.findOne({ content: doc._id }).sort({ revision: -1 });
+  let lastRevision = latest?.revision || 0;
+  if (!latest && isPublished(doc)) {
+    lastRevision = await recordBaselineRevision(doc);
+  }
+
+  const publishedBy = toEditor(admin);
+  const publishedAt = new Date();
+  const revision = await ContentRevision.create({
+    content: doc._id,
+    key: doc.key,
+    revision: lastRevision + 1,
+    title: doc.title,
+    data,
+    note,
+    restoredFrom,
+    publishedBy,
+    publishedAt,
+  });
+
+  const update = {
+    $set: { data, publishedRevision: revision.revision, publishedAt, publishedBy },
+    $inc: { version: 1 },
+  };
+  if (!keepDraft) {
+    update.$unset = { draft: 1, draftUpdatedAt: 1, draftUpdatedBy: 1 };
+  }
+  const updated = await Content.findByIdAndUpdate(doc._id, update, { new: true });
+  notifyContentChanged(doc.key);
+  return { doc: updated, revision };
+};
+
+module.exports = {
+  isPublished,
+  atVersion,
+  toEditor,
+  toPublicEntry,
+  toManagedEntry,
+  loadWorkingData,
+  saveDraft,
+  publishContent,
+};
@@ -0,0 +1,201 @@
+// Registry of the Content keys the site reads, each with the JSON Schema its data must
+// match. Saves and publishes are checked against it so a bad edit cannot break the pages
+// that render the entry; GET /api/content/schemas hands the same schemas to the dashboard.
+// Keys that are not listed here stay free-form. Only entries marked `public` are served
+// by the unauthenticated content routes; everything else needs an admin token.
+const { validateSchema } = require("./jsonSchema");
+const { CATALOG_CONTENT_KEY } = require("./catalogStore");
+const { validateCatalogTree } = require("./catalogValidation");
+
+const text = { type: "string" };
+const requiredText = { type: "string", minLength: 1 };
+const textList = { type: "array", items: text };
+const url = {
+  type: "string",
+  pattern: "^(https?://|/|#)",
+  patternMessage: "Must be a link starting with http://, https:// or /",
+};
+// Blank strings skip `pattern`, so optional fields only need a type.
+const image = {
+  type: "string",
+  pattern: "^(https?://|/|[\\w.-]+$)",
+  patternMessage: "Must be an uploaded image or a path starting with /",
+};
+const requiredImage = { ...image, minLength: 1 };
+const email = { type: "string", pattern: "^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$", patternMessage: "Must be an email address" };
+
+const textFields = (...keys) => Object.fromEntries(keys.map((key) => [key, text]));
+
+const CONTENT_SCHEMAS = {
+  homePage: {
+    public: true,
+    title: "Home Page",
+    schema: {
+      type: "object",
+      properties: {
+        slides: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["image", "title"],
+            properties: {
+              id: { type: ["string", "number"] },
+              image: requiredImage,
+              title: requiredText,
+              ...textFields("subtitle", "text"),
+            },
+          },
+        },
+        features: {
+          type: "array",
+          items: { type: "object", required: ["title"], properties: { id: text, title: requiredText, text } },
+        },
+        aboutPreview: {
+          type: "object",
+          properties: {
+            ...textFields("title", "description", "buttonText"),
+            stats: {
+              type: "array",
+              items: {
+                type: "object",
+                required: ["value", "label"],
+                properties: { value: requiredText, label: requiredText },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+  aboutPage: {
+    public: true,
+    title: "About Page",
+    schema: {
+      type: "object",
+      properties: textFields(
+        "pageTitle",
+        "pageDescription",
+        "whoWeAreTitle",
+        "whoWeAreHighlight",
+        "whoWeAreParagraphOne",
+        "whoWeAreParagraphTwo",
+        "visionTitle",
+        "visionText",
+        "missionTitle",
+        "missionText"
+      ),
+    },
+  },
+  contactPage: {
+    public: true,
+    title: "Contact Page",
+    schema: {
+      type: "object",
+      properties: {
+        ...textFields("pageTitle", "pageDescription", "infoHeading", "infoSubheading", "mapTitle", "phoneTitle", "emailTitle"),
+        contactInfo: {
+          type: "object",
+          properties: {
+            phone: { type: "string", pattern: "^[+\\d\\s()-]*$", patternMessage: "Must be a phone number" },
+            whatsapp: { type: "string", pattern: "^\\d*$", patternMessage: "Must be digits only, with country code" },
+            email,
+            address: text,
+            mapLink: url,
+          },
+        },
+        subjects: { type: "array", items: requiredText },
+      },
+    },
+  },
+  marketSegments: {
+    public: true,
+    title: "Market Segments",
+    schema: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["id", "name"],
+        properties: { id: requiredText, name: requiredText, image, ...textFields("description", "tag") },
+      },
+    },
+  },
+  ourSegments: {
+    public: true,
+    title: "Our Segments",
+    schema: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["id", "title"],
+        properties: { id: requiredText, title: requiredText, image, description: text, features: textList },
+      },
+    },
+  },
+  productsPage: {
+    public: true,
+    title: "Products Page",
+    schema: {
+      type: "object",
+      properties: textFields("headerTitle", "headerDescription", "ctaTitle", "ctaDescription", "ctaButtonText"),
+    },
+  },
+  ourSegmentsPage: {
+    public: true,
+    title: "Our Segments Page",
+    schema: { type: "object", properties: textFields("headerTitle", "headerDescription") },
+  },
+  siteSettings: {
+    public: true,
+    title: "Site Settings",
+    schema: {
+      type: "object",
+      properties: {
+        ...textFields("companyName", "logoPath", "logoAlt", "footerDescription", "developerName"),
+        developerUrl: url,
+        socialLinks: { type: "object", additionalProperties: url },
+      },
+    },
+  },
+  [CATALOG_CONTENT_KEY]: {
+    public: true,
+    title: "Product Catalog",
+    schema: {
+      type: "object",
+      additionalProperties: {
+        type: "object",
+        required: ["categories"],
+        properties: { id: text, title: text, description: text, categories: { type: "object" } },
+      },
+    },
+    // Item-level rules (ids, slugs, images, cross-listings) live in catalogValidation.
+    validate: validateCatalogTree,
+  },
+};
+
+/**
+ * Checks `data` against the schema registered for `key`. Returns a list of errors, each
+ * with at least { field, message }; unknown keys always pass.
+ */
+const validateContentData = (key, data) => {
+  const entry = CONTENT_SCHEMAS[key];
+  if (!entry) return [];
+  const errors = validateSchema(entry.schema, data);
+  if (errors.length || !entry.validate) return errors;
+  return entry.validate(data);
+};
+
+const describeContentKey = (key) => CONTENT_SCHEMAS[key]?.title || key;
+
+const isPublicContentKey = (key) => Object.hasOwn(CONTENT_SCHEMAS, key) && CONTENT_SCHEMAS[key].public === true;
+
+// Schemas without server-only hooks, for GET /api/content/schemas.
+const listContentSchemas = () =>
+  Object.fromEntries(Object.entries(CONTENT_SCHEMAS).map(([key, { title, schema }]) => [key, { title, schema }]));
+
+module.exports = {
+  CONTENT_SCHEMAS,
+  validateContentData,
+  describeContentKey,
+  isPublicContentKey,
+  listContentSchemas,
+};
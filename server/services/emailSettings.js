@@ -0,0 +1,116 @@
+// Contact-form mail settings. They used to be the "emailSettings" Content entry, which
+// the public content API served to anyone, SMTP password included. They now live in the
+// settings store: the plain fields under one setting, the password as an encrypted secret.
+const Content = require("../models/Content");
+const ContentRevision = require("../models/ContentRevision");
+const TrashEntry = require("../models/TrashEntry");
+const { validateSchema } = require("./jsonSchema");
+const { getSetting, setSetting, getSecret, setSecret, hasSecret } = require("./settings");
+
+const EMAIL_SETTINGS_KEY = "emailSettings";
+const SMTP_PASS_KEY = "emailSettings.smtpPass";
+
+const text = { type: "string" };
+
+const EMAIL_SETTINGS_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    contactRecipients: text,
+    contactFromName: text,
+    contactFromEmail: {
+      type: "string",
+      pattern: "^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$",
+      patternMessage: "Must be an email address",
+    },
+    smtpHost: text,
+    smtpPort: { type: ["string", "integer"], pattern: "^\\d*$", patternMessage: "Must be a port number" },
+    smtpSecure: { type: ["string", "boolean"], enum: ["true", "false", true, false] },
+    smtpUser: text,
+  },
+};
+
+const EMAIL_FIELDS = Object.keys(EMAIL_SETTINGS_SCHEMA.properties);
+
+const pickFields = (source = {}) =>
+  Object.fromEntries(EMAIL_FIELDS.filter((field) => source[field] !== undefined).map((field) => [field, source[field]]));
+
+const withStatus = (message, status, errors) => {
+  const error = new Error(message);
+  error.status = status;
+  if (errors) error.errors = errors;
+  return error;
+};
+
+/**
+ * Settings for sending mail, with the decrypted `smtpPass`. Server use only: never send
+ * the result to a client. Resolves to {} when nothing can be read.
+ */
+const loadEmailSettings = async () => {
+  try {
+    const [fields, smtpPass] = await Promise.all([getSetting(EMAIL_SETTINGS_KEY, {}), getSecret(SMTP_PASS_KEY)]);
+    return { ...fields, smtpPass };
+  } catch {
+    return {};
+  }
+};
+
+// What the dashboard may see: the plain fields and whether a password is stored.
+const describeEmailSettings = async () => {
+  const [fields, smtpPassConfigured] = await Promise.all([
+    getSetting(EMAIL_SETTINGS_KEY, {}),
+    hasSecret(SMTP_PASS_KEY),
+  ]);
+  return { ...pickFields(fields), smtpPassConfigured };
+};
+
+/**
+ * Saves the plain fields. A non-empty `smtpPass` replaces the stored password, a blank one
+ * keeps it and `clearSmtpPass: true` removes it. Fails with status 400 and `errors` when a
+ * field is invalid.
+ */
+const saveEmailSettings = async (body = {}) => {
+  const { smtpPass, clearSmtpPass, smtpPassConfigured, ...fields } = body;
+  const errors = validateSchema(EMAIL_SETTINGS_SCHEMA, fields);
+  if (smtpPass !== undefined && typeof smtpPass !== "string") {
+    errors.push({ field: "smtpPass", message: "Must be string" });
+  }
+  if (errors.length) {
+    throw withStatus(`Email settings have ${errors.length} problem${errors.length === 1 ? "" : "s"}`, 400, errors);
+  }
+
+  await setSetting(EMAIL_SETTINGS_KEY, pickFields(fields));
+  if (clearSmtpPass === true) {
+    await setSecret(SMTP_PASS_KEY, "");
+  } else if (smtpPass) {
+    await setSecret(SMTP_PASS_KEY, smtpPass);
+  }
+  return describeEmailSettings();
+};
+
+// One-off move of the old Content entry into the settings store, run at startup. The
+// entry, its revisions and any trashed copy are deleted so the password is not left behind.
+const migrateEmailSettingsFromContent = async () => {
+  await TrashEntry.deleteMany({ kind: "content", "data.key": EMAIL_SETTINGS_KEY });
+  const doc = await Content.findOne({ key: EMAIL_SETTINGS_KEY }).lean();
+  if (!doc) return false;
+
+  const legacy = doc.draft || doc.data || {};
+  if ((await getSetting(EMAIL_SETTINGS_KEY)) === null) {
+    await setSetting(EMAIL_SETTINGS_KEY, pickFields(legacy));
+  }
+  if (legacy.smtpPass && !(await hasSecret(SMTP_PASS_KEY))) {
+    await setSecret(SMTP_PASS_KEY, String(legacy.smtpPass));
+  }
+  await ContentRevision.deleteMany({ content: doc._id });
+  await Content.deleteOne({ _id: doc._id });
+  return true;
+};
+
+module.exports = {
+  EMAIL_SETTINGS_KEY,
+  loadEmailSettings,
+  describeEmailSettings,
+  saveEmailSettings,
+  migrateEmailSettingsFromContent,
+};
@@ -0,0 +1,84 @@
+// A small JSON Schema validator covering the keywords the content registry uses:
+// type (including "integer", "null" and lists of types), enum, properties, required,
+// additionalProperties, items, minItems/maxItems, minLength/maxLength, pattern and
+// minimum/maximum, plus a non-standard `patternMessage` shown when `pattern` fails.
+// Content saves are checked here only; the dashboard shows the field errors a 400 returns.
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  if (type === "integer") return Number.isInteger(value);
+  if (type === "number") return typeof value === "number" && Number.isFinite(value);
+  return typeOf(value) === type;
+};
+
+// "slides[0].title" style paths, so errors can point at a form field.
+const joinPath = (path, key) => (typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+/**
+ * Validates `value` against `schema`. Returns a list of { field, message }; `field` is
+ * the path to the offending value ("" for the value itself). Empty means valid.
+ */
+const validateSchema = (schema, value, path = "") => {
+  if (!schema || typeof schema !== "object") return [];
+  const errors = [];
+  const push = (message, field = path) => errors.push({ field, message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      push(`Must be ${types.join(" or ")}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) push(`Must be one of: ${schema.enum.join(", ")}`);
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      push(schema.minLength === 1 ? "Is required" : `Must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      push(`Must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && value && !new RegExp(schema.pattern).test(value)) {
+      push(schema.patternMessage || `Does not match the expected format`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) push(`Must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) push(`Must be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) push(`Needs at least ${schema.minItems} entries`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) push(`Allows at most ${schema.maxItems} entries`);
+    if (schema.items) {
+      value.forEach((entry, index) => errors.push(...validateSchema(schema.items, entry, joinPath(path, index))));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined || value[key] === null) push("Is required", joinPath(path, key));
+    });
+    Object.entries(value).forEach(([key, entry]) => {
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], entry, joinPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        push("Is not an allowed field", joinPath(path, key));
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(...validateSchema(schema.additionalProperties, entry, joinPath(path, key)));
+      }
+    });
+  }
+
+  return errors;
+};
+
+module.exports = { validateSchema };
@@ -0,0 +1,67 @@
+// Shared pieces of the document attachment feature: the document types buyers ask for,
+// where files are kept, and the short-lived tokens that unlock gated downloads.
+const path = require("path");
+const jwt = require("jsonwebtoken");
+
+const JWT_SECRET = process.env.JWT_SECRET || "secretkey";
+
+const DOCUMENTS_DIR = path.join(__dirname, "..", "documents");
+const DOCUMENT_EXTENSIONS = [".pdf", ".dwg"];
+const DOWNLOAD_TOKEN_TTL = "15m";
+
+const DOCUMENT_TYPES = [
+  { value: "drawing", label: "Technical Drawing" },
+  { value: "coa", label: "CoA Template" },
+  { value: "dmf", label: "DMF Letter" },
+  { value: "test-report", label: "Test Report (USP <661>)" },
+  { value: "other", label: "Other Document" },
+];
+
+const isAllowedDocument = (fileName) => DOCUMENT_EXTENSIONS.includes(path.extname(String(fileName)).toLowerCase());
+
+const parseItemIds = (value) =>
+  [
+    ...new Set(
+      (Array.isArray(value) ? value : String(value || "").split(","))
+        .map((itemId) => String(itemId).trim())
+        .filter(Boolean)
+    ),
+  ];
+
+// What visitors see: never the stored file name, which would defeat gating.
+const toPublicDocument = (doc) => ({
+  _id: doc._id,
+  title: doc.title,
+  documentType: doc.documentType,
+  typeLabel: DOCUMENT_TYPES.find((type) => type.value === doc.documentType)?.label || "Document",
+  description: doc.description,
+  extension: path.extname(doc.originalName || doc.fileName).slice(1).toLowerCase(),
+  size: doc.size,
+  gated: doc.gated,
+});
+
+// Tokens are tied to a single document so one lead can't unlock the whole library.
+const signDownloadToken = (documentId, leadId) =>
+  jwt.sign({ purpose: "document-download", documentId: String(documentId), leadId: String(leadId) }, JWT_SECRET, {
+    expiresIn: DOWNLOAD_TOKEN_TTL,
+  });
+
+const verifyDownloadToken = (token, documentId) => {
+  try {
+    const payload = jwt.verify(String(token || ""), JWT_SECRET);
+    return payload.purpose === "document-download" && payload.documentId === String(documentId);
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  DOCUMENTS_DIR,
+  DOCUMENT_EXTENSIONS,
+  DOCUMENT_TYPES,
+  isAllowedDocument,
+  parseItemIds,
+  toPublicDocument,
+  signDownloadToken,
+  verifyDownloadToken,
+};
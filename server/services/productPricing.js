@@ -0,0 +1,143 @@
+// Volume pricing for the Product model: a base unit price in the product's currency,
+// optional quantity breaks (10k / 50k / 100k+ units) and the exchange-rate table used
+// to quote in another currency. Rates are stored as units of a currency per one unit of
+// BASE_CURRENCY, so any two currencies convert through the base.
+
+const BASE_CURRENCY = "USD";
+
+const isCurrencyCode = (value) => /^[A-Z]{3}$/.test(String(value || ""));
+
+const toCurrency = (value) =>
+  String(value || "")
+    .trim()
+    .toUpperCase();
+
+const roundTo = (value, places) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+// Multipart forms send the tiers as a JSON string; the JSON API sends an array.
+const parseTiers = (raw) => {
+  if (Array.isArray(raw)) return raw;
+  if (typeof raw !== "string" || !raw.trim()) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Coerces tier rows into { minQuantity, unitPrice }, lowest quantity first. Rows with
+ * both cells blank are dropped; anything else non-numeric is kept as NaN so schema
+ * validation rejects it.
+ */
+const normalizePriceTiers = (raw) =>
+  parseTiers(raw)
+    .filter((tier) => tier && String(tier.minQuantity ?? "").trim() + String(tier.unitPrice ?? "").trim())
+    .map((tier) => ({ minQuantity: Number(tier.minQuantity), unitPrice: Number(tier.unitPrice) }))
+    .sort((a, b) => a.minQuantity - b.minQuantity);
+
+const toFlag = (value) => ["true", "yes", "1", "on"].includes(String(value ?? "").trim().toLowerCase());
+
+// Pricing fields from a product form or JSON body, in the shape stored on Product.
+const PRICING_FIELDS = ["currency", "priceTiers", "publicPricing"];
+
+const normalizePricing = (raw = {}) => ({
+  currency: toCurrency(raw.currency) || BASE_CURRENCY,
+  priceTiers: normalizePriceTiers(raw.priceTiers),
+  publicPricing: typeof raw.publicPricing === "boolean" ? raw.publicPricing : toFlag(raw.publicPricing),
+});
+
+// The tier that applies to `quantity`: the one with the highest threshold not above it.
+const findTier = (product, quantity) =>
+  [...(product.priceTiers || [])]
+    .sort((a, b) => b.minQuantity - a.minQuantity)
+    .find((tier) => quantity >= tier.minQuantity) || null;
+
+const lowestUnitPrice = (product) =>
+  Math.min(Number(product.price), ...(product.priceTiers || []).map((tier) => Number(tier.unitPrice)));
+
+// Map of currency -> rate per BASE_CURRENCY, from ExchangeRate documents.
+const toRateTable = (rates = []) => {
+  const table = new Map(rates.map((entry) => [entry.currency, Number(entry.rate)]));
+  table.set(BASE_CURRENCY, 1);
+  return table;
+};
+
+const convertAmount = (amount, from, to, rateTable) => {
+  if (from === to) return amount;
+  if (!rateTable.has(from) || !rateTable.has(to)) {
+    const error = new Error(`No exchange rate for ${rateTable.has(from) ? to : from}`);
+    error.status = 400;
+    throw error;
+  }
+  return (amount / rateTable.get(from)) * rateTable.get(to);
+};
+
+/**
+ * Prices `quantity` units of a product in `currency` (the product's own currency by
+ * default). Throws errors carrying `status` for quantities below the MOQ and for
+ * currencies missing from the rate table.
+ */
+const buildQuote = (product, { quantity, currency }, rateTable) => {
+  const units = Number(quantity);
+  const moq = product.availability?.moq;
+  if (!Number.isInteger(units) || units < 1) {
+    const error = new Error("quantity must be a whole number of at least 1");
+    error.status = 400;
+    throw error;
+  }
+  if (moq && units < moq) {
+    const error = new Error(`Minimum order quantity is ${moq}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const priceCurrency = product.currency || BASE_CURRENCY;
+  const quoteCurrency = toCurrency(currency) || priceCurrency;
+  const tier = findTier(product, units);
+  const unitPrice = convertAmount(tier ? tier.unitPrice : product.price, priceCurrency, quoteCurrency, rateTable);
+
+  return {
+    productId: product._id,
+    name: product.name,
+    quantity: units,
+    currency: quoteCurrency,
+    unitPrice: roundTo(unitPrice, 4),
+    total: roundTo(unitPrice * units, 2),
+    tier: tier ? { minQuantity: tier.minQuantity } : null,
+    priceCurrency,
+    exchangeRate: roundTo(convertAmount(1, priceCurrency, quoteCurrency, rateTable), 6),
+  };
+};
+
+/**
+ * What anonymous visitors may see of a product. Products with public pricing gain an
+ * `indicativePrice` ("from" the cheapest tier); the others have their prices removed.
+ */
+const toPublicProduct = (product) => {
+  const data = typeof product.toObject === "function" ? product.toObject() : { ...product };
+  if (data.publicPricing) {
+    data.indicativePrice = { amount: lowestUnitPrice(data), currency: data.currency || BASE_CURRENCY };
+    return data;
+  }
+  delete data.price;
+  delete data.priceTiers;
+  return data;
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  PRICING_FIELDS,
+  isCurrencyCode,
+  toCurrency,
+  normalizePriceTiers,
+  normalizePricing,
+  lowestUnitPrice,
+  toRateTable,
+  buildQuote,
+  toPublicProduct,
+};
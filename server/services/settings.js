@@ -0,0 +1,72 @@
+// Read and write admin-only settings stored in the Setting collection. Secrets (SMTP
+// passwords and the like) are encrypted with AES-256-GCM before they are stored and are
+// only ever decrypted inside the server; routes report whether one is set, never its value.
+const crypto = require("crypto");
+const Setting = require("../models/Setting");
+
+const CIPHER = "aes-256-gcm";
+
+// SETTINGS_ENCRYPTION_KEY should be set in production; changing it makes stored secrets unreadable.
+const encryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.SETTINGS_ENCRYPTION_KEY || process.env.JWT_SECRET || "secretkey")
+    .digest();
+
+// "iv.tag.ciphertext", each part base64.
+const encrypt = (plain) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(String(plain), "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map((part) => part.toString("base64")).join(".");
+};
+
+const decrypt = (stored) => {
+  const [iv, tag, data] = String(stored).split(".").map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv(CIPHER, encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+};
+
+const getSetting = async (key, fallback = null) => {
+  const doc = await Setting.findOne({ key, encrypted: { $ne: true } }).lean();
+  return doc && doc.value !== null && doc.value !== undefined ? doc.value : fallback;
+};
+
+const setSetting = async (key, value) => {
+  const doc = await Setting.findOneAndUpdate(
+    { key },
+    { $set: { value, encrypted: false } },
+    { upsert: true, new: true, runValidators: true }
+  ).lean();
+  return doc.value;
+};
+
+// Resolves to the decrypted secret, or "" when it is not set or cannot be decrypted.
+const getSecret = async (key) => {
+  const doc = await Setting.findOne({ key, encrypted: true }).lean();
+  if (!doc?.value) return "";
+  try {
+    return decrypt(doc.value);
+  } catch (error) {
+    console.log(`Setting ${key} could not be decrypted; was SETTINGS_ENCRYPTION_KEY changed?`);
+    return "";
+  }
+};
+
+// Stores a secret encrypted; an empty value removes it.
+const setSecret = async (key, value) => {
+  if (!value) {
+    await Setting.deleteOne({ key, encrypted: true });
+    return;
+  }
+  await Setting.findOneAndUpdate(
+    { key },
+    { $set: { value: encrypt(value), encrypted: true } },
+    { upsert: true, runValidators: true }
+  );
+};
+
+const hasSecret = async (key) => Boolean(await Setting.exists({ key, encrypted: true }));
+
+module.exports = { getSetting, setSetting, getSecret, setSecret, hasSecret };
@@ -0,0 +1,167 @@
+// Soft delete: DELETE routes move records into the TrashEntry collection (and their
+// files into a quarantine folder) instead of removing them. Admins can restore entries
+// from the dashboard; anything older than the configured retention period is purged.
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const TrashEntry = require("../models/TrashEntry");
+const Product = require("../models/Product");
+const Content = require("../models/Content");
+const ContentRevision = require("../models/ContentRevision");
+const ContactMessage = require("../models/ContactMessage");
+const Visitor = require("../models/Visitor");
+const MediaDocument = require("../models/MediaDocument");
+const { DOCUMENTS_DIR } = require("./mediaDocuments");
+const { toEditor } = require("./contentPublishing");
+const { getSetting, setSetting } = require("./settings");
+
+const QUARANTINE_DIR = path.join(__dirname, "..", "quarantine");
+const FOLDERS = {
+  uploads: path.join(__dirname, "..", "uploads"),
+  documents: DOCUMENTS_DIR,
+};
+const RETENTION_SETTING = "trashRetentionDays";
+const DEFAULT_RETENTION_DAYS = 30;
+const MAX_RETENTION_DAYS = 365;
+const PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Database-backed kinds; "media" (a plain file in uploads/) has no document.
+const RECORD_KINDS = {
+  product: { model: Product, label: (doc) => doc.name },
+  content: { model: Content, label: (doc) => doc.title || doc.key },
+  lead: { model: ContactMessage, label: (doc) => `${doc.fullName} <${doc.email}> - ${doc.subject}` },
+  visitor: { model: Visitor, label: (doc) => doc.ip || doc.sessionId },
+  document: {
+    model: MediaDocument,
+    label: (doc) => doc.title,
+    files: (doc) => [{ folder: "documents", name: path.basename(doc.fileName) }],
+  },
+};
+
+const withStatus = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const quarantineFile = ({ folder, name }) => {
+  const source = path.join(FOLDERS[folder], name);
+  if (!fs.existsSync(source)) return null;
+  fs.mkdirSync(QUARANTINE_DIR, { recursive: true });
+  const quarantinedAs = `${Date.now()}-${folder}-${name}`;
+  fs.renameSync(source, path.join(QUARANTINE_DIR, quarantinedAs));
+  return { folder, name, quarantinedAs };
+};
+
+/**
+ * Moves one record into the trash. Resolves to the TrashEntry, or null when there is
+ * no such record (including ids that are not valid ObjectIds).
+ */
+const trashRecord = async (kind, id, admin) => {
+  const { model, label, files = () => [] } = RECORD_KINDS[kind];
+  if (!mongoose.Types.ObjectId.isValid(String(id || ""))) return null;
+  const doc = await model.findById(id).lean();
+  if (!doc) return null;
+
+  const entry = await TrashEntry.create({
+    kind,
+    originalId: String(doc._id),
+    label: label(doc) || String(doc._id),
+    data: doc,
+    files: files(doc).map(quarantineFile).filter(Boolean),
+    deletedBy: toEditor(admin),
+  });
+  await model.deleteOne({ _id: doc._id });
+  return entry;
+};
+
+// Moves an uploaded media file into quarantine. Resolves to null if it does not exist.
+const trashMediaFile = async (name, admin) => {
+  const file = quarantineFile({ folder: "uploads", name: path.basename(name) });
+  if (!file) return null;
+  return TrashEntry.create({
+    kind: "media",
+    originalId: file.name,
+    label: file.name,
+    files: [file],
+    deletedBy: toEditor(admin),
+  });
+};
+
+/**
+ * Puts a trashed record and its files back where they were and removes the entry.
+ * Fails with status 409 when something has taken their place in the meantime.
+ */
+const restoreTrashEntry = async (entry) => {
+  const taken = entry.files.find((file) => fs.existsSync(path.join(FOLDERS[file.folder], file.name)));
+  if (taken) throw withStatus(`A file named ${taken.name} already exists`, 409);
+
+  if (RECORD_KINDS[entry.kind]) {
+    try {
+      await RECORD_KINDS[entry.kind].model.collection.insertOne(entry.data);
+    } catch (error) {
+      if (error.code === 11000) throw withStatus(`Another ${entry.kind} now uses the same unique key`, 409);
+      throw error;
+    }
+  }
+  entry.files.forEach((file) => {
+    const quarantined = path.join(QUARANTINE_DIR, file.quarantinedAs);
+    if (fs.existsSync(quarantined)) fs.renameSync(quarantined, path.join(FOLDERS[file.folder], file.name));
+  });
+  await TrashEntry.deleteOne({ _id: entry._id });
+};
+
+// Deletes an entry for good, with its quarantined files and, for content, its revisions.
+const purgeTrashEntry = async (entry) => {
+  entry.files.forEach((file) => fs.rmSync(path.join(QUARANTINE_DIR, file.quarantinedAs), { force: true }));
+  if (entry.kind === "content" && entry.data?._id) {
+    await ContentRevision.deleteMany({ content: entry.data._id });
+  }
+  await TrashEntry.deleteOne({ _id: entry._id });
+};
+
+const getRetentionDays = async () => Number(await getSetting(RETENTION_SETTING, DEFAULT_RETENTION_DAYS));
+
+const setRetentionDays = async (value) => {
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_RETENTION_DAYS) {
+    throw withStatus(`Retention must be a whole number of days between 1 and ${MAX_RETENTION_DAYS}`, 400);
+  }
+  return setSetting(RETENTION_SETTING, days);
+};
+
+const purgeAt = (entry, retentionDays) => new Date(new Date(entry.deletedAt).getTime() + retentionDays * DAY_MS);
+
+const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - (await getRetentionDays()) * DAY_MS);
+  const expired = await TrashEntry.find({ deletedAt: { $lt: cutoff } });
+  for (const entry of expired) {
+    await purgeTrashEntry(entry);
+  }
+  return expired.length;
+};
+
+// Purges once now and then every few hours for as long as the process runs.
+const startTrashPurge = () => {
+  const run = () =>
+    purgeExpiredTrash()
+      .then((count) => count && console.log(`Purged ${count} expired trash entries`))
+      .catch((error) => console.log("Trash purge failed:", error.message));
+  run();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  MAX_RETENTION_DAYS,
+  trashRecord,
+  trashMediaFile,
+  restoreTrashEntry,
+  purgeTrashEntry,
+  getRetentionDays,
+  setRetentionDays,
+  purgeAt,
+  purgeExpiredTrash,
+  startTrashPurge,
+};